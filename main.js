@@ -34,9 +34,9 @@ if (fs.existsSync(dopplerSecretsPath)) {
   }
 }
 
-// Groq API configuration
-const GROQ_API_KEY = process.env.GROQ_API_KEY || '';
-const GROQ_MODEL = 'llama-3.1-8b-instant';
+// Clarity scoring model (any provider in shared/llm-providers.mjs)
+const CLARITY_PROVIDER = process.env.CLARITY_PROVIDER || 'groq';
+const CLARITY_MODEL = process.env.CLARITY_MODEL || 'llama-3.1-8b-instant';
 
 // Start the backend agent server
 function startAgentServer() {
@@ -85,68 +85,194 @@ function stopAgentServer() {
   }
 }
 
-console.log('🔑 GROQ_API_KEY:', GROQ_API_KEY ? 'SET (' + GROQ_API_KEY.slice(0, 8) + '...)' : 'NOT SET');
+console.log(`🤖 Clarity model: ${CLARITY_MODEL} (${CLARITY_PROVIDER})`);
 
-// Calculate clarity using Groq LLM
+// Score an objective or priority's clarity with the clarity model
 async function calculateClarityWithLLM(name, description) {
-  if (!GROQ_API_KEY) {
-    return { error: 'GROQ_API_KEY not set', score: null };
-  }
+  // The provider layer is an ES module shared with the app and agent server
+  const { createProvider, PROVIDERS } = await import('./shared/llm-providers.mjs');
+  const { scoreClarity } = await import('./shared/clarity.mjs');
+  const keyName = PROVIDERS[CLARITY_PROVIDER]?.keyName;
 
-  if (!name || !name.trim()) {
-    return { score: 0, label: 'fuzzy' };
+  let provider;
+  try {
+    provider = createProvider({
+      provider: CLARITY_PROVIDER,
+      model: CLARITY_MODEL,
+      apiKey: keyName ? process.env[keyName] : null,
+      endpoint: process.env[`${CLARITY_PROVIDER.toUpperCase()}_ENDPOINT`] || null
+    });
+  } catch (err) {
+    return { error: err.message, score: null };
   }
 
-  // Build the content to evaluate
-  let content = `Title: ${name}`;
-  if (description && description.trim()) {
-    content += `\nDescription: ${description}`;
+  try {
+    return await scoreClarity(provider, { name, description });
+  } catch (err) {
+    return { error: err.message, score: null };
   }
+}
+
+// ========================================
+// Folder Watching
+// ========================================
+
+const WATCH_DEBOUNCE_MS = 150;
+const WATCH_IGNORED_DIRS = ['node_modules'];
+const folderWatchers = new Map(); // watchId -> { watcher, sender, onDestroyed }
+let nextWatchId = 1;
 
+// Hidden entries are skipped, matching folder-explorer:read-dir
+function isWatchIgnored(rootPath, filePath) {
+  const relative = path.relative(rootPath, filePath);
+  return relative.split(path.sep).some(part => part.startsWith('.') || WATCH_IGNORED_DIRS.includes(part));
+}
+
+// Collect every path under a directory (used to tell adds from changes)
+function listTree(rootPath, dirPath, known) {
+  let entries = [];
   try {
-    console.log('🤖 Calling Groq API...');
-    const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${GROQ_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: GROQ_MODEL,
-        messages: [
-          {
-            role: 'system',
-            content: `You evaluate how clear and actionable an objective/goal is based on its title and description.
-Rate from 0-100 where:
-- 0-30: Fuzzy (vague, no clear outcome or action)
-- 31-60: Forming (some clarity but missing specifics)
-- 61-100: Clear (specific, measurable, actionable)
-Respond with ONLY a number 0-100, nothing else.`
-          },
-          {
-            role: 'user',
-            content: content
-          }
-        ],
-        temperature: 0,
-        max_tokens: 10
-      })
-    });
+    entries = fs.readdirSync(dirPath, { withFileTypes: true });
+  } catch {
+    return;
+  }
+  for (const entry of entries) {
+    const entryPath = path.join(dirPath, entry.name);
+    if (isWatchIgnored(rootPath, entryPath)) continue;
+    known.set(entryPath, entry.isDirectory());
+    if (entry.isDirectory()) listTree(rootPath, entryPath, known);
+  }
+}
 
-    const data = await response.json();
-    const scoreText = data.choices?.[0]?.message?.content?.trim();
-    console.log('📊 Groq response:', scoreText);
-    const score = parseInt(scoreText, 10);
+// Start a debounced, recursive watch; onEvents receives batches of
+// { type: 'add'|'change'|'unlink'|'rename', path, oldPath?, isDirectory }
+function startFolderWatch(rootPath, onEvents) {
+  const known = new Map(); // path -> isDirectory
+  listTree(rootPath, rootPath, known);
+
+  const pending = new Map(); // path -> raw fs.watch event type
+  const fsWatchers = new Map(); // dir -> FSWatcher (per-directory fallback only)
+  let timer = null;
+
+  function onRawEvent(dirPath, eventType, filename) {
+    if (!filename) return;
+    const filePath = path.join(dirPath, filename.toString());
+    if (isWatchIgnored(rootPath, filePath)) return;
+    // 'rename' is the stronger signal (add/remove), don't let 'change' overwrite it
+    if (pending.get(filePath) !== 'rename') pending.set(filePath, eventType);
+    clearTimeout(timer);
+    timer = setTimeout(flush, WATCH_DEBOUNCE_MS);
+  }
 
-    if (isNaN(score) || score < 0 || score > 100) {
-      return { score: 50, label: 'forming', raw: scoreText };
+  function flush() {
+    const adds = [];
+    const unlinks = [];
+    const changes = [];
+
+    for (const [filePath, rawType] of pending) {
+      let stats = null;
+      try {
+        stats = fs.statSync(filePath);
+      } catch {
+        // Gone
+      }
+      const wasKnown = known.has(filePath);
+
+      if (stats && !wasKnown) {
+        adds.push({ type: 'add', path: filePath, isDirectory: stats.isDirectory() });
+      } else if (!stats && wasKnown) {
+        unlinks.push({ type: 'unlink', path: filePath, isDirectory: known.get(filePath) });
+      } else if (stats && (rawType === 'change' || !stats.isDirectory())) {
+        changes.push({ type: 'change', path: filePath, isDirectory: stats.isDirectory() });
+      }
     }
+    pending.clear();
 
-    const label = score <= 30 ? 'fuzzy' : score <= 60 ? 'forming' : 'clear';
-    return { score, label };
-  } catch (err) {
-    return { error: err.message, score: null };
+    // A new directory's contents are implied by the directory itself
+    const addedDirs = adds.filter(a => a.isDirectory).map(a => a.path + path.sep);
+    for (const added of [...adds]) {
+      if (addedDirs.some(dir => added.path.startsWith(dir))) adds.splice(adds.indexOf(added), 1);
+    }
+
+    // Pair removes with adds into renames: same name in another directory
+    // (a move), or the only remove and add of the batch (a rename in place)
+    const renames = [];
+    for (const removed of [...unlinks]) {
+      let match = adds.find(a => a.isDirectory === removed.isDirectory &&
+        path.basename(a.path) === path.basename(removed.path));
+      if (!match && unlinks.length === 1 && adds.length === 1 && adds[0].isDirectory === removed.isDirectory) {
+        match = adds[0];
+      }
+      if (match) {
+        adds.splice(adds.indexOf(match), 1);
+        unlinks.splice(unlinks.indexOf(removed), 1);
+        renames.push({ type: 'rename', oldPath: removed.path, path: match.path, isDirectory: removed.isDirectory });
+      }
+    }
+
+    // Keep the known tree current (directory moves carry their contents)
+    for (const { path: removedPath } of unlinks) {
+      for (const knownPath of [...known.keys()]) {
+        if (knownPath === removedPath || knownPath.startsWith(removedPath + path.sep)) known.delete(knownPath);
+      }
+    }
+    for (const { oldPath, path: newPath, isDirectory } of renames) {
+      for (const [knownPath, knownIsDir] of [...known]) {
+        if (knownPath.startsWith(oldPath + path.sep)) {
+          known.delete(knownPath);
+          known.set(newPath + knownPath.slice(oldPath.length), knownIsDir);
+        }
+      }
+      known.delete(oldPath);
+      known.set(newPath, isDirectory);
+    }
+    for (const { path: addedPath, isDirectory } of adds) {
+      known.set(addedPath, isDirectory);
+      if (isDirectory) listTree(rootPath, addedPath, known);
+    }
+    if (fsWatchers.size > 0) syncDirectoryWatchers();
+
+    const events = [...adds, ...changes, ...unlinks, ...renames];
+    if (events.length > 0) onEvents(events);
   }
+
+  // Per-directory watchers, for Linux (where recursive fs.watch reports
+  // stale paths after a directory is renamed) and as a fallback elsewhere
+  function syncDirectoryWatchers() {
+    const dirs = new Set([rootPath, ...[...known].filter(([, isDir]) => isDir).map(([p]) => p)]);
+    for (const [dirPath, watcher] of fsWatchers) {
+      if (!dirs.has(dirPath)) {
+        watcher.close();
+        fsWatchers.delete(dirPath);
+      }
+    }
+    for (const dirPath of dirs) {
+      if (fsWatchers.has(dirPath)) continue;
+      try {
+        fsWatchers.set(dirPath, fs.watch(dirPath, (eventType, filename) => onRawEvent(dirPath, eventType, filename)));
+      } catch (err) {
+        console.warn('Failed to watch directory:', dirPath, err.message);
+      }
+    }
+  }
+
+  let recursiveWatcher = null;
+  try {
+    if (process.platform === 'linux') throw new Error('Use per-directory watchers');
+    recursiveWatcher = fs.watch(rootPath, { recursive: true }, (eventType, filename) => onRawEvent(rootPath, eventType, filename));
+  } catch {
+    syncDirectoryWatchers();
+  }
+
+  return {
+    rootPath,
+    close() {
+      clearTimeout(timer);
+      if (recursiveWatcher) recursiveWatcher.close();
+      for (const watcher of fsWatchers.values()) watcher.close();
+      fsWatchers.clear();
+    }
+  };
 }
 
 function createWindow() {
@@ -372,6 +498,89 @@ function createWindow() {
       return { success: false, error: err.message };
     }
   });
+
+  // Remove an empty directory (fails if anything is left inside)
+  ipcMain.handle('folder-explorer:remove-dir', async (event, dirPath) => {
+    try {
+      fs.rmdirSync(dirPath);
+      return { success: true };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+
+  // Watch a directory tree; changes are sent as folder-explorer:change
+  ipcMain.handle('folder-explorer:watch', async (event, dirPath) => {
+    try {
+      if (!fs.statSync(dirPath).isDirectory()) {
+        return { success: false, error: 'Not a directory' };
+      }
+      const sender = event.sender;
+      const watchId = nextWatchId++;
+      const watcher = startFolderWatch(dirPath, (events) => {
+        if (!sender.isDestroyed()) {
+          sender.send('folder-explorer:change', { watchId, events });
+        }
+      });
+
+      // Don't outlive the window that asked
+      const onDestroyed = () => {
+        watcher.close();
+        folderWatchers.delete(watchId);
+      };
+      sender.once('destroyed', onDestroyed);
+      folderWatchers.set(watchId, { watcher, sender, onDestroyed });
+      return { success: true, watchId };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+
+  // Stop a watch started with folder-explorer:watch (only by the window that started it)
+  ipcMain.handle('folder-explorer:unwatch', async (event, watchId) => {
+    const watch = folderWatchers.get(watchId);
+    if (!watch) {
+      return { success: true };
+    }
+    if (watch.sender !== event.sender) {
+      return { success: false, error: 'Not watched by this window' };
+    }
+    watch.watcher.close();
+    watch.sender.removeListener('destroyed', watch.onDestroyed);
+    folderWatchers.delete(watchId);
+    return { success: true };
+  });
+
+  // ========================================
+  // Local Store - Offline Data File
+  // ========================================
+
+  const localStorePath = path.join(app.getPath('userData'), 'layer-store.json');
+
+  // Read the whole local store (empty object if it doesn't exist yet)
+  ipcMain.handle('local-store:read', async () => {
+    try {
+      if (!fs.existsSync(localStorePath)) {
+        return { success: true, data: {} };
+      }
+      const content = fs.readFileSync(localStorePath, 'utf-8');
+      return { success: true, data: JSON.parse(content) };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
+
+  // Write the whole local store (temp file + rename so a crash can't truncate it)
+  ipcMain.handle('local-store:write', async (event, data) => {
+    try {
+      const tmpPath = localStorePath + '.tmp';
+      fs.writeFileSync(tmpPath, JSON.stringify(data), 'utf-8');
+      fs.renameSync(tmpPath, localStorePath);
+      return { success: true };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  });
 }
 
 app.whenReady().then(() => {
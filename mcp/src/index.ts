@@ -10,6 +10,7 @@ import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import { createClient, SupabaseClient } from "@supabase/supabase-js";
 import { z } from "zod";
+import { objectiveTools, type ObjectiveToolInputSchema } from "../../shared/objective-tools.mjs";
 
 // Supabase configuration (matches main app)
 const SUPABASE_URL = "https://uajcwhcfrcqqpgvvfrpz.supabase.co";
@@ -51,6 +52,7 @@ interface Objective {
   nextStep: NextStep | null;
   folderId: string | null;
   orderIndex: number;
+  tags: string[];
   createdAt: string;
   updatedAt: string;
 }
@@ -62,6 +64,7 @@ interface Note {
   content: string;
   folderId: string | null;
   orderIndex: number;
+  tags: string[];
   createdAt: string;
   updatedAt: string;
 }
@@ -72,6 +75,7 @@ interface Folder {
   name: string;
   parentId: string | null;
   orderIndex: number;
+  tags: string[];
   createdAt: string;
   updatedAt: string;
 }
@@ -108,6 +112,7 @@ async function loadAllObjectives(): Promise<Objective[]> {
     nextStep: row.next_step || null,
     folderId: row.folder_id || null,
     orderIndex: row.order_index || 0,
+    tags: row.tags || [],
     createdAt: row.created_at,
     updatedAt: row.updated_at,
   }));
@@ -138,44 +143,7 @@ async function getObjectiveById(id: string): Promise<Objective | null> {
     nextStep: data.next_step || null,
     folderId: data.folder_id || null,
     orderIndex: data.order_index || 0,
-    createdAt: data.created_at,
-    updatedAt: data.updated_at,
-  };
-}
-
-async function createNewObjective(name: string, description: string, folderId: string | null = null): Promise<Objective> {
-  const client = getClient();
-  const now = new Date().toISOString();
-
-  const { data, error } = await client
-    .from("objectives")
-    .insert({
-      name,
-      description,
-      priorities: [],
-      steps: [],
-      next_step: null,
-      folder_id: folderId,
-      order_index: 0,
-      created_at: now,
-      updated_at: now,
-    })
-    .select()
-    .single();
-
-  if (error) {
-    throw new Error(`Failed to create objective: ${error.message}`);
-  }
-
-  return {
-    id: data.id,
-    name: data.name,
-    description: data.description || "",
-    priorities: [],
-    steps: [],
-    nextStep: null,
-    folderId: data.folder_id || null,
-    orderIndex: data.order_index || 0,
+    tags: data.tags || [],
     createdAt: data.created_at,
     updatedAt: data.updated_at,
   };
@@ -193,6 +161,7 @@ async function saveObjective(objective: Objective): Promise<void> {
       next_step: objective.nextStep,
       folder_id: objective.folderId,
       order_index: objective.orderIndex,
+      tags: objective.tags,
       updated_at: new Date().toISOString(),
     })
     .eq("id", objective.id);
@@ -224,6 +193,7 @@ async function loadAllNotes(): Promise<Note[]> {
     content: row.content || "",
     folderId: row.folder_id || null,
     orderIndex: row.order_index || 0,
+    tags: row.tags || [],
     createdAt: row.created_at,
     updatedAt: row.updated_at,
   }));
@@ -251,12 +221,13 @@ async function getNoteById(id: string): Promise<Note | null> {
     content: data.content || "",
     folderId: data.folder_id || null,
     orderIndex: data.order_index || 0,
+    tags: data.tags || [],
     createdAt: data.created_at,
     updatedAt: data.updated_at,
   };
 }
 
-async function createNewNote(name: string, content: string, folderId: string | null = null): Promise<Note> {
+async function createNewNote(name: string, content: string, folderId: string | null = null, tags: string[] = []): Promise<Note> {
   const client = getClient();
   const now = new Date().toISOString();
 
@@ -266,6 +237,7 @@ async function createNewNote(name: string, content: string, folderId: string | n
       name,
       content,
       folder_id: folderId,
+      tags,
       order_index: 0,
       updated_at: now,
     })
@@ -282,6 +254,7 @@ async function createNewNote(name: string, content: string, folderId: string | n
     content: data.content || "",
     folderId: data.folder_id || null,
     orderIndex: data.order_index || 0,
+    tags: data.tags || [],
     createdAt: data.created_at,
     updatedAt: data.updated_at,
   };
@@ -297,6 +270,7 @@ async function saveNote(note: Note): Promise<void> {
       content: note.content,
       folder_id: note.folderId,
       order_index: note.orderIndex,
+      tags: note.tags,
       updated_at: new Date().toISOString(),
     })
     .eq("id", note.id);
@@ -340,6 +314,7 @@ async function loadAllFolders(): Promise<Folder[]> {
     name: row.name || "",
     parentId: row.parent_id || null,
     orderIndex: row.order_index || 0,
+    tags: row.tags || [],
     createdAt: row.created_at,
     updatedAt: row.updated_at,
   }));
@@ -366,6 +341,7 @@ async function getFolderById(id: string): Promise<Folder | null> {
     name: data.name || "",
     parentId: data.parent_id || null,
     orderIndex: data.order_index || 0,
+    tags: data.tags || [],
     createdAt: data.created_at,
     updatedAt: data.updated_at,
   };
@@ -395,6 +371,7 @@ async function createNewFolder(name: string, parentId: string | null = null): Pr
     name: data.name || "",
     parentId: data.parent_id || null,
     orderIndex: data.order_index || 0,
+    tags: data.tags || [],
     createdAt: data.created_at,
     updatedAt: data.updated_at,
   };
@@ -408,751 +385,136 @@ async function saveFolder(folder: Folder): Promise<void> {
     .update({
       name: folder.name,
       parent_id: folder.parentId,
-      order_index: folder.orderIndex,
-      updated_at: new Date().toISOString(),
-    })
-    .eq("id", folder.id);
-
-  if (error) {
-    throw new Error(`Failed to save folder: ${error.message}`);
-  }
-}
-
-async function deleteFolderById(id: string): Promise<void> {
-  const client = getClient();
-
-  // First, unfile all items in this folder (set folder_id to null)
-  await client.from("objectives").update({ folder_id: null }).eq("folder_id", id);
-  await client.from("notes").update({ folder_id: null }).eq("folder_id", id);
-
-  // Move child folders to root (set parent_id to null)
-  await client.from("folders").update({ parent_id: null }).eq("parent_id", id);
-
-  // Now delete the folder
-  const { error } = await client
-    .from("folders")
-    .delete()
-    .eq("id", id);
-
-  if (error) {
-    throw new Error(`Failed to delete folder: ${error.message}`);
-  }
-}
-
-// Helper functions
-function generateId(): string {
-  return Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
-}
-
-function formatDuration(seconds: number): string {
-  if (seconds < 60) return `${seconds}s`;
-  if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
-  const hours = Math.floor(seconds / 3600);
-  const mins = Math.floor((seconds % 3600) / 60);
-  return mins > 0 ? `${hours}h ${mins}m` : `${hours}h`;
-}
-
-// Create MCP server
-const server = new McpServer({
-  name: "layer-mcp-server",
-  version: "1.0.0",
-});
-
-// Input schemas
-const ListObjectivesSchema = z.object({
-  include_steps: z.boolean()
-    .default(false)
-    .describe("Include step details in the response"),
-}).strict();
-
-const GetObjectiveSchema = z.object({
-  id: z.string()
-    .min(1, "Objective ID is required")
-    .describe("The UUID of the objective to retrieve"),
-}).strict();
-
-// Register tools
-server.registerTool(
-  "layer_list_objectives",
-  {
-    title: "List Objectives",
-    description: `List all objectives in Layer with summary information.
-
-Returns a list of all objectives including their name, description,
-number of priorities, number of steps, and active step if any.
-
-Args:
-  - include_steps (boolean): Include step details in response (default: false)
-
-Returns:
-  Array of objectives with:
-  - id: Objective UUID
-  - name: Objective title
-  - description: Objective description
-  - priorityCount: Number of priorities
-  - stepCount: Number of logged steps
-  - totalTimeSpent: Total elapsed time across all steps
-  - nextStep: Current in-progress step (if any)
-  - steps: Array of steps (if include_steps is true)`,
-    inputSchema: ListObjectivesSchema,
-    annotations: {
-      readOnlyHint: true,
-      destructiveHint: false,
-      idempotentHint: true,
-      openWorldHint: false,
-    },
-  },
-  async (params) => {
-    try {
-      const objectives = await loadAllObjectives();
-
-      const result = objectives.map((obj) => {
-        const totalTime = obj.steps.reduce((sum, s) => sum + (s.elapsed || 0), 0);
-
-        const summary: Record<string, unknown> = {
-          id: obj.id,
-          name: obj.name,
-          description: obj.description,
-          priorityCount: obj.priorities.length,
-          stepCount: obj.steps.length,
-          totalTimeSpent: formatDuration(totalTime),
-          nextStep: obj.nextStep ? obj.nextStep.text : null,
-        };
-
-        if (params.include_steps) {
-          summary.steps = obj.steps;
-        }
-
-        return summary;
-      });
-
-      const output = {
-        count: result.length,
-        objectives: result,
-      };
-
-      return {
-        content: [{ type: "text", text: JSON.stringify(output, null, 2) }],
-        structuredContent: output,
-      };
-    } catch (error) {
-      const message = error instanceof Error ? error.message : String(error);
-      return {
-        content: [{ type: "text", text: `Error: ${message}` }],
-      };
-    }
-  }
-);
-
-server.registerTool(
-  "layer_get_objective",
-  {
-    title: "Get Objective",
-    description: `Get full details of a single objective by ID.
-
-Returns complete objective data including all priorities and steps.
-
-Args:
-  - id (string): The UUID of the objective
-
-Returns:
-  Complete objective with:
-  - id, name, description
-  - createdAt, updatedAt timestamps
-  - priorities: Array of {id, name, description}
-  - steps: Array of {id, name, status, elapsed, loggedAt, completedAt}
-  - nextStep: Current in-progress step (if any)
-  - stats: Summary statistics (totalTime, completedSteps, etc.)`,
-    inputSchema: GetObjectiveSchema,
-    annotations: {
-      readOnlyHint: true,
-      destructiveHint: false,
-      idempotentHint: true,
-      openWorldHint: false,
-    },
-  },
-  async (params) => {
-    try {
-      const objective = await getObjectiveById(params.id);
-
-      if (!objective) {
-        return {
-          content: [{
-            type: "text",
-            text: `Error: Objective not found with ID '${params.id}'`
-          }],
-        };
-      }
-
-      const totalTime = objective.steps.reduce((sum, s) => sum + (s.elapsed || 0), 0);
-      const completedSteps = objective.steps.filter((s) => s.status === "completed").length;
-
-      const output = {
-        ...objective,
-        stats: {
-          totalTimeSpent: formatDuration(totalTime),
-          totalTimeSeconds: totalTime,
-          totalSteps: objective.steps.length,
-          completedSteps,
-          pendingSteps: objective.steps.length - completedSteps,
-          priorityCount: objective.priorities.length,
-        },
-      };
-
-      return {
-        content: [{ type: "text", text: JSON.stringify(output, null, 2) }],
-        structuredContent: output,
-      };
-    } catch (error) {
-      const message = error instanceof Error ? error.message : String(error);
-      return {
-        content: [{ type: "text", text: `Error: ${message}` }],
-      };
-    }
-  }
-);
-
-server.registerTool(
-  "layer_get_stats",
-  {
-    title: "Get Statistics",
-    description: `Get aggregate statistics across all objectives.
-
-Returns summary metrics about your objectives, priorities, and time tracking.
-
-Returns:
-  - totalObjectives: Number of objectives
-  - totalPriorities: Sum of priorities across all objectives
-  - totalSteps: Sum of all logged steps
-  - totalTimeSpent: Formatted total time
-  - objectivesByActivity: Objectives sorted by recent activity`,
-    inputSchema: z.object({}).strict(),
-    annotations: {
-      readOnlyHint: true,
-      destructiveHint: false,
-      idempotentHint: true,
-      openWorldHint: false,
-    },
-  },
-  async () => {
-    try {
-      const objectives = await loadAllObjectives();
-
-      let totalPriorities = 0;
-      let totalSteps = 0;
-      let totalTime = 0;
-
-      for (const obj of objectives) {
-        totalPriorities += obj.priorities.length;
-        totalSteps += obj.steps.length;
-        totalTime += obj.steps.reduce((sum, s) => sum + (s.elapsed || 0), 0);
-      }
-
-      // Sort by most recently updated
-      const byActivity = [...objectives]
-        .sort((a, b) => new Date(b.updatedAt).getTime() - new Date(a.updatedAt).getTime())
-        .slice(0, 5)
-        .map((obj) => ({
-          id: obj.id,
-          name: obj.name,
-          updatedAt: obj.updatedAt,
-          hasActiveStep: obj.nextStep !== null,
-        }));
-
-      const output = {
-        totalObjectives: objectives.length,
-        totalPriorities,
-        totalSteps,
-        totalTimeSpent: formatDuration(totalTime),
-        totalTimeSeconds: totalTime,
-        recentlyActive: byActivity,
-      };
-
-      return {
-        content: [{ type: "text", text: JSON.stringify(output, null, 2) }],
-        structuredContent: output,
-      };
-    } catch (error) {
-      const message = error instanceof Error ? error.message : String(error);
-      return {
-        content: [{ type: "text", text: `Error: ${message}` }],
-      };
-    }
-  }
-);
-
-// ========================================
-// Write Tools
-// ========================================
-
-// Create Objective
-server.registerTool(
-  "layer_create_objective",
-  {
-    title: "Create Objective",
-    description: `Create a new objective.
-
-Args:
-  - name (string): The name/title of the objective
-  - description (string, optional): Detailed description
-
-Returns:
-  The newly created objective with its generated ID`,
-    inputSchema: z.object({
-      name: z.string().min(1, "Name is required").describe("The name of the objective"),
-      description: z.string().default("").describe("Optional description"),
-    }).strict(),
-    annotations: {
-      readOnlyHint: false,
-      destructiveHint: false,
-      idempotentHint: false,
-      openWorldHint: false,
-    },
-  },
-  async (params) => {
-    try {
-      const objective = await createNewObjective(params.name, params.description);
-      return {
-        content: [{ type: "text", text: JSON.stringify(objective, null, 2) }],
-        structuredContent: objective,
-      };
-    } catch (error) {
-      const message = error instanceof Error ? error.message : String(error);
-      return {
-        content: [{ type: "text", text: `Error: ${message}` }],
-      };
-    }
-  }
-);
-
-// Update Objective
-server.registerTool(
-  "layer_update_objective",
-  {
-    title: "Update Objective",
-    description: `Update an objective's name and/or description.
-
-Args:
-  - id (string): The objective UUID
-  - name (string, optional): New name
-  - description (string, optional): New description
-
-Returns:
-  The updated objective`,
-    inputSchema: z.object({
-      id: z.string().min(1, "Objective ID is required"),
-      name: z.string().optional().describe("New name"),
-      description: z.string().optional().describe("New description"),
-    }).strict(),
-    annotations: {
-      readOnlyHint: false,
-      destructiveHint: false,
-      idempotentHint: true,
-      openWorldHint: false,
-    },
-  },
-  async (params) => {
-    try {
-      const objective = await getObjectiveById(params.id);
-      if (!objective) {
-        return { content: [{ type: "text", text: `Error: Objective not found` }] };
-      }
-
-      if (params.name !== undefined) objective.name = params.name;
-      if (params.description !== undefined) objective.description = params.description;
-
-      await saveObjective(objective);
-      return {
-        content: [{ type: "text", text: JSON.stringify(objective, null, 2) }],
-        structuredContent: objective,
-      };
-    } catch (error) {
-      const message = error instanceof Error ? error.message : String(error);
-      return { content: [{ type: "text", text: `Error: ${message}` }] };
-    }
-  }
-);
-
-// Set Next Step
-server.registerTool(
-  "layer_set_next_step",
-  {
-    title: "Set Next Step",
-    description: `Set or clear the next step for an objective.
-
-Args:
-  - objective_id (string): The objective UUID
-  - text (string): The next step text. Pass empty string to clear.
-
-Returns:
-  The updated objective`,
-    inputSchema: z.object({
-      objective_id: z.string().min(1, "Objective ID is required"),
-      text: z.string().describe("Next step text (empty to clear)"),
-    }).strict(),
-    annotations: {
-      readOnlyHint: false,
-      destructiveHint: false,
-      idempotentHint: true,
-      openWorldHint: false,
-    },
-  },
-  async (params) => {
-    try {
-      const objective = await getObjectiveById(params.objective_id);
-      if (!objective) {
-        return { content: [{ type: "text", text: `Error: Objective not found` }] };
-      }
-
-      if (params.text === "") {
-        objective.nextStep = null;
-      } else {
-        objective.nextStep = {
-          text: params.text,
-          elapsedSeconds: objective.nextStep?.elapsedSeconds || 0,
-        };
-      }
-
-      await saveObjective(objective);
-      return {
-        content: [{ type: "text", text: JSON.stringify(objective, null, 2) }],
-        structuredContent: objective,
-      };
-    } catch (error) {
-      const message = error instanceof Error ? error.message : String(error);
-      return { content: [{ type: "text", text: `Error: ${message}` }] };
-    }
-  }
-);
-
-// Add Step
-server.registerTool(
-  "layer_add_step",
-  {
-    title: "Add Step",
-    description: `Add a new step to an objective.
-
-Args:
-  - objective_id (string): The objective UUID
-  - name (string): The step name/description
-  - status (string, optional): pending, paused, or completed (default: pending)
-
-Returns:
-  The updated objective with the new step`,
-    inputSchema: z.object({
-      objective_id: z.string().min(1, "Objective ID is required"),
-      name: z.string().min(1, "Step name is required"),
-      status: z.enum(["pending", "paused", "completed"]).default("pending"),
-    }).strict(),
-    annotations: {
-      readOnlyHint: false,
-      destructiveHint: false,
-      idempotentHint: false,
-      openWorldHint: false,
-    },
-  },
-  async (params) => {
-    try {
-      const objective = await getObjectiveById(params.objective_id);
-      if (!objective) {
-        return { content: [{ type: "text", text: `Error: Objective not found` }] };
-      }
-
-      const now = new Date().toISOString();
-      const newStep: Step = {
-        id: generateId(),
-        name: params.name,
-        loggedAt: now,
-        orderNumber: objective.steps.length + 1,
-        status: params.status,
-        elapsed: 0,
-        startedAt: null,
-        completedAt: params.status === "completed" ? now : null,
-      };
-
-      objective.steps.push(newStep);
-      await saveObjective(objective);
-
-      return {
-        content: [{ type: "text", text: JSON.stringify({ step: newStep, objective }, null, 2) }],
-        structuredContent: { step: newStep, objective },
-      };
-    } catch (error) {
-      const message = error instanceof Error ? error.message : String(error);
-      return { content: [{ type: "text", text: `Error: ${message}` }] };
-    }
-  }
-);
-
-// Update Step
-server.registerTool(
-  "layer_update_step",
-  {
-    title: "Update Step",
-    description: `Update a step's name or status.
-
-Args:
-  - objective_id (string): The objective UUID
-  - step_id (string): The step ID
-  - name (string, optional): New name
-  - status (string, optional): pending, paused, or completed
-
-Returns:
-  The updated objective`,
-    inputSchema: z.object({
-      objective_id: z.string().min(1, "Objective ID is required"),
-      step_id: z.string().min(1, "Step ID is required"),
-      name: z.string().optional(),
-      status: z.enum(["pending", "paused", "completed"]).optional(),
-    }).strict(),
-    annotations: {
-      readOnlyHint: false,
-      destructiveHint: false,
-      idempotentHint: true,
-      openWorldHint: false,
-    },
-  },
-  async (params) => {
-    try {
-      const objective = await getObjectiveById(params.objective_id);
-      if (!objective) {
-        return { content: [{ type: "text", text: `Error: Objective not found` }] };
-      }
-
-      const step = objective.steps.find((s) => s.id === params.step_id);
-      if (!step) {
-        return { content: [{ type: "text", text: `Error: Step not found` }] };
-      }
-
-      if (params.name !== undefined) step.name = params.name;
-      if (params.status !== undefined) {
-        step.status = params.status;
-        if (params.status === "completed" && !step.completedAt) {
-          step.completedAt = new Date().toISOString();
-        }
-      }
+      order_index: folder.orderIndex,
+      tags: folder.tags,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", folder.id);
 
-      await saveObjective(objective);
-      return {
-        content: [{ type: "text", text: JSON.stringify({ step, objective }, null, 2) }],
-        structuredContent: { step, objective },
-      };
-    } catch (error) {
-      const message = error instanceof Error ? error.message : String(error);
-      return { content: [{ type: "text", text: `Error: ${message}` }] };
-    }
+  if (error) {
+    throw new Error(`Failed to save folder: ${error.message}`);
   }
-);
-
-// Delete Step
-server.registerTool(
-  "layer_delete_step",
-  {
-    title: "Delete Step",
-    description: `Remove a step from an objective.
+}
 
-Args:
-  - objective_id (string): The objective UUID
-  - step_id (string): The step ID to delete
+async function deleteFolderById(id: string): Promise<void> {
+  const client = getClient();
 
-Returns:
-  The updated objective`,
-    inputSchema: z.object({
-      objective_id: z.string().min(1, "Objective ID is required"),
-      step_id: z.string().min(1, "Step ID is required"),
-    }).strict(),
-    annotations: {
-      readOnlyHint: false,
-      destructiveHint: true,
-      idempotentHint: true,
-      openWorldHint: false,
-    },
-  },
-  async (params) => {
-    try {
-      const objective = await getObjectiveById(params.objective_id);
-      if (!objective) {
-        return { content: [{ type: "text", text: `Error: Objective not found` }] };
-      }
+  // First, unfile all items in this folder (set folder_id to null)
+  await client.from("objectives").update({ folder_id: null }).eq("folder_id", id);
+  await client.from("notes").update({ folder_id: null }).eq("folder_id", id);
 
-      const stepIndex = objective.steps.findIndex((s) => s.id === params.step_id);
-      if (stepIndex === -1) {
-        return { content: [{ type: "text", text: `Error: Step not found` }] };
-      }
+  // Move child folders to root (set parent_id to null)
+  await client.from("folders").update({ parent_id: null }).eq("parent_id", id);
 
-      objective.steps.splice(stepIndex, 1);
-      // Renumber remaining steps
-      objective.steps.forEach((s, i) => (s.orderNumber = i + 1));
+  // Now delete the folder
+  const { error } = await client
+    .from("folders")
+    .delete()
+    .eq("id", id);
 
-      await saveObjective(objective);
-      return {
-        content: [{ type: "text", text: JSON.stringify(objective, null, 2) }],
-        structuredContent: objective,
-      };
-    } catch (error) {
-      const message = error instanceof Error ? error.message : String(error);
-      return { content: [{ type: "text", text: `Error: ${message}` }] };
-    }
+  if (error) {
+    throw new Error(`Failed to delete folder: ${error.message}`);
   }
-);
-
-// Add Priority
-server.registerTool(
-  "layer_add_priority",
-  {
-    title: "Add Priority",
-    description: `Add a new priority to an objective.
+}
 
-Args:
-  - objective_id (string): The objective UUID
-  - name (string): The priority name
-  - description (string, optional): Priority description
+// ========================================
+// Tag Helpers
+// ========================================
 
-Returns:
-  The updated objective with the new priority`,
-    inputSchema: z.object({
-      objective_id: z.string().min(1, "Objective ID is required"),
-      name: z.string().min(1, "Priority name is required"),
-      description: z.string().default(""),
-    }).strict(),
-    annotations: {
-      readOnlyHint: false,
-      destructiveHint: false,
-      idempotentHint: false,
-      openWorldHint: false,
-    },
-  },
-  async (params) => {
-    try {
-      const objective = await getObjectiveById(params.objective_id);
-      if (!objective) {
-        return { content: [{ type: "text", text: `Error: Objective not found` }] };
-      }
+// Same rules as the app (src/utils/tags.js): #word, not a URL fragment, entity or heading
+const HASHTAG_PATTERN = /(?<![\p{L}\p{N}_&#/])#([\p{L}\p{N}_-]*[\p{L}_-][\p{L}\p{N}_-]*)/gu;
 
-      const newPriority: Priority = {
-        id: generateId(),
-        name: params.name,
-        description: params.description,
-      };
+function normalizeTag(tag: string): string {
+  return tag
+    .trim()
+    .replace(/^#+/, "")
+    .toLowerCase()
+    .replace(/\s+/g, "-")
+    .replace(/[^\p{L}\p{N}_-]/gu, "");
+}
 
-      objective.priorities.push(newPriority);
-      await saveObjective(objective);
+function normalizeTags(tags: string[]): string[] {
+  return [...new Set(tags.map(normalizeTag).filter(Boolean))];
+}
 
-      return {
-        content: [{ type: "text", text: JSON.stringify({ priority: newPriority, objective }, null, 2) }],
-        structuredContent: { priority: newPriority, objective },
-      };
-    } catch (error) {
-      const message = error instanceof Error ? error.message : String(error);
-      return { content: [{ type: "text", text: `Error: ${message}` }] };
+/**
+ * Explicit tags plus #hashtags found in the given text
+ */
+function getItemTags(tags: string[], ...texts: string[]): string[] {
+  const all = new Set(normalizeTags(tags));
+  for (const text of texts) {
+    for (const match of (text || "").matchAll(HASHTAG_PATTERN)) {
+      all.add(match[1].toLowerCase());
     }
   }
-);
-
-// Update Priority
-server.registerTool(
-  "layer_update_priority",
-  {
-    title: "Update Priority",
-    description: `Update a priority's name or description.
-
-Args:
-  - objective_id (string): The objective UUID
-  - priority_id (string): The priority ID
-  - name (string, optional): New name
-  - description (string, optional): New description
+  return [...all];
+}
 
-Returns:
-  The updated objective`,
-    inputSchema: z.object({
-      objective_id: z.string().min(1, "Objective ID is required"),
-      priority_id: z.string().min(1, "Priority ID is required"),
-      name: z.string().optional(),
-      description: z.string().optional(),
-    }).strict(),
-    annotations: {
-      readOnlyHint: false,
-      destructiveHint: false,
-      idempotentHint: true,
-      openWorldHint: false,
-    },
-  },
-  async (params) => {
-    try {
-      const objective = await getObjectiveById(params.objective_id);
-      if (!objective) {
-        return { content: [{ type: "text", text: `Error: Objective not found` }] };
-      }
+// Create MCP server
+const server = new McpServer({
+  name: "layer-mcp-server",
+  version: "1.0.0",
+});
 
-      const priority = objective.priorities.find((p) => p.id === params.priority_id);
-      if (!priority) {
-        return { content: [{ type: "text", text: `Error: Priority not found` }] };
-      }
+// ========================================
+// Objective Tools
+// ========================================
 
-      if (params.name !== undefined) priority.name = params.name;
-      if (params.description !== undefined) priority.description = params.description;
+/**
+ * Build a zod schema from a shared tool's JSON Schema
+ * Covers what the shared definitions use: strings, booleans and enums.
+ */
+function jsonSchemaToZod(schema: ObjectiveToolInputSchema) {
+  const shape: Record<string, z.ZodTypeAny> = {};
+
+  for (const [key, prop] of Object.entries(schema.properties)) {
+    let field: z.ZodTypeAny;
+    if (prop.enum) {
+      field = z.enum(prop.enum as [string, ...string[]]);
+    } else if (prop.type === "boolean") {
+      field = z.boolean();
+    } else {
+      field = prop.minLength ? z.string().min(prop.minLength) : z.string();
+    }
 
-      await saveObjective(objective);
-      return {
-        content: [{ type: "text", text: JSON.stringify({ priority, objective }, null, 2) }],
-        structuredContent: { priority, objective },
-      };
-    } catch (error) {
-      const message = error instanceof Error ? error.message : String(error);
-      return { content: [{ type: "text", text: `Error: ${message}` }] };
+    if (prop.default !== undefined) {
+      field = field.default(prop.default);
+    } else if (!schema.required.includes(key)) {
+      field = field.optional();
     }
+    if (prop.description) {
+      field = field.describe(prop.description);
+    }
+    shape[key] = field;
   }
-);
-
-// Delete Priority
-server.registerTool(
-  "layer_delete_priority",
-  {
-    title: "Delete Priority",
-    description: `Remove a priority from an objective.
 
-Args:
-  - objective_id (string): The objective UUID
-  - priority_id (string): The priority ID to delete
+  return z.object(shape).strict();
+}
 
-Returns:
-  The updated objective`,
-    inputSchema: z.object({
-      objective_id: z.string().min(1, "Objective ID is required"),
-      priority_id: z.string().min(1, "Priority ID is required"),
-    }).strict(),
-    annotations: {
-      readOnlyHint: false,
-      destructiveHint: true,
-      idempotentHint: true,
-      openWorldHint: false,
+// Same definitions as the in-app agent (server/tools.mjs)
+for (const tool of objectiveTools) {
+  server.registerTool(
+    `layer_${tool.name}`,
+    {
+      title: tool.title,
+      description: tool.description,
+      inputSchema: jsonSchemaToZod(tool.inputSchema),
+      annotations: tool.annotations,
     },
-  },
-  async (params) => {
-    try {
-      const objective = await getObjectiveById(params.objective_id);
-      if (!objective) {
-        return { content: [{ type: "text", text: `Error: Objective not found` }] };
-      }
-
-      const priorityIndex = objective.priorities.findIndex((p) => p.id === params.priority_id);
-      if (priorityIndex === -1) {
-        return { content: [{ type: "text", text: `Error: Priority not found` }] };
+    async (params) => {
+      try {
+        const output = await tool.handler(getClient(), params);
+        return {
+          content: [{ type: "text", text: JSON.stringify(output, null, 2) }],
+          structuredContent: output,
+        };
+      } catch (error) {
+        const message = error instanceof Error ? error.message : String(error);
+        return { content: [{ type: "text", text: `Error: ${message}` }] };
       }
-
-      objective.priorities.splice(priorityIndex, 1);
-      await saveObjective(objective);
-
-      return {
-        content: [{ type: "text", text: JSON.stringify(objective, null, 2) }],
-        structuredContent: objective,
-      };
-    } catch (error) {
-      const message = error instanceof Error ? error.message : String(error);
-      return { content: [{ type: "text", text: `Error: ${message}` }] };
     }
-  }
-);
+  );
+}
 
 // ========================================
 // Note Tools
@@ -1168,12 +530,14 @@ Returns a list of all notes including their name and folder.
 
 Args:
   - folder_id (string, optional): Filter by folder ID. Use "null" for unfiled notes.
+  - tag (string, optional): Only notes with this tag (explicit or #hashtag in the note)
   - include_content (boolean): Include note content in response (default: false)
 
 Returns:
-  Array of notes with id, name, folderId, orderIndex, timestamps`,
+  Array of notes with id, name, folderId, orderIndex, tags, timestamps`,
     inputSchema: z.object({
       folder_id: z.string().optional().describe("Filter by folder ID. Use 'null' for unfiled notes."),
+      tag: z.string().optional().describe("Only notes with this tag"),
       include_content: z.boolean().default(false).describe("Include note content in response"),
     }).strict(),
     annotations: {
@@ -1193,12 +557,19 @@ Returns:
         notes = notes.filter((n) => n.folderId === targetFolderId);
       }
 
+      // Filter by tag if specified
+      if (params.tag !== undefined) {
+        const tag = normalizeTag(params.tag);
+        notes = notes.filter((n) => getItemTags(n.tags, n.name, n.content).includes(tag));
+      }
+
       const result = notes.map((note) => {
         const summary: Record<string, unknown> = {
           id: note.id,
           name: note.name,
           folderId: note.folderId,
           orderIndex: note.orderIndex,
+          tags: getItemTags(note.tags, note.name, note.content),
           createdAt: note.createdAt,
           updatedAt: note.updatedAt,
         };
@@ -1287,6 +658,7 @@ Args:
   - name (string): The name/title of the note
   - content (string, optional): Note content (HTML)
   - folder_id (string, optional): Folder to place the note in
+  - tags (string[], optional): Tags for the note
 
 Returns:
   The newly created note with its generated ID`,
@@ -1294,6 +666,7 @@ Returns:
       name: z.string().min(1, "Name is required").describe("The name of the note"),
       content: z.string().default("").describe("Note content (HTML)"),
       folder_id: z.string().nullable().optional().describe("Folder ID to place the note in"),
+      tags: z.array(z.string()).default([]).describe("Tags for the note"),
     }).strict(),
     annotations: {
       readOnlyHint: false,
@@ -1304,7 +677,7 @@ Returns:
   },
   async (params) => {
     try {
-      const note = await createNewNote(params.name, params.content, params.folder_id || null);
+      const note = await createNewNote(params.name, params.content, params.folder_id || null, normalizeTags(params.tags));
       return {
         content: [{ type: "text", text: JSON.stringify(note, null, 2) }],
         structuredContent: note,
@@ -1328,6 +701,7 @@ Args:
   - id (string): The note UUID
   - name (string, optional): New name
   - content (string, optional): New content (HTML)
+  - tags (string[], optional): New tags (replaces existing tags)
 
 Returns:
   The updated note`,
@@ -1335,6 +709,7 @@ Returns:
       id: z.string().min(1, "Note ID is required"),
       name: z.string().optional().describe("New name"),
       content: z.string().optional().describe("New content (HTML)"),
+      tags: z.array(z.string()).optional().describe("New tags (replaces existing tags)"),
     }).strict(),
     annotations: {
       readOnlyHint: false,
@@ -1352,6 +727,7 @@ Returns:
 
       if (params.name !== undefined) note.name = params.name;
       if (params.content !== undefined) note.content = params.content;
+      if (params.tags !== undefined) note.tags = normalizeTags(params.tags);
 
       await saveNote(note);
       return {
@@ -1417,9 +793,14 @@ server.registerTool(
 
 Returns a list of all folders including their parent-child relationships.
 
+Args:
+  - tag (string, optional): Only folders with this tag
+
 Returns:
-  Array of folders with id, name, parentId, orderIndex, timestamps`,
-    inputSchema: z.object({}).strict(),
+  Array of folders with id, name, parentId, orderIndex, tags, timestamps`,
+    inputSchema: z.object({
+      tag: z.string().optional().describe("Only folders with this tag"),
+    }).strict(),
     annotations: {
       readOnlyHint: true,
       destructiveHint: false,
@@ -1427,9 +808,15 @@ Returns:
       openWorldHint: false,
     },
   },
-  async () => {
+  async (params) => {
     try {
-      const folders = await loadAllFolders();
+      let folders = await loadAllFolders();
+
+      // Filter by tag if specified
+      if (params.tag !== undefined) {
+        const tag = normalizeTag(params.tag);
+        folders = folders.filter((f) => getItemTags(f.tags, f.name).includes(tag));
+      }
 
       const output = {
         count: folders.length,
@@ -1978,6 +1365,145 @@ Returns:
   }
 );
 
+// ========================================
+// Tag Tools
+// ========================================
+
+server.registerTool(
+  "layer_list_tags",
+  {
+    title: "List Tags",
+    description: `List every tag in use across objectives, notes, and folders.
+
+Counts explicit tags and inline #hashtags in names, descriptions, and note content.
+
+Args:
+  - tag (string, optional): Instead of counts, list the items carrying this tag
+
+Returns:
+  Tags with item counts (most used first), or the items with one tag`,
+    inputSchema: z.object({
+      tag: z.string().optional().describe("List the items carrying this tag"),
+    }).strict(),
+    annotations: {
+      readOnlyHint: true,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+  },
+  async (params) => {
+    try {
+      const [objectives, notes, folders] = await Promise.all([
+        loadAllObjectives(),
+        loadAllNotes(),
+        loadAllFolders(),
+      ]);
+
+      const items = [
+        ...objectives.map((o) => ({ itemType: "objective", id: o.id, name: o.name, tags: getItemTags(o.tags, o.name, o.description) })),
+        ...notes.map((n) => ({ itemType: "note", id: n.id, name: n.name, tags: getItemTags(n.tags, n.name, n.content) })),
+        ...folders.map((f) => ({ itemType: "folder", id: f.id, name: f.name, tags: getItemTags(f.tags, f.name) })),
+      ];
+
+      let output: Record<string, unknown>;
+
+      if (params.tag !== undefined) {
+        const tag = normalizeTag(params.tag);
+        const tagged = items
+          .filter((item) => item.tags.includes(tag))
+          .map(({ itemType, id, name }) => ({ itemType, id, name }));
+        output = { tag, count: tagged.length, items: tagged };
+      } else {
+        const counts = new Map<string, number>();
+        for (const item of items) {
+          for (const tag of item.tags) {
+            counts.set(tag, (counts.get(tag) || 0) + 1);
+          }
+        }
+        const tags = [...counts.entries()]
+          .map(([tag, count]) => ({ tag, count }))
+          .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+        output = { count: tags.length, tags };
+      }
+
+      return {
+        content: [{ type: "text", text: JSON.stringify(output, null, 2) }],
+        structuredContent: output,
+      };
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      return { content: [{ type: "text", text: `Error: ${message}` }] };
+    }
+  }
+);
+
+server.registerTool(
+  "layer_set_tags",
+  {
+    title: "Set Tags",
+    description: `Replace the explicit tags on an objective, note, or folder.
+
+Inline #hashtags in the item's text are not affected.
+
+Args:
+  - item_type (string): "objective", "note", or "folder"
+  - item_id (string): The item UUID
+  - tags (string[]): The complete new tag list (empty to clear)
+
+Returns:
+  The item's id and new tags`,
+    inputSchema: z.object({
+      item_type: z.enum(["objective", "note", "folder"]).describe("Type of item to tag"),
+      item_id: z.string().min(1, "Item ID is required").describe("The item UUID"),
+      tags: z.array(z.string()).describe("The complete new tag list"),
+    }).strict(),
+    annotations: {
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false,
+    },
+  },
+  async (params) => {
+    try {
+      const tags = normalizeTags(params.tags);
+
+      if (params.item_type === "objective") {
+        const objective = await getObjectiveById(params.item_id);
+        if (!objective) {
+          return { content: [{ type: "text", text: `Error: Objective not found` }] };
+        }
+        objective.tags = tags;
+        await saveObjective(objective);
+      } else if (params.item_type === "note") {
+        const note = await getNoteById(params.item_id);
+        if (!note) {
+          return { content: [{ type: "text", text: `Error: Note not found` }] };
+        }
+        note.tags = tags;
+        await saveNote(note);
+      } else {
+        const folder = await getFolderById(params.item_id);
+        if (!folder) {
+          return { content: [{ type: "text", text: `Error: Folder not found` }] };
+        }
+        folder.tags = tags;
+        await saveFolder(folder);
+      }
+
+      const output = { itemType: params.item_type, id: params.item_id, tags };
+      return {
+        content: [{ type: "text", text: JSON.stringify(output, null, 2) }],
+        structuredContent: output,
+      };
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      return { content: [{ type: "text", text: `Error: ${message}` }] };
+    }
+  }
+);
+
 // Run server
 async function main() {
   const transport = new StdioServerTransport();
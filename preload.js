@@ -30,6 +30,21 @@ contextBridge.exposeInMainWorld('electronAPI', {
     writeFile: (filePath, content) => ipcRenderer.invoke('folder-explorer:write-file', filePath, content),
     deleteFile: (filePath) => ipcRenderer.invoke('folder-explorer:delete-file', filePath),
     renameFile: (oldPath, newPath) => ipcRenderer.invoke('folder-explorer:rename-file', oldPath, newPath),
-    mkdir: (dirPath) => ipcRenderer.invoke('folder-explorer:mkdir', dirPath)
+    mkdir: (dirPath) => ipcRenderer.invoke('folder-explorer:mkdir', dirPath),
+    removeDir: (dirPath) => ipcRenderer.invoke('folder-explorer:remove-dir', dirPath),
+    watch: (dirPath) => ipcRenderer.invoke('folder-explorer:watch', dirPath),
+    unwatch: (watchId) => ipcRenderer.invoke('folder-explorer:unwatch', watchId),
+    // Receives { watchId, events: [{ type, path, oldPath?, isDirectory }] }; returns a function that removes the listener
+    onChange: (callback) => {
+      const listener = (_, payload) => callback(payload);
+      ipcRenderer.on('folder-explorer:change', listener);
+      return () => ipcRenderer.removeListener('folder-explorer:change', listener);
+    }
+  },
+
+  // Local Store (offline data file)
+  localStore: {
+    read: () => ipcRenderer.invoke('local-store:read'),
+    write: (data) => ipcRenderer.invoke('local-store:write', data)
   }
 });
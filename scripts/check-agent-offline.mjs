@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+/**
+ * Offline Agent Check
+ *
+ * Runs the agent server against the scripted mock provider and checks one
+ * reply end to end: streamed text, a tool call held back by dry-run mode,
+ * the tool result fed into the next turn, and the closing done event.
+ * Needs no API keys or network access (without Supabase the server logs
+ * that it couldn't load memories, and carries on).
+ * Run: npm run check:agent
+ */
+
+import { spawn } from 'node:child_process';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const PORT = process.env.PORT || 3917;
+const BASE_URL = `http://localhost:${PORT}`;
+const STARTUP_TIMEOUT_MS = 10000;
+const REPLY_TIMEOUT_MS = 30000;
+
+// Turns the mock plays back, one per model call
+const SCRIPT = [
+  {
+    text: 'Adding that note now.',
+    toolUses: [{ name: 'create_note', input: { name: 'Groceries', content: '- milk' } }]
+  },
+  { text: 'Done.' }
+];
+
+// ========================================
+// Server
+// ========================================
+
+function startServer(dataDir) {
+  const scriptPath = path.join(dataDir, 'mock-script.json');
+  writeFileSync(scriptPath, JSON.stringify(SCRIPT));
+
+  const server = spawn(process.execPath, [path.join(ROOT, 'server', 'index.mjs')], {
+    env: {
+      ...process.env,
+      PORT: String(PORT),
+      LAYER_AGENT_PROVIDER: 'mock',
+      LAYER_MOCK_SCRIPT: scriptPath,
+      LAYER_CONVERSATIONS_DIR: path.join(dataDir, 'conversations'),
+      LAYER_CHANGESETS_DIR: path.join(dataDir, 'changesets')
+    },
+    stdio: ['ignore', 'ignore', 'inherit']
+  });
+  return server;
+}
+
+async function waitForServer() {
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    try {
+      const response = await fetch(`${BASE_URL}/api/health`);
+      if (response.ok) return;
+    } catch {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error(`Agent server didn't start on port ${PORT}`);
+}
+
+// ========================================
+// Reply
+// ========================================
+
+/**
+ * Send a prompt and collect the reply's SSE events
+ */
+async function runAgent(prompt) {
+  const response = await fetch(`${BASE_URL}/api/agent`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    // The picked model is ignored while the server runs the mock
+    body: JSON.stringify({ prompt, dryRun: true, model: { provider: 'anthropic', id: 'claude-opus-4-5-20251101' } }),
+    signal: AbortSignal.timeout(REPLY_TIMEOUT_MS)
+  });
+
+  const body = await response.text();
+  return body.split('\n')
+    .filter(line => line.startsWith('data: '))
+    .map(line => JSON.parse(line.slice(6)));
+}
+
+function check(events) {
+  const failures = [];
+  const expect = (ok, message) => { if (!ok) failures.push(message); };
+
+  const text = events.filter(event => event.type === 'text_delta').map(event => event.text).join('');
+  const toolUse = events.find(event => event.type === 'tool_use');
+  const toolResult = events.find(event => event.type === 'tool_result');
+
+  expect(events[0]?.type === 'start', 'reply should open with a start event');
+  expect(text === 'Adding that note now.Done.', `unexpected reply text: ${JSON.stringify(text)}`);
+  expect(toolUse?.tool.name === 'create_note', 'create_note should be called');
+  expect(toolResult?.status === 'dry_run', `dry run should hold create_note back, got ${toolResult?.status}`);
+  expect(!events.some(event => event.type === 'error'), 'reply should have no errors');
+  expect(events.some(event => event.type === 'done'), 'reply should end with a done event');
+
+  return failures;
+}
+
+// ========================================
+// Main
+// ========================================
+
+const dataDir = mkdtempSync(path.join(tmpdir(), 'layer-agent-check-'));
+const server = startServer(dataDir);
+
+try {
+  await waitForServer();
+  const failures = check(await runAgent('Make me a groceries note'));
+
+  if (failures.length > 0) {
+    for (const failure of failures) console.error(`✗ ${failure}`);
+    process.exitCode = 1;
+  } else {
+    console.log('✓ Agent loop ran offline against the mock provider');
+  }
+} catch (err) {
+  console.error(`✗ ${err.message}`);
+  process.exitCode = 1;
+} finally {
+  server.kill();
+  rmSync(dataDir, { recursive: true, force: true });
+}
@@ -10,7 +10,9 @@ const fs = require('fs');
 const path = require('path');
 
 const secrets = {
-  ANTHROPIC_API_KEY: process.env.ANTHROPIC || process.env.ANTHROPIC_API_KEY || ''
+  ANTHROPIC_API_KEY: process.env.ANTHROPIC || process.env.ANTHROPIC_API_KEY || '',
+  GROQ_API_KEY: process.env.GROQ_API_KEY || '',
+  OPENAI_API_KEY: process.env.OPENAI_API_KEY || ''
 };
 
 const output = `// Auto-generated by Doppler - do not edit manually
@@ -0,0 +1,587 @@
+/**
+ * Agent Changesets
+ *
+ * Before-images of everything the agent changes, so a reply's changes can
+ * be reverted. Each /api/agent request gets one changeset, and changesets
+ * are grouped by conversation so reverts can't clobber later changes.
+ *
+ * A tool call is recorded by reading just the rows it writes, by ID,
+ * before and after it runs. TOOL_WRITES says which existing rows each
+ * write tool updates or deletes (including cascades); handlers report the
+ * rows they insert with trackCreated. Edits the user makes elsewhere
+ * meanwhile stay out of the changeset.
+ *
+ * Changesets from stored conversations are saved next to the conversation
+ * store, one file per conversation in LAYER_CHANGESETS_DIR (default
+ * server/data/changesets), so they can still be reverted after a restart.
+ * Changesets from replies outside a stored conversation are kept in memory.
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { randomUUID } from 'node:crypto';
+import { mkdir, readFile, readdir, rename, rm, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { supabase, isAvailable } from './supabase-client.mjs';
+import { objectiveTools } from '../shared/objective-tools.mjs';
+import { MEMORY_TABLE } from './memories.mjs';
+
+// ========================================
+// Constants
+// ========================================
+
+const DATA_DIR = process.env.LAYER_CHANGESETS_DIR ||
+  join(dirname(fileURLToPath(import.meta.url)), 'data', 'changesets');
+
+// Same as conversation IDs (see conversations.mjs)
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Parents before children, so restored rows can point at restored parents
+const TABLES = ['folders', 'task_lists', 'notes', 'objectives', 'tasks', MEMORY_TABLE];
+
+// Column holding the parent row within the same table
+const SELF_PARENT = {
+  folders: 'parent_id',
+  tasks: 'parent_task_id'
+};
+
+const ITEM_TABLES = {
+  note: 'notes',
+  folder: 'folders',
+  objective: 'objectives',
+  task_list: 'task_lists',
+  task: 'tasks'
+};
+
+// Existing rows each write tool updates or deletes: input -> Promise<Array<{table, ids}>>
+// Rows a tool inserts are reported by its handler (trackCreated).
+const TOOL_WRITES = {
+  update_note: async ({ note_id }) => [{ table: 'notes', ids: [note_id] }],
+  append_to_note: async ({ note_id }) => [{ table: 'notes', ids: [note_id] }],
+  delete_note: async ({ note_id }) => [{ table: 'notes', ids: [note_id] }],
+  move_folder: async ({ folder_id }) => [{ table: 'folders', ids: [folder_id] }],
+  move_item_to_folder: async ({ item_type, item_id }) => itemWrites(item_type, item_id),
+  set_tags: async ({ item_type, item_id }) => itemWrites(item_type, item_id),
+
+  // Its contents move up to its parent
+  delete_folder: async ({ folder_id }) => [
+    { table: 'folders', ids: [folder_id, ...await idsWhere('folders', 'parent_id', folder_id)] },
+    { table: 'notes', ids: await idsWhere('notes', 'folder_id', folder_id) },
+    { table: 'objectives', ids: await idsWhere('objectives', 'folder_id', folder_id) },
+    { table: 'task_lists', ids: await idsWhere('task_lists', 'folder_id', folder_id) }
+  ],
+
+  rename_task_list: async ({ task_list_id }) => [{ table: 'task_lists', ids: [task_list_id] }],
+
+  // Its tasks go with it (ON DELETE CASCADE)
+  delete_task_list: async ({ task_list_id }) => [
+    { table: 'task_lists', ids: [task_list_id] },
+    { table: 'tasks', ids: await idsWhere('tasks', 'task_list_id', task_list_id) }
+  ],
+
+  // The listed tasks and the parent's other children are renumbered
+  reorder_tasks: async ({ task_list_id, parent_task_id, task_ids = [] }) => {
+    const rows = await taskRows(task_list_id);
+    const parentId = parent_task_id || null;
+    const siblings = rows.filter(row => (row.parent_task_id || null) === parentId).map(row => row.id);
+    return [{ table: 'tasks', ids: [...task_ids, ...siblings] }];
+  },
+
+  // Completing also completes every subtask
+  complete_task: async ({ task_id, completed = true }) => [
+    { table: 'tasks', ids: completed ? await taskAndDescendantIds(task_id) : [task_id] }
+  ],
+
+  // Subtasks go with it (ON DELETE CASCADE)
+  delete_task: async ({ task_id }) => [{ table: 'tasks', ids: await taskAndDescendantIds(task_id) }],
+
+  remember: async ({ memory_id }) => (memory_id ? [{ table: MEMORY_TABLE, ids: [memory_id] }] : []),
+  forget: async ({ memory_id }) => [{ table: MEMORY_TABLE, ids: [memory_id] }],
+
+  // Tools that only insert rows
+  create_note: async () => [],
+  create_folder: async () => [],
+  create_task_list: async () => [],
+  add_tasks: async () => [],
+
+  // Each objective tool writes the one objective it's given
+  ...Object.fromEntries(objectiveTools.map(tool => [
+    tool.name,
+    async ({ id, objective_id } = {}) => {
+      const objectiveId = objective_id || id;
+      return objectiveId ? [{ table: 'objectives', ids: [objectiveId] }] : [];
+    }
+  ]))
+};
+
+// Changesets kept in memory before the oldest are dropped (those not
+// saved with a conversation are gone for good then)
+const MAX_CHANGESETS = 100;
+
+// ========================================
+// State
+// ========================================
+
+// changesetId -> { id, conversationId, createdAt, changes, reverted }
+const changesets = new Map();
+
+// Conversation ID -> promise for its last queued write
+const writeQueues = new Map();
+
+// Rows inserted by the tool call being recorded: { created: Array<{table, id}> }
+const recording = new AsyncLocalStorage();
+
+// ========================================
+// Recording
+// ========================================
+
+/**
+ * Start a changeset for one agent reply
+ * @param {string|null} conversationId - Chat the reply belongs to
+ * @returns {Object} Changeset to pass to recordChanges
+ */
+export function createChangeset(conversationId = null) {
+  const changeset = {
+    id: randomUUID(),
+    conversationId,
+    createdAt: new Date().toISOString(),
+    changes: [],
+    reverted: false
+  };
+
+  cacheChangeset(changeset);
+  return changeset;
+}
+
+/**
+ * Run a write tool and record what it changed
+ * @param {Object} changeset - From createChangeset
+ * @param {string} toolName
+ * @param {Object} input - Tool input (says which rows the tool writes)
+ * @param {Function} run - Runs the tool, returns its result
+ * @returns {Promise<*>} The tool's result
+ */
+export async function recordChanges(changeset, toolName, input, run) {
+  if (!isAvailable()) return run();
+
+  const getWrites = TOOL_WRITES[toolName];
+  if (!getWrites) {
+    console.warn(`No changeset rules for ${toolName}, it won't be revertible`);
+    return run();
+  }
+
+  let writes;
+  let before;
+  try {
+    writes = await getWrites(input || {});
+    before = await readRows(writes);
+  } catch (err) {
+    console.error(`Couldn't read rows before ${toolName}, it won't be revertible:`, err);
+    return run();
+  }
+
+  // Record even if the tool failed or was cancelled partway, since it
+  // may have written some rows first
+  const context = { created: [] };
+  try {
+    return await recording.run(context, run);
+  } finally {
+    try {
+      const written = [...writes, ...context.created.map(({ table, id }) => ({ table, ids: [id] }))];
+      const after = await readRows(written);
+      changeset.changes.push(...diffRows(before, after, toolName));
+    } catch (err) {
+      console.error(`Couldn't read rows after ${toolName}, it won't be revertible:`, err);
+    }
+  }
+}
+
+/**
+ * Report a row a tool just inserted, so reverting removes it
+ * Does nothing outside recordChanges.
+ * @param {string} table
+ * @param {string} id
+ */
+export function trackCreated(table, id) {
+  if (id) recording.getStore()?.created.push({ table, id });
+}
+
+/**
+ * Short description of a changeset for the client
+ * @param {Object} changeset
+ * @returns {{id: string, count: number, tools: string[]}}
+ */
+export function summarizeChangeset(changeset) {
+  return {
+    id: changeset.id,
+    count: changeset.changes.length,
+    tools: [...new Set(changeset.changes.map(change => change.tool))]
+  };
+}
+
+async function itemWrites(itemType, itemId) {
+  const table = ITEM_TABLES[itemType];
+  return table ? [{ table, ids: [itemId] }] : [];
+}
+
+/**
+ * IDs of the rows where a column has a value
+ */
+async function idsWhere(table, column, value) {
+  if (!value) return [];
+  const { data, error } = await supabase.from(table).select('id').eq(column, value);
+  if (error) {
+    throw new Error(`Failed to read ${table}: ${error.message}`);
+  }
+  return (data || []).map(row => row.id);
+}
+
+async function taskRows(taskListId) {
+  if (!taskListId) return [];
+  const { data, error } = await supabase
+    .from('tasks')
+    .select('id, parent_task_id')
+    .eq('task_list_id', taskListId);
+  if (error) {
+    throw new Error(`Failed to read tasks: ${error.message}`);
+  }
+  return data || [];
+}
+
+/**
+ * A task's ID and those of every task below it
+ */
+async function taskAndDescendantIds(taskId) {
+  const { data: task, error } = await supabase
+    .from('tasks')
+    .select('task_list_id')
+    .eq('id', taskId)
+    .maybeSingle();
+  if (error) {
+    throw new Error(`Failed to read tasks: ${error.message}`);
+  }
+  if (!task) return [taskId];
+
+  const rows = await taskRows(task.task_list_id);
+  const ids = [taskId];
+  for (let i = 0; i < ids.length; i++) {
+    ids.push(...rows.filter(row => row.parent_task_id === ids[i]).map(row => row.id));
+  }
+  return ids;
+}
+
+/**
+ * The current rows for some IDs
+ * @param {Array<{table, ids}>} targets
+ * @returns {Promise<Object>} table -> Map(id -> row), with null for rows that don't exist
+ */
+async function readRows(targets) {
+  const wanted = new Map();
+  for (const { table, ids } of targets) {
+    if (!wanted.has(table)) wanted.set(table, new Set());
+    for (const id of ids) {
+      if (id) wanted.get(table).add(id);
+    }
+  }
+
+  const result = {};
+  for (const [table, ids] of wanted) {
+    result[table] = new Map([...ids].map(id => [id, null]));
+    if (ids.size === 0) continue;
+
+    const { data, error } = await supabase.from(table).select('*').in('id', [...ids]);
+    if (error) {
+      throw new Error(`Failed to read ${table}: ${error.message}`);
+    }
+    for (const row of data || []) {
+      result[table].set(row.id, row);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Rows that a tool call created, changed or deleted
+ * @returns {Array<{tool, table, id, before, after}>} before/after are null for created/deleted rows
+ */
+function diffRows(before, after, toolName) {
+  const changes = [];
+
+  for (const table of Object.keys(after)) {
+    for (const [id, now] of after[table]) {
+      const was = before[table]?.get(id) || null;
+      if (JSON.stringify(was) === JSON.stringify(now)) continue;
+      changes.push({ tool: toolName, table, id, before: was, after: now });
+    }
+  }
+
+  return changes;
+}
+
+// ========================================
+// Storage
+// ========================================
+
+function isStored(changeset) {
+  return ID_PATTERN.test(changeset.conversationId || '');
+}
+
+function cacheChangeset(changeset) {
+  changesets.delete(changeset.id);
+  changesets.set(changeset.id, changeset);
+  if (changesets.size > MAX_CHANGESETS) {
+    changesets.delete(changesets.keys().next().value);
+  }
+}
+
+function filePath(conversationId) {
+  return join(DATA_DIR, `${conversationId}.json`);
+}
+
+/**
+ * A conversation's changesets, oldest first
+ */
+async function readChangesets(conversationId) {
+  try {
+    return JSON.parse(await readFile(filePath(conversationId), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
+/**
+ * Read-modify-write a conversation's changesets, one change at a time
+ * @param {string} conversationId
+ * @param {Function} change - (changesets) => changesets to save
+ */
+function updateChangesets(conversationId, change) {
+  const previous = writeQueues.get(conversationId) || Promise.resolve();
+  const next = previous.catch(() => {}).then(async () => {
+    const updated = change(await readChangesets(conversationId));
+    await mkdir(DATA_DIR, { recursive: true });
+    const path = filePath(conversationId);
+    const temp = `${path}.${process.pid}.tmp`;
+    await writeFile(temp, JSON.stringify(updated));
+    await rename(temp, path);
+  });
+
+  writeQueues.set(conversationId, next);
+  next.finally(() => {
+    if (writeQueues.get(conversationId) === next) writeQueues.delete(conversationId);
+  }).catch(() => {});
+
+  return next;
+}
+
+/**
+ * Save a changeset with its conversation, if it changed anything
+ * Call once the reply is done, before offering to revert it.
+ * @param {Object} changeset - From createChangeset
+ */
+export async function saveChangeset(changeset) {
+  if (changeset.changes.length === 0 || !isStored(changeset)) return;
+
+  await updateChangesets(changeset.conversationId, list => [
+    ...list.filter(other => other.id !== changeset.id),
+    changeset
+  ]);
+}
+
+/**
+ * Forget a conversation's changesets (when the conversation is deleted)
+ * @param {string} conversationId
+ */
+export async function deleteChangesets(conversationId) {
+  if (!ID_PATTERN.test(conversationId || '')) return;
+
+  for (const [id, changeset] of changesets) {
+    if (changeset.conversationId === conversationId) changesets.delete(id);
+  }
+
+  const previous = writeQueues.get(conversationId) || Promise.resolve();
+  await previous.catch(() => {});
+  await rm(filePath(conversationId), { force: true });
+}
+
+/**
+ * Find a changeset and the others from its conversation
+ * @returns {Promise<{changeset: Object, siblings: Array}|null>} siblings oldest first, including it
+ */
+async function findChangeset(changesetId) {
+  let conversationId = changesets.get(changesetId)?.conversationId ?? null;
+
+  // Saved before a restart (or dropped from memory since)
+  if (!changesets.has(changesetId)) {
+    conversationId = await findSavedConversation(changesetId);
+    if (!conversationId) return null;
+  }
+
+  if (!ID_PATTERN.test(conversationId || '')) {
+    const siblings = [...changesets.values()].filter(other => other.conversationId === conversationId);
+    return { changeset: changesets.get(changesetId), siblings };
+  }
+
+  // Prefer the copies in memory, which may be newer than the file, and
+  // include ones whose save failed
+  const saved = (await readChangesets(conversationId)).map(other => changesets.get(other.id) || other);
+  const savedIds = new Set(saved.map(other => other.id));
+  const unsaved = [...changesets.values()]
+    .filter(other => other.conversationId === conversationId && !savedIds.has(other.id));
+  const siblings = [...saved, ...unsaved].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  const changeset = siblings.find(other => other.id === changesetId);
+  return changeset ? { changeset, siblings } : null;
+}
+
+async function findSavedConversation(changesetId) {
+  let files;
+  try {
+    files = (await readdir(DATA_DIR)).filter(name => name.endsWith('.json'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+
+  for (const file of files) {
+    const conversationId = file.slice(0, -'.json'.length);
+    try {
+      if ((await readChangesets(conversationId)).some(saved => saved.id === changesetId)) {
+        return conversationId;
+      }
+    } catch (err) {
+      console.error(`Skipping unreadable changesets ${file}:`, err.message);
+    }
+  }
+  return null;
+}
+
+// ========================================
+// Reverting
+// ========================================
+
+/**
+ * Put back every row a changeset touched
+ * Rows edited since the agent changed them are left alone.
+ * @param {string} changesetId
+ * @returns {Promise<{reverted: number, skipped: number, conversationId: string|null}>}
+ * @throws {Error} With a status of 404 (unknown), 409 (already reverted, or a later change depends on it)
+ */
+export async function revertChangeset(changesetId) {
+  const found = await findChangeset(changesetId);
+  if (!found) {
+    throw withStatus(new Error('That changeset is no longer available'), 404);
+  }
+
+  const { changeset, siblings } = found;
+  if (changeset.reverted) {
+    throw withStatus(new Error('Those changes were already reverted'), 409);
+  }
+  if (!isAvailable()) {
+    throw withStatus(new Error('Supabase not configured'), 503);
+  }
+
+  // Later replies in the same conversation that touched the same rows go first
+  const index = siblings.findIndex(other => other.id === changeset.id);
+  if (index === -1) {
+    throw withStatus(new Error("Couldn't tell which later replies depend on those changes"), 409);
+  }
+  const later = siblings.slice(index + 1).filter(other => !other.reverted);
+  const blocking = later.find(other =>
+    other.changes.some(change => touchedBy(changeset, change))
+  );
+  if (blocking) {
+    throw withStatus(new Error('A later reply changed the same items. Revert that one first.'), 409);
+  }
+
+  // The earliest before-image and latest after-image of each row
+  const rows = new Map();
+  for (const change of changeset.changes) {
+    const key = `${change.table}:${change.id}`;
+    const existing = rows.get(key);
+    rows.set(key, existing ? { ...existing, after: change.after } : { ...change });
+  }
+
+  const current = await readRows([...rows.values()].map(row => ({ table: row.table, ids: [row.id] })));
+  let reverted = 0;
+  let skipped = 0;
+
+  // Restore changed and deleted rows, parents first
+  for (const table of TABLES) {
+    const restores = [...rows.values()].filter(row => row.table === table && row.before);
+    for (const row of orderParentsFirst(table, restores)) {
+      const now = current[table].get(row.id);
+      if (!matchesAfter(now, row.after)) {
+        skipped++;
+        continue;
+      }
+      const { error } = await supabase.from(table).upsert(row.before);
+      if (error) {
+        throw new Error(`Failed to restore ${table} row ${row.id}: ${error.message}`);
+      }
+      reverted++;
+    }
+  }
+
+  // Remove created rows, children first
+  for (const table of [...TABLES].reverse()) {
+    const creations = [...rows.values()].filter(row => row.table === table && !row.before);
+    for (const row of orderParentsFirst(table, creations).reverse()) {
+      const now = current[table].get(row.id);
+      if (!now) continue;
+      if (!matchesAfter(now, row.after)) {
+        skipped++;
+        continue;
+      }
+      const { error } = await supabase.from(table).delete().eq('id', row.id);
+      if (error) {
+        throw new Error(`Failed to remove ${table} row ${row.id}: ${error.message}`);
+      }
+      reverted++;
+    }
+  }
+
+  changeset.reverted = true;
+  cacheChangeset(changeset);
+  await saveChangeset(changeset).catch(err => console.error('Failed to save reverted changeset:', err));
+  return { reverted, skipped, conversationId: changeset.conversationId };
+}
+
+function touchedBy(changeset, change) {
+  return changeset.changes.some(own => own.table === change.table && own.id === change.id);
+}
+
+/**
+ * Whether a row still looks the way the agent left it
+ */
+function matchesAfter(now, after) {
+  if (!now || !after) return !now && !after;
+  return JSON.stringify(now) === JSON.stringify(after);
+}
+
+/**
+ * Sort rows so a row's parent in the same table comes before it
+ */
+function orderParentsFirst(table, rows) {
+  const parentKey = SELF_PARENT[table];
+  if (!parentKey) return rows;
+
+  const byId = new Map(rows.map(row => [row.id, row]));
+  const ordered = [];
+  const visited = new Set();
+  const visit = (row) => {
+    if (visited.has(row.id)) return;
+    visited.add(row.id);
+    const parent = byId.get((row.before || row.after)?.[parentKey]);
+    if (parent) visit(parent);
+    ordered.push(row);
+  };
+  rows.forEach(visit);
+  return ordered;
+}
+
+function withStatus(error, status) {
+  error.status = status;
+  return error;
+}
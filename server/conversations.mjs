@@ -0,0 +1,447 @@
+/**
+ * Conversation Store
+ *
+ * Agent conversations kept on the agent server, so chats survive reloads
+ * and can be picked up from any window or machine that talks to it.
+ *
+ * Local file backend: one JSON file per conversation in
+ * LAYER_CONVERSATIONS_DIR (default server/data/conversations).
+ *
+ * Long conversations aren't truncated: once enough turns pile up, the
+ * older ones are folded into a running summary (by the summarizer set
+ * with setSummarizer, using the conversation's own model) and only the
+ * recent turns are sent verbatim. If summarizing fails, the model still
+ * only gets the most recent MAX_CONTEXT_MESSAGES.
+ */
+
+import { mkdir, readFile, readdir, rename, rm, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// ========================================
+// Constants
+// ========================================
+
+const DATA_DIR = process.env.LAYER_CONVERSATIONS_DIR ||
+  join(dirname(fileURLToPath(import.meta.url)), 'data', 'conversations');
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Summarize once this many messages aren't covered by the summary...
+const SUMMARIZE_AT = 40;
+// ...keeping this many recent messages verbatim
+const KEEP_RECENT = 20;
+// Most unsummarized messages sent while the summary lags behind
+const MAX_CONTEXT_MESSAGES = KEEP_RECENT + 20;
+
+const TITLE_LENGTH = 30;
+const PREVIEW_LENGTH = 120;
+
+// ========================================
+// State
+// ========================================
+
+// Conversation ID -> promise for its last queued write
+const writeQueues = new Map();
+
+// Conversation IDs with a summary in progress
+const summarizing = new Set();
+
+// (previousSummary, messages, { model }) => Promise<string>
+let summarizer = null;
+
+// ========================================
+// Storage
+// ========================================
+
+function filePath(id) {
+  if (!ID_PATTERN.test(id || '')) {
+    throw withStatus(new Error('Invalid conversation ID'), 400);
+  }
+  return join(DATA_DIR, `${id}.json`);
+}
+
+async function readConversation(id) {
+  try {
+    return JSON.parse(await readFile(filePath(id), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+async function writeConversation(conversation) {
+  await mkdir(DATA_DIR, { recursive: true });
+  const path = filePath(conversation.id);
+  const temp = `${path}.${process.pid}.tmp`;
+  await writeFile(temp, JSON.stringify(conversation, null, 2));
+  await rename(temp, path);
+}
+
+/**
+ * Read-modify-write a conversation, one change at a time per conversation
+ * @param {string} id
+ * @param {Function} change - (conversation|null) => conversation to save, or null to leave it
+ * @returns {Promise<Object|null>} The saved conversation
+ */
+function updateConversation(id, change) {
+  const previous = writeQueues.get(id) || Promise.resolve();
+  const next = previous.catch(() => {}).then(async () => {
+    const updated = await change(await readConversation(id));
+    if (updated) await writeConversation(updated);
+    return updated;
+  });
+
+  writeQueues.set(id, next);
+  next.finally(() => {
+    if (writeQueues.get(id) === next) writeQueues.delete(id);
+  }).catch(() => {});
+
+  return next;
+}
+
+// ========================================
+// Conversations
+// ========================================
+
+/**
+ * Conversations, most recently updated first
+ * @param {Object} [options]
+ * @param {string} [options.query] - Only conversations whose title, summary or messages contain this
+ * @returns {Promise<Array<{id, title, mode, createdAt, updatedAt, messageCount, preview}>>}
+ */
+export async function listConversations({ query = '' } = {}) {
+  let files;
+  try {
+    files = (await readdir(DATA_DIR)).filter(name => name.endsWith('.json'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const needle = query.trim().toLowerCase();
+  const results = [];
+
+  for (const file of files) {
+    let conversation;
+    try {
+      conversation = await readConversation(file.slice(0, -'.json'.length));
+    } catch (err) {
+      console.error(`Skipping unreadable conversation ${file}:`, err.message);
+      continue;
+    }
+    if (!conversation) continue;
+
+    let preview = lastText(conversation);
+    if (needle) {
+      const match = findMatch(conversation, needle);
+      if (match === null) continue;
+      preview = match;
+    }
+
+    results.push({
+      id: conversation.id,
+      title: conversation.title,
+      mode: conversation.mode,
+      createdAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt,
+      messageCount: conversation.messages.length,
+      preview
+    });
+  }
+
+  return results.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * A whole conversation
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+export async function getConversation(id) {
+  return readConversation(id);
+}
+
+/**
+ * Create a conversation, optionally seeded with messages kept elsewhere so far
+ * @param {Object} fields
+ * @param {string} fields.id - Client-chosen ID
+ * @param {string} [fields.title]
+ * @param {string} [fields.mode]
+ * @param {{provider: string, id: string}} [fields.model] - Model the chat uses (also summarizes it)
+ * @param {Array} [fields.messages]
+ * @returns {Promise<Object>} The new conversation
+ * @throws {Error} With status 409 if the ID is taken
+ */
+export async function createConversation({ id, title = '', mode = null, model = null, messages = [] }) {
+  let created = false;
+
+  const conversation = await updateConversation(id, (existing) => {
+    if (existing) return null;
+    created = true;
+
+    const now = new Date().toISOString();
+    const conversation = {
+      id,
+      title: '',
+      mode,
+      model: normalizeModel(model),
+      createdAt: now,
+      updatedAt: now,
+      summary: null,
+      summarizedCount: 0,
+      messages: messages.map(normalizeMessage)
+    };
+    conversation.title = title.trim() || deriveTitle(conversation);
+    return conversation;
+  });
+
+  if (!created) {
+    throw withStatus(new Error('A conversation with that ID already exists'), 409);
+  }
+
+  scheduleSummary(id);
+  return conversation;
+}
+
+/**
+ * Add messages to the end of a conversation (creating it if needed)
+ * @param {string} id
+ * @param {Array<{role, content, display?, changeset?, sources?, references?}>} messages
+ * @param {Object} [fields] - title/mode to use if the conversation is new, and
+ *   the model the turn used
+ * @returns {Promise<Object>} The updated conversation
+ */
+export async function appendMessages(id, messages, { title = '', mode = null, model = null } = {}) {
+  const conversation = await updateConversation(id, (existing) => {
+    const now = new Date().toISOString();
+    const conversation = existing || {
+      id,
+      title: title.trim(),
+      mode,
+      createdAt: now,
+      summary: null,
+      summarizedCount: 0,
+      messages: []
+    };
+
+    conversation.messages.push(...messages.map(normalizeMessage));
+    conversation.updatedAt = now;
+    if (mode) conversation.mode = mode;
+    if (normalizeModel(model)) conversation.model = normalizeModel(model);
+    if (!conversation.title) conversation.title = deriveTitle(conversation);
+    return conversation;
+  });
+
+  scheduleSummary(id);
+  return conversation;
+}
+
+/**
+ * Rename a conversation or change its mode
+ * @param {string} id
+ * @param {{title?: string, mode?: string}} fields
+ * @returns {Promise<Object>} The updated conversation
+ * @throws {Error} With status 404 if it doesn't exist
+ */
+export async function updateConversationFields(id, { title, mode }) {
+  const conversation = await updateConversation(id, (existing) => {
+    if (!existing) return null;
+    if (typeof title === 'string' && title.trim()) existing.title = title.trim();
+    if (typeof mode === 'string') existing.mode = mode;
+    existing.updatedAt = new Date().toISOString();
+    return existing;
+  });
+
+  if (!conversation) {
+    throw withStatus(new Error('Conversation not found'), 404);
+  }
+  return conversation;
+}
+
+/**
+ * Delete a conversation
+ * @param {string} id
+ * @returns {Promise<boolean>} False if it didn't exist
+ */
+export async function deleteConversation(id) {
+  const path = filePath(id);
+  const previous = writeQueues.get(id) || Promise.resolve();
+  await previous.catch(() => {});
+
+  try {
+    await rm(path);
+    return true;
+  } catch (err) {
+    if (err.code === 'ENOENT') return false;
+    throw err;
+  }
+}
+
+/**
+ * Mark a reply's changes as reverted (see changesets.mjs)
+ * @param {string} id - Conversation ID
+ * @param {string} changesetId
+ */
+export async function markChangesetReverted(id, changesetId) {
+  if (!ID_PATTERN.test(id || '')) return;
+
+  await updateConversation(id, (existing) => {
+    const message = existing?.messages.find(m => m.changeset?.id === changesetId);
+    if (!message) return null;
+    message.changeset.reverted = true;
+    return existing;
+  });
+}
+
+// ========================================
+// Model Context
+// ========================================
+
+/**
+ * What to send the model: the running summary plus the recent messages
+ * Capped at MAX_CONTEXT_MESSAGES, so a summary that keeps failing can't
+ * let the context grow without bound.
+ * @param {string} id
+ * @returns {Promise<{summary: string|null, messages: Array<{role, content}>}|null>} Null if there's no such conversation
+ */
+export async function getContext(id) {
+  const conversation = await readConversation(id);
+  if (!conversation) return null;
+
+  const { messages } = conversation;
+  let start = Math.max(conversation.summarizedCount, messages.length - MAX_CONTEXT_MESSAGES);
+  if (start > conversation.summarizedCount) {
+    // Start on a user message, as the API expects
+    while (start < messages.length && messages[start].role !== 'user') start++;
+  }
+
+  return {
+    summary: conversation.summary,
+    messages: messages
+      .slice(start)
+      .filter(m => m.content)
+      .map(({ role, content }) => ({ role, content }))
+  };
+}
+
+/**
+ * Set how older turns get summarized
+ * @param {Function} fn - (previousSummary: string|null, messages: Array<{role, content}>,
+ *   options: {model: {provider, id}|null}) => Promise<string>
+ */
+export function setSummarizer(fn) {
+  summarizer = fn;
+}
+
+/**
+ * Fold older turns into the summary if enough have piled up
+ * Runs in the background; context reads use whatever summary is there.
+ */
+function scheduleSummary(id) {
+  if (!summarizer || summarizing.has(id)) return;
+  summarizing.add(id);
+
+  summarize(id)
+    .catch(err => console.error(`Failed to summarize conversation ${id}:`, err))
+    .finally(() => summarizing.delete(id));
+}
+
+async function summarize(id) {
+  const conversation = await readConversation(id);
+  if (!conversation) return;
+
+  const { messages, summarizedCount } = conversation;
+  if (messages.length - summarizedCount < SUMMARIZE_AT) return;
+
+  // Keep the recent part starting on a user message, as the API expects
+  let cut = messages.length - KEEP_RECENT;
+  while (cut < messages.length && messages[cut].role !== 'user') cut++;
+  if (cut <= summarizedCount || cut >= messages.length) return;
+
+  const older = messages
+    .slice(summarizedCount, cut)
+    .filter(m => m.content)
+    .map(({ role, content }) => ({ role, content }));
+  const summary = await summarizer(conversation.summary, older, { model: conversation.model || null });
+
+  await updateConversation(id, (existing) => {
+    // Skip if something else summarized it meanwhile
+    if (!existing || existing.summarizedCount !== summarizedCount) return null;
+    existing.summary = summary;
+    existing.summarizedCount = cut;
+    return existing;
+  });
+}
+
+// ========================================
+// Helpers
+// ========================================
+
+/**
+ * { provider, id } from a request, or null if it isn't one
+ */
+function normalizeModel(model) {
+  if (typeof model?.provider !== 'string' || typeof model?.id !== 'string') return null;
+  return { provider: model.provider, id: model.id };
+}
+
+function normalizeMessage(message) {
+  const normalized = {
+    id: message.id || Date.now(),
+    role: message.role === 'assistant' ? 'assistant' : 'user',
+    content: String(message.content ?? ''),
+    timestamp: message.timestamp || new Date().toISOString()
+  };
+  if (message.display !== undefined && message.display !== normalized.content) {
+    normalized.display = String(message.display);
+  }
+  if (message.changeset) normalized.changeset = message.changeset;
+  if (Array.isArray(message.sources)) normalized.sources = message.sources;
+  if (Array.isArray(message.references)) normalized.references = message.references;
+  return normalized;
+}
+
+/**
+ * Title from the first user message (same rule as the agent panel's tabs)
+ */
+function deriveTitle(conversation) {
+  const first = conversation.messages.find(m => m.role === 'user');
+  if (!first) return '';
+  const text = first.display ?? first.content;
+  return text.substring(0, TITLE_LENGTH) + (text.length > TITLE_LENGTH ? '...' : '');
+}
+
+function lastText(conversation) {
+  const last = [...conversation.messages].reverse().find(m => m.content);
+  return last ? truncate(last.display ?? last.content) : '';
+}
+
+/**
+ * A snippet around the first place the query appears, or null
+ */
+function findMatch(conversation, needle) {
+  if (conversation.title.toLowerCase().includes(needle)) return lastText(conversation);
+
+  const texts = [
+    ...conversation.messages.map(m => m.display ?? m.content),
+    conversation.summary || ''
+  ];
+  for (const text of texts) {
+    const index = text.toLowerCase().indexOf(needle);
+    if (index === -1) continue;
+    const start = Math.max(0, index - PREVIEW_LENGTH / 3);
+    return (start > 0 ? '…' : '') + truncate(text.slice(start));
+  }
+  return null;
+}
+
+function truncate(text) {
+  const line = text.replace(/\s+/g, ' ').trim();
+  return line.length > PREVIEW_LENGTH ? line.slice(0, PREVIEW_LENGTH) + '…' : line;
+}
+
+function withStatus(error, status) {
+  error.status = status;
+  return error;
+}
@@ -1,29 +1,56 @@
 /**
  * Agent Backend Server
  *
- * Express server using direct Anthropic API with streaming.
- * Implements agentic loop with tool execution.
+ * Express server streaming replies from the selected model provider
+ * (see shared/llm-providers.mjs). Implements agentic loop with tool execution.
  */
 
 import express from 'express';
 import cors from 'cors';
+import { readFileSync } from 'node:fs';
+import { randomUUID } from 'node:crypto';
+import { createProvider, PROVIDERS } from '../shared/llm-providers.mjs';
 import { tools, toolHandlers } from './tools.mjs';
+import { getToolAccess, needsApproval, requestApproval, answerApproval } from './tool-policy.mjs';
+import { createChangeset, recordChanges, saveChangeset, summarizeChangeset, revertChangeset, deleteChangesets } from './changesets.mjs';
+import * as Conversations from './conversations.mjs';
+import { loadMemories, selectMemories, formatMemoriesForPrompt } from './memories.mjs';
+import { withAbortSignal } from './supabase-client.mjs';
+import { collectItems, resolveReferences } from '../shared/item-references.mjs';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Model used when the app doesn't pick one (and for summaries of conversations that never did)
+const DEFAULT_MODEL = {
+  provider: process.env.LAYER_AGENT_PROVIDER || (process.env.LAYER_MOCK_SCRIPT ? 'mock' : 'anthropic'),
+  id: process.env.LAYER_AGENT_MODEL || 'claude-opus-4-5-20251101'
+};
+
+// The offline mock provider isn't offered in the app: it's picked here
+// (LAYER_AGENT_PROVIDER=mock or a LAYER_MOCK_SCRIPT), and then answers
+// every request whichever model the app asked for
+const MOCK_ONLY = DEFAULT_MODEL.provider === 'mock';
+
+// Replies in progress: runId -> AbortController (see /api/agent/abort)
+const activeRuns = new Map();
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 
 // System prompt for the agent
-const SYSTEM_PROMPT = `You are an AI assistant for Layer, a goal and note-taking application. You can help users manage their notes and folders using the available tools.
+const SYSTEM_PROMPT = `You are an AI assistant for Layer, a goal and note-taking application. You can help users manage their notes, folders, task lists and objectives using the available tools.
 
 Available capabilities:
 - List, view, create, and delete notes
 - Edit notes: append_to_note (add to end), update_note (full rewrite)
 - Open notes or URLs in new browser tabs
 - Folder organization: list, create, move, and delete folders; move items into folders
+- Task lists: list, create, rename, and delete task lists; add nested tasks, reorder, complete, and delete tasks
+- Tags: list tags, find items by tag, and set an item's tags
+- Objectives: list, view, create, and update objectives; set the next step; add, update, and delete steps and priorities
+- Memory: remember lasting facts about the user, recall them, and forget ones that are wrong
 
 ## Note Editing
 
@@ -42,94 +69,141 @@ Folders organize notes, objectives, and task lists:
 - Use move_folder to reorganize the folder tree (set parent_id to move into another folder, omit to move to root)
 - Use delete_folder to remove folders (contents move up to the parent folder)
 
+## Task Lists
+
+Task lists hold tasks, and tasks can have subtasks:
+- Use list_task_lists to find a list, then get_task_list to see its tasks (nested under their parents)
+- Use create_task_list with a tasks array to build a whole checklist in one call; nest steps with subtasks
+- Use add_tasks to extend an existing list (parent_task_id adds subtasks under a task)
+- Use reorder_tasks to change order or move tasks under a different parent
+- Use complete_task to check tasks off; completing a task completes its subtasks, reopening only reopens the task itself
+
+To turn a note into a checklist: get_note, pull out the actionable items (keeping any nesting from the note's lists), then create_task_list in the note's folder with those items.
+
+## Objectives
+
+Objectives are goals with priorities (what matters), steps (a log of work done), and a single next step:
+- Use list_objectives or get_stats for an overview, then get_objective for an objective's priorities and steps
+- Use set_next_step to say what to do next (empty text clears it); use add_step to log progress
+- Use update_step with status "completed" to mark a step done
+- Step and priority IDs come from get_objective
+
+## Tags
+
+Items can carry explicit tags, and #hashtags written in names or note text count as tags too:
+- Use list_tags to see which tags exist before inventing new ones
+- Use find_by_tag to gather everything about a topic; list_notes and list_folders also take a tag filter
+- Use set_tags to replace an item's explicit tags (inline #hashtags stay as written)
+
+## Links
+
+Notes can link to other items with [[Note Name]], or a prefix for other types: [[objective:Ship MVP]], [[list:Groceries]], [[task:Call Sam]], [[folder:Work]]. Write links this way (not URLs) when note content should point at another item.
+
+## Referring to Items
+
+In your replies (not in note content), mention an item you read with a tool as [[ref:<type>:<id>|<name>]], where type is note, objective, folder, task-list or task, e.g. [[ref:note:3f2a9c1e-8b7d-4e6f-a5c4-1d2e3f4a5b6c|Q3 Budget]]. The user sees it as a chip that opens the item. Only use IDs that came back from a tool in this conversation.
+
+## Memory
+
+When the user tells you something about themselves that will still be true in later conversations (schedules, conventions, preferences, how they like things done), save it with remember as one short sentence. Don't save one-off requests or things already in their notes. If a remembered fact changes, pass its memory_id to remember rather than adding a second one; use forget when the user asks you to. Apply what you remember without announcing it.
+
+## Approvals
+
+Reading is always allowed. Edits wait for the user to approve them, and deletes always do. If a tool result says the user denied an action, acknowledge it and carry on without retrying. In dry run, changes are described back to you instead of made; tell the user what you would have done. The user can revert everything a reply changed, so there's no need to ask for confirmation in chat before making changes they asked for.
+
 When the user asks about their notes or folders, use the appropriate list/get tools. Be helpful and concise.`;
 
+const SUMMARY_PROMPT = `You keep a running summary of a conversation between a user and the Layer assistant. Combine the previous summary (if any) with the new messages into one updated summary. Keep names, IDs, decisions, open questions and anything the user asked to remember; drop pleasantries. Write plain prose or short bullets, under 400 words, with no preamble.`;
+
+/**
+ * Fold older messages into a conversation's running summary
+ * Used by the conversation store in place of dropping old turns.
+ * @param {string|null} previousSummary
+ * @param {Array<{role: string, content: string}>} messages
+ * @param {Object} [options]
+ * @param {{provider: string, id: string}|null} [options.model] - The conversation's model (default model if none)
+ * @returns {Promise<string>}
+ */
+async function summarizeConversation(previousSummary, messages, { model = null } = {}) {
+  const transcript = messages
+    .map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`)
+    .join('\n\n');
+
+  const { text } = await getProvider(model).complete({
+    system: SUMMARY_PROMPT,
+    messages: [{
+      role: 'user',
+      content: `Previous summary:\n${previousSummary || '(none)'}\n\nNew messages:\n\n${transcript}`
+    }],
+    maxTokens: 1024
+  });
+
+  return text.trim();
+}
+
+Conversations.setSummarizer(summarizeConversation);
+
+/**
+ * Provider for a model picked in the app (MODEL_OPTIONS in src/config.js)
+ * API keys and endpoint overrides (e.g. OLLAMA_ENDPOINT) come from the
+ * server's environment, never from the request.
+ * @param {{provider: string, id: string}} [model]
+ * @throws {Error} If the provider is unknown or its API key isn't set
+ */
+function getProvider(model) {
+  const { provider, id } = model?.provider && !MOCK_ONLY ? model : DEFAULT_MODEL;
+  const config = PROVIDERS[provider];
+  if (!config || (provider === 'mock' && !MOCK_ONLY)) {
+    throw new Error(`Unknown model provider '${provider}'`);
+  }
+
+  return createProvider({
+    provider,
+    model: id,
+    apiKey: config.keyName ? process.env[config.keyName] : null,
+    endpoint: process.env[`${provider.toUpperCase()}_ENDPOINT`] || null,
+    script: provider === 'mock' ? loadMockScript() : null
+  });
+}
+
+/**
+ * Turns for the mock provider, from the JSON file at LAYER_MOCK_SCRIPT
+ * Read per request so the script can be edited without a restart.
+ * @returns {Array|null}
+ */
+function loadMockScript() {
+  const path = process.env.LAYER_MOCK_SCRIPT;
+  if (!path) return null;
+
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch (err) {
+    throw new Error(`Couldn't read mock script ${path}: ${err.message}`);
+  }
+}
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
 /**
- * Parse streaming response from Anthropic API
- * Forwards text deltas to the client and collects tool use blocks
+ * Stream one model turn
+ * Forwards text deltas to the client and collects tool use blocks.
+ * Text also goes into reply as it arrives, so a stopped reply keeps it.
  */
-async function parseStreamingResponse(response, res) {
-  const reader = response.body.getReader();
-  const decoder = new TextDecoder();
-  let buffer = '';
+async function streamTurn(provider, request, res, reply) {
   let text = '';
   const toolUses = [];
-  let currentToolUse = null;
-  let inputJsonBuffer = '';
-
-  while (true) {
-    const { done, value } = await reader.read();
-    if (done) break;
-
-    buffer += decoder.decode(value, { stream: true });
-    const lines = buffer.split('\n');
-    buffer = lines.pop() || '';
-
-    for (const line of lines) {
-      if (!line.startsWith('data: ')) continue;
-      const data = line.slice(6);
-      if (data === '[DONE]') continue;
-
-      try {
-        const event = JSON.parse(data);
-
-        switch (event.type) {
-          case 'content_block_start':
-            if (event.content_block?.type === 'tool_use') {
-              currentToolUse = {
-                id: event.content_block.id,
-                name: event.content_block.name,
-                input: {}
-              };
-              inputJsonBuffer = '';
-            }
-            break;
-
-          case 'content_block_delta':
-            if (event.delta?.type === 'text_delta') {
-              const chunk = event.delta.text;
-              text += chunk;
-              // Send text delta to frontend for streaming display
-              res.write(`data: ${JSON.stringify({ type: 'text_delta', text: chunk })}\n\n`);
-            } else if (event.delta?.type === 'input_json_delta') {
-              // Accumulate tool input JSON
-              inputJsonBuffer += event.delta.partial_json;
-            }
-            break;
-
-          case 'content_block_stop':
-            if (currentToolUse) {
-              // Parse accumulated JSON input
-              try {
-                currentToolUse.input = inputJsonBuffer ? JSON.parse(inputJsonBuffer) : {};
-              } catch {
-                currentToolUse.input = {};
-              }
-              toolUses.push(currentToolUse);
-              currentToolUse = null;
-              inputJsonBuffer = '';
-            }
-            break;
-
-          case 'message_stop':
-            // Message complete
-            break;
 
-          case 'error':
-            throw new Error(event.error?.message || 'API error');
-        }
-      } catch (parseError) {
-        if (parseError.message !== 'API error') {
-          console.warn('Failed to parse SSE event:', data);
-        } else {
-          throw parseError;
-        }
-      }
+  for await (const event of provider.stream(request)) {
+    if (event.type === 'text') {
+      text += event.text;
+      reply.text += event.text;
+      // Send text delta to frontend for streaming display
+      res.write(`data: ${JSON.stringify({ type: 'text_delta', text: event.text })}\n\n`);
+    } else if (event.type === 'tool_use') {
+      toolUses.push({ id: event.id, name: event.name, input: event.input });
     }
   }
 
@@ -159,16 +233,46 @@ function buildContentBlocks(text, toolUses) {
 }
 
 /**
- * Handle agent request with streaming and tool execution loop
+ * Describe a tool call that dry-run mode held back
+ */
+function describeDryRun(toolUse) {
+  return `Dry run: ${toolUse.name} was not run. It would have been called with:\n${JSON.stringify(toolUse.input, null, 2)}\n\nDescribe the change to the user instead of repeating it.`;
+}
+
+/**
+ * Ask the client to approve a tool call and wait for the answer
+ * @returns {Promise<{approved: boolean, allowWrites: boolean}>}
  */
-async function handleAgentRequest(prompt, conversationHistory, res) {
-  const apiKey = process.env.ANTHROPIC_API_KEY;
+async function waitForApproval(toolUse, access, res, signal) {
+  const { id, answer } = requestApproval(signal);
+
+  res.write(`data: ${JSON.stringify({
+    type: 'tool_approval_request',
+    approval: {
+      id,
+      access,
+      tool: { id: toolUse.id, name: toolUse.name, input: toolUse.input }
+    }
+  })}\n\n`);
 
-  if (!apiKey) {
-    res.write(`data: ${JSON.stringify({ type: 'error', message: 'ANTHROPIC_API_KEY not configured' })}\n\n`);
-    return;
-  }
+  return answer;
+}
 
+/**
+ * Handle agent request with streaming and tool execution loop
+ * @param {string} prompt
+ * @param {Array} conversationHistory
+ * @param {Object} res - SSE response
+ * @param {Object} options
+ * @param {Object} options.provider - From getProvider
+ * @param {boolean} options.dryRun - Describe writes and deletes instead of running them
+ * @param {AbortSignal} options.signal - Aborted when the client stops the reply or disconnects
+ * @param {Object} options.changeset - Records before-images of the reply's writes
+ * @param {string|null} options.summary - Summary of turns older than conversationHistory
+ * @param {string} options.memories - System prompt section from formatMemoriesForPrompt
+ * @param {{text: string, items: Map}} options.reply - Collects the reply's text as it streams, and the items its tools return
+ */
+async function handleAgentRequest(prompt, conversationHistory, res, { provider, dryRun = false, signal, changeset, summary = null, memories = '', reply = { text: '', items: new Map() } } = {}) {
   // Build messages array from conversation history
   const apiMessages = [];
 
@@ -187,36 +291,27 @@ async function handleAgentRequest(prompt, conversationHistory, res) {
   let turnCount = 0;
   const maxTurns = 10;
 
+  // Set once the user allows edits for the rest of this reply
+  let allowWrites = false;
+
+  const system = [
+    SYSTEM_PROMPT,
+    memories,
+    summary && `## Earlier in This Conversation\n\n${summary}`
+  ].filter(Boolean).join('\n\n');
+
   while (turnCount < maxTurns) {
+    if (signal?.aborted) return;
     turnCount++;
 
     try {
-      const response = await fetch('https://api.anthropic.com/v1/messages', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': apiKey,
-          'anthropic-version': '2023-06-01'
-        },
-        body: JSON.stringify({
-          model: 'claude-opus-4-5-20251101',
-          max_tokens: 4096,
-          system: SYSTEM_PROMPT,
-          messages: apiMessages,
-          tools,
-          stream: true
-        })
-      });
-
-      if (!response.ok) {
-        const errorBody = await response.text();
-        console.error('Anthropic API error:', response.status, errorBody);
-        res.write(`data: ${JSON.stringify({ type: 'error', message: `API error: ${response.status}` })}\n\n`);
-        return;
-      }
-
-      // Parse streaming response
-      const { text, toolUses } = await parseStreamingResponse(response, res);
+      const { text, toolUses } = await streamTurn(provider, {
+        system,
+        messages: apiMessages,
+        tools,
+        maxTokens: 4096,
+        signal
+      }, res, reply);
 
       // Add assistant message to history
       const assistantContent = buildContentBlocks(text, toolUses);
@@ -232,30 +327,61 @@ async function handleAgentRequest(prompt, conversationHistory, res) {
       const toolResults = [];
 
       for (const toolUse of toolUses) {
+        if (signal?.aborted) return;
+
         // Notify frontend about tool use
         res.write(`data: ${JSON.stringify({
           type: 'tool_use',
           tool: { id: toolUse.id, name: toolUse.name, input: toolUse.input }
         })}\n\n`);
 
-        // Execute the tool
+        // Check the permission policy before running anything
+        const access = getToolAccess(toolUse.name);
         const handler = toolHandlers[toolUse.name];
         let result;
+        let status = 'done';
+
+        if (access !== 'read' && dryRun) {
+          result = describeDryRun(toolUse);
+          status = 'dry_run';
+        } else if (handler && needsApproval(access, { allowWrites })) {
+          const answer = await waitForApproval(toolUse, access, res, signal);
+          if (signal?.aborted) return;
+
+          if (!answer.approved) {
+            result = 'The user denied this action, so it was not run. Do not retry it unless they ask.';
+            status = 'denied';
+          } else if (answer.allowWrites) {
+            allowWrites = true;
+          }
+        }
 
-        if (handler) {
-          try {
-            result = await handler(toolUse.input);
-          } catch (toolError) {
-            result = `Error executing tool: ${toolError.message}`;
+        // Execute the tool (unless dry run or the user held it back)
+        if (status === 'done') {
+          if (handler) {
+            // Stopping the reply cancels the tool's database requests
+            const run = () => withAbortSignal(signal, () => handler(toolUse.input));
+            try {
+              result = access === 'read' || !changeset
+                ? await run()
+                : await recordChanges(changeset, toolUse.name, toolUse.input, run);
+            } catch (toolError) {
+              if (signal?.aborted) return;
+              result = `Error executing tool: ${toolError.message}`;
+            }
+          } else {
+            result = `Unknown tool: ${toolUse.name}`;
           }
-        } else {
-          result = `Unknown tool: ${toolUse.name}`;
+
+          // Items the reply may refer to
+          collectItems(result, reply.items);
         }
 
         // Send tool result to frontend
         res.write(`data: ${JSON.stringify({
           type: 'tool_result',
           id: toolUse.id,
+          status,
           result
         })}\n\n`);
 
@@ -270,6 +396,7 @@ async function handleAgentRequest(prompt, conversationHistory, res) {
       apiMessages.push({ role: 'user', content: toolResults });
 
     } catch (error) {
+      if (signal?.aborted) return;
       console.error('Agent loop error:', error);
       res.write(`data: ${JSON.stringify({ type: 'error', message: error.message })}\n\n`);
       return;
@@ -280,9 +407,35 @@ async function handleAgentRequest(prompt, conversationHistory, res) {
   res.write(`data: ${JSON.stringify({ type: 'error', message: 'Max turns reached' })}\n\n`);
 }
 
+/**
+ * Memories relevant to a request, as a system prompt section
+ * Matched against the prompt and the last couple of messages, so a
+ * follow-up like "and the week after?" still finds what it refers to.
+ * @returns {Promise<string>} '' if there are none or they can't be read
+ */
+async function getPromptMemories(prompt, history) {
+  try {
+    const memories = await loadMemories();
+    const recent = history.slice(-2)
+      .map(msg => typeof msg.content === 'string' ? msg.content : '')
+      .join('\n');
+    return formatMemoriesForPrompt(selectMemories(memories, `${recent}\n${prompt}`), memories.length);
+  } catch (error) {
+    console.error('Failed to load memories:', error);
+    return '';
+  }
+}
+
 // Agent endpoint with SSE streaming
 app.post('/api/agent', async (req, res) => {
-  const { prompt, conversationHistory = [] } = req.body;
+  const {
+    prompt,
+    displayPrompt = prompt,
+    conversationHistory = [],
+    dryRun = false,
+    conversationId = null,
+    model = null
+  } = req.body;
 
   if (!prompt) {
     return res.status(400).json({ error: 'Missing prompt' });
@@ -294,20 +447,249 @@ app.post('/api/agent', async (req, res) => {
   res.setHeader('Connection', 'keep-alive');
   res.setHeader('X-Accel-Buffering', 'no');
 
+  // Stopped by /api/agent/abort or by the client going away
+  const runId = randomUUID();
+  const controller = new AbortController();
+  activeRuns.set(runId, controller);
+  res.on('close', () => controller.abort());
+  res.write(`data: ${JSON.stringify({ type: 'start', runId })}\n\n`);
+
+  const changeset = createChangeset(conversationId);
+  const reply = { text: '', items: new Map() };
+  const promptedAt = Date.now();
+
   try {
-    await handleAgentRequest(prompt, conversationHistory, res);
+    // A stored conversation is the source of truth for what came before
+    const stored = conversationId ? await Conversations.getContext(conversationId) : null;
+    const history = stored ? stored.messages : conversationHistory;
+
+    await handleAgentRequest(prompt, history, res, {
+      provider: getProvider(model),
+      dryRun: Boolean(dryRun),
+      signal: controller.signal,
+      changeset,
+      summary: stored?.summary || null,
+      memories: await getPromptMemories(prompt, history),
+      reply
+    });
   } catch (error) {
-    console.error('Agent error:', error);
-    res.write(`data: ${JSON.stringify({ type: 'error', message: error.message })}\n\n`);
+    if (!controller.signal.aborted) {
+      console.error('Agent error:', error);
+      res.write(`data: ${JSON.stringify({ type: 'error', message: error.message })}\n\n`);
+    }
+  }
+  activeRuns.delete(runId);
+
+  // The client keeps what streamed before it stopped the reply
+  if (controller.signal.aborted) {
+    res.write(`data: ${JSON.stringify({ type: 'aborted' })}\n\n`);
+  }
+
+  // Confirm which item references in the reply are to items the tools returned
+  const references = resolveReferences(reply.text, reply.items);
+  if (references.length > 0) {
+    res.write(`data: ${JSON.stringify({ type: 'references', references })}\n\n`);
+  }
+
+  // Let the client offer to revert whatever this reply changed
+  const changes = changeset.changes.length > 0 ? summarizeChangeset(changeset) : null;
+  if (changes) {
+    await saveChangeset(changeset).catch(error => console.error('Failed to save changeset:', error));
+    res.write(`data: ${JSON.stringify({ type: 'changeset', changeset: changes })}\n\n`);
+  }
+
+  // Save the turn (a reply that failed before saying or doing anything isn't kept)
+  if (conversationId && (reply.text || changes)) {
+    try {
+      await Conversations.appendMessages(conversationId, [
+        { id: promptedAt, role: 'user', content: prompt, display: displayPrompt },
+        {
+          id: Date.now(),
+          role: 'assistant',
+          content: reply.text,
+          ...(references.length > 0 && { references }),
+          ...(changes && { changeset: { id: changes.id, count: changes.count, reverted: false } })
+        }
+      ], { mode: 'Agent', model });
+    } catch (error) {
+      console.error('Failed to save conversation:', error);
+    }
   }
 
   res.end();
 });
 
+// Stop a reply in progress (the stream then ends with an aborted event)
+app.post('/api/agent/abort', (req, res) => {
+  const { runId } = req.body;
+
+  const controller = activeRuns.get(runId);
+  if (!controller) {
+    return res.status(404).json({ error: 'No reply in progress with that ID' });
+  }
+
+  controller.abort();
+  res.json({ ok: true });
+});
+
+// Answer a tool_approval_request from the agent stream
+app.post('/api/agent/approval', (req, res) => {
+  const { approvalId, approved, allowWrites = false } = req.body;
+
+  if (!approvalId || typeof approved !== 'boolean') {
+    return res.status(400).json({ error: 'Missing approvalId or approved' });
+  }
+
+  if (!answerApproval(approvalId, { approved, allowWrites })) {
+    return res.status(404).json({ error: 'No pending approval with that ID' });
+  }
+
+  res.json({ ok: true });
+});
+
+// Revert everything one agent reply changed
+app.post('/api/agent/revert', async (req, res) => {
+  const { changesetId } = req.body;
+
+  if (!changesetId) {
+    return res.status(400).json({ error: 'Missing changesetId' });
+  }
+
+  try {
+    const { reverted, skipped, conversationId } = await revertChangeset(changesetId);
+    if (conversationId) {
+      await Conversations.markChangesetReverted(conversationId, changesetId)
+        .catch(error => console.error('Failed to mark changeset reverted:', error));
+    }
+    res.json({ reverted, skipped });
+  } catch (error) {
+    console.error('Revert error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// ========================================
+// Conversations
+// ========================================
+
+/**
+ * Send a store error with its status (500 if it has none)
+ */
+function sendStoreError(res, error) {
+  if (!error.status) console.error('Conversation store error:', error);
+  res.status(error.status || 500).json({ error: error.message });
+}
+
+// List conversations (?q= searches titles, messages and summaries)
+app.get('/api/conversations', async (req, res) => {
+  try {
+    res.json(await Conversations.listConversations({ query: String(req.query.q || '') }));
+  } catch (error) {
+    sendStoreError(res, error);
+  }
+});
+
+// Create a conversation, optionally seeded with messages
+app.post('/api/conversations', async (req, res) => {
+  const { id, title, mode, model, messages } = req.body;
+
+  if (!id) {
+    return res.status(400).json({ error: 'Missing id' });
+  }
+
+  try {
+    res.status(201).json(await Conversations.createConversation({
+      id,
+      title: typeof title === 'string' ? title : '',
+      mode: mode || null,
+      model: model || null,
+      messages: Array.isArray(messages) ? messages : []
+    }));
+  } catch (error) {
+    sendStoreError(res, error);
+  }
+});
+
+// Get a whole conversation
+app.get('/api/conversations/:id', async (req, res) => {
+  try {
+    const conversation = await Conversations.getConversation(req.params.id);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    res.json(conversation);
+  } catch (error) {
+    sendStoreError(res, error);
+  }
+});
+
+// What the model sees: running summary plus recent messages
+app.get('/api/conversations/:id/context', async (req, res) => {
+  try {
+    const context = await Conversations.getContext(req.params.id);
+    if (!context) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    res.json(context);
+  } catch (error) {
+    sendStoreError(res, error);
+  }
+});
+
+// Append messages (creates the conversation if it doesn't exist yet)
+app.post('/api/conversations/:id/messages', async (req, res) => {
+  const { messages, title, mode, model } = req.body;
+
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return res.status(400).json({ error: 'Missing messages' });
+  }
+
+  try {
+    await Conversations.appendMessages(req.params.id, messages, {
+      title: typeof title === 'string' ? title : '',
+      mode: mode || null,
+      model: model || null
+    });
+    res.json(await Conversations.getContext(req.params.id));
+  } catch (error) {
+    sendStoreError(res, error);
+  }
+});
+
+// Rename a conversation or change its mode
+app.patch('/api/conversations/:id', async (req, res) => {
+  const { title, mode } = req.body;
+
+  try {
+    res.json(await Conversations.updateConversationFields(req.params.id, { title, mode }));
+  } catch (error) {
+    sendStoreError(res, error);
+  }
+});
+
+// Delete a conversation
+app.delete('/api/conversations/:id', async (req, res) => {
+  try {
+    if (!await Conversations.deleteConversation(req.params.id)) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    await deleteChangesets(req.params.id)
+      .catch(error => console.error('Failed to delete changesets:', error));
+    res.json({ ok: true });
+  } catch (error) {
+    sendStoreError(res, error);
+  }
+});
+
 // Start server
 app.listen(PORT, () => {
   console.log(`Agent server running on http://localhost:${PORT}`);
+  console.log(`Default model: ${DEFAULT_MODEL.id} (${DEFAULT_MODEL.provider})`);
   console.log('Endpoints:');
   console.log(`  GET  /api/health - Health check`);
   console.log(`  POST /api/agent  - Agent chat (SSE streaming)`);
+  console.log(`  POST /api/agent/abort - Stop a reply in progress`);
+  console.log(`  POST /api/agent/approval - Approve or deny a tool call`);
+  console.log(`  POST /api/agent/revert - Revert an agent reply's changes`);
+  console.log(`  GET/POST/PATCH/DELETE /api/conversations - Stored conversations`);
 });
@@ -0,0 +1,143 @@
+/**
+ * Agent Memory
+ *
+ * Lasting facts and preferences the user has told the agent ("my fiscal
+ * year ends in June", "weekly review is Friday"). They live in the
+ * agent_memories table next to the user's notes and objectives (schema in
+ * supabase/migrations), are written by the remember/forget tools, and the
+ * ones relevant to a request are added to the system prompt.
+ */
+
+import { supabase, isAvailable } from './supabase-client.mjs';
+
+// ========================================
+// Constants
+// ========================================
+
+export const MEMORY_TABLE = 'agent_memories';
+
+// With this few memories, all of them go in the prompt
+const INCLUDE_ALL_UP_TO = 10;
+
+// Most memories added to the prompt once they're filtered by relevance
+const MAX_PROMPT_MEMORIES = 15;
+
+// Too common to say whether a memory is relevant
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'your', 'with', 'this',
+  'that', 'have', 'has', 'was', 'were', 'will', 'would', 'can', 'could',
+  'should', 'from', 'they', 'them', 'their', 'what', 'when', 'where', 'which',
+  'who', 'how', 'why', 'all', 'any', 'some', 'about', 'into', 'than', 'then',
+  'there', 'these', 'those', 'its', 'our', 'out', 'just', 'also', 'like',
+  'please', 'user', 'users', 'my', 'me', 'is', 'it', 'to', 'of', 'in', 'on'
+]);
+
+// ========================================
+// Storage
+// ========================================
+
+/**
+ * Every memory, oldest first
+ * @returns {Promise<Array<{id, content, created_at, updated_at}>>}
+ * @throws {Error} If the table can't be read
+ */
+export async function loadMemories() {
+  if (!isAvailable()) return [];
+
+  const { data, error } = await supabase
+    .from(MEMORY_TABLE)
+    .select('id, content, created_at, updated_at')
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to load memories: ${error.message}`);
+  }
+  return data || [];
+}
+
+// ========================================
+// Relevance
+// ========================================
+
+/**
+ * Memories ranked by how much they share with some text
+ * Words are weighted by how rare they are among the memories, so a memory
+ * matching on "fiscal" outranks one matching on "week".
+ * @param {Array<{content: string}>} memories
+ * @param {string} text - What the user is asking about
+ * @returns {Array<{memory: Object, score: number}>} Best first; unrelated memories score 0
+ */
+export function rankMemories(memories, text) {
+  const wanted = new Set(tokenize(text));
+  const documents = memories.map(memory => new Set(tokenize(memory.content)));
+
+  const frequency = new Map();
+  for (const words of documents) {
+    for (const word of words) {
+      frequency.set(word, (frequency.get(word) || 0) + 1);
+    }
+  }
+
+  return memories
+    .map((memory, index) => {
+      let score = 0;
+      for (const word of documents[index]) {
+        if (wanted.has(word)) {
+          score += Math.log(1 + memories.length / frequency.get(word));
+        }
+      }
+      return { memory, score };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * The memories worth putting in the prompt for a request
+ * All of them while there are only a few, otherwise the relevant ones.
+ * @param {Array} memories - From loadMemories
+ * @param {string} text - The request (and recent conversation)
+ * @returns {Array} Memories in the order they were saved
+ */
+export function selectMemories(memories, text) {
+  if (memories.length <= INCLUDE_ALL_UP_TO) return memories;
+
+  const relevant = new Set(rankMemories(memories, text)
+    .filter(({ score }) => score > 0)
+    .slice(0, MAX_PROMPT_MEMORIES)
+    .map(({ memory }) => memory));
+
+  return memories.filter(memory => relevant.has(memory));
+}
+
+/**
+ * System prompt section listing memories, with IDs so forget can use them
+ * @param {Array} memories
+ * @param {number} total - How many memories there are in all
+ * @returns {string} '' when there's nothing to add
+ */
+export function formatMemoriesForPrompt(memories, total = memories.length) {
+  if (memories.length === 0) return '';
+
+  const lines = memories.map(memory => `- [${memory.id}] ${memory.content}`);
+  const note = total > memories.length
+    ? `\n\n(${total - memories.length} other memories weren't relevant to this request; use recall to search them.)`
+    : '';
+
+  return `## What You Remember About the User\n\n${lines.join('\n')}${note}`;
+}
+
+function tokenize(text) {
+  return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+/**
+ * Fold simple plurals and verb endings together ("reviews" -> "review")
+ */
+function stem(word) {
+  if (word.length > 4 && word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if (word.length > 4 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
@@ -0,0 +1,120 @@
+/**
+ * Tool Permission Policy
+ *
+ * Decides which tool calls the agent may run on its own:
+ * - read: runs straight away
+ * - write: waits for the user to approve (or allow edits for the rest of the reply)
+ * - delete: always waits for the user
+ *
+ * Waiting calls are held here until the client answers through
+ * POST /api/agent/approval, the request goes away, or the wait times out.
+ */
+
+import { randomUUID } from 'node:crypto';
+import { objectiveTools } from '../shared/objective-tools.mjs';
+
+// ========================================
+// Constants
+// ========================================
+
+const READ_PREFIXES = ['list_', 'get_', 'find_', 'open_'];
+
+// Tools whose names don't follow the prefixes
+const ACCESS_BY_NAME = {
+  recall: 'read',
+  forget: 'delete'
+};
+
+const APPROVAL_TIMEOUT_MS = 5 * 60 * 1000;
+
+// ========================================
+// State
+// ========================================
+
+// approvalId -> { resolve, timer }
+const pendingApprovals = new Map();
+
+// ========================================
+// Policy
+// ========================================
+
+/**
+ * How much a tool can change
+ * @param {string} name - Tool name
+ * @returns {'read'|'write'|'delete'}
+ */
+export function getToolAccess(name) {
+  // Shared tools say so in their MCP annotations
+  const shared = objectiveTools.find(tool => tool.name === name);
+  if (shared) {
+    if (shared.annotations.readOnlyHint) return 'read';
+    return shared.annotations.destructiveHint ? 'delete' : 'write';
+  }
+
+  if (ACCESS_BY_NAME[name]) return ACCESS_BY_NAME[name];
+  if (name.startsWith('delete_')) return 'delete';
+  if (READ_PREFIXES.some(prefix => name.startsWith(prefix))) return 'read';
+  return 'write';
+}
+
+/**
+ * Whether a call has to wait for the user
+ * @param {'read'|'write'|'delete'} access
+ * @param {Object} options
+ * @param {boolean} options.allowWrites - User already allowed edits for this reply
+ * @returns {boolean}
+ */
+export function needsApproval(access, { allowWrites = false } = {}) {
+  if (access === 'delete') return true;
+  return access === 'write' && !allowWrites;
+}
+
+// ========================================
+// Approvals
+// ========================================
+
+/**
+ * Hold a tool call until the user answers
+ * Resolves as denied if the signal aborts or nobody answers in time.
+ * @param {AbortSignal} signal - Aborted when the client goes away
+ * @returns {{ id: string, answer: Promise<{approved: boolean, allowWrites: boolean}> }}
+ */
+export function requestApproval(signal) {
+  const id = randomUUID();
+
+  const answer = new Promise((resolve) => {
+    const settle = (result) => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      pendingApprovals.delete(id);
+      resolve(result);
+    };
+    const onAbort = () => settle({ approved: false, allowWrites: false });
+    const timer = setTimeout(onAbort, APPROVAL_TIMEOUT_MS);
+
+    pendingApprovals.set(id, { resolve: settle });
+    if (signal?.aborted) {
+      onAbort();
+    } else {
+      signal?.addEventListener('abort', onAbort);
+    }
+  });
+
+  return { id, answer };
+}
+
+/**
+ * Answer a held tool call
+ * @param {string} id - Approval ID from the tool_approval_request event
+ * @param {Object} answer
+ * @param {boolean} answer.approved
+ * @param {boolean} [answer.allowWrites] - Also allow further edits in this reply
+ * @returns {boolean} False if nothing is waiting on that ID
+ */
+export function answerApproval(id, { approved, allowWrites = false }) {
+  const pending = pendingApprovals.get(id);
+  if (!pending) return false;
+
+  pending.resolve({ approved: Boolean(approved), allowWrites: Boolean(approved && allowWrites) });
+  return true;
+}
@@ -7,6 +7,9 @@
  */
 
 import { supabase, isAvailable } from './supabase-client.mjs';
+import { objectiveTools } from '../shared/objective-tools.mjs';
+import { MEMORY_TABLE, loadMemories, rankMemories } from './memories.mjs';
+import { trackCreated } from './changesets.mjs';
 
 // ========================================
 // Content Helpers
@@ -61,6 +64,173 @@ function extractMarkdown(content) {
   }
 }
 
+// ========================================
+// Tag Helpers
+// ========================================
+
+// Same rules as src/utils/tags.js: #word, not a URL fragment, entity or heading
+const HASHTAG_PATTERN = /(?<![\p{L}\p{N}_&#/])#([\p{L}\p{N}_-]*[\p{L}_-][\p{L}\p{N}_-]*)/gu;
+
+// Taggable item types: table and the text columns that may hold #hashtags
+const TAGGABLE = {
+  note: { table: 'notes', text: ['name', 'content'] },
+  folder: { table: 'folders', text: ['name'] },
+  objective: { table: 'objectives', text: ['name', 'description'] },
+  task_list: { table: 'task_lists', text: ['name'] },
+  task: { table: 'tasks', text: ['name'] }
+};
+
+/**
+ * Normalize a tag ("#Project X" -> "project-x")
+ */
+function normalizeTag(tag) {
+  return String(tag || '')
+    .trim()
+    .replace(/^#+/, '')
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+    .replace(/[^\p{L}\p{N}_-]/gu, '');
+}
+
+/**
+ * Unique normalized tags from a list
+ */
+function normalizeTags(tags) {
+  return [...new Set((tags || []).map(normalizeTag).filter(Boolean))];
+}
+
+/**
+ * All tags on a row: explicit tags plus #hashtags in its text columns
+ */
+function getRowTags(row, textColumns) {
+  const tags = new Set(normalizeTags(row.tags));
+  for (const column of textColumns) {
+    const text = column === 'content' ? extractMarkdown(row[column]) : row[column];
+    for (const match of (text || '').matchAll(HASHTAG_PATTERN)) {
+      tags.add(match[1].toLowerCase());
+    }
+  }
+  return [...tags];
+}
+
+/**
+ * Load every taggable row with its tags
+ * @returns {Promise<Array<{item_type, id, name, tags}>>}
+ */
+async function loadTaggedItems() {
+  const items = [];
+  for (const [itemType, { table, text }] of Object.entries(TAGGABLE)) {
+    const { data, error } = await supabase
+      .from(table)
+      .select(['id', 'tags', ...text].join(', '));
+
+    // Skip tables that don't exist yet (e.g. task_lists)
+    if (error) continue;
+
+    for (const row of data) {
+      items.push({ item_type: itemType, id: row.id, name: row.name, tags: getRowTags(row, text) });
+    }
+  }
+  return items;
+}
+
+// ========================================
+// Task Helpers
+// ========================================
+
+// Shape of a task to create; subtasks nest to any depth
+const TASK_INPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: {
+      type: 'string',
+      description: 'Task text'
+    },
+    completed: {
+      type: 'boolean',
+      description: 'Whether the task starts completed (default false)'
+    },
+    subtasks: {
+      type: 'array',
+      items: { type: 'object' },
+      description: 'Nested tasks, same shape as this one ({ name, completed, subtasks })'
+    }
+  },
+  required: ['name']
+};
+
+/**
+ * Nest flat task rows under their parents, in order
+ * @returns {Array<{id, name, completed, tags, children}>}
+ */
+function buildTaskTree(rows) {
+  const nodes = new Map(rows.map(row => [row.id, {
+    id: row.id,
+    name: row.name,
+    completed: row.completed || false,
+    tags: row.tags || [],
+    children: []
+  }]));
+  const roots = [];
+
+  for (const row of [...rows].sort((a, b) => (a.order_index || 0) - (b.order_index || 0))) {
+    const node = nodes.get(row.id);
+    if (row.parent_task_id && nodes.has(row.parent_task_id)) {
+      nodes.get(row.parent_task_id).children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+  return roots;
+}
+
+/**
+ * IDs of every task below a task
+ */
+function getDescendantIds(rows, taskId) {
+  const ids = [];
+  for (const row of rows) {
+    if (row.parent_task_id === taskId) {
+      ids.push(row.id, ...getDescendantIds(rows, row.id));
+    }
+  }
+  return ids;
+}
+
+/**
+ * Insert tasks (and their subtasks) under a parent, after its existing children
+ * @returns {Promise<number>} How many tasks were created
+ */
+async function insertTasks(taskListId, parentTaskId, tasks, startIndex = 0) {
+  let created = 0;
+
+  for (const [i, task] of (tasks || []).entries()) {
+    if (!task?.name) continue;
+
+    const { data, error } = await supabase
+      .from('tasks')
+      .insert({
+        task_list_id: taskListId,
+        parent_task_id: parentTaskId || null,
+        name: task.name,
+        completed: task.completed || false,
+        order_index: startIndex + i,
+        updated_at: new Date().toISOString()
+      })
+      .select('id')
+      .single();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+    trackCreated('tasks', data.id);
+
+    created += 1 + await insertTasks(taskListId, data.id, task.subtasks);
+  }
+
+  return created;
+}
+
 // ========================================
 // Tool Definitions (Anthropic API format)
 // ========================================
@@ -68,10 +238,15 @@ function extractMarkdown(content) {
 export const tools = [
   {
     name: 'list_notes',
-    description: 'List all notes with their id, name, folder_id, and timestamps',
+    description: 'List all notes with their id, name, folder_id, tags, and timestamps',
     input_schema: {
       type: 'object',
-      properties: {},
+      properties: {
+        tag: {
+          type: 'string',
+          description: 'Optional tag to filter by (explicit tags or #hashtags in the note)'
+        }
+      },
       required: []
     }
   },
@@ -106,6 +281,11 @@ export const tools = [
         folder_id: {
           type: 'string',
           description: 'Optional folder ID to place the note in'
+        },
+        tags: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Optional tags, e.g. ["work", "reading"]'
         }
       },
       required: ['name', 'content']
@@ -128,6 +308,11 @@ export const tools = [
         content: {
           type: 'string',
           description: 'New markdown content for the note body. Replaces all existing content.'
+        },
+        tags: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'New tags for the note. Replaces the existing tags.'
         }
       },
       required: ['note_id']
@@ -206,10 +391,15 @@ export const tools = [
   // ========================================
   {
     name: 'list_folders',
-    description: 'List all folders with hierarchy info (id, name, parent_id, order_index)',
+    description: 'List all folders with hierarchy info (id, name, parent_id, order_index, tags)',
     input_schema: {
       type: 'object',
-      properties: {},
+      properties: {
+        tag: {
+          type: 'string',
+          description: 'Optional tag to filter by'
+        }
+      },
       required: []
     }
   },
@@ -285,7 +475,273 @@ export const tools = [
       },
       required: ['folder_id']
     }
-  }
+  },
+  // ========================================
+  // Task List Tools
+  // ========================================
+  {
+    name: 'list_task_lists',
+    description: 'List all task lists with id, name, folder_id, tags, and how many of their tasks are done',
+    input_schema: {
+      type: 'object',
+      properties: {},
+      required: []
+    }
+  },
+  {
+    name: 'get_task_list',
+    description: 'Get a task list with its tasks nested under their parents, in order',
+    input_schema: {
+      type: 'object',
+      properties: {
+        task_list_id: {
+          type: 'string',
+          description: 'The UUID of the task list'
+        }
+      },
+      required: ['task_list_id']
+    }
+  },
+  {
+    name: 'create_task_list',
+    description: 'Create a task list, optionally filled with (nested) tasks in one step',
+    input_schema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'Task list name'
+        },
+        folder_id: {
+          type: 'string',
+          description: 'Optional folder ID to place the list in'
+        },
+        tasks: {
+          type: 'array',
+          items: TASK_INPUT_SCHEMA,
+          description: 'Optional tasks to add, in order'
+        }
+      },
+      required: ['name']
+    }
+  },
+  {
+    name: 'rename_task_list',
+    description: 'Rename a task list',
+    input_schema: {
+      type: 'object',
+      properties: {
+        task_list_id: {
+          type: 'string',
+          description: 'The UUID of the task list'
+        },
+        name: {
+          type: 'string',
+          description: 'New name'
+        }
+      },
+      required: ['task_list_id', 'name']
+    }
+  },
+  {
+    name: 'delete_task_list',
+    description: 'Delete a task list and all of its tasks',
+    input_schema: {
+      type: 'object',
+      properties: {
+        task_list_id: {
+          type: 'string',
+          description: 'The UUID of the task list to delete'
+        }
+      },
+      required: ['task_list_id']
+    }
+  },
+  {
+    name: 'add_tasks',
+    description: 'Add tasks (with nested subtasks) to a task list, after the existing ones. Pass parent_task_id to add them as subtasks of a task.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        task_list_id: {
+          type: 'string',
+          description: 'The UUID of the task list'
+        },
+        parent_task_id: {
+          type: 'string',
+          description: 'Optional task to nest the new tasks under'
+        },
+        tasks: {
+          type: 'array',
+          items: TASK_INPUT_SCHEMA,
+          description: 'Tasks to add, in order'
+        }
+      },
+      required: ['task_list_id', 'tasks']
+    }
+  },
+  {
+    name: 'reorder_tasks',
+    description: 'Put tasks in a new order under one parent (or at the top level). Tasks from elsewhere in the same list are moved under that parent.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        task_list_id: {
+          type: 'string',
+          description: 'The UUID of the task list'
+        },
+        parent_task_id: {
+          type: 'string',
+          description: 'Parent task (omit for top-level tasks)'
+        },
+        task_ids: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Task IDs in their new order. Siblings not listed keep their relative order after these.'
+        }
+      },
+      required: ['task_list_id', 'task_ids']
+    }
+  },
+  {
+    name: 'complete_task',
+    description: 'Mark a task complete (its subtasks are completed too) or incomplete (only the task itself)',
+    input_schema: {
+      type: 'object',
+      properties: {
+        task_id: {
+          type: 'string',
+          description: 'The UUID of the task'
+        },
+        completed: {
+          type: 'boolean',
+          description: 'true to complete (default), false to reopen'
+        }
+      },
+      required: ['task_id']
+    }
+  },
+  {
+    name: 'delete_task',
+    description: 'Delete a task and its subtasks',
+    input_schema: {
+      type: 'object',
+      properties: {
+        task_id: {
+          type: 'string',
+          description: 'The UUID of the task to delete'
+        }
+      },
+      required: ['task_id']
+    }
+  },
+  // ========================================
+  // Tag Tools
+  // ========================================
+  {
+    name: 'list_tags',
+    description: 'List every tag in use with how many items carry it. Counts explicit tags and inline #hashtags.',
+    input_schema: {
+      type: 'object',
+      properties: {},
+      required: []
+    }
+  },
+  {
+    name: 'find_by_tag',
+    description: 'Find all notes, folders, objectives, task lists, and tasks with a tag',
+    input_schema: {
+      type: 'object',
+      properties: {
+        tag: {
+          type: 'string',
+          description: 'Tag to look for, with or without the leading #'
+        }
+      },
+      required: ['tag']
+    }
+  },
+  {
+    name: 'set_tags',
+    description: 'Replace the explicit tags on an item. Inline #hashtags in its text are not affected.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        item_type: {
+          type: 'string',
+          enum: ['note', 'folder', 'objective', 'task_list', 'task'],
+          description: 'Type of item to tag'
+        },
+        item_id: {
+          type: 'string',
+          description: 'Item UUID'
+        },
+        tags: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'The complete new tag list (empty to clear)'
+        }
+      },
+      required: ['item_type', 'item_id', 'tags']
+    }
+  },
+  // ========================================
+  // Memory Tools
+  // ========================================
+  {
+    name: 'remember',
+    description: 'Save a lasting fact or preference about the user (e.g. "Fiscal year ends in June", "Weekly review is on Friday") so it is available in future conversations. Pass memory_id to correct an existing memory instead of adding a second one.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        content: {
+          type: 'string',
+          description: 'The fact, as one short self-contained sentence'
+        },
+        memory_id: {
+          type: 'string',
+          description: 'Optional ID of a memory this replaces'
+        }
+      },
+      required: ['content']
+    }
+  },
+  {
+    name: 'recall',
+    description: 'Search saved memories about the user. Memories relevant to the request are already in the system prompt; use this to look for others.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'What to look for (omit to list every memory)'
+        }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'forget',
+    description: 'Delete a saved memory that is wrong or no longer wanted',
+    input_schema: {
+      type: 'object',
+      properties: {
+        memory_id: {
+          type: 'string',
+          description: 'The memory ID'
+        }
+      },
+      required: ['memory_id']
+    }
+  },
+  // ========================================
+  // Objective Tools (shared with the MCP server)
+  // ========================================
+  ...objectiveTools.map(tool => ({
+    name: tool.name,
+    description: tool.description,
+    input_schema: tool.inputSchema
+  }))
 ];
 
 // ========================================
@@ -293,21 +749,29 @@ export const tools = [
 // ========================================
 
 export const toolHandlers = {
-  list_notes: async () => {
+  list_notes: async ({ tag } = {}) => {
     if (!isAvailable()) {
       return 'Error: Supabase not configured';
     }
 
     const { data, error } = await supabase
       .from('notes')
-      .select('id, name, folder_id, created_at, updated_at')
+      .select('id, name, folder_id, tags, content, created_at, updated_at')
       .order('order_index', { ascending: true });
 
     if (error) {
       return `Error listing notes: ${error.message}`;
     }
 
-    return JSON.stringify(data, null, 2);
+    const wanted = tag ? normalizeTag(tag) : null;
+    const notes = data
+      .map(({ content, ...note }) => ({
+        ...note,
+        tags: getRowTags({ ...note, content }, TAGGABLE.note.text)
+      }))
+      .filter(note => !wanted || note.tags.includes(wanted));
+
+    return JSON.stringify(notes, null, 2);
   },
 
   get_note: async ({ note_id }) => {
@@ -339,7 +803,7 @@ export const toolHandlers = {
     }, null, 2);
   },
 
-  create_note: async ({ name, content, folder_id }) => {
+  create_note: async ({ name, content, folder_id, tags }) => {
     if (!isAvailable()) {
       return 'Error: Supabase not configured';
     }
@@ -348,6 +812,7 @@ export const toolHandlers = {
       name,
       content,
       folder_id: folder_id || null,
+      tags: normalizeTags(tags),
       order_index: 0,
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString()
@@ -362,11 +827,12 @@ export const toolHandlers = {
     if (error) {
       return `Error creating note: ${error.message}`;
     }
+    trackCreated('notes', data.id);
 
     return `Note created successfully:\n${JSON.stringify(data, null, 2)}`;
   },
 
-  update_note: async ({ note_id, name, content }) => {
+  update_note: async ({ note_id, name, content, tags }) => {
     if (!isAvailable()) {
       return 'Error: Supabase not configured';
     }
@@ -381,6 +847,9 @@ export const toolHandlers = {
     if (content !== undefined) {
       updates.content = content;
     }
+    if (tags !== undefined) {
+      updates.tags = normalizeTags(tags);
+    }
 
     const { data, error } = await supabase
       .from('notes')
@@ -469,21 +938,26 @@ export const toolHandlers = {
   // Folder Management Handlers
   // ========================================
 
-  list_folders: async () => {
+  list_folders: async ({ tag } = {}) => {
     if (!isAvailable()) {
       return 'Error: Supabase not configured';
     }
 
     const { data, error } = await supabase
       .from('folders')
-      .select('id, name, parent_id, order_index, created_at, updated_at')
+      .select('id, name, parent_id, order_index, tags, created_at, updated_at')
       .order('order_index', { ascending: true });
 
     if (error) {
       return `Error listing folders: ${error.message}`;
     }
 
-    return JSON.stringify(data, null, 2);
+    const wanted = tag ? normalizeTag(tag) : null;
+    const folders = data
+      .map(folder => ({ ...folder, tags: getRowTags(folder, TAGGABLE.folder.text) }))
+      .filter(folder => !wanted || folder.tags.includes(wanted));
+
+    return JSON.stringify(folders, null, 2);
   },
 
   create_folder: async ({ name, parent_id }) => {
@@ -508,6 +982,7 @@ export const toolHandlers = {
     if (error) {
       return `Error creating folder: ${error.message}`;
     }
+    trackCreated('folders', data.id);
 
     return `Folder created successfully:\n${JSON.stringify(data, null, 2)}`;
   },
@@ -684,5 +1159,448 @@ export const toolHandlers = {
 
     const locationText = parentId ? `parent folder ${parentId}` : 'root';
     return `Folder deleted successfully: ${folder_id}. Contents moved to ${locationText}.`;
-  }
+  },
+
+  // ========================================
+  // Task List Handlers
+  // ========================================
+
+  list_task_lists: async () => {
+    if (!isAvailable()) {
+      return 'Error: Supabase not configured';
+    }
+
+    const { data: lists, error } = await supabase
+      .from('task_lists')
+      .select('id, name, folder_id, order_index, tags, created_at, updated_at')
+      .order('order_index', { ascending: true });
+
+    if (error) {
+      return `Error listing task lists: ${error.message}`;
+    }
+
+    const { data: tasks, error: tasksError } = await supabase
+      .from('tasks')
+      .select('task_list_id, completed');
+
+    if (tasksError) {
+      return `Error listing tasks: ${tasksError.message}`;
+    }
+
+    const result = lists.map(list => {
+      const own = tasks.filter(task => task.task_list_id === list.id);
+      return {
+        ...list,
+        tags: getRowTags(list, TAGGABLE.task_list.text),
+        task_count: own.length,
+        completed_count: own.filter(task => task.completed).length
+      };
+    });
+
+    return JSON.stringify(result, null, 2);
+  },
+
+  get_task_list: async ({ task_list_id }) => {
+    if (!isAvailable()) {
+      return 'Error: Supabase not configured';
+    }
+
+    const { data: list, error } = await supabase
+      .from('task_lists')
+      .select('id, name, folder_id, tags, created_at, updated_at')
+      .eq('id', task_list_id)
+      .single();
+
+    if (error || !list) {
+      return `Task list not found: ${task_list_id}`;
+    }
+
+    const { data: tasks, error: tasksError } = await supabase
+      .from('tasks')
+      .select('id, parent_task_id, name, completed, order_index, tags')
+      .eq('task_list_id', task_list_id);
+
+    if (tasksError) {
+      return `Error loading tasks: ${tasksError.message}`;
+    }
+
+    return JSON.stringify({ ...list, tasks: buildTaskTree(tasks) }, null, 2);
+  },
+
+  create_task_list: async ({ name, folder_id, tasks }) => {
+    if (!isAvailable()) {
+      return 'Error: Supabase not configured';
+    }
+
+    const { data, error } = await supabase
+      .from('task_lists')
+      .insert({
+        name,
+        folder_id: folder_id || null,
+        order_index: 0,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      return `Error creating task list: ${error.message}`;
+    }
+    trackCreated('task_lists', data.id);
+
+    let created = 0;
+    try {
+      created = await insertTasks(data.id, null, tasks);
+    } catch (err) {
+      return `Task list created (${data.id}) but adding tasks failed: ${err.message}`;
+    }
+
+    return `Task list created with ${created} task${created === 1 ? '' : 's'}:\n${JSON.stringify(data, null, 2)}`;
+  },
+
+  rename_task_list: async ({ task_list_id, name }) => {
+    if (!isAvailable()) {
+      return 'Error: Supabase not configured';
+    }
+
+    const { data, error } = await supabase
+      .from('task_lists')
+      .update({ name, updated_at: new Date().toISOString() })
+      .eq('id', task_list_id)
+      .select()
+      .single();
+
+    if (error) {
+      return `Error renaming task list: ${error.message}`;
+    }
+
+    return `Task list renamed:\n${JSON.stringify(data, null, 2)}`;
+  },
+
+  delete_task_list: async ({ task_list_id }) => {
+    if (!isAvailable()) {
+      return 'Error: Supabase not configured';
+    }
+
+    // Tasks go with the list (ON DELETE CASCADE)
+    const { error } = await supabase
+      .from('task_lists')
+      .delete()
+      .eq('id', task_list_id);
+
+    if (error) {
+      return `Error deleting task list: ${error.message}`;
+    }
+
+    return `Task list deleted successfully: ${task_list_id}`;
+  },
+
+  add_tasks: async ({ task_list_id, parent_task_id, tasks }) => {
+    if (!isAvailable()) {
+      return 'Error: Supabase not configured';
+    }
+
+    // Append after the parent's existing children
+    let siblings = supabase
+      .from('tasks')
+      .select('id, order_index')
+      .eq('task_list_id', task_list_id);
+    siblings = parent_task_id
+      ? siblings.eq('parent_task_id', parent_task_id)
+      : siblings.is('parent_task_id', null);
+
+    const { data: existing, error } = await siblings;
+    if (error) {
+      return `Error loading tasks: ${error.message}`;
+    }
+
+    const startIndex = existing.reduce((max, row) => Math.max(max, (row.order_index || 0) + 1), 0);
+
+    try {
+      const created = await insertTasks(task_list_id, parent_task_id, tasks, startIndex);
+      return `Added ${created} task${created === 1 ? '' : 's'} to task list ${task_list_id}`;
+    } catch (err) {
+      return `Error adding tasks: ${err.message}`;
+    }
+  },
+
+  reorder_tasks: async ({ task_list_id, parent_task_id, task_ids }) => {
+    if (!isAvailable()) {
+      return 'Error: Supabase not configured';
+    }
+
+    const { data: rows, error } = await supabase
+      .from('tasks')
+      .select('id, parent_task_id, order_index')
+      .eq('task_list_id', task_list_id);
+
+    if (error) {
+      return `Error loading tasks: ${error.message}`;
+    }
+
+    const parentId = parent_task_id || null;
+    const byId = new Map(rows.map(row => [row.id, row]));
+
+    for (const id of task_ids) {
+      if (!byId.has(id)) {
+        return `Error: Task ${id} is not in task list ${task_list_id}`;
+      }
+      // A task can't move under itself or one of its own subtasks
+      if (parentId && (id === parentId || getDescendantIds(rows, id).includes(parentId))) {
+        return `Error: Cannot move task ${id} under its own subtask`;
+      }
+    }
+
+    // Listed tasks first, then the parent's other children in their current order
+    const listed = new Set(task_ids);
+    const rest = rows
+      .filter(row => (row.parent_task_id || null) === parentId && !listed.has(row.id))
+      .sort((a, b) => (a.order_index || 0) - (b.order_index || 0))
+      .map(row => row.id);
+
+    for (const [index, id] of [...task_ids, ...rest].entries()) {
+      const { error: updateError } = await supabase
+        .from('tasks')
+        .update({
+          parent_task_id: parentId,
+          order_index: index,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', id);
+
+      if (updateError) {
+        return `Error reordering tasks: ${updateError.message}`;
+      }
+    }
+
+    return `Reordered ${task_ids.length + rest.length} task${task_ids.length + rest.length === 1 ? '' : 's'}`;
+  },
+
+  complete_task: async ({ task_id, completed = true }) => {
+    if (!isAvailable()) {
+      return 'Error: Supabase not configured';
+    }
+
+    const { data: task, error: fetchError } = await supabase
+      .from('tasks')
+      .select('id, task_list_id')
+      .eq('id', task_id)
+      .single();
+
+    if (fetchError || !task) {
+      return `Task not found: ${task_id}`;
+    }
+
+    // Same rule as cascadeCompletion in src/utils/task-helpers.js:
+    // completing completes every subtask, reopening only reopens the task
+    let ids = [task_id];
+    if (completed) {
+      const { data: rows, error } = await supabase
+        .from('tasks')
+        .select('id, parent_task_id')
+        .eq('task_list_id', task.task_list_id);
+
+      if (error) {
+        return `Error loading tasks: ${error.message}`;
+      }
+      ids = [task_id, ...getDescendantIds(rows, task_id)];
+    }
+
+    const { error } = await supabase
+      .from('tasks')
+      .update({ completed, updated_at: new Date().toISOString() })
+      .in('id', ids);
+
+    if (error) {
+      return `Error updating task: ${error.message}`;
+    }
+
+    const verb = completed ? 'Completed' : 'Reopened';
+    return ids.length > 1
+      ? `${verb} task ${task_id} and ${ids.length - 1} subtask${ids.length === 2 ? '' : 's'}`
+      : `${verb} task ${task_id}`;
+  },
+
+  delete_task: async ({ task_id }) => {
+    if (!isAvailable()) {
+      return 'Error: Supabase not configured';
+    }
+
+    // Subtasks go with it (ON DELETE CASCADE)
+    const { error } = await supabase
+      .from('tasks')
+      .delete()
+      .eq('id', task_id);
+
+    if (error) {
+      return `Error deleting task: ${error.message}`;
+    }
+
+    return `Task deleted successfully: ${task_id}`;
+  },
+
+  // ========================================
+  // Tag Handlers
+  // ========================================
+
+  list_tags: async () => {
+    if (!isAvailable()) {
+      return 'Error: Supabase not configured';
+    }
+
+    const counts = new Map();
+    for (const item of await loadTaggedItems()) {
+      for (const tag of item.tags) {
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+      }
+    }
+
+    const tags = [...counts.entries()]
+      .map(([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+
+    return JSON.stringify(tags, null, 2);
+  },
+
+  find_by_tag: async ({ tag }) => {
+    if (!isAvailable()) {
+      return 'Error: Supabase not configured';
+    }
+
+    const wanted = normalizeTag(tag);
+    if (!wanted) {
+      return 'Error: tag is required';
+    }
+
+    const items = (await loadTaggedItems())
+      .filter(item => item.tags.includes(wanted))
+      .map(({ item_type, id, name }) => ({ item_type, id, name }));
+
+    return items.length > 0
+      ? JSON.stringify(items, null, 2)
+      : `No items tagged #${wanted}`;
+  },
+
+  set_tags: async ({ item_type, item_id, tags }) => {
+    if (!isAvailable()) {
+      return 'Error: Supabase not configured';
+    }
+
+    const taggable = TAGGABLE[item_type];
+    if (!taggable) {
+      return `Error: Invalid item_type "${item_type}". Must be one of: ${Object.keys(TAGGABLE).join(', ')}`;
+    }
+
+    const { data, error } = await supabase
+      .from(taggable.table)
+      .update({
+        tags: normalizeTags(tags),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', item_id)
+      .select('id, name, tags')
+      .single();
+
+    if (error) {
+      return `Error tagging ${item_type}: ${error.message}`;
+    }
+
+    return `${item_type} tags updated:\n${JSON.stringify(data, null, 2)}`;
+  },
+
+  // ========================================
+  // Memory Handlers
+  // ========================================
+
+  remember: async ({ content, memory_id }) => {
+    if (!isAvailable()) {
+      return 'Error: Supabase not configured';
+    }
+
+    const text = String(content || '').trim();
+    if (!text) {
+      return 'Error: content is required';
+    }
+
+    const now = new Date().toISOString();
+    const query = memory_id
+      ? supabase.from(MEMORY_TABLE).update({ content: text, updated_at: now }).eq('id', memory_id)
+      : supabase.from(MEMORY_TABLE).insert({ content: text, created_at: now, updated_at: now });
+
+    const { data, error } = await query.select('id, content').single();
+
+    if (error) {
+      return `Error saving memory: ${error.message}`;
+    }
+    if (!memory_id) trackCreated(MEMORY_TABLE, data.id);
+
+    return `Remembered:\n${JSON.stringify(data, null, 2)}`;
+  },
+
+  recall: async ({ query } = {}) => {
+    if (!isAvailable()) {
+      return 'Error: Supabase not configured';
+    }
+
+    let memories;
+    try {
+      memories = await loadMemories();
+    } catch (err) {
+      return `Error: ${err.message}`;
+    }
+
+    if (query && query.trim()) {
+      memories = rankMemories(memories, query)
+        .filter(({ score }) => score > 0)
+        .map(({ memory }) => memory);
+    }
+
+    return memories.length > 0
+      ? JSON.stringify(memories, null, 2)
+      : (query ? `No memories match "${query}"` : 'No memories saved yet');
+  },
+
+  forget: async ({ memory_id }) => {
+    if (!isAvailable()) {
+      return 'Error: Supabase not configured';
+    }
+
+    const { data, error } = await supabase
+      .from(MEMORY_TABLE)
+      .delete()
+      .eq('id', memory_id)
+      .select('id, content');
+
+    if (error) {
+      return `Error forgetting memory: ${error.message}`;
+    }
+
+    if (!data || data.length === 0) {
+      return `Memory not found: ${memory_id}`;
+    }
+
+    return `Forgot: ${data[0].content}`;
+  },
+
+  // ========================================
+  // Objective Handlers (shared with the MCP server)
+  // ========================================
+
+  ...Object.fromEntries(objectiveTools.map(tool => [
+    tool.name,
+    async (input = {}) => {
+      if (!isAvailable()) {
+        return 'Error: Supabase not configured';
+      }
+
+      try {
+        const result = await tool.handler(supabase, input);
+        if (tool.name === 'create_objective') trackCreated('objectives', result.id);
+        return JSON.stringify(result, null, 2);
+      } catch (err) {
+        return `Error: ${err.message}`;
+      }
+    }
+  ]))
 };
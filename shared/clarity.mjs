@@ -0,0 +1,165 @@
+/**
+ * Clarity
+ *
+ * How clear an objective or priority is: a 0-100 score, the 4-tier label
+ * for it, what's missing (outcome, deadline, a measure) and a suggested
+ * rewrite. Scored by a model through shared/llm-providers.mjs in the
+ * Electron main process (main.js); the app caches results by content key
+ * (src/services/clarity-service.js) and shows them as badges
+ * (src/components/clarity-badge.js).
+ */
+
+// ========================================
+// Tiers and Issues
+// ========================================
+
+/**
+ * Labels by score, lowest first: a score gets the first tier whose max it's under
+ */
+export const CLARITY_TIERS = [
+  { label: 'fuzzy', max: 40 },
+  { label: 'less fuzzy', max: 60 },
+  { label: 'clear', max: 80 },
+  { label: 'very clear', max: 100 }
+];
+
+/**
+ * What the coach can flag, with how to describe it
+ */
+export const CLARITY_ISSUES = {
+  missing_outcome: 'No clear outcome: say what will be true when it\'s done',
+  missing_deadline: 'No deadline: say when it should be done by',
+  not_measurable: 'Not measurable: say how you\'ll know it\'s done'
+};
+
+/**
+ * The label for a score
+ * @param {number} score - 0-100
+ * @returns {string}
+ */
+export function getClarityLabel(score) {
+  return (CLARITY_TIERS.find(tier => score <= tier.max) || CLARITY_TIERS[CLARITY_TIERS.length - 1]).label;
+}
+
+// ========================================
+// Content Key
+// ========================================
+
+// Bump when the prompt or result shape changes, so cached results are rescored
+const CLARITY_VERSION = 2;
+
+/**
+ * Key for an item's scored content: the same name and description always
+ * get the same key (FNV-1a over the trimmed text)
+ * @param {string} name
+ * @param {string} [description]
+ * @returns {string}
+ */
+export function clarityKey(name, description = '') {
+  const text = `${CLARITY_VERSION}\n${(name || '').trim()}\n${(description || '').trim()}`;
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// ========================================
+// Scoring
+// ========================================
+
+const SYSTEM_PROMPT = `You coach people on how clear and actionable their objectives are, from the title and description.
+
+Score from 0-100:
+- 0-40: Fuzzy (vague, no clear outcome or action)
+- 41-60: Less fuzzy (an outcome, but missing specifics)
+- 61-80: Clear (specific and actionable, one thing missing)
+- 81-100: Very clear (specific outcome, measurable, with a deadline)
+
+Flag what's missing, using only these issue codes:
+- missing_outcome: doesn't say what will be true when it's done
+- missing_deadline: doesn't say when it should be done by
+- not_measurable: there's no way to tell when it's done
+
+Suggest a rewrite of the title that fixes the issues while keeping the person's intent. Keep it to one line. Don't invent facts; where a specific is unknown, use a bracketed placeholder such as [date] or [number].
+
+Respond with ONLY a JSON object, nothing else:
+{"score": 72, "issues": ["missing_deadline"], "rewrite": "..."}`;
+
+/**
+ * Score an objective or priority
+ * @param {Object} provider - From createProvider
+ * @param {Object} item
+ * @param {string} item.name
+ * @param {string} [item.description]
+ * @returns {Promise<{score: number, label: string, issues: Array<string>, rewrite: string|null}>}
+ * @throws {Error} If the provider request fails
+ */
+export async function scoreClarity(provider, { name, description = '' }) {
+  if (!name || !name.trim()) {
+    return { score: 0, label: getClarityLabel(0), issues: Object.keys(CLARITY_ISSUES), rewrite: null };
+  }
+
+  let content = `Title: ${name.trim()}`;
+  if (description && description.trim()) {
+    content += `\nDescription: ${description.trim()}`;
+  }
+
+  const { text } = await provider.complete({
+    system: SYSTEM_PROMPT,
+    messages: [{ role: 'user', content }],
+    temperature: 0,
+    maxTokens: 300
+  });
+
+  return parseClarityResponse(text, name);
+}
+
+/**
+ * Read the model's reply, tolerating text around the JSON
+ * @param {string} text
+ * @param {string} name - The scored title, so an unchanged rewrite is dropped
+ * @returns {{score: number, label: string, issues: Array<string>, rewrite: string|null}}
+ * @throws {Error} If the reply has no score
+ */
+export function parseClarityResponse(text, name = '') {
+  const match = (text || '').match(/\{[\s\S]*\}/);
+  let data = null;
+  try {
+    data = match ? JSON.parse(match[0]) : null;
+  } catch {
+    data = null;
+  }
+
+  const score = Math.round(Number(data?.score));
+  if (!data || !Number.isFinite(score)) {
+    throw new Error(`Unreadable clarity response: ${(text || '').slice(0, 100)}`);
+  }
+
+  const clamped = Math.min(100, Math.max(0, score));
+  const issues = Array.isArray(data.issues)
+    ? [...new Set(data.issues.filter(issue => issue in CLARITY_ISSUES))]
+    : [];
+  const rewrite = typeof data.rewrite === 'string' ? data.rewrite.replace(/\s+/g, ' ').trim() : '';
+
+  return {
+    score: clamped,
+    label: getClarityLabel(clamped),
+    issues,
+    rewrite: rewrite && rewrite !== name.trim() ? rewrite : null
+  };
+}
+
+// ========================================
+// Default Export
+// ========================================
+
+export default {
+  CLARITY_TIERS,
+  CLARITY_ISSUES,
+  getClarityLabel,
+  clarityKey,
+  scoreClarity,
+  parseClarityResponse
+};
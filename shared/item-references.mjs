@@ -0,0 +1,141 @@
+/**
+ * Item References
+ *
+ * How agent replies point at the user's items: [[ref:<type>:<id>|<label>]],
+ * e.g. [[ref:note:6f1c…|Budget 2026]]. Types are note, objective, folder,
+ * task-list and task.
+ *
+ * The agent server records the items its tools returned during a reply
+ * (collectItems) and, once the reply is done, confirms which of the
+ * references in it are to those items (resolveReferences). The agent
+ * panel shows confirmed references as chips that open the item, and any
+ * others as their plain label.
+ */
+
+// ========================================
+// Syntax
+// ========================================
+
+export const REFERENCE_TYPES = ['note', 'objective', 'folder', 'task-list', 'task'];
+
+// [[ref:type:id|label]], label optional
+const REFERENCE_PATTERN = /\[\[ref:([a-z-]+):([A-Za-z0-9_-]+)(?:\|([^[\]\n]*))?\]\]/g;
+
+/**
+ * Write a reference
+ * @param {string} type - One of REFERENCE_TYPES
+ * @param {string} id
+ * @param {string} label - What to show if the item can't be confirmed
+ * @returns {string}
+ */
+export function formatReference(type, id, label) {
+  return `[[ref:${type}:${id}|${String(label).replace(/[[\]|\s]+/g, ' ').trim()}]]`;
+}
+
+/**
+ * Find references in text
+ * @param {string} text
+ * @returns {Array<{from: number, to: number, type: string, id: string, label: string}>}
+ */
+export function findReferences(text) {
+  if (!text || !text.includes('[[ref:')) return [];
+  return [...text.matchAll(REFERENCE_PATTERN)]
+    .filter(match => REFERENCE_TYPES.includes(match[1]))
+    .map(match => ({
+      from: match.index,
+      to: match.index + match[0].length,
+      type: match[1],
+      id: match[2],
+      label: (match[3] || '').trim()
+    }));
+}
+
+/**
+ * Replace each reference in text
+ * @param {string} text
+ * @param {Function} replace - (reference) => replacement string
+ * @returns {string}
+ */
+export function replaceReferences(text, replace) {
+  let result = '';
+  let last = 0;
+  for (const reference of findReferences(text)) {
+    result += text.slice(last, reference.from) + replace(reference);
+    last = reference.to;
+  }
+  return result + text.slice(last);
+}
+
+// ========================================
+// Agent Server
+// ========================================
+
+/**
+ * Record the items in a tool result
+ * Tool results are JSON (sometimes after a line of text); any object with
+ * an id and a name, title or text is taken to be an item.
+ * @param {string} result - Tool result
+ * @param {Map} items - id -> { name, taskListId? }, added to
+ */
+export function collectItems(result, items) {
+  if (typeof result !== 'string') return;
+  const start = result.search(/[[{]/);
+  if (start === -1) return;
+
+  let data;
+  try {
+    data = JSON.parse(result.slice(start));
+  } catch {
+    return;
+  }
+
+  const visit = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(visit);
+    } else if (value && typeof value === 'object') {
+      const name = value.name ?? value.title ?? value.text;
+      if (typeof value.id === 'string' && typeof name === 'string') {
+        items.set(value.id, {
+          name,
+          ...(value.task_list_id && { taskListId: value.task_list_id })
+        });
+      }
+      Object.values(value).forEach(visit);
+    }
+  };
+  visit(data);
+}
+
+/**
+ * The references in a reply that are to items its tools returned
+ * @param {string} text - The reply
+ * @param {Map} items - From collectItems
+ * @returns {Array<{type, id, name, taskListId?}>} One per item, in order of first mention
+ */
+export function resolveReferences(text, items) {
+  const resolved = new Map();
+  for (const { type, id } of findReferences(text)) {
+    const item = items.get(id);
+    if (!item || resolved.has(id)) continue;
+    resolved.set(id, {
+      type,
+      id,
+      name: item.name,
+      ...(type === 'task' && item.taskListId && { taskListId: item.taskListId })
+    });
+  }
+  return [...resolved.values()];
+}
+
+// ========================================
+// Default Export
+// ========================================
+
+export default {
+  REFERENCE_TYPES,
+  formatReference,
+  findReferences,
+  replaceReferences,
+  collectItems,
+  resolveReferences
+};
@@ -0,0 +1,511 @@
+/**
+ * LLM Providers
+ *
+ * One interface over the model APIs Layer talks to, shared by the agent
+ * server (server/index.mjs), Ask mode in the app (anthropic-service.js)
+ * and clarity scoring in the Electron main process (main.js).
+ *
+ * Requests and conversation history use the Anthropic Messages format
+ * (system prompt, messages with text/tool_use/tool_result blocks, tools
+ * with input_schema); each provider translates to and from its own API.
+ * Streams yield the same events whatever the provider:
+ *   { type: 'text', text }
+ *   { type: 'tool_use', id, name, input }
+ *   { type: 'stop', reason }  - reason is 'end_turn', 'tool_use' or 'max_tokens'
+ *
+ * The mock provider plays back a script (or echoes the prompt) without
+ * any network access, so the agent loop, tool execution and streaming UI
+ * can be exercised offline and deterministically.
+ *
+ * Providers with an embeddings API (the OpenAI-compatible ones, and the
+ * mock) also turn text into vectors with embed(); used by Ask mode
+ * retrieval (src/services/retrieval.js).
+ */
+
+// ========================================
+// Providers
+// ========================================
+
+/**
+ * Known providers
+ * keyName is the secret holding the API key (null if none is needed);
+ * endpoint is the default, which callers can override (e.g. a remote Ollama).
+ */
+export const PROVIDERS = {
+  anthropic: {
+    label: 'Anthropic',
+    api: 'anthropic',
+    endpoint: 'https://api.anthropic.com/v1/messages',
+    keyName: 'ANTHROPIC_API_KEY'
+  },
+  openai: {
+    label: 'OpenAI',
+    api: 'openai',
+    endpoint: 'https://api.openai.com/v1/chat/completions',
+    keyName: 'OPENAI_API_KEY'
+  },
+  groq: {
+    label: 'Groq',
+    api: 'openai',
+    endpoint: 'https://api.groq.com/openai/v1/chat/completions',
+    keyName: 'GROQ_API_KEY'
+  },
+  ollama: {
+    label: 'Ollama',
+    api: 'openai',
+    endpoint: 'http://localhost:11434/v1/chat/completions',
+    keyName: null
+  },
+  llamacpp: {
+    label: 'llama.cpp',
+    api: 'openai',
+    endpoint: 'http://localhost:8080/v1/chat/completions',
+    keyName: null
+  },
+  mock: {
+    label: 'Mock',
+    api: 'mock',
+    endpoint: null,
+    keyName: null
+  }
+};
+
+const DEFAULT_MAX_TOKENS = 4096;
+
+/**
+ * Create a provider for one model
+ * @param {Object} options
+ * @param {string} options.provider - Key of PROVIDERS
+ * @param {string} options.model - Model ID as the provider knows it
+ * @param {string} [options.apiKey]
+ * @param {string} [options.endpoint] - Overrides the provider's default
+ * @param {Object} [options.headers] - Extra request headers
+ * @param {Array} [options.script] - Mock provider only: turns to play back (see createMockProvider)
+ * @returns {{name: string, model: string, stream: Function, complete: Function, embed: Function}}
+ * @throws {Error} If the provider is unknown or its API key is missing
+ */
+export function createProvider({ provider, model, apiKey = null, endpoint = null, headers = {}, script = null }) {
+  const config = PROVIDERS[provider];
+  if (!config) {
+    throw new Error(`Unknown model provider '${provider}'`);
+  }
+  if (config.keyName && !apiKey) {
+    throw new Error(`${config.keyName} not configured`);
+  }
+
+  const options = { model, apiKey, endpoint: endpoint || config.endpoint, headers };
+  const stream = config.api === 'anthropic' ? streamAnthropic.bind(null, options)
+    : config.api === 'openai' ? streamOpenAI.bind(null, options)
+    : createMockProvider(script);
+
+  const embed = config.api === 'openai' ? embedOpenAI.bind(null, options)
+    : config.api === 'mock' ? embedMock
+    : () => Promise.reject(new Error(`${config.label} has no embeddings API`));
+
+  return {
+    name: provider,
+    model,
+    stream,
+    complete: (request) => collect(stream(request)),
+    embed
+  };
+}
+
+/**
+ * Drain a stream into its text and tool calls
+ * @returns {Promise<{text: string, toolUses: Array<{id, name, input}>, stopReason: string}>}
+ */
+async function collect(events) {
+  let text = '';
+  const toolUses = [];
+  let stopReason = 'end_turn';
+
+  for await (const event of events) {
+    if (event.type === 'text') text += event.text;
+    else if (event.type === 'tool_use') toolUses.push({ id: event.id, name: event.name, input: event.input });
+    else if (event.type === 'stop') stopReason = event.reason;
+  }
+
+  return { text, toolUses, stopReason };
+}
+
+// ========================================
+// Anthropic
+// ========================================
+
+/**
+ * Stream a reply from the Anthropic Messages API
+ * @param {Object} options - From createProvider
+ * @param {Object} request
+ * @param {string} [request.system]
+ * @param {Array} request.messages
+ * @param {Array} [request.tools]
+ * @param {number} [request.maxTokens]
+ * @param {number} [request.temperature]
+ * @param {AbortSignal} [request.signal]
+ */
+async function* streamAnthropic({ model, apiKey, endpoint, headers }, { system, messages, tools, maxTokens, temperature, signal }) {
+  const response = await fetch(endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': apiKey,
+      'anthropic-version': '2023-06-01',
+      ...headers
+    },
+    body: JSON.stringify({
+      model,
+      max_tokens: maxTokens || DEFAULT_MAX_TOKENS,
+      ...(system && { system }),
+      messages,
+      ...(tools?.length && { tools }),
+      ...(temperature !== undefined && { temperature }),
+      stream: true
+    }),
+    signal
+  });
+
+  await throwIfFailed(response);
+
+  let toolUse = null;
+  let inputJson = '';
+  let stopReason = 'end_turn';
+
+  for await (const event of readServerSentEvents(response)) {
+    switch (event.type) {
+      case 'content_block_start':
+        if (event.content_block?.type === 'tool_use') {
+          toolUse = { id: event.content_block.id, name: event.content_block.name };
+          inputJson = '';
+        }
+        break;
+
+      case 'content_block_delta':
+        if (event.delta?.type === 'text_delta' && event.delta.text) {
+          yield { type: 'text', text: event.delta.text };
+        } else if (event.delta?.type === 'input_json_delta') {
+          inputJson += event.delta.partial_json;
+        }
+        break;
+
+      case 'content_block_stop':
+        if (toolUse) {
+          yield { type: 'tool_use', ...toolUse, input: parseJson(inputJson) };
+          toolUse = null;
+        }
+        break;
+
+      case 'message_delta':
+        if (event.delta?.stop_reason) stopReason = event.delta.stop_reason;
+        break;
+
+      case 'error':
+        throw new Error(event.error?.message || 'API error');
+    }
+  }
+
+  yield { type: 'stop', reason: stopReason };
+}
+
+// ========================================
+// OpenAI-Compatible (OpenAI, Groq, Ollama, llama.cpp)
+// ========================================
+
+const OPENAI_STOP_REASONS = {
+  stop: 'end_turn',
+  tool_calls: 'tool_use',
+  length: 'max_tokens'
+};
+
+/**
+ * Stream a reply from an OpenAI-compatible chat completions API
+ * Takes the same request as streamAnthropic.
+ */
+async function* streamOpenAI({ model, apiKey, endpoint, headers }, { system, messages, tools, maxTokens, temperature, signal }) {
+  const response = await fetch(endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(apiKey && { 'Authorization': `Bearer ${apiKey}` }),
+      ...headers
+    },
+    body: JSON.stringify({
+      model,
+      max_tokens: maxTokens || DEFAULT_MAX_TOKENS,
+      messages: toOpenAIMessages(system, messages),
+      ...(tools?.length && { tools: tools.map(toOpenAITool) }),
+      ...(temperature !== undefined && { temperature }),
+      stream: true
+    }),
+    signal
+  });
+
+  await throwIfFailed(response);
+
+  // Tool calls arrive in pieces, keyed by index
+  const calls = [];
+  let stopReason = 'end_turn';
+
+  for await (const event of readServerSentEvents(response)) {
+    if (event.error) {
+      throw new Error(event.error.message || 'API error');
+    }
+
+    const choice = event.choices?.[0];
+    if (!choice) continue;
+
+    if (choice.delta?.content) {
+      yield { type: 'text', text: choice.delta.content };
+    }
+
+    for (const part of choice.delta?.tool_calls || []) {
+      const call = calls[part.index ?? calls.length] ||= { id: '', name: '', args: '' };
+      if (part.id) call.id = part.id;
+      if (part.function?.name) call.name += part.function.name;
+      if (part.function?.arguments) call.args += part.function.arguments;
+    }
+
+    if (choice.finish_reason) {
+      stopReason = OPENAI_STOP_REASONS[choice.finish_reason] || 'end_turn';
+    }
+  }
+
+  for (const [index, call] of calls.entries()) {
+    if (!call) continue;
+    yield { type: 'tool_use', id: call.id || `call_${index}`, name: call.name, input: parseJson(call.args) };
+  }
+
+  yield { type: 'stop', reason: calls.length > 0 ? 'tool_use' : stopReason };
+}
+
+/**
+ * Anthropic-format messages -> chat completions messages
+ * tool_use blocks become tool_calls; tool_result blocks become tool messages.
+ */
+function toOpenAIMessages(system, messages) {
+  const result = system ? [{ role: 'system', content: system }] : [];
+
+  for (const message of messages) {
+    if (typeof message.content === 'string') {
+      result.push({ role: message.role, content: message.content });
+      continue;
+    }
+
+    const text = message.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    if (message.role === 'assistant') {
+      const toolCalls = message.content
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({
+          id: block.id,
+          type: 'function',
+          function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+        }));
+      result.push({
+        role: 'assistant',
+        content: text || null,
+        ...(toolCalls.length > 0 && { tool_calls: toolCalls })
+      });
+      continue;
+    }
+
+    for (const block of message.content) {
+      if (block.type === 'tool_result') {
+        result.push({
+          role: 'tool',
+          tool_call_id: block.tool_use_id,
+          content: typeof block.content === 'string' ? block.content : JSON.stringify(block.content)
+        });
+      }
+    }
+    if (text) result.push({ role: 'user', content: text });
+  }
+
+  return result;
+}
+
+/**
+ * Embed texts with an OpenAI-compatible embeddings API
+ * The endpoint is the chat completions one with /embeddings in its place.
+ * @param {Object} options - From createProvider
+ * @param {Array<string>} texts
+ * @param {Object} [request]
+ * @param {AbortSignal} [request.signal]
+ * @returns {Promise<Array<Array<number>>>} One vector per text, in order
+ */
+async function embedOpenAI({ model, apiKey, endpoint, headers }, texts, { signal } = {}) {
+  const response = await fetch(endpoint.replace(/chat\/completions$/, 'embeddings'), {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(apiKey && { 'Authorization': `Bearer ${apiKey}` }),
+      ...headers
+    },
+    body: JSON.stringify({ model, input: texts }),
+    signal
+  });
+
+  await throwIfFailed(response);
+
+  const { data } = await response.json();
+  return [...data]
+    .sort((a, b) => a.index - b.index)
+    .map(item => item.embedding);
+}
+
+function toOpenAITool(tool) {
+  return {
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.input_schema
+    }
+  };
+}
+
+// ========================================
+// Mock
+// ========================================
+
+/**
+ * A provider that plays back scripted turns
+ * Each stream() call uses the next turn: { text?, toolUses?: [{name, input}] }.
+ * A turn with toolUses ends with stop reason 'tool_use'. Once the script
+ * runs out (or without one), it echoes the last user message, or reports
+ * the tool results it was given.
+ * @param {Array|null} script
+ * @returns {Function} stream(request)
+ */
+function createMockProvider(script) {
+  const turns = [...(script || [])];
+  let toolCount = 0;
+
+  return async function* streamMock({ messages, signal }) {
+    const turn = turns.shift() || { text: describeLastMessage(messages) };
+
+    // Word-sized chunks, like a real stream
+    for (const chunk of (turn.text || '').match(/\S+\s*|\s+/g) || []) {
+      if (signal?.aborted) throw abortError();
+      yield { type: 'text', text: chunk };
+    }
+
+    for (const toolUse of turn.toolUses || []) {
+      yield { type: 'tool_use', id: `mock_tool_${++toolCount}`, name: toolUse.name, input: toolUse.input || {} };
+    }
+
+    yield { type: 'stop', reason: turn.toolUses?.length ? 'tool_use' : 'end_turn' };
+  };
+}
+
+const MOCK_DIMENSIONS = 64;
+
+/**
+ * Hashed bag-of-words vectors: texts sharing words come out similar
+ */
+async function embedMock(texts) {
+  return texts.map(text => {
+    const vector = new Array(MOCK_DIMENSIONS).fill(0);
+    for (const word of String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+      let hash = 0;
+      for (const char of word) hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+      vector[hash % MOCK_DIMENSIONS] += 1;
+    }
+    return vector;
+  });
+}
+
+function describeLastMessage(messages) {
+  const last = messages[messages.length - 1];
+  if (!last) return 'Mock reply.';
+  if (typeof last.content === 'string') return `Mock reply to: ${last.content}`;
+
+  const results = last.content.filter(block => block.type === 'tool_result');
+  if (results.length > 0) {
+    return `Mock reply: got ${results.length} tool result${results.length === 1 ? '' : 's'}.`;
+  }
+  return `Mock reply to: ${last.content.filter(block => block.type === 'text').map(block => block.text).join('')}`;
+}
+
+function abortError() {
+  const error = new Error('The operation was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+// ========================================
+// Helpers
+// ========================================
+
+/**
+ * Throw an Error with the API's message and status for a failed response
+ */
+async function throwIfFailed(response) {
+  if (response.ok) return;
+
+  const body = await response.text().catch(() => '');
+  let message = `API error: ${response.status}`;
+  try {
+    message = JSON.parse(body).error?.message || message;
+  } catch {
+    // Not JSON
+  }
+
+  const error = new Error(message);
+  error.status = response.status;
+  throw error;
+}
+
+/**
+ * Parsed data lines of a server-sent event stream
+ */
+async function* readServerSentEvents(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop() || '';
+
+    for (const line of lines) {
+      if (!line.startsWith('data: ')) continue;
+      const data = line.slice(6).trim();
+      if (!data || data === '[DONE]') continue;
+
+      let event;
+      try {
+        event = JSON.parse(data);
+      } catch {
+        console.warn('Failed to parse SSE data:', data);
+        continue;
+      }
+      yield event;
+    }
+  }
+}
+
+function parseJson(text) {
+  if (!text) return {};
+  try {
+    return JSON.parse(text);
+  } catch {
+    return {};
+  }
+}
+
+// ========================================
+// Default Export
+// ========================================
+
+export default {
+  PROVIDERS,
+  createProvider
+};
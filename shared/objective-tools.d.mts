@@ -0,0 +1,43 @@
+/**
+ * Type declarations for objective-tools.mjs
+ */
+
+/** Any client with Supabase's query builder (kept structural so callers bring their own) */
+export interface ObjectiveToolsClient {
+  from(table: string): any;
+}
+
+export interface JsonSchemaProperty {
+  type: "string" | "boolean";
+  description?: string;
+  minLength?: number;
+  enum?: string[];
+  default?: string | boolean;
+}
+
+export interface ObjectiveToolInputSchema {
+  type: "object";
+  properties: Record<string, JsonSchemaProperty>;
+  required: string[];
+  additionalProperties: false;
+}
+
+export interface ObjectiveToolAnnotations {
+  readOnlyHint: boolean;
+  destructiveHint: boolean;
+  idempotentHint: boolean;
+  openWorldHint: boolean;
+}
+
+export interface ObjectiveTool {
+  name: string;
+  title: string;
+  description: string;
+  inputSchema: ObjectiveToolInputSchema;
+  annotations: ObjectiveToolAnnotations;
+  handler(supabase: ObjectiveToolsClient, input: Record<string, unknown>): Promise<Record<string, unknown>>;
+}
+
+export declare const objectiveTools: ObjectiveTool[];
+
+export default objectiveTools;
@@ -0,0 +1,675 @@
+/**
+ * Objective Tools
+ *
+ * Objective, priority, step and next-step tools shared by the in-app agent
+ * (server/tools.mjs) and the MCP server (mcp/src/index.ts), so both expose
+ * the same capabilities with the same schemas and behavior.
+ *
+ * Each tool has a base name (the MCP server registers it as layer_<name>),
+ * a title, a description, a JSON Schema for its input, MCP annotations, and
+ * a handler taking (supabase, input) that returns a plain result object.
+ * Handlers apply the schema defaults themselves and throw on failure; each
+ * server formats results and errors its own way.
+ */
+
+// ========================================
+// Data Access
+// ========================================
+
+/**
+ * Database row -> objective
+ */
+function rowToObjective(row) {
+  return {
+    id: row.id,
+    name: row.name || '',
+    description: row.description || '',
+    priorities: row.priorities || [],
+    steps: row.steps || [],
+    nextStep: row.next_step || null,
+    folderId: row.folder_id || null,
+    orderIndex: row.order_index || 0,
+    tags: row.tags || [],
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+async function loadAllObjectives(supabase) {
+  const { data, error } = await supabase
+    .from('objectives')
+    .select('*')
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to load objectives: ${error.message}`);
+  }
+
+  return (data || []).map(rowToObjective);
+}
+
+/**
+ * Load one objective, throwing if it doesn't exist
+ */
+async function getObjective(supabase, id) {
+  const { data, error } = await supabase
+    .from('objectives')
+    .select('*')
+    .eq('id', id)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      throw new Error(`Objective not found with ID '${id}'`);
+    }
+    throw new Error(`Failed to load objective: ${error.message}`);
+  }
+
+  return rowToObjective(data);
+}
+
+async function saveObjective(supabase, objective) {
+  const { error } = await supabase
+    .from('objectives')
+    .update({
+      name: objective.name,
+      description: objective.description,
+      priorities: objective.priorities,
+      steps: objective.steps,
+      next_step: objective.nextStep,
+      folder_id: objective.folderId,
+      order_index: objective.orderIndex,
+      tags: objective.tags,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', objective.id);
+
+  if (error) {
+    throw new Error(`Failed to save objective: ${error.message}`);
+  }
+}
+
+// ========================================
+// Helpers
+// ========================================
+
+function generateId() {
+  return Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
+}
+
+function formatDuration(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+  const hours = Math.floor(seconds / 3600);
+  const mins = Math.floor((seconds % 3600) / 60);
+  return mins > 0 ? `${hours}h ${mins}m` : `${hours}h`;
+}
+
+function totalElapsed(objective) {
+  return objective.steps.reduce((sum, s) => sum + (s.elapsed || 0), 0);
+}
+
+/**
+ * Throw unless a string input is present and non-empty
+ */
+function requireString(value, label) {
+  if (typeof value !== 'string' || value.length === 0) {
+    throw new Error(`${label} is required`);
+  }
+  return value;
+}
+
+const STEP_STATUSES = ['pending', 'paused', 'completed'];
+
+function checkStatus(status) {
+  if (!STEP_STATUSES.includes(status)) {
+    throw new Error(`Invalid status "${status}". Must be one of: ${STEP_STATUSES.join(', ')}`);
+  }
+  return status;
+}
+
+// Input schema fragments
+const OBJECTIVE_ID = { type: 'string', minLength: 1, description: 'The objective UUID' };
+const STEP_STATUS = { type: 'string', enum: STEP_STATUSES };
+
+const READ_ONLY = { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false };
+const ADDITIVE = { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: false };
+const IDEMPOTENT = { readOnlyHint: false, destructiveHint: false, idempotentHint: true, openWorldHint: false };
+const DESTRUCTIVE = { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: false };
+
+// ========================================
+// Tool Definitions
+// ========================================
+
+export const objectiveTools = [
+  // ========================================
+  // Read Tools
+  // ========================================
+  {
+    name: 'list_objectives',
+    title: 'List Objectives',
+    description: `List all objectives in Layer with summary information.
+
+Returns a list of all objectives including their name, description,
+number of priorities, number of steps, and active step if any.
+
+Args:
+  - include_steps (boolean): Include step details in response (default: false)
+
+Returns:
+  Array of objectives with:
+  - id: Objective UUID
+  - name: Objective title
+  - description: Objective description
+  - priorityCount: Number of priorities
+  - stepCount: Number of logged steps
+  - totalTimeSpent: Total elapsed time across all steps
+  - nextStep: Current in-progress step (if any)
+  - steps: Array of steps (if include_steps is true)`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        include_steps: {
+          type: 'boolean',
+          default: false,
+          description: 'Include step details in the response'
+        }
+      },
+      required: [],
+      additionalProperties: false
+    },
+    annotations: READ_ONLY,
+    handler: async (supabase, { include_steps = false } = {}) => {
+      const objectives = await loadAllObjectives(supabase);
+
+      const result = objectives.map((obj) => {
+        const summary = {
+          id: obj.id,
+          name: obj.name,
+          description: obj.description,
+          priorityCount: obj.priorities.length,
+          stepCount: obj.steps.length,
+          totalTimeSpent: formatDuration(totalElapsed(obj)),
+          nextStep: obj.nextStep ? obj.nextStep.text : null
+        };
+
+        if (include_steps) {
+          summary.steps = obj.steps;
+        }
+
+        return summary;
+      });
+
+      return { count: result.length, objectives: result };
+    }
+  },
+  {
+    name: 'get_objective',
+    title: 'Get Objective',
+    description: `Get full details of a single objective by ID.
+
+Returns complete objective data including all priorities and steps.
+
+Args:
+  - id (string): The UUID of the objective
+
+Returns:
+  Complete objective with:
+  - id, name, description
+  - createdAt, updatedAt timestamps
+  - priorities: Array of {id, name, description}
+  - steps: Array of {id, name, status, elapsed, loggedAt, completedAt}
+  - nextStep: Current in-progress step (if any)
+  - stats: Summary statistics (totalTime, completedSteps, etc.)`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { ...OBJECTIVE_ID, description: 'The UUID of the objective to retrieve' }
+      },
+      required: ['id'],
+      additionalProperties: false
+    },
+    annotations: READ_ONLY,
+    handler: async (supabase, { id }) => {
+      const objective = await getObjective(supabase, requireString(id, 'Objective ID'));
+      const totalTime = totalElapsed(objective);
+      const completedSteps = objective.steps.filter((s) => s.status === 'completed').length;
+
+      return {
+        ...objective,
+        stats: {
+          totalTimeSpent: formatDuration(totalTime),
+          totalTimeSeconds: totalTime,
+          totalSteps: objective.steps.length,
+          completedSteps,
+          pendingSteps: objective.steps.length - completedSteps,
+          priorityCount: objective.priorities.length
+        }
+      };
+    }
+  },
+  {
+    name: 'get_stats',
+    title: 'Get Statistics',
+    description: `Get aggregate statistics across all objectives.
+
+Returns summary metrics about your objectives, priorities, and time tracking.
+
+Returns:
+  - totalObjectives: Number of objectives
+  - totalPriorities: Sum of priorities across all objectives
+  - totalSteps: Sum of all logged steps
+  - totalTimeSpent: Formatted total time
+  - recentlyActive: The five most recently updated objectives`,
+    inputSchema: {
+      type: 'object',
+      properties: {},
+      required: [],
+      additionalProperties: false
+    },
+    annotations: READ_ONLY,
+    handler: async (supabase) => {
+      const objectives = await loadAllObjectives(supabase);
+
+      let totalPriorities = 0;
+      let totalSteps = 0;
+      let totalTime = 0;
+
+      for (const obj of objectives) {
+        totalPriorities += obj.priorities.length;
+        totalSteps += obj.steps.length;
+        totalTime += totalElapsed(obj);
+      }
+
+      // Sort by most recently updated
+      const recentlyActive = [...objectives]
+        .sort((a, b) => new Date(b.updatedAt).getTime() - new Date(a.updatedAt).getTime())
+        .slice(0, 5)
+        .map((obj) => ({
+          id: obj.id,
+          name: obj.name,
+          updatedAt: obj.updatedAt,
+          hasActiveStep: obj.nextStep !== null
+        }));
+
+      return {
+        totalObjectives: objectives.length,
+        totalPriorities,
+        totalSteps,
+        totalTimeSpent: formatDuration(totalTime),
+        totalTimeSeconds: totalTime,
+        recentlyActive
+      };
+    }
+  },
+
+  // ========================================
+  // Objective Tools
+  // ========================================
+  {
+    name: 'create_objective',
+    title: 'Create Objective',
+    description: `Create a new objective.
+
+Args:
+  - name (string): The name/title of the objective
+  - description (string, optional): Detailed description
+
+Returns:
+  The newly created objective with its generated ID`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', minLength: 1, description: 'The name of the objective' },
+        description: { type: 'string', default: '', description: 'Optional description' }
+      },
+      required: ['name'],
+      additionalProperties: false
+    },
+    annotations: ADDITIVE,
+    handler: async (supabase, { name, description = '' }) => {
+      const now = new Date().toISOString();
+
+      const { data, error } = await supabase
+        .from('objectives')
+        .insert({
+          name: requireString(name, 'Name'),
+          description,
+          priorities: [],
+          steps: [],
+          next_step: null,
+          folder_id: null,
+          order_index: 0,
+          created_at: now,
+          updated_at: now
+        })
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to create objective: ${error.message}`);
+      }
+
+      return rowToObjective(data);
+    }
+  },
+  {
+    name: 'update_objective',
+    title: 'Update Objective',
+    description: `Update an objective's name and/or description.
+
+Args:
+  - id (string): The objective UUID
+  - name (string, optional): New name
+  - description (string, optional): New description
+
+Returns:
+  The updated objective`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: OBJECTIVE_ID,
+        name: { type: 'string', description: 'New name' },
+        description: { type: 'string', description: 'New description' }
+      },
+      required: ['id'],
+      additionalProperties: false
+    },
+    annotations: IDEMPOTENT,
+    handler: async (supabase, { id, name, description }) => {
+      const objective = await getObjective(supabase, requireString(id, 'Objective ID'));
+
+      if (name !== undefined) objective.name = name;
+      if (description !== undefined) objective.description = description;
+
+      await saveObjective(supabase, objective);
+      return objective;
+    }
+  },
+  {
+    name: 'set_next_step',
+    title: 'Set Next Step',
+    description: `Set or clear the next step for an objective.
+
+Args:
+  - objective_id (string): The objective UUID
+  - text (string): The next step text. Pass empty string to clear.
+
+Returns:
+  The updated objective`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        objective_id: OBJECTIVE_ID,
+        text: { type: 'string', description: 'Next step text (empty to clear)' }
+      },
+      required: ['objective_id', 'text'],
+      additionalProperties: false
+    },
+    annotations: IDEMPOTENT,
+    handler: async (supabase, { objective_id, text }) => {
+      const objective = await getObjective(supabase, requireString(objective_id, 'Objective ID'));
+
+      if (!text) {
+        objective.nextStep = null;
+      } else {
+        objective.nextStep = {
+          text,
+          elapsedSeconds: objective.nextStep?.elapsedSeconds || 0
+        };
+      }
+
+      await saveObjective(supabase, objective);
+      return objective;
+    }
+  },
+
+  // ========================================
+  // Step Tools
+  // ========================================
+  {
+    name: 'add_step',
+    title: 'Add Step',
+    description: `Add a new step to an objective.
+
+Args:
+  - objective_id (string): The objective UUID
+  - name (string): The step name/description
+  - status (string, optional): pending, paused, or completed (default: pending)
+
+Returns:
+  The new step and the updated objective`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        objective_id: OBJECTIVE_ID,
+        name: { type: 'string', minLength: 1, description: 'The step name/description' },
+        status: { ...STEP_STATUS, default: 'pending', description: 'Step status (default: pending)' }
+      },
+      required: ['objective_id', 'name'],
+      additionalProperties: false
+    },
+    annotations: ADDITIVE,
+    handler: async (supabase, { objective_id, name, status = 'pending' }) => {
+      const objective = await getObjective(supabase, requireString(objective_id, 'Objective ID'));
+
+      const now = new Date().toISOString();
+      const step = {
+        id: generateId(),
+        name: requireString(name, 'Step name'),
+        loggedAt: now,
+        orderNumber: objective.steps.length + 1,
+        status: checkStatus(status),
+        elapsed: 0,
+        startedAt: null,
+        completedAt: status === 'completed' ? now : null
+      };
+
+      objective.steps.push(step);
+      await saveObjective(supabase, objective);
+
+      return { step, objective };
+    }
+  },
+  {
+    name: 'update_step',
+    title: 'Update Step',
+    description: `Update a step's name or status.
+
+Args:
+  - objective_id (string): The objective UUID
+  - step_id (string): The step ID
+  - name (string, optional): New name
+  - status (string, optional): pending, paused, or completed
+
+Returns:
+  The step and the updated objective`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        objective_id: OBJECTIVE_ID,
+        step_id: { type: 'string', minLength: 1, description: 'The step ID' },
+        name: { type: 'string', description: 'New name' },
+        status: { ...STEP_STATUS, description: 'New status' }
+      },
+      required: ['objective_id', 'step_id'],
+      additionalProperties: false
+    },
+    annotations: IDEMPOTENT,
+    handler: async (supabase, { objective_id, step_id, name, status }) => {
+      const objective = await getObjective(supabase, requireString(objective_id, 'Objective ID'));
+
+      const step = objective.steps.find((s) => s.id === step_id);
+      if (!step) {
+        throw new Error('Step not found');
+      }
+
+      if (name !== undefined) step.name = name;
+      if (status !== undefined) {
+        step.status = checkStatus(status);
+        if (status === 'completed' && !step.completedAt) {
+          step.completedAt = new Date().toISOString();
+        }
+      }
+
+      await saveObjective(supabase, objective);
+      return { step, objective };
+    }
+  },
+  {
+    name: 'delete_step',
+    title: 'Delete Step',
+    description: `Remove a step from an objective.
+
+Args:
+  - objective_id (string): The objective UUID
+  - step_id (string): The step ID to delete
+
+Returns:
+  The updated objective`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        objective_id: OBJECTIVE_ID,
+        step_id: { type: 'string', minLength: 1, description: 'The step ID to delete' }
+      },
+      required: ['objective_id', 'step_id'],
+      additionalProperties: false
+    },
+    annotations: DESTRUCTIVE,
+    handler: async (supabase, { objective_id, step_id }) => {
+      const objective = await getObjective(supabase, requireString(objective_id, 'Objective ID'));
+
+      const stepIndex = objective.steps.findIndex((s) => s.id === step_id);
+      if (stepIndex === -1) {
+        throw new Error('Step not found');
+      }
+
+      objective.steps.splice(stepIndex, 1);
+      // Renumber remaining steps
+      objective.steps.forEach((s, i) => (s.orderNumber = i + 1));
+
+      await saveObjective(supabase, objective);
+      return objective;
+    }
+  },
+
+  // ========================================
+  // Priority Tools
+  // ========================================
+  {
+    name: 'add_priority',
+    title: 'Add Priority',
+    description: `Add a new priority to an objective.
+
+Args:
+  - objective_id (string): The objective UUID
+  - name (string): The priority name
+  - description (string, optional): Priority description
+
+Returns:
+  The new priority and the updated objective`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        objective_id: OBJECTIVE_ID,
+        name: { type: 'string', minLength: 1, description: 'The priority name' },
+        description: { type: 'string', default: '', description: 'Optional description' }
+      },
+      required: ['objective_id', 'name'],
+      additionalProperties: false
+    },
+    annotations: ADDITIVE,
+    handler: async (supabase, { objective_id, name, description = '' }) => {
+      const objective = await getObjective(supabase, requireString(objective_id, 'Objective ID'));
+
+      const priority = {
+        id: generateId(),
+        name: requireString(name, 'Priority name'),
+        description
+      };
+
+      objective.priorities.push(priority);
+      await saveObjective(supabase, objective);
+
+      return { priority, objective };
+    }
+  },
+  {
+    name: 'update_priority',
+    title: 'Update Priority',
+    description: `Update a priority's name or description.
+
+Args:
+  - objective_id (string): The objective UUID
+  - priority_id (string): The priority ID
+  - name (string, optional): New name
+  - description (string, optional): New description
+
+Returns:
+  The priority and the updated objective`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        objective_id: OBJECTIVE_ID,
+        priority_id: { type: 'string', minLength: 1, description: 'The priority ID' },
+        name: { type: 'string', description: 'New name' },
+        description: { type: 'string', description: 'New description' }
+      },
+      required: ['objective_id', 'priority_id'],
+      additionalProperties: false
+    },
+    annotations: IDEMPOTENT,
+    handler: async (supabase, { objective_id, priority_id, name, description }) => {
+      const objective = await getObjective(supabase, requireString(objective_id, 'Objective ID'));
+
+      const priority = objective.priorities.find((p) => p.id === priority_id);
+      if (!priority) {
+        throw new Error('Priority not found');
+      }
+
+      if (name !== undefined) priority.name = name;
+      if (description !== undefined) priority.description = description;
+
+      await saveObjective(supabase, objective);
+      return { priority, objective };
+    }
+  },
+  {
+    name: 'delete_priority',
+    title: 'Delete Priority',
+    description: `Remove a priority from an objective.
+
+Args:
+  - objective_id (string): The objective UUID
+  - priority_id (string): The priority ID to delete
+
+Returns:
+  The updated objective`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        objective_id: OBJECTIVE_ID,
+        priority_id: { type: 'string', minLength: 1, description: 'The priority ID to delete' }
+      },
+      required: ['objective_id', 'priority_id'],
+      additionalProperties: false
+    },
+    annotations: DESTRUCTIVE,
+    handler: async (supabase, { objective_id, priority_id }) => {
+      const objective = await getObjective(supabase, requireString(objective_id, 'Objective ID'));
+
+      const priorityIndex = objective.priorities.findIndex((p) => p.id === priority_id);
+      if (priorityIndex === -1) {
+        throw new Error('Priority not found');
+      }
+
+      objective.priorities.splice(priorityIndex, 1);
+      await saveObjective(supabase, objective);
+
+      return objective;
+    }
+  }
+];
+
+export default objectiveTools;
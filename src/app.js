@@ -13,12 +13,14 @@ import * as Repository from './data/repository.js';
 import * as BookmarkStorage from './data/bookmark-storage.js';
 import * as NoteStorage from './data/note-storage.js';
 import * as TaskListStorage from './data/task-list-storage.js';
+import * as LocalStore from './data/local-store.js';
 import * as TreeUtils from './data/tree-utils.js';
 import * as TabState from './state/tab-state.js';
 import * as TabContentManager from './state/tab-content-manager.js';
 import * as SideListState from './state/side-list-state.js';
 import * as AppState from './state/app-state.js';
 import * as OptimisticState from './state/optimistic-state.js';
+import * as SessionManager from './state/session-manager.js';
 
 // ========================================
 // Module Imports - Services
@@ -26,6 +28,9 @@ import * as OptimisticState from './state/optimistic-state.js';
 
 import * as AnthropicService from './services/anthropic-service.js';
 import * as ChatContext from './services/chat-context.js';
+import * as SearchIndex from './services/search-index.js';
+import * as SearchQuery from './services/search-query.js';
+import * as LinkIndex from './services/link-index.js';
 
 // ========================================
 // Module Imports - Utils
@@ -55,6 +60,8 @@ import * as Router from './router.js';
 import * as PromptController from './controllers/prompt-controller.js';
 import * as NavigationController from './controllers/navigation-controller.js';
 import * as EditController from './controllers/edit-controller.js';
+import * as TagController from './controllers/tag-controller.js';
+import * as LinkController from './controllers/link-controller.js';
 
 // ========================================
 // Module Imports - Components
@@ -63,6 +70,7 @@ import * as EditController from './controllers/edit-controller.js';
 import * as ListItem from './components/list-item.js';
 import * as ContextMenu from './components/context-menu.js';
 import * as DeleteModal from './components/delete-modal.js';
+import * as TagModal from './components/tag-modal.js';
 import * as SideList from './components/side-list.js';
 import * as ContentView from './components/content-view.js';
 import * as NextStepTimer from './components/next-step-timer.js';
@@ -72,6 +80,11 @@ import * as MarkdownEditor from './components/markdown-editor.js';
 import * as DirectoryListing from './components/directory-listing.js';
 import * as Toast from './components/toast.js';
 import * as TaskListView from './components/task-list-view.js';
+import * as SearchView from './components/search-view.js';
+import * as TagBrowser from './components/tag-browser.js';
+import * as BacklinksPanel from './components/backlinks-panel.js';
+import * as GraphView from './components/graph-view.js';
+import * as ClarityBadge from './components/clarity-badge.js';
 import * as HtmlToEditorJs from './utils/html-to-editorjs.js';
 import * as EditorJsToMarkdown from './utils/editorjs-to-markdown.js';
 
@@ -87,16 +100,21 @@ window.Layer = {
   BookmarkStorage,
   NoteStorage,
   TaskListStorage,
+  LocalStore,
   TreeUtils,
   TabState,
   TabContentManager,
   SideListState,
   AppState,
   OptimisticState,
+  SessionManager,
 
   // Services
   AnthropicService,
   ChatContext,
+  SearchIndex,
+  SearchQuery,
+  LinkIndex,
 
   // Utils
   Utils,
@@ -116,11 +134,14 @@ window.Layer = {
   PromptController,
   NavigationController,
   EditController,
+  TagController,
+  LinkController,
 
   // Components
   ListItem,
   ContextMenu,
   DeleteModal,
+  TagModal,
   SideList,
   ContentView,
   NextStepTimer,
@@ -130,6 +151,10 @@ window.Layer = {
   DirectoryListing,
   Toast,
   TaskListView,
+  SearchView,
+  TagBrowser,
+  BacklinksPanel,
+  GraphView,
   Tabs,
 
   // Editor utilities
@@ -171,7 +196,7 @@ function wireCallbacks() {
   ContentView.setCallbacks({
     startAddPriority: PromptController.startAddPriority,
     startLogStep: PromptController.startLogStep,
-    refreshClarity: () => {}, // Clarity disabled
+    refreshClarity: ClarityBadge.refreshClarity,
     renderSideList: SideList.renderSideList
   });
 
@@ -191,6 +216,18 @@ function wireCallbacks() {
     renderContentView: ContentView.renderContentView,
     renderSideList: SideList.renderSideList
   });
+
+  // Wire TagController callbacks
+  TagController.setCallbacks({
+    renderSideList: SideList.renderSideList,
+    renderContentView: ContentView.renderContentView,
+    updateTabTitle: updateTabTitleFromSelection
+  });
+
+  // Wire LinkController callbacks
+  LinkController.setCallbacks({
+    renderSideList: SideList.renderSideList
+  });
 }
 
 // ========================================
@@ -209,6 +246,31 @@ function saveData() {
   }
 }
 
+/**
+ * Push new content for the note open in the editor, if it's among the changed notes
+ * @param {Array} notes - Freshly loaded notes
+ * @param {Array<string>} changedIds - IDs of notes that changed on disk
+ * @returns {boolean} True if the open note was updated in place
+ */
+function refreshOpenNote(notes, changedIds) {
+  const openId = MarkdownEditor.getCurrentNoteId?.();
+  if (!openId || AppState.getViewMode() !== 'note') return false;
+
+  const note = notes.find(n => n.id === openId);
+  const selected = SideListState.getSelectedItem?.()?.data;
+  if (!note || selected?.id !== openId) return false;
+  if (!changedIds.includes(openId)) return true;
+
+  // Renamed or moved: the header needs a full render
+  if (note.name !== selected.name || note.folderId !== selected.folderId) return false;
+
+  // Keep the selected note object (the editor's auto-save writes to it) current
+  selected.content = note.content;
+  selected.updatedAt = note.updatedAt;
+  MarkdownEditor.setContent(note.content || '');
+  return true;
+}
+
 /**
  * Open a URL in a new tab (used for target="_blank" links from webviews)
  */
@@ -255,8 +317,9 @@ function updateTabTitleFromSelection() {
 
   // Web tabs get their title/icon from webview events - don't overwrite
   if (viewMode === 'web') {
-    const tabData = TabState.getTabById(TabState.getActiveTabId());
-    Router.updateURL('web', null);
+    const activeTabId = TabState.getActiveTabId();
+    const tabData = TabState.getTabById(activeTabId);
+    Router.updateURL('web', TabContentManager.getWebview(activeTabId)?.src || null);
     Router.updateWindowTitle(tabData?.title || 'Web');
     return;
   }
@@ -300,6 +363,33 @@ function updateTabTitleFromSelection() {
       windowTitle = note.name || 'Untitled Note';
     }
     icon = 'note';
+  } else if (selection.type === 'task-list' && selection.id) {
+    const taskList = AppState.getTaskLists().find(t => t.id === selection.id);
+    if (taskList) {
+      title = taskList.name || 'Untitled Task List';
+      windowTitle = taskList.name || 'Untitled Task List';
+    }
+    icon = 'note';
+  } else if (selection.type === 'search') {
+    title = selection.id ? `Search: ${selection.id}` : 'Search';
+    icon = 'search';
+    windowTitle = title;
+  } else if (selection.type === 'tag') {
+    title = selection.id ? `#${selection.id}` : 'Tags';
+    icon = 'tag';
+    windowTitle = title;
+  } else if (selection.type === 'graph') {
+    title = 'Graph';
+    icon = 'graph';
+    windowTitle = title;
+  } else if (selection.type === 'reports') {
+    title = 'Reports';
+    icon = 'reports';
+    windowTitle = title;
+  } else if (selection.type === 'calendar') {
+    title = 'Calendar';
+    icon = 'calendar';
+    windowTitle = title;
   } else if (viewMode === 'empty' || !selection.id) {
     title = 'Layer';
     icon = 'home';
@@ -360,11 +450,25 @@ async function initStorage() {
     return;
   }
 
+  // Surface sync status (pending writes, conflicts, offline) in the status reporter
+  Repository.onSyncStatusChange?.((status) => {
+    AppState.updateSystemStatus('sync', status);
+    Platform.updateStatusReporter();
+  });
+
+  // Keep the search and link indexes current as records are saved and deleted
+  Repository.onRecordChange?.(SearchIndex.updateRecord);
+  Repository.onRecordChange?.(LinkIndex.updateRecord);
+  LinkController.init();
+
   try {
     const loadedData = await Repository.initializeData();
+    await Repository.pauseStaleTimers?.();
     if (loadedData && loadedData.objectives) {
       console.log('Loaded', loadedData.objectives.length, 'objectives from Supabase');
       AppState.setObjectives(loadedData.objectives);
+      SearchIndex.syncCollection('objectives', loadedData.objectives);
+      LinkIndex.syncCollection('objectives', loadedData.objectives);
     }
 
     // Load folders
@@ -372,37 +476,56 @@ async function initStorage() {
       const folders = await Repository.loadAllFolders();
       console.log('Loaded', folders.length, 'folders from Supabase');
       AppState.setFolders(folders);
+      SearchIndex.syncCollection('folders', folders);
+      LinkIndex.syncCollection('folders', folders);
     }
 
     // Load notes
-    if (NoteStorage.loadAllNotes) {
-      const notes = await NoteStorage.loadAllNotes();
+    if (Repository.loadAllNotes) {
+      const notes = await Repository.loadAllNotes();
       console.log('Loaded', notes.length, 'notes from Supabase');
       AppState.setNotes(notes);
+      SearchIndex.syncCollection('notes', notes);
+      LinkIndex.syncCollection('notes', notes);
     }
 
     // Load task lists
-    if (TaskListStorage.loadAllTaskLists) {
-      const taskLists = await TaskListStorage.loadAllTaskLists();
+    if (Repository.loadAllTaskLists) {
+      const taskLists = await Repository.loadAllTaskLists();
       console.log('Loaded', taskLists.length, 'task lists from Supabase');
       AppState.setTaskLists(taskLists);
+      SearchIndex.syncCollection('taskLists', taskLists);
+      LinkIndex.syncCollection('taskLists', taskLists);
     }
 
     // Build tree from flat data (includes bookmarks from localStorage)
     const bookmarks = BookmarkStorage.loadAllBookmarks?.() || [];
     AppState.rebuildTree(bookmarks);
     console.log('Built tree with', AppState.getTree().length, 'root items');
+    SearchIndex.syncCollection('bookmarks', bookmarks);
 
-    updateView();
+    await updateView();
     Platform.updateStatusReporter();
 
+    // Tasks aren't needed to draw the tree; index them in the background
+    Repository.loadAllTasks?.().then(tasks => {
+      SearchIndex.syncCollection('tasks', tasks);
+      LinkIndex.syncCollection('tasks', tasks);
+    }).catch(err => {
+      console.error('Failed to index tasks:', err);
+    });
+
     // Subscribe to realtime changes
     if (Repository.subscribeToChanges) {
       Repository.subscribeToChanges(async (payload) => {
+        if (Repository.isOwnEcho?.('objectives', payload)) return;
+
         console.log('Realtime update received, refreshing...');
         const reloadedData = await Repository.reloadData();
         if (reloadedData && reloadedData.objectives) {
           AppState.setObjectives(reloadedData.objectives);
+          SearchIndex.syncCollection('objectives', reloadedData.objectives);
+          LinkIndex.syncCollection('objectives', reloadedData.objectives);
           const bm = BookmarkStorage.loadAllBookmarks?.() || [];
           AppState.rebuildTree(bm);
           updateView();
@@ -414,9 +537,13 @@ async function initStorage() {
     // Subscribe to folder changes
     if (Repository.subscribeToFolderChanges) {
       Repository.subscribeToFolderChanges(async (payload) => {
+        if (Repository.isOwnEcho?.('folders', payload)) return;
+
         console.log('Folder realtime update received, refreshing...');
         const folders = await Repository.loadAllFolders();
         AppState.setFolders(folders);
+        SearchIndex.syncCollection('folders', folders);
+        LinkIndex.syncCollection('folders', folders);
         const bm = BookmarkStorage.loadAllBookmarks?.() || [];
         AppState.rebuildTree(bm);
         updateView();
@@ -425,20 +552,28 @@ async function initStorage() {
     }
 
     // Subscribe to note changes
-    if (NoteStorage.subscribeToNoteChanges) {
-      NoteStorage.subscribeToNoteChanges(async (payload) => {
-        // Skip refreshing for notes we just saved locally (avoid editing loop)
-        const noteId = payload.new?.id || payload.old?.id;
-        if (noteId && NoteStorage.wasRecentlySavedLocally?.(noteId)) {
-          console.log('Note realtime update received but skipping (local save):', noteId);
+    if (Repository.subscribeToNoteChanges) {
+      Repository.subscribeToNoteChanges(async (payload) => {
+        // Skip refreshing for our own saves echoing back (avoid editing loop)
+        if (Repository.isOwnEcho?.('notes', payload)) {
+          console.log('Note realtime update received but skipping (local save):', payload.new?.id || payload.old?.id);
           return;
         }
 
         console.log('Note realtime update received, refreshing...');
-        const notes = await NoteStorage.loadAllNotes();
+        const notes = await Repository.loadAllNotes();
         AppState.setNotes(notes);
+        SearchIndex.syncCollection('notes', notes);
+        LinkIndex.syncCollection('notes', notes);
         const bm = BookmarkStorage.loadAllBookmarks?.() || [];
         AppState.rebuildTree(bm);
+
+        // A vault file edited in another app: update the open editor in place
+        // rather than re-rendering it (keeps scroll and cursor)
+        if (payload.source === 'vault' && refreshOpenNote(notes, payload.noteIds || [])) {
+          await SideList.renderSideList();
+          return;
+        }
         updateView();
       });
       console.log('Subscribed to note realtime updates');
@@ -447,22 +582,40 @@ async function initStorage() {
     // Subscribe to task list changes
     if (TaskListStorage.subscribeToTaskListChanges) {
       TaskListStorage.subscribeToTaskListChanges(async (payload) => {
-        // Skip refreshing for task lists we just saved locally (avoid editing loop)
-        const taskListId = payload.new?.id || payload.old?.id;
-        if (taskListId && TaskListStorage.wasRecentlySavedLocally?.(taskListId)) {
-          console.log('Task list realtime update received but skipping (local save):', taskListId);
+        // Skip refreshing for our own saves echoing back (avoid editing loop)
+        if (Repository.isOwnEcho?.('taskLists', payload)) {
+          console.log('Task list realtime update received but skipping (local save):', payload.new?.id || payload.old?.id);
           return;
         }
 
         console.log('Task list realtime update received, refreshing...');
-        const taskLists = await TaskListStorage.loadAllTaskLists();
+        const taskLists = await Repository.loadAllTaskLists();
         AppState.setTaskLists(taskLists);
+        SearchIndex.syncCollection('taskLists', taskLists);
+        LinkIndex.syncCollection('taskLists', taskLists);
         const bm = BookmarkStorage.loadAllBookmarks?.() || [];
         AppState.rebuildTree(bm);
         updateView();
       });
       console.log('Subscribed to task list realtime updates');
     }
+
+    // Subscribe to task changes (only the search index shows tasks outside their list)
+    if (TaskListStorage.subscribeToTaskChanges) {
+      let taskReindexTimer = null;
+      TaskListStorage.subscribeToTaskChanges((payload) => {
+        if (Repository.isOwnEcho?.('tasks', payload)) return;
+
+        // Changes arrive in bursts (completing a task completes its subtasks)
+        clearTimeout(taskReindexTimer);
+        taskReindexTimer = setTimeout(async () => {
+          const tasks = await Repository.loadAllTasks();
+          SearchIndex.syncCollection('tasks', tasks);
+          LinkIndex.syncCollection('tasks', tasks);
+        }, 1000);
+      });
+      console.log('Subscribed to task realtime updates');
+    }
   } catch (e) {
     console.warn('Storage init failed:', e);
   }
@@ -522,17 +675,17 @@ async function addNewObjective() {
  */
 async function addNewNote() {
   try {
-    if (!NoteStorage.saveNote) {
-      console.warn('NoteStorage.saveNote not available');
+    if (!Repository.saveNote) {
+      console.warn('Repository.saveNote not available');
       return;
     }
 
     const note = Repository.createNote('New Note', '', null, 0);
-    const savedNote = await NoteStorage.saveNote(note);
+    const savedNote = await Repository.saveNote(note);
     console.log('Created note:', savedNote);
 
     // Reload notes
-    const notes = await NoteStorage.loadAllNotes();
+    const notes = await Repository.loadAllNotes();
     AppState.setNotes(notes);
 
     // Select the new note
@@ -556,17 +709,17 @@ async function addNewNote() {
  */
 async function addNewTaskList() {
   try {
-    if (!TaskListStorage.saveTaskList) {
-      console.warn('TaskListStorage.saveTaskList not available');
+    if (!Repository.saveTaskList) {
+      console.warn('Repository.saveTaskList not available');
       return;
     }
 
     const taskList = Repository.createTaskList('New Task List', null, 0);
-    const savedTaskList = await TaskListStorage.saveTaskList(taskList);
+    const savedTaskList = await Repository.saveTaskList(taskList);
     console.log('Created task list:', savedTaskList);
 
     // Reload task lists
-    const taskLists = await TaskListStorage.loadAllTaskLists();
+    const taskLists = await Repository.loadAllTaskLists();
     AppState.setTaskLists(taskLists);
 
     // Rebuild tree
@@ -620,6 +773,24 @@ function initEventHandlers() {
     });
   });
 
+  // Graph button opens the graph view in the current tab
+  document.getElementById('graph-btn')?.addEventListener('click', () => {
+    GlobalNav.navigateToResult({ type: 'graph' });
+    updateTabTitleFromSelection();
+  });
+
+  // Calendar button opens today's day view in the current tab
+  document.getElementById('calendar-btn')?.addEventListener('click', () => {
+    GlobalNav.navigateToResult({ type: 'calendar' });
+    updateTabTitleFromSelection();
+  });
+
+  // Reports button opens time-tracking reports in the current tab
+  document.getElementById('reports-btn')?.addEventListener('click', () => {
+    GlobalNav.navigateToResult({ type: 'reports' });
+    updateTabTitleFromSelection();
+  });
+
   // Edit button click handler (event delegation)
   document.getElementById('content-body')?.addEventListener('click', (e) => {
     if (e.target.classList.contains('edit-btn')) {
@@ -688,6 +859,23 @@ function handleRouteNavigation(route) {
       TabState.setSelection('home', 'home');
       AppState.setViewMode('home');
     }
+  } else if ((type === 'note' || type === 'task-list') && id) {
+    // Jump to the linked heading once the note renders
+    if (route.heading) {
+      ContentView.revealOnRender({ type, id, heading: route.heading });
+    }
+    // Notes and task lists can sit in nested folders, which openItem expands
+    if (NavigationController.openItem(type, id)) return;
+
+    // Not found - go to home
+    TabState.setSelection('home', 'home');
+    AppState.setViewMode('home');
+  } else if (type === 'task' && id) {
+    openTaskRoute(id);
+    return;
+  } else if (type === 'web' && route.url) {
+    GlobalNav.navigateToResult({ type: 'web', url: route.url });
+    return;
   } else {
     // Unknown route - go to home
     TabState.setSelection('home', 'home');
@@ -697,6 +885,35 @@ function handleRouteNavigation(route) {
   updateView();
 }
 
+/**
+ * Open the task list a task belongs to, scrolled to the task
+ * Tasks aren't kept in app state, so the task is looked up first.
+ * @param {string} taskId
+ */
+async function openTaskRoute(taskId) {
+  const tasks = await Repository.loadAllTasks();
+  const task = tasks.find(t => t.id === taskId);
+
+  if (task) {
+    // Expand its parent tasks so it's rendered
+    const seen = new Set();
+    let parentId = task.parentTaskId;
+    while (parentId && !seen.has(parentId)) {
+      seen.add(parentId);
+      TabState.expandTask(parentId);
+      parentId = tasks.find(t => t.id === parentId)?.parentTaskId || null;
+    }
+
+    ContentView.revealOnRender({ type: 'task-list', id: task.taskListId, taskId });
+    if (NavigationController.openItem('task-list', task.taskListId)) return;
+  }
+
+  // Task or its list not found - go to home
+  TabState.setSelection('home', 'home');
+  AppState.setViewMode('home');
+  updateView();
+}
+
 /**
  * Apply initial route from URL (deep linking)
  * Called after data is loaded
@@ -758,6 +975,10 @@ export async function init() {
   // Initialize tabs
   Tabs.initTabs();
 
+  // Restore web tab history and recently closed tabs, and reopen chat windows
+  SessionManager.init();
+  AgentPanel.restoreChatWindows();
+
   // Initialize mobile
   Mobile.init();
 
@@ -768,8 +989,11 @@ export async function init() {
   // After storage loads, apply initial route if present
   setTimeout(async () => {
     await initStorage();
-    // Apply initial route after data is loaded (deep linking)
-    applyInitialRoute();
+    // Apply initial route after data is loaded (deep linking); otherwise
+    // return the restored tab to where it was scrolled
+    if (!applyInitialRoute()) {
+      Tabs.restoreScrollPositions();
+    }
 
     // Re-fire current selection so agent panel active-tab chip resolves
     // (initial seed during AgentPanel.init() runs before data is loaded)
@@ -828,6 +1052,9 @@ export {
   // Services
   AnthropicService,
   ChatContext,
+  SearchIndex,
+  SearchQuery,
+  LinkIndex,
 
   // Utils
   Utils,
@@ -847,11 +1074,14 @@ export {
   PromptController,
   NavigationController,
   EditController,
+  TagController,
+  LinkController,
 
   // Components
   ListItem,
   ContextMenu,
   DeleteModal,
+  TagModal,
   SideList,
   ContentView,
   NextStepTimer,
@@ -877,6 +1107,9 @@ export default {
   AppState,
   AnthropicService,
   ChatContext,
+  SearchIndex,
+  SearchQuery,
+  LinkIndex,
   Utils,
   DomHelpers,
   Markdown,
@@ -890,9 +1123,12 @@ export default {
   PromptController,
   NavigationController,
   EditController,
+  TagController,
+  LinkController,
   ListItem,
   ContextMenu,
   DeleteModal,
+  TagModal,
   SideList,
   ContentView,
   NextStepTimer,
@@ -0,0 +1,69 @@
+/**
+ * Backlinks Panel Component
+ *
+ * Lists the items that [[link]] to a note or objective, with the line each
+ * link appears on. Shown under the note editor and the objective's steps.
+ */
+
+import * as LinkIndex from '../services/link-index.js';
+import { escapeHtml } from '../utils.js';
+
+// ========================================
+// Constants
+// ========================================
+
+const TYPE_LABELS = {
+  note: 'Note',
+  objective: 'Objective',
+  'task-list': 'Task list',
+  task: 'Task',
+  folder: 'Folder'
+};
+
+// ========================================
+// Rendering
+// ========================================
+
+/**
+ * Append a backlinks panel for an item (nothing when no links point at it)
+ * @param {HTMLElement} container - Container to append to
+ * @param {string} type - Item type
+ * @param {string} id - Item ID
+ */
+export function renderBacklinks(container, type, id) {
+  container.querySelector(':scope > .backlinks-panel')?.remove();
+
+  const backlinks = LinkIndex.getBacklinks(type, id);
+  if (backlinks.length === 0) return;
+
+  const panel = document.createElement('div');
+  panel.className = 'backlinks-panel';
+  panel.innerHTML = `
+    <div class="backlinks-heading">${backlinks.length} backlink${backlinks.length === 1 ? '' : 's'}</div>
+    ${backlinks.map((link, index) => `
+      <div class="backlinks-item" data-index="${index}">
+        <div class="backlinks-item-name">
+          ${escapeHtml(link.name || 'Untitled')}
+          <span class="backlinks-item-type">${TYPE_LABELS[link.type] || link.type}</span>
+        </div>
+        <div class="backlinks-item-context">${escapeHtml(link.context)}</div>
+      </div>
+    `).join('')}
+  `;
+
+  panel.querySelectorAll('.backlinks-item').forEach(el => {
+    el.addEventListener('click', () => {
+      window.Layer?.LinkController?.openTarget(backlinks[Number(el.dataset.index)]);
+    });
+  });
+
+  container.appendChild(panel);
+}
+
+// ========================================
+// Default Export
+// ========================================
+
+export default {
+  renderBacklinks
+};
@@ -0,0 +1,515 @@
+/**
+ * Calendar View Component
+ *
+ * One day on a time axis (see ideas/calendar-day-view.md). Work on the day
+ * is laid out as batches: consecutive timer sessions on the same objective,
+ * with the steps worked on and how long each took. Clicking a batch opens
+ * its objective.
+ *
+ * Sessions come from the event log (step and next step timers starting,
+ * pausing and completing). Steps finished without logged timer events,
+ * e.g. from before the event log or older than it keeps locally, are
+ * placed so they end when they were completed.
+ *
+ * Pending steps are listed beside the timeline; dragging one onto it
+ * schedules the step for that time (step.scheduledAt), and dragging a
+ * scheduled step back onto the list unschedules it.
+ */
+
+import AppState from '../state/app-state.js';
+import * as Repository from '../data/repository.js';
+import GlobalNav from './global-nav.js';
+import { StepStatus } from '../constants.js';
+import { escapeHtml, formatDuration } from '../utils.js';
+
+// ========================================
+// Constants
+// ========================================
+
+const HOUR_HEIGHT = 60; // px, so a minute is a pixel
+const DEFAULT_START_HOUR = 8;
+const DEFAULT_END_HOUR = 19;
+
+// A later session on the same objective within this gap joins its batch
+const BATCH_GAP_MS = 15 * 60 * 1000;
+
+const SNAP_MINUTES = 15;
+const SCHEDULED_MINUTES = 30; // Height of a scheduled step's block
+const MIN_BLOCK_HEIGHT = 22;
+
+const DRAG_TYPE = 'application/x-layer-step';
+
+// ========================================
+// State
+// ========================================
+
+let renderVersion = 0;
+
+// ========================================
+// Dates
+// ========================================
+
+/**
+ * Local YYYY-MM-DD
+ */
+export function toDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Local midnight of a YYYY-MM-DD key (today for 'today' or anything else
+ * that isn't a date)
+ */
+function fromDateKey(key) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(key || '');
+  const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date();
+  date.setHours(0, 0, 0, 0);
+  return date;
+}
+
+function addDays(date, days) {
+  const day = new Date(date);
+  day.setDate(day.getDate() + days);
+  return day;
+}
+
+// ========================================
+// Sessions
+// ========================================
+
+/**
+ * Timer sessions that ran on a day
+ * @param {Array} events - Step and next step events, oldest first
+ * @param {Array} objectives - From AppState
+ * @param {Date} dayStart - Local midnight
+ * @param {Date} [now]
+ * @returns {Array<{objectiveId, stepId, name, start: Date, end: Date, seconds: number, completed: boolean}>}
+ */
+export function buildDaySessions(events, objectives, dayStart, now = new Date()) {
+  const dayEnd = addDays(dayStart, 1);
+  const sessions = [];
+  const open = new Map(); // timer key -> { objectiveId, stepId, start, elapsed }
+  const nextStepText = new Map(); // objectiveId -> text
+  const nextStepSessions = new Map(); // objectiveId -> sessions not yet logged as a step
+
+  const close = (key, end, elapsed, completed) => {
+    const session = open.get(key);
+    if (!session) return null;
+    open.delete(key);
+
+    const counted = elapsed - session.elapsed;
+    const seconds = counted > 0 ? counted : Math.round((end - session.start) / 1000);
+    const closed = { ...session, end, seconds, completed };
+    delete closed.elapsed;
+    sessions.push(closed);
+    return closed;
+  };
+
+  for (const event of events) {
+    const ts = new Date(event.ts);
+    const data = event.data || {};
+    const objectiveId = data.objectiveId || event.entityId;
+
+    switch (event.type) {
+      case Repository.EventType.STEP_STARTED:
+        open.set(`step:${data.stepId}`, { objectiveId, stepId: data.stepId, name: null, start: ts, elapsed: data.elapsed || 0 });
+        break;
+      case Repository.EventType.STEP_PAUSED:
+      case Repository.EventType.STEP_COMPLETED:
+        close(`step:${data.stepId}`, ts, data.elapsed || 0, event.type === Repository.EventType.STEP_COMPLETED);
+        break;
+      case Repository.EventType.NEXT_STEP_SET:
+        if (data.text) nextStepText.set(objectiveId, data.text);
+        break;
+      case Repository.EventType.NEXT_STEP_STARTED:
+        open.set(`next:${objectiveId}`, {
+          objectiveId,
+          stepId: null,
+          name: nextStepText.get(objectiveId) || null,
+          start: ts,
+          elapsed: data.elapsedSeconds || 0
+        });
+        break;
+      case Repository.EventType.NEXT_STEP_PAUSED: {
+        const session = close(`next:${objectiveId}`, ts, data.elapsedSeconds || 0, false);
+        if (session) {
+          if (!nextStepSessions.has(objectiveId)) nextStepSessions.set(objectiveId, []);
+          nextStepSessions.get(objectiveId).push(session);
+        }
+        break;
+      }
+      case Repository.EventType.STEP_CREATED: {
+        // Completing the next step logs it as a step (with no status):
+        // its timer sessions were that step
+        const step = data.step;
+        if (step && !step.status && nextStepSessions.has(objectiveId)) {
+          for (const session of nextStepSessions.get(objectiveId)) {
+            Object.assign(session, { stepId: step.id, name: step.name, completed: true });
+          }
+          nextStepSessions.delete(objectiveId);
+        }
+        break;
+      }
+    }
+  }
+
+  // A timer still running today runs up to now
+  if (now >= dayStart && now < dayEnd) {
+    for (const key of [...open.keys()]) {
+      close(key, now, 0, false);
+    }
+  }
+
+  // Finished steps with no timer events on the day end when they were completed
+  const seen = new Set(sessions.map(session => session.stepId).filter(Boolean));
+  for (const objective of objectives) {
+    for (const step of objective.steps || []) {
+      if (seen.has(step.id)) continue;
+      const seconds = step.elapsed ?? step.duration ?? 0;
+      if (seconds <= 0) continue;
+
+      const completed = !step.status || step.status === StepStatus.COMPLETED;
+      let start;
+      let end;
+      if (completed) {
+        end = new Date(step.completedAt || step.loggedAt);
+        start = new Date(end - seconds * 1000);
+      } else if (step.status === StepStatus.PAUSED && step.startedAt) {
+        start = new Date(step.startedAt);
+        end = new Date(start.getTime() + seconds * 1000);
+      } else {
+        continue;
+      }
+      if (isNaN(end) || end <= dayStart || start >= dayEnd) continue;
+
+      sessions.push({ objectiveId: objective.id, stepId: step.id, name: step.name, start, end, seconds, completed });
+    }
+  }
+
+  return sessions
+    .filter(session => session.end > dayStart && session.start < dayEnd)
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Group sessions into batches: consecutive sessions on one objective
+ * @param {Array} sessions - From buildDaySessions
+ * @param {Array} objectives - From AppState
+ * @returns {Array<{objectiveId, name, exists: boolean, start: Date, end: Date, seconds: number, steps: Array<{name, seconds, completed}>}>}
+ *   exists is false once the objective has been deleted
+ */
+export function buildBatches(sessions, objectives) {
+  const objectivesById = new Map(objectives.map(objective => [objective.id, objective]));
+  const batches = [];
+
+  for (const session of sessions) {
+    let batch = batches[batches.length - 1];
+    if (!batch || batch.objectiveId !== session.objectiveId || session.start - batch.end > BATCH_GAP_MS) {
+      const objective = objectivesById.get(session.objectiveId);
+      batch = {
+        objectiveId: session.objectiveId,
+        name: objective ? objective.name || 'Untitled' : 'Deleted objective',
+        exists: Boolean(objective),
+        start: session.start,
+        end: session.end,
+        seconds: 0,
+        steps: new Map()
+      };
+      batches.push(batch);
+    }
+
+    batch.end = session.end > batch.end ? session.end : batch.end;
+    batch.seconds += session.seconds;
+
+    // One line per step, however many sessions it took
+    const objective = objectivesById.get(session.objectiveId);
+    const stepName = session.name
+      || objective?.steps?.find(step => step.id === session.stepId)?.name
+      || objective?.nextStep?.text
+      || 'Next step';
+    const key = session.stepId || `next:${stepName}`;
+    const step = batch.steps.get(key) || { name: stepName, seconds: 0, completed: false };
+    step.seconds += session.seconds;
+    step.completed = step.completed || session.completed;
+    batch.steps.set(key, step);
+  }
+
+  return batches.map(batch => ({ ...batch, steps: [...batch.steps.values()] }));
+}
+
+/**
+ * Steps not started yet, with the objective they belong to
+ */
+function getPendingSteps(objectives) {
+  return objectives.flatMap(objective => (objective.steps || [])
+    .filter(step => step.status === StepStatus.PENDING)
+    .map(step => ({ objective, step })));
+}
+
+// ========================================
+// Scheduling
+// ========================================
+
+/**
+ * Schedule a pending step, or unschedule it (at null)
+ * @param {string} objectiveId
+ * @param {string} stepId
+ * @param {Date|null} at
+ */
+async function scheduleStep(objectiveId, stepId, at) {
+  const objective = (AppState.getData().objectives || []).find(o => o.id === objectiveId);
+  const step = objective?.steps?.find(s => s.id === stepId);
+  if (!step) return;
+
+  step.scheduledAt = at ? at.toISOString() : null;
+  try {
+    await Repository.saveOneObjective(objective);
+  } catch (error) {
+    console.error('Failed to schedule step:', error);
+  }
+}
+
+// ========================================
+// Rendering
+// ========================================
+
+/**
+ * Render a day into a container
+ * @param {HTMLElement} container - The container to render into
+ * @param {string} [dateKey] - YYYY-MM-DD, or 'today'
+ * @param {Object} [options]
+ * @param {boolean} [options.scroll] - Scroll to the day's first batch
+ */
+export async function renderCalendarView(container, dateKey, { scroll = true } = {}) {
+  const version = ++renderVersion;
+  const dayStart = fromDateKey(dateKey);
+  const dayEnd = addDays(dayStart, 1);
+  const objectives = AppState.getData().objectives || [];
+
+  let events = [];
+  try {
+    events = (await Repository.getEvents({
+      type: ['step.*', 'next_step.*'],
+      since: addDays(dayStart, -1).toISOString()
+    })).filter(event => new Date(event.ts) < dayEnd);
+  } catch (error) {
+    console.warn('Failed to read step events:', error);
+  }
+  if (version !== renderVersion) return;
+
+  const now = new Date();
+  const batches = buildBatches(buildDaySessions(events, objectives, dayStart, now), objectives);
+  const pending = getPendingSteps(objectives);
+  const scheduled = pending.filter(({ step }) => {
+    const at = step.scheduledAt && new Date(step.scheduledAt);
+    return at && at >= dayStart && at < dayEnd;
+  });
+
+  // Hours shown: the working day, stretched to cover what's on it
+  const hoursOf = (date) => (date - dayStart) / 3600000;
+  const times = [
+    ...batches.flatMap(batch => [hoursOf(batch.start), hoursOf(batch.end)]),
+    ...scheduled.map(({ step }) => hoursOf(new Date(step.scheduledAt)))
+  ];
+  const startHour = Math.max(0, Math.floor(Math.min(DEFAULT_START_HOUR, ...times)));
+  const endHour = Math.min(24, Math.ceil(Math.max(DEFAULT_END_HOUR, ...times.map(t => t + 0.5))));
+  const top = (date) => (hoursOf(date) - startHour) * HOUR_HEIGHT;
+
+  const totalSeconds = batches.reduce((sum, batch) => sum + batch.seconds, 0);
+  const isToday = toDateKey(now) === toDateKey(dayStart);
+
+  container.innerHTML = `
+    <div class="calendar-view">
+      <div class="calendar-view-toolbar">
+        <button class="calendar-view-nav" data-days="-1" type="button" title="Previous day">‹</button>
+        <button class="calendar-view-today" type="button"${isToday ? ' disabled' : ''}>Today</button>
+        <button class="calendar-view-nav" data-days="1" type="button" title="Next day">›</button>
+        <span class="calendar-view-date">${escapeHtml(dayStart.toLocaleDateString(undefined, { weekday: 'long', month: 'long', day: 'numeric' }))}</span>
+        <span class="calendar-view-total">${totalSeconds > 0 ? `${formatDuration(totalSeconds)} tracked` : ''}</span>
+      </div>
+      <div class="calendar-view-body">
+        <div class="calendar-view-timeline" style="height: ${(endHour - startHour) * HOUR_HEIGHT}px">
+          ${Array.from({ length: endHour - startHour }, (_, i) => `
+            <div class="calendar-view-hour" style="top: ${i * HOUR_HEIGHT}px">
+              <span class="calendar-view-hour-label">${formatHour(startHour + i)}</span>
+            </div>
+          `).join('')}
+          ${batches.map(batch => renderBatch(batch, top(batch.start), top(batch.end))).join('')}
+          ${scheduled.map(({ objective, step }) => renderScheduled(objective, step, top(new Date(step.scheduledAt)))).join('')}
+          ${isToday ? `<div class="calendar-view-now" style="top: ${top(now)}px"></div>` : ''}
+          <div class="calendar-view-drop-indicator"></div>
+        </div>
+        <div class="calendar-view-pending">
+          <div class="section-header">PENDING STEPS</div>
+          ${pending.length === 0
+            ? '<div class="calendar-view-empty">No pending steps</div>'
+            : pending.map(({ objective, step }) => renderPendingStep(objective, step)).join('')}
+        </div>
+      </div>
+    </div>
+  `;
+
+  container.querySelectorAll('.calendar-view-nav').forEach(button => {
+    button.addEventListener('click', () => openDay(addDays(dayStart, Number(button.dataset.days))));
+  });
+  container.querySelector('.calendar-view-today').addEventListener('click', () => openDay(new Date()));
+
+  container.querySelectorAll('[data-objective-id]').forEach(el => {
+    el.addEventListener('click', () => {
+      GlobalNav.navigateToResult({ type: 'objective', id: el.dataset.objectiveId });
+    });
+  });
+
+  setupScheduling(container, dayStart, startHour, () => renderCalendarView(container, dateKey, { scroll: false }));
+
+  // Start scrolled to the first thing on the day (or the working day)
+  if (scroll) {
+    const first = times.length > 0 ? Math.min(...times) : DEFAULT_START_HOUR;
+    container.closest('#content-page')?.scrollTo({ top: Math.max(0, (first - startHour - 0.5) * HOUR_HEIGHT) });
+  }
+}
+
+function renderBatch(batch, top, bottom) {
+  const height = Math.max(MIN_BLOCK_HEIGHT, bottom - top);
+  const steps = batch.steps.map(step => `
+    <div class="calendar-view-step${step.completed ? ' completed' : ''}">
+      <span class="calendar-view-step-mark">${step.completed ? '✓' : '•'}</span>
+      <span class="calendar-view-step-name">${escapeHtml(step.name)}</span>
+      <span class="calendar-view-step-time">${formatDuration(step.seconds)}</span>
+    </div>
+  `).join('');
+  const title = `${batch.name} · ${formatClock(batch.start)}–${formatClock(batch.end)}\n`
+    + batch.steps.map(step => `${step.completed ? '✓' : '•'} ${step.name} (${formatDuration(step.seconds)})`).join('\n');
+
+  return `
+    <div class="calendar-view-batch"${batch.exists ? ` data-objective-id="${escapeHtml(batch.objectiveId)}"` : ''}
+         style="top: ${top}px; height: ${height}px" title="${escapeHtml(title)}">
+      <div class="calendar-view-batch-header">
+        <span class="calendar-view-batch-name">${escapeHtml(batch.name)}</span>
+        <span class="calendar-view-batch-time">${formatDuration(batch.seconds)}</span>
+      </div>
+      ${steps}
+    </div>
+  `;
+}
+
+function renderScheduled(objective, step, top) {
+  return `
+    <div class="calendar-view-scheduled" draggable="true"
+         data-objective-id="${escapeHtml(objective.id)}" data-step-id="${escapeHtml(step.id)}"
+         style="top: ${top}px; height: ${SCHEDULED_MINUTES * HOUR_HEIGHT / 60}px"
+         title="${escapeHtml(`${objective.name || 'Untitled'} · planned for ${formatClock(new Date(step.scheduledAt))}`)}">
+      <span class="calendar-view-scheduled-time">${formatClock(new Date(step.scheduledAt))}</span>
+      <span class="calendar-view-step-name">${escapeHtml(step.name || 'Untitled step')}</span>
+    </div>
+  `;
+}
+
+function renderPendingStep(objective, step) {
+  const at = step.scheduledAt ? new Date(step.scheduledAt) : null;
+  return `
+    <div class="calendar-view-pending-step" draggable="true"
+         data-pending-objective-id="${escapeHtml(objective.id)}" data-step-id="${escapeHtml(step.id)}">
+      <span class="calendar-view-step-name">${escapeHtml(step.name || 'Untitled step')}</span>
+      <span class="calendar-view-pending-meta">${escapeHtml(objective.name || 'Untitled')}${at && !isNaN(at)
+        ? ` · ${escapeHtml(at.toLocaleDateString(undefined, { month: 'short', day: 'numeric' }))} ${formatClock(at)}`
+        : ''}</span>
+    </div>
+  `;
+}
+
+/**
+ * Drag pending steps onto the timeline to schedule them, and scheduled
+ * steps back onto the list to unschedule them
+ */
+function setupScheduling(container, dayStart, startHour, rerender) {
+  const timeline = container.querySelector('.calendar-view-timeline');
+  const list = container.querySelector('.calendar-view-pending');
+  const indicator = container.querySelector('.calendar-view-drop-indicator');
+
+  container.querySelectorAll('[draggable="true"][data-step-id]').forEach(el => {
+    el.addEventListener('dragstart', (e) => {
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData(DRAG_TYPE, JSON.stringify({
+        objectiveId: el.dataset.objectiveId || el.dataset.pendingObjectiveId,
+        stepId: el.dataset.stepId
+      }));
+      el.classList.add('dragging');
+    });
+    el.addEventListener('dragend', () => el.classList.remove('dragging'));
+  });
+
+  // Minutes into the day under the pointer, snapped
+  const minutesAt = (e) => {
+    const y = e.clientY - timeline.getBoundingClientRect().top;
+    const minutes = startHour * 60 + (y / HOUR_HEIGHT) * 60;
+    return Math.min(24 * 60 - SNAP_MINUTES, Math.max(0, Math.round(minutes / SNAP_MINUTES) * SNAP_MINUTES));
+  };
+
+  timeline.addEventListener('dragover', (e) => {
+    if (!e.dataTransfer.types.includes(DRAG_TYPE)) return;
+    e.preventDefault();
+    const minutes = minutesAt(e);
+    indicator.style.top = `${(minutes / 60 - startHour) * HOUR_HEIGHT}px`;
+    indicator.dataset.time = formatClock(new Date(dayStart.getTime() + minutes * 60000));
+    indicator.classList.add('visible');
+  });
+  timeline.addEventListener('dragleave', (e) => {
+    if (!timeline.contains(e.relatedTarget)) indicator.classList.remove('visible');
+  });
+  timeline.addEventListener('drop', async (e) => {
+    const dragged = readDrag(e);
+    indicator.classList.remove('visible');
+    if (!dragged) return;
+    e.preventDefault();
+    const at = new Date(dayStart);
+    at.setMinutes(minutesAt(e));
+    await scheduleStep(dragged.objectiveId, dragged.stepId, at);
+    rerender();
+  });
+
+  list.addEventListener('dragover', (e) => {
+    if (e.dataTransfer.types.includes(DRAG_TYPE)) e.preventDefault();
+  });
+  list.addEventListener('drop', async (e) => {
+    const dragged = readDrag(e);
+    if (!dragged) return;
+    e.preventDefault();
+    await scheduleStep(dragged.objectiveId, dragged.stepId, null);
+    rerender();
+  });
+}
+
+function readDrag(e) {
+  try {
+    return JSON.parse(e.dataTransfer.getData(DRAG_TYPE) || 'null');
+  } catch {
+    return null;
+  }
+}
+
+function openDay(date) {
+  const key = toDateKey(date);
+  GlobalNav.navigateToResult({ type: 'calendar', date: key === toDateKey(new Date()) ? null : key });
+}
+
+function formatHour(hour) {
+  return new Date(2000, 0, 1, hour).toLocaleTimeString(undefined, { hour: 'numeric' });
+}
+
+function formatClock(date) {
+  return date.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+}
+
+// ========================================
+// Default Export
+// ========================================
+
+export default {
+  toDateKey,
+  buildDaySessions,
+  buildBatches,
+  renderCalendarView
+};
@@ -0,0 +1,118 @@
+/**
+ * Changeset Control Component
+ *
+ * "Revert these N changes" control shown under an agent reply that changed
+ * data. Reverting goes through the agent server, which holds the
+ * before-images; the app picks up the restored rows via realtime.
+ */
+
+// ========================================
+// Constants
+// ========================================
+
+const REVERT_API_URL = 'http://localhost:3001/api/agent/revert';
+
+// ========================================
+// Rendering
+// ========================================
+
+/**
+ * Append a revert control to a message element
+ * @param {HTMLElement} messageEl - The assistant message's element
+ * @param {{id: string, count: number, reverted?: boolean}} changeset - From the changeset event
+ * @param {Object} [options]
+ * @param {Function} [options.onReverted] - Called once the changes are reverted
+ */
+export function renderChangesetControl(messageEl, changeset, { onReverted } = {}) {
+  messageEl.querySelector(':scope > .changeset-control')?.remove();
+
+  const control = document.createElement('div');
+  control.className = 'changeset-control';
+
+  if (changeset.reverted) {
+    control.innerHTML = `<span class="changeset-status">Reverted ${describeCount(changeset.count)}</span>`;
+    messageEl.appendChild(control);
+    return;
+  }
+
+  control.innerHTML = `
+    <button type="button" class="changeset-revert-btn">Revert ${changeset.count === 1 ? 'this change' : `these ${changeset.count} changes`}</button>
+    <span class="changeset-status"></span>
+  `;
+
+  const button = control.querySelector('.changeset-revert-btn');
+  const status = control.querySelector('.changeset-status');
+
+  button.addEventListener('click', async () => {
+    button.disabled = true;
+    status.textContent = 'Reverting…';
+
+    try {
+      const { reverted, skipped } = await requestRevert(changeset.id);
+      button.remove();
+      status.textContent = `Reverted ${describeCount(reverted)}` +
+        (skipped > 0 ? ` (${skipped} left alone because ${skipped === 1 ? 'it was' : 'they were'} edited since)` : '');
+      onReverted?.();
+    } catch (err) {
+      if (err.status === 409 && /already reverted/.test(err.message)) {
+        button.remove();
+        status.textContent = err.message;
+        onReverted?.();
+        return;
+      }
+      // The server no longer has the before-images (e.g. a reply outside a
+      // stored conversation, from before a restart)
+      if (err.status === 404) {
+        button.remove();
+        status.textContent = 'These changes can no longer be reverted';
+        return;
+      }
+      console.error('Failed to revert agent changes:', err);
+      status.textContent = err.message || 'Couldn\'t revert';
+      button.disabled = false;
+    }
+  });
+
+  messageEl.appendChild(control);
+}
+
+function describeCount(count) {
+  return `${count} change${count === 1 ? '' : 's'}`;
+}
+
+// ========================================
+// Reverting
+// ========================================
+
+/**
+ * Ask the agent server to revert a changeset
+ * @returns {Promise<{reverted: number, skipped: number}>}
+ */
+async function requestRevert(changesetId) {
+  let response;
+  try {
+    response = await fetch(REVERT_API_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ changesetId })
+    });
+  } catch {
+    throw new Error('Couldn\'t reach the agent server');
+  }
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(body.error || `Server error: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return body;
+}
+
+// ========================================
+// Default Export
+// ========================================
+
+export default {
+  renderChangesetControl
+};
@@ -0,0 +1,100 @@
+/**
+ * Chat Citations Component
+ *
+ * Links for the passages an Ask mode reply cites (see retrieval.js). The
+ * [1]-style markers in the reply become links, and a list of the cited
+ * sources goes under the message. Links point at the item's router URL;
+ * clicking one hands the source to onOpen to show it in the app.
+ */
+
+import { escapeHtml } from '../utils.js';
+
+// ========================================
+// Constants
+// ========================================
+
+const MARKER_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+// Text inside these is left as written
+const SKIP_TAGS = new Set(['A', 'CODE', 'PRE']);
+
+// ========================================
+// Rendering
+// ========================================
+
+/**
+ * Link a reply's citation markers and list its sources under it
+ * Call once per message element.
+ * @param {HTMLElement} messageEl - The assistant message's element
+ * @param {Array<{n, type, id, title, heading, url}>} sources - From Retrieval.getCitedSources
+ * @param {Object} options
+ * @param {Function} options.onOpen - Called with the source when a link is clicked
+ */
+export function renderCitations(messageEl, sources, { onOpen }) {
+  if (!sources?.length) return;
+
+  const byNumber = new Map(sources.map(source => [source.n, source]));
+
+  const bubble = messageEl.querySelector('.chat-bubble');
+  if (bubble) linkMarkers(bubble, byNumber);
+
+  const list = document.createElement('div');
+  list.className = 'chat-sources';
+  list.innerHTML = `<span class="chat-sources-label">Sources</span>` + sources.map(source => `
+    <a class="chat-source-link" href="${escapeHtml(source.url)}" data-source-n="${source.n}">
+      <span class="chat-source-number">${source.n}</span>
+      ${escapeHtml(source.title)}${source.heading ? ` <span class="chat-source-heading">› ${escapeHtml(source.heading)}</span>` : ''}
+    </a>`).join('');
+  messageEl.appendChild(list);
+
+  messageEl.addEventListener('click', (e) => {
+    const link = e.target.closest('a[data-source-n]');
+    const source = link && byNumber.get(Number(link.dataset.sourceN));
+    if (!source) return;
+    e.preventDefault();
+    onOpen(source);
+  });
+}
+
+/**
+ * Replace [n] markers in a rendered reply with links to their sources
+ * Markers for numbers that weren't sources are left as text.
+ */
+function linkMarkers(root, byNumber) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) => {
+      for (let el = node.parentElement; el && el !== root; el = el.parentElement) {
+        if (SKIP_TAGS.has(el.tagName)) return NodeFilter.FILTER_REJECT;
+      }
+      MARKER_PATTERN.lastIndex = 0;
+      return MARKER_PATTERN.test(node.textContent) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT;
+    }
+  });
+
+  const nodes = [];
+  while (walker.nextNode()) nodes.push(walker.currentNode);
+
+  for (const node of nodes) {
+    const html = escapeHtml(node.textContent).replace(MARKER_PATTERN, (marker, numbers) => {
+      const links = numbers.split(',').map(part => {
+        const source = byNumber.get(Number(part.trim()));
+        return source
+          ? `<a class="chat-citation" href="${escapeHtml(source.url)}" data-source-n="${source.n}" title="${escapeHtml(source.title)}">${source.n}</a>`
+          : part.trim();
+      });
+      return `[${links.join(', ')}]`;
+    });
+
+    const span = document.createElement('span');
+    span.innerHTML = html;
+    node.replaceWith(...span.childNodes);
+  }
+}
+
+// ========================================
+// Default Export
+// ========================================
+
+export default {
+  renderCitations
+};
@@ -0,0 +1,201 @@
+/**
+ * Chat History Picker Component
+ *
+ * Searchable popover of stored agent conversations, opened from the
+ * History button in the agent panel and the popped-out chat window.
+ * Falls back to the open chat tabs when the agent server can't be reached.
+ */
+
+import * as ConversationStore from '../services/conversation-store.js';
+import { escapeHtml } from '../utils.js';
+
+// ========================================
+// Constants
+// ========================================
+
+const SEARCH_DELAY = 200;
+
+// ========================================
+// State
+// ========================================
+
+let pickerEl = null;
+let searchTimer = null;
+let searchVersion = 0;
+
+// ========================================
+// Public API
+// ========================================
+
+/**
+ * Open the picker under a button (or close it if it's already open)
+ * @param {HTMLElement} anchor - The History button
+ * @param {Object} options
+ * @param {Function} options.getLocalChats - () => [{id, title, updatedAt, messages}] for the offline fallback
+ * @param {Function} options.onOpen - Called with ({id, title, mode}) when a conversation is picked
+ * @param {Function} [options.onDelete] - Called with (id) after a conversation is deleted
+ */
+export function showChatHistoryPicker(anchor, options) {
+  if (pickerEl) {
+    closeChatHistoryPicker();
+    return;
+  }
+
+  pickerEl = document.createElement('div');
+  pickerEl.className = 'context-search-menu chat-history-picker';
+  pickerEl.innerHTML = `
+    <input class="context-search-input" type="text" placeholder="Search chats..." autocomplete="off">
+    <div class="context-search-results"></div>
+  `;
+
+  const rect = anchor.getBoundingClientRect();
+  pickerEl.style.position = 'fixed';
+  pickerEl.style.top = (rect.bottom + 4) + 'px';
+  pickerEl.style.right = Math.max(8, window.innerWidth - rect.right) + 'px';
+  document.body.appendChild(pickerEl);
+
+  const input = pickerEl.querySelector('.context-search-input');
+  const results = pickerEl.querySelector('.context-search-results');
+
+  input.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => renderResults(input.value.trim(), results, options), SEARCH_DELAY);
+  });
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeChatHistoryPicker();
+  });
+
+  input.focus();
+  renderResults('', results, options);
+
+  // Close on outside click (delayed so the opening click doesn't count)
+  setTimeout(() => {
+    document.addEventListener('mousedown', handleOutsideClick);
+  }, 0);
+}
+
+/**
+ * Close the picker if it's open
+ */
+export function closeChatHistoryPicker() {
+  clearTimeout(searchTimer);
+  document.removeEventListener('mousedown', handleOutsideClick);
+  if (pickerEl) {
+    pickerEl.remove();
+    pickerEl = null;
+  }
+}
+
+function handleOutsideClick(e) {
+  if (pickerEl && !pickerEl.contains(e.target) && !e.target.closest('.agent-header-btn[title="History"]')) {
+    closeChatHistoryPicker();
+  }
+}
+
+// ========================================
+// Results
+// ========================================
+
+async function renderResults(query, container, options) {
+  const version = ++searchVersion;
+
+  let conversations;
+  let offline = false;
+  try {
+    conversations = await ConversationStore.listConversations(query);
+  } catch (err) {
+    console.warn('Chat history unavailable from the agent server:', err.message);
+    conversations = searchLocalChats(options.getLocalChats(), query);
+    offline = true;
+  }
+
+  // A newer search (or closing the picker) supersedes this one
+  if (version !== searchVersion || !pickerEl) return;
+
+  container.innerHTML = '';
+
+  if (offline) {
+    container.insertAdjacentHTML('beforeend',
+      '<div class="context-search-group-header">Agent server offline – open chats only</div>');
+  }
+
+  if (conversations.length === 0) {
+    container.insertAdjacentHTML('beforeend',
+      `<div class="context-search-empty">${query ? 'No matching chats' : 'No chat history'}</div>`);
+    return;
+  }
+
+  for (const conversation of conversations) {
+    const row = document.createElement('div');
+    row.className = 'context-search-item chat-history-item';
+    row.innerHTML = `
+      <div class="chat-history-text">
+        <span class="context-search-name">${escapeHtml(conversation.title || 'New Chat')}</span>
+        ${conversation.preview ? `<span class="chat-history-preview">${escapeHtml(conversation.preview)}</span>` : ''}
+      </div>
+      <span class="context-search-parent">${formatWhen(conversation.updatedAt)}</span>
+      ${offline ? '' : `
+        <button type="button" class="chat-history-delete" aria-label="Delete chat" title="Delete chat">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <path d="M18 6L6 18M6 6l12 12"/>
+          </svg>
+        </button>
+      `}
+    `;
+
+    row.addEventListener('click', (e) => {
+      if (e.target.closest('.chat-history-delete')) return;
+      closeChatHistoryPicker();
+      options.onOpen({ id: conversation.id, title: conversation.title, mode: conversation.mode });
+    });
+
+    row.querySelector('.chat-history-delete')?.addEventListener('click', async () => {
+      if (!confirm(`Delete "${conversation.title || 'New Chat'}"? This can't be undone.`)) return;
+      try {
+        await ConversationStore.deleteConversation(conversation.id);
+        row.remove();
+        options.onDelete?.(conversation.id);
+      } catch (err) {
+        console.error('Failed to delete conversation:', err);
+      }
+    });
+
+    container.appendChild(row);
+  }
+}
+
+/**
+ * Filter local chats the way the server searches (titles and message text)
+ */
+function searchLocalChats(chats, query) {
+  const needle = query.toLowerCase();
+  return chats
+    .filter(chat => !needle ||
+      chat.title.toLowerCase().includes(needle) ||
+      chat.messages.some(m => m.content?.toLowerCase().includes(needle)))
+    .map(chat => ({
+      id: chat.id,
+      title: chat.title,
+      updatedAt: new Date(chat.updatedAt || Date.now()).toISOString(),
+      preview: ''
+    }))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+function formatWhen(iso) {
+  const date = new Date(iso);
+  if (isNaN(date)) return '';
+  const sameDay = date.toDateString() === new Date().toDateString();
+  return sameDay
+    ? date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })
+    : date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+}
+
+// ========================================
+// Default Export
+// ========================================
+
+export default {
+  showChatHistoryPicker,
+  closeChatHistoryPicker
+};
@@ -0,0 +1,106 @@
+/**
+ * Chat References Component
+ *
+ * Renders an agent reply with its item references ([[ref:note:<id>|Name]],
+ * see shared/item-references.mjs) as chips. A reference becomes a chip once
+ * the server has confirmed the agent read that item; until then, or if it
+ * never does, the reference shows as its label. Clicking a chip hands the
+ * reference to onOpen.
+ */
+
+import * as smd from '../vendor/smd.js';
+import { escapeHtml } from '../utils.js';
+import { getItemURL } from '../router.js';
+import { findReferences, replaceReferences } from '../../shared/item-references.mjs';
+
+// ========================================
+// Constants
+// ========================================
+
+// Stands in for a reference while the markdown renders
+const PLACEHOLDER_PATTERN = /\uE000(\d+)\uE001/g;
+
+// ========================================
+// Rendering
+// ========================================
+
+/**
+ * Whether text contains item references
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function hasReferences(text) {
+  return findReferences(text).length > 0;
+}
+
+/**
+ * Render an assistant reply's markdown into its bubble
+ * Replaces whatever the bubble held, so it can be called again when the
+ * reply's references are confirmed.
+ * @param {HTMLElement} bubble - The message's .chat-bubble
+ * @param {string} content - Reply markdown
+ * @param {Array<{type, id, name, taskListId?}>} references - Confirmed references
+ * @param {Object} options
+ * @param {Function} options.onOpen - Called with the reference when a chip is clicked
+ */
+export function renderReply(bubble, content, references, { onOpen }) {
+  const confirmed = new Map((references || []).map(reference => [reference.id, reference]));
+  const found = [];
+  const markdown = replaceReferences(content, (reference) => {
+    found.push(reference);
+    return `\uE000${found.length - 1}\uE001`;
+  });
+
+  bubble.innerHTML = '';
+  const parser = smd.parser(smd.default_renderer(bubble));
+  smd.parser_write(parser, markdown);
+  smd.parser_end(parser);
+
+  if (found.length === 0) return;
+
+  // The renderer can split a run of text across several nodes
+  bubble.normalize();
+  const walker = document.createTreeWalker(bubble, NodeFilter.SHOW_TEXT);
+  const nodes = [];
+  while (walker.nextNode()) {
+    if (walker.currentNode.textContent.includes('\uE000')) nodes.push(walker.currentNode);
+  }
+
+  for (const node of nodes) {
+    const html = escapeHtml(node.textContent).replace(PLACEHOLDER_PATTERN, (placeholder, index) => {
+      const reference = found[Number(index)];
+      const item = confirmed.get(reference.id);
+      return item ? renderChip(item) : escapeHtml(reference.label || reference.type);
+    });
+
+    const span = document.createElement('span');
+    span.innerHTML = html;
+    node.replaceWith(...span.childNodes);
+  }
+
+  // Assigned rather than added, so rendering again replaces it
+  bubble.onclick = (e) => {
+    const chip = e.target.closest('a.chat-ref-chip');
+    const reference = chip && confirmed.get(chip.dataset.refId);
+    if (!reference) return;
+    e.preventDefault();
+    onOpen(reference);
+  };
+}
+
+function renderChip(reference) {
+  const url = reference.type === 'task' && reference.taskListId
+    ? getItemURL('task-list', reference.taskListId)
+    : getItemURL(reference.type, reference.id);
+
+  return `<a class="chat-ref-chip chat-ref-${reference.type}" href="${escapeHtml(url)}" data-ref-id="${escapeHtml(reference.id)}" title="Open in new tab">${escapeHtml(reference.name)}</a>`;
+}
+
+// ========================================
+// Default Export
+// ========================================
+
+export default {
+  hasReferences,
+  renderReply
+};
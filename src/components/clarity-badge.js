@@ -0,0 +1,173 @@
+/**
+ * Clarity Badge Component
+ *
+ * The clarity label (fuzzy, less fuzzy, clear, very clear) shown next to an
+ * objective's title and each of its priorities. Clicking a badge opens the
+ * coach: the score, what's missing, and a suggested rewrite that can
+ * replace the item's name. Scores come from clarity-service.js.
+ */
+
+import * as ClarityService from '../services/clarity-service.js';
+import { CLARITY_ISSUES } from '../../shared/clarity.mjs';
+import { escapeHtml } from '../utils.js';
+
+// ========================================
+// State
+// ========================================
+
+// Item id -> { item, onApplyRewrite } for the badges on screen
+const badgeItems = new Map();
+
+let coachEl = null;
+let clickListening = false;
+
+// ========================================
+// Badges
+// ========================================
+
+/**
+ * Badge markup for an item, showing its cached label or a placeholder
+ * until refreshClarity scores it
+ * @param {{id: string, name: string, description?: string}} item
+ * @returns {string} Empty if clarity is unavailable or the item has no name
+ */
+export function createClarityBadge(item) {
+  if (!ClarityService.isAvailable() || !item?.name?.trim()) return '';
+
+  const clarity = ClarityService.getCachedClarity(item);
+  if (!clarity) {
+    return `<button class="clarity-badge clarity-pending" data-clarity-id="${escapeHtml(item.id)}" title="Scoring clarity" disabled>…</button>`;
+  }
+  return `<button class="clarity-badge ${getTierClass(clarity.label)}" data-clarity-id="${escapeHtml(item.id)}" title="Clarity ${clarity.score}/100">${escapeHtml(clarity.label)}</button>`;
+}
+
+/**
+ * Score an item if needed and update its badges
+ * @param {{id: string, name: string, description?: string}} item
+ * @param {Object} [options]
+ * @param {Function} [options.onApplyRewrite] - (item, name) when the suggested rewrite is taken
+ */
+export async function refreshClarity(item, { onApplyRewrite } = {}) {
+  if (!ClarityService.isAvailable() || !item?.id) return;
+
+  badgeItems.set(item.id, { item, onApplyRewrite });
+  listenForClicks();
+
+  const clarity = await ClarityService.getClarity(item);
+  const selector = `.clarity-badge[data-clarity-id="${CSS.escape(item.id)}"]`;
+
+  document.querySelectorAll(selector).forEach((badge) => {
+    if (!clarity) {
+      badge.remove();
+      return;
+    }
+    badge.className = `clarity-badge ${getTierClass(clarity.label)}`;
+    badge.title = `Clarity ${clarity.score}/100`;
+    badge.textContent = clarity.label;
+    badge.disabled = false;
+  });
+}
+
+function getTierClass(label) {
+  return `clarity-${label.replace(/\s+/g, '-')}`;
+}
+
+function listenForClicks() {
+  if (clickListening) return;
+  clickListening = true;
+
+  document.addEventListener('click', (e) => {
+    const badge = e.target.closest('.clarity-badge[data-clarity-id]');
+    if (!badge || badge.disabled) return;
+    e.preventDefault();
+    e.stopPropagation();
+    showClarityCoach(badge);
+  });
+}
+
+// ========================================
+// Coach
+// ========================================
+
+/**
+ * Open the coach under a badge (or close it if it's already open)
+ * @param {HTMLElement} anchor - The badge
+ */
+function showClarityCoach(anchor) {
+  if (coachEl) {
+    closeClarityCoach();
+    return;
+  }
+
+  const entry = badgeItems.get(anchor.dataset.clarityId);
+  const clarity = entry && ClarityService.getCachedClarity(entry.item);
+  if (!clarity) return;
+
+  const { item, onApplyRewrite } = entry;
+
+  coachEl = document.createElement('div');
+  coachEl.className = 'clarity-coach';
+  coachEl.innerHTML = `
+    <div class="clarity-coach-header">
+      <span class="clarity-badge ${getTierClass(clarity.label)}">${escapeHtml(clarity.label)}</span>
+      <span class="clarity-coach-score">${clarity.score}/100</span>
+    </div>
+    ${clarity.issues.length > 0
+      ? `<ul class="clarity-coach-issues">${clarity.issues.map(issue => `<li>${escapeHtml(CLARITY_ISSUES[issue] || issue)}</li>`).join('')}</ul>`
+      : `<div class="clarity-coach-empty">Clear outcome, deadline and measure.</div>`}
+    ${clarity.rewrite ? `
+      <div class="clarity-coach-rewrite">
+        <div class="clarity-coach-label">Suggested rewrite</div>
+        <div class="clarity-coach-rewrite-text">${escapeHtml(clarity.rewrite)}</div>
+        ${onApplyRewrite ? '<button class="clarity-coach-apply">Use this</button>' : ''}
+      </div>` : ''}
+  `;
+
+  const rect = anchor.getBoundingClientRect();
+  coachEl.style.position = 'fixed';
+  coachEl.style.top = (rect.bottom + 4) + 'px';
+  coachEl.style.left = Math.max(8, Math.min(rect.left, window.innerWidth - 328)) + 'px';
+  document.body.appendChild(coachEl);
+
+  coachEl.querySelector('.clarity-coach-apply')?.addEventListener('click', () => {
+    closeClarityCoach();
+    onApplyRewrite(item, clarity.rewrite);
+  });
+
+  // Close on outside click or Escape (delayed so the opening click doesn't count)
+  setTimeout(() => {
+    document.addEventListener('mousedown', handleOutsideClick);
+    document.addEventListener('keydown', handleKeydown);
+  }, 0);
+}
+
+/**
+ * Close the coach if it's open
+ */
+export function closeClarityCoach() {
+  if (!coachEl) return;
+  coachEl.remove();
+  coachEl = null;
+  document.removeEventListener('mousedown', handleOutsideClick);
+  document.removeEventListener('keydown', handleKeydown);
+}
+
+function handleOutsideClick(e) {
+  // A click on a badge toggles the coach itself
+  if (!coachEl || coachEl.contains(e.target) || e.target.closest('.clarity-badge[data-clarity-id]')) return;
+  closeClarityCoach();
+}
+
+function handleKeydown(e) {
+  if (e.key === 'Escape') closeClarityCoach();
+}
+
+// ========================================
+// Default Export
+// ========================================
+
+export default {
+  createClarityBadge,
+  refreshClarity,
+  closeClarityCoach
+};
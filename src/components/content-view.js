@@ -8,12 +8,23 @@
 import AppState from '../state/app-state.js';
 import * as TabState from '../state/tab-state.js';
 import * as TabContentManager from '../state/tab-content-manager.js';
-import { formatTimestamp, formatDuration } from '../utils.js';
+import * as SessionManager from '../state/session-manager.js';
+import { formatTimestamp, formatDuration, formatDueDate, isOverdue, escapeHtml } from '../utils.js';
+import { StepStatus } from '../constants.js';
 import { renderContentNextStep } from './next-step-timer.js';
 import GlobalNav from './global-nav.js';
 import { setupInlineEdit } from '../utils/inline-edit.js';
 import { renderDirectoryListing } from './directory-listing.js';
 import * as TaskListView from './task-list-view.js';
+import * as SearchView from './search-view.js';
+import * as TagBrowser from './tag-browser.js';
+import * as GraphView from './graph-view.js';
+import * as ReportsView from './reports-view.js';
+import * as CalendarView from './calendar-view.js';
+import { renderBacklinks } from './backlinks-panel.js';
+import { createClarityBadge } from './clarity-badge.js';
+import { showDueDateModal } from './due-date-modal.js';
+import { getExplicitTags } from '../utils/tags.js';
 
 // ========================================
 // Callbacks (set by app.js)
@@ -41,6 +52,32 @@ function cleanupHeaderEdits() {
     _headerDescCleanup();
     _headerDescCleanup = null;
   }
+  const headerTags = document.getElementById('content-header-tags');
+  if (headerTags) headerTags.innerHTML = '';
+}
+
+/**
+ * Show an item's tags under the header, with a button to edit them
+ * @param {string} type - objective, folder, note or task-list
+ * @param {Object} record - The item (its tags are edited in place)
+ */
+function renderHeaderTags(type, record) {
+  const headerTags = document.getElementById('content-header-tags');
+  const TagController = window.Layer?.TagController;
+  if (!headerTags || !TagController || !record) return;
+
+  const tags = getExplicitTags(record);
+  const clarityBadge = type === 'objective' ? createClarityBadge(record) : '';
+  headerTags.innerHTML = clarityBadge + tags
+    .map(tag => `<button class="tag-chip" data-tag="${escapeHtml(tag)}">#${escapeHtml(tag)}</button>`)
+    .join('') + `<button class="content-header-tags-edit">${tags.length > 0 ? 'Edit tags' : '+ Add tags'}</button>`;
+
+  headerTags.querySelectorAll('.tag-chip').forEach(chip => {
+    chip.addEventListener('click', () => TagController.openTag(chip.dataset.tag));
+  });
+  headerTags.querySelector('.content-header-tags-edit').addEventListener('click', () => {
+    TagController.editItemTags(type, record, () => renderHeaderTags(type, record));
+  });
 }
 
 export function setCallbacks({ startAddPriority, startLogStep, refreshClarity, renderSideList }) {
@@ -50,6 +87,33 @@ export function setCallbacks({ startAddPriority, startLogStep, refreshClarity, r
   if (renderSideList) _renderSideList = renderSideList;
 }
 
+// ========================================
+// Deep Link Targets
+// ========================================
+
+// Heading or task to bring into view once its note or list renders
+let _pendingReveal = null;
+
+/**
+ * Scroll to a heading or task when its note or task list next renders
+ * Used for deep links (/#/note/{id}#heading, /#/task/{id}).
+ * @param {{type: 'note'|'task-list', id: string, heading?: string, taskId?: string}} target
+ *   heading is a heading slug
+ */
+export function revealOnRender(target) {
+  _pendingReveal = target;
+}
+
+/**
+ * The pending target, if it's for this item (it only applies once)
+ */
+function takePendingReveal(type, id) {
+  const target = _pendingReveal;
+  if (!target || target.type !== type || target.id !== id) return null;
+  _pendingReveal = null;
+  return target;
+}
+
 // ========================================
 // List Item Helper
 // ========================================
@@ -208,6 +272,16 @@ export function renderContentView(options = {}) {
       renderNoteViewInContainer(container);
     } else if (viewMode === 'task-list') {
       renderTaskListViewInContainer(container);
+    } else if (viewMode === 'search') {
+      renderSearchViewInContainer(container);
+    } else if (viewMode === 'tags') {
+      renderTagBrowserInContainer(container);
+    } else if (viewMode === 'graph') {
+      renderGraphViewInContainer(container);
+    } else if (viewMode === 'reports') {
+      renderReportsViewInContainer(container);
+    } else if (viewMode === 'calendar') {
+      renderCalendarViewInContainer(container);
     } else {
       renderObjectiveViewInContainer(container);
     }
@@ -339,6 +413,7 @@ function renderWebViewInContainer(container) {
   webview.addEventListener('did-navigate', (e) => {
     if (isOwnerTabActive()) {
       GlobalNav?.setUrl?.(e.url);
+      window.Layer?.Router?.updateURL('web', e.url);
     }
     updateOwnerTab();
   });
@@ -413,6 +488,9 @@ function renderWebViewInContainer(container) {
 
   // Note: New window/tab handling (target="_blank" links) is done in main.js
   // via setWindowOpenHandler on the webview's webContents
+
+  // Track back/forward history, and load the page a restored tab was on
+  SessionManager.attachWebview(ownerTabId, webview);
 }
 
 /**
@@ -506,15 +584,25 @@ function renderObjectiveViewInContainer(container) {
     });
   }
 
+  renderHeaderTags('objective', obj);
+
   // Render priorities, next step, and steps
   container.innerHTML = '';
   renderContentPriorities(container, obj);
   renderContentNextStep(container, obj);
   renderContentSteps(container, obj);
-
-  // Refresh clarity scores (if enabled)
-  _refreshClarity(obj);
-  obj.priorities.forEach(p => _refreshClarity(p));
+  renderBacklinks(container, 'objective', obj.id);
+
+  // Refresh clarity scores (if enabled); taking the coach's suggested
+  // rewrite renames the objective or priority
+  const onApplyRewrite = (item, name) => {
+    item.name = name;
+    window.Layer?.Repository?.saveObjective?.(obj);
+    _renderSideList();
+    renderContentView();
+  };
+  _refreshClarity(obj, { onApplyRewrite });
+  obj.priorities.forEach(p => _refreshClarity(p, { onApplyRewrite }));
 }
 
 /**
@@ -693,6 +781,9 @@ function renderFolderViewInContainer(container) {
     restoreOnEmpty: true
   });
 
+  // Tag the stored folder, not the side list's tree copy
+  renderHeaderTags('folder', (data.folders || []).find(f => f.id === folder.id) || folder);
+
   container.innerHTML = '';
 
   // Create wrapper div
@@ -765,15 +856,17 @@ async function renderNoteViewInContainer(container) {
   _headerTitleCleanup = setupInlineEdit(headerTitle, {
     onSave: async (newValue) => {
       note.name = newValue;
-      const NoteStorage = window.Layer?.NoteStorage;
-      if (NoteStorage?.saveNote) {
-        await NoteStorage.saveNote(note);
+      const Repository = window.Layer?.Repository;
+      if (Repository?.saveNote) {
+        await Repository.saveNote(note);
       }
       _renderSideList();
     },
     restoreOnEmpty: true
   });
 
+  renderHeaderTags('note', note);
+
   // Clear container and mount editor directly (flat structure)
   container.innerHTML = '';
   container.classList.add('note-editor');
@@ -781,7 +874,7 @@ async function renderNoteViewInContainer(container) {
   // Get modules
   const MarkdownEditor = window.Layer?.MarkdownEditor;
   const EditorJsToMarkdown = window.Layer?.EditorJsToMarkdown;
-  const NoteStorage = window.Layer?.NoteStorage;
+  const Repository = window.Layer?.Repository;
 
   // Prepare content - detect format and migrate if needed
   let editorContent = note.content || '';
@@ -806,8 +899,8 @@ async function renderNoteViewInContainer(container) {
           console.log('Auto-saving note:', note.id);
           note.content = markdownContent;
           note.updatedAt = new Date().toISOString();
-          if (NoteStorage?.saveNote) {
-            await NoteStorage.saveNote(note);
+          if (Repository?.saveNote) {
+            await Repository.saveNote(note);
           }
         }
       );
@@ -830,12 +923,54 @@ async function renderNoteViewInContainer(container) {
       textarea.addEventListener('blur', async () => {
         note.content = textarea.value;
         note.updatedAt = new Date().toISOString();
-        if (NoteStorage?.saveNote) {
-          await NoteStorage.saveNote(note);
+        if (Repository?.saveNote) {
+          await Repository.saveNote(note);
         }
       });
     }
   }
+
+  await renderConflictBanner(container, note);
+  renderBacklinks(container, 'note', note.id);
+
+  const reveal = takePendingReveal('note', note.id);
+  if (reveal?.heading) MarkdownEditor?.revealHeading?.(reveal.heading);
+}
+
+/**
+ * Show a banner above the note editor when the note has a sync conflict
+ * @param {HTMLElement} container - The note container
+ * @param {Object} note - The note being shown
+ */
+async function renderConflictBanner(container, note) {
+  const Repository = window.Layer?.Repository;
+  const conflict = await Repository?.getConflictFor?.('notes', note.id);
+  if (!conflict) return;
+
+  const banner = document.createElement('div');
+  banner.className = 'note-conflict-banner';
+  banner.innerHTML = `
+    <span class="note-conflict-text">This note was also edited on another device.</span>
+    <button class="note-conflict-btn" data-choice="merged">Merge</button>
+    <button class="note-conflict-btn" data-choice="local">Keep mine</button>
+    <button class="note-conflict-btn" data-choice="remote">Keep theirs</button>
+  `;
+
+  banner.addEventListener('click', async (e) => {
+    const btn = e.target.closest('.note-conflict-btn');
+    if (!btn) return;
+
+    try {
+      const resolved = await Repository.resolveConflict(conflict.id, btn.dataset.choice);
+      Object.assign(note, resolved);
+      banner.remove();
+      renderContentView();
+    } catch (err) {
+      console.error('Failed to resolve conflict:', err);
+    }
+  });
+
+  container.prepend(banner);
 }
 
 /**
@@ -890,8 +1025,13 @@ async function renderTaskListViewInContainer(container) {
     headerDesc.setAttribute('contenteditable', 'false');
   }
 
+  renderHeaderTags('task-list', taskList);
+
   // Render task list view
   await TaskListView.renderTaskListView(container, taskList);
+
+  const reveal = takePendingReveal('task-list', taskList.id);
+  if (reveal?.taskId) TaskListView.revealTask(container, reveal.taskId);
 }
 
 /**
@@ -904,6 +1044,151 @@ export function renderTaskListView() {
   TabContentManager.setContainerViewMode(activeTabId, 'task-list');
 }
 
+/**
+ * Render search results view into a container
+ * @param {HTMLElement} container - The container to render into
+ */
+function renderSearchViewInContainer(container) {
+  const headerTitle = document.getElementById('content-header-title');
+  const headerDesc = document.getElementById('content-header-description');
+
+  if (!headerTitle) return;
+
+  // Cleanup any previous header edit handlers
+  cleanupHeaderEdits();
+
+  headerTitle.textContent = 'Search';
+  headerTitle.setAttribute('contenteditable', 'false');
+  if (headerDesc) {
+    headerDesc.textContent = '';
+    headerDesc.setAttribute('contenteditable', 'false');
+  }
+
+  const selection = TabState.getSelection();
+  const query = selection.type === 'search' ? selection.id || '' : '';
+  SearchView.renderSearchView(container, query);
+}
+
+/**
+ * Render the tag browser into a container
+ * @param {HTMLElement} container - The container to render into
+ */
+function renderTagBrowserInContainer(container) {
+  const contentPage = document.getElementById('content-page');
+  const headerTitle = document.getElementById('content-header-title');
+  const headerDesc = document.getElementById('content-header-description');
+  const app = document.getElementById('app');
+
+  if (!headerTitle) return;
+
+  // Cleanup any previous header edit handlers
+  cleanupHeaderEdits();
+
+  // Remove web-mode if present
+  if (contentPage) contentPage.classList.remove('web-mode');
+  if (app) app.classList.remove('web-mode');
+
+  const selection = TabState.getSelection();
+  const tag = selection.type === 'tag' ? selection.id || '' : '';
+
+  headerTitle.textContent = tag ? `#${tag}` : 'Tags';
+  headerTitle.setAttribute('contenteditable', 'false');
+  if (headerDesc) {
+    headerDesc.textContent = '';
+    headerDesc.setAttribute('contenteditable', 'false');
+  }
+
+  TagBrowser.renderTagBrowser(container, tag);
+}
+
+/**
+ * Render the graph view into a container
+ * @param {HTMLElement} container - The container to render into
+ */
+function renderGraphViewInContainer(container) {
+  const contentPage = document.getElementById('content-page');
+  const headerTitle = document.getElementById('content-header-title');
+  const headerDesc = document.getElementById('content-header-description');
+  const app = document.getElementById('app');
+
+  if (!headerTitle) return;
+
+  // Cleanup any previous header edit handlers
+  cleanupHeaderEdits();
+
+  // Remove web-mode if present
+  if (contentPage) contentPage.classList.remove('web-mode');
+  if (app) app.classList.remove('web-mode');
+
+  headerTitle.textContent = 'Graph';
+  headerTitle.setAttribute('contenteditable', 'false');
+  if (headerDesc) {
+    headerDesc.textContent = '';
+    headerDesc.setAttribute('contenteditable', 'false');
+  }
+
+  GraphView.renderGraphView(container);
+}
+
+/**
+ * Render the time-tracking reports into a container
+ * @param {HTMLElement} container - The container to render into
+ */
+function renderReportsViewInContainer(container) {
+  const contentPage = document.getElementById('content-page');
+  const headerTitle = document.getElementById('content-header-title');
+  const headerDesc = document.getElementById('content-header-description');
+  const app = document.getElementById('app');
+
+  if (!headerTitle) return;
+
+  // Cleanup any previous header edit handlers
+  cleanupHeaderEdits();
+
+  // Remove web-mode if present
+  if (contentPage) contentPage.classList.remove('web-mode');
+  if (app) app.classList.remove('web-mode');
+
+  headerTitle.textContent = 'Reports';
+  headerTitle.setAttribute('contenteditable', 'false');
+  if (headerDesc) {
+    headerDesc.textContent = '';
+    headerDesc.setAttribute('contenteditable', 'false');
+  }
+
+  ReportsView.renderReportsView(container);
+}
+
+/**
+ * Render the calendar day view into a container
+ * @param {HTMLElement} container - The container to render into
+ */
+function renderCalendarViewInContainer(container) {
+  const contentPage = document.getElementById('content-page');
+  const headerTitle = document.getElementById('content-header-title');
+  const headerDesc = document.getElementById('content-header-description');
+  const app = document.getElementById('app');
+
+  if (!headerTitle) return;
+
+  // Cleanup any previous header edit handlers
+  cleanupHeaderEdits();
+
+  // Remove web-mode if present
+  if (contentPage) contentPage.classList.remove('web-mode');
+  if (app) app.classList.remove('web-mode');
+
+  headerTitle.textContent = 'Calendar';
+  headerTitle.setAttribute('contenteditable', 'false');
+  if (headerDesc) {
+    headerDesc.textContent = '';
+    headerDesc.setAttribute('contenteditable', 'false');
+  }
+
+  // The selection's id is the day shown (YYYY-MM-DD)
+  CalendarView.renderCalendarView(container, TabState.getSelection().id);
+}
+
 /**
  * Render settings view into a container
  * @param {HTMLElement} container - The container to render into
@@ -950,6 +1235,8 @@ function renderSettingsViewInContainer(container) {
           </select>
         </div>
       </div>
+      ${renderVaultSettingsSection()}
+      ${renderMemorySettingsSection()}
     </div>
   `;
 
@@ -963,6 +1250,170 @@ function renderSettingsViewInContainer(container) {
       }
     });
   }
+
+  setupVaultSettings(container);
+  setupMemorySettings(container);
+}
+
+/**
+ * Storage section of the settings view (desktop only)
+ * @returns {string} HTML, or '' when vaults aren't supported
+ */
+function renderVaultSettingsSection() {
+  const Repository = window.Layer?.Repository;
+  if (!Repository?.isVaultAvailable?.()) return '';
+
+  const vaultPath = Repository.getVaultPath();
+  return `
+      <div class="settings-section">
+        <div class="settings-section-title">Storage</div>
+        <div class="settings-item-vertical">
+          <label>Notes vault</label>
+          <div class="settings-vault-row">
+            <span class="settings-vault-path">${vaultPath ? escapeHtml(vaultPath) : 'Not set (notes are stored in Supabase)'}</span>
+            <button class="settings-vault-btn" data-vault-action="choose">${vaultPath ? 'Change...' : 'Choose folder...'}</button>
+            ${vaultPath ? '<button class="settings-vault-btn" data-vault-action="disconnect">Disconnect</button>' : ''}
+          </div>
+          <span class="settings-item-hint">Folders become directories and notes become .md files you can edit in any app. Objectives and task lists stay in Supabase.</span>
+        </div>
+      </div>`;
+}
+
+/**
+ * Wire the vault buttons in the settings view
+ * Switching storage reloads the window so every view reads from the new source.
+ */
+function setupVaultSettings(container) {
+  const Repository = window.Layer?.Repository;
+  container.querySelectorAll('[data-vault-action]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      if (btn.dataset.vaultAction === 'choose') {
+        const dirPath = await Repository.pickVaultFolder();
+        if (!dirPath) return;
+        Repository.setVaultPath(dirPath);
+      } else {
+        Repository.setVaultPath(null);
+      }
+      window.location.reload();
+    });
+  });
+}
+
+/**
+ * Agent memory section of the settings view
+ * Rows are filled in by setupMemorySettings once the memories load.
+ * @returns {string} HTML
+ */
+function renderMemorySettingsSection() {
+  return `
+      <div class="settings-section">
+        <div class="settings-section-title">Agent Memory</div>
+        <div class="settings-item-vertical">
+          <span class="settings-item-hint">Facts the agent has saved about you and uses in every conversation. Edit one and press Enter to save it, or clear it to forget it.</span>
+          <div class="settings-memory-list" id="settings-memory-list">
+            <span class="settings-item-hint">Loading...</span>
+          </div>
+          <div class="settings-memory-row">
+            <input type="text" class="settings-input settings-memory-input" id="settings-memory-new" placeholder="Add something for the agent to remember">
+            <button class="settings-memory-btn" id="settings-memory-add">Add</button>
+          </div>
+        </div>
+      </div>`;
+}
+
+/**
+ * Load memories into the settings view and wire editing
+ */
+async function setupMemorySettings(container) {
+  const Repository = window.Layer?.Repository;
+  const list = container.querySelector('#settings-memory-list');
+  const newInput = container.querySelector('#settings-memory-new');
+  const addBtn = container.querySelector('#settings-memory-add');
+  if (!list || !Repository?.loadAllMemories) return;
+
+  let memories = [];
+
+  const renderRows = () => {
+    list.innerHTML = memories.length > 0
+      ? memories.map(memory => `
+            <div class="settings-memory-row" data-memory-id="${escapeHtml(memory.id)}">
+              <input type="text" class="settings-input settings-memory-input" value="${escapeHtml(memory.content)}">
+              <button class="settings-memory-btn" data-memory-action="delete" title="Forget">Forget</button>
+            </div>`).join('')
+      : '<span class="settings-item-hint">Nothing saved yet.</span>';
+  };
+
+  const fail = (action, err) => {
+    console.error(`Failed to ${action} memory:`, err);
+    window.Layer?.showMessage?.(`Couldn't ${action} memory`);
+  };
+
+  const forget = async (id) => {
+    try {
+      await Repository.deleteMemory(id);
+      memories = memories.filter(memory => memory.id !== id);
+      renderRows();
+    } catch (err) {
+      fail('forget', err);
+    }
+  };
+
+  const save = async (input, id) => {
+    const content = input.value.trim();
+    const existing = memories.find(memory => memory.id === id);
+    if (existing && content === existing.content) return;
+    if (existing && !content) return forget(id);
+
+    try {
+      const saved = await Repository.saveMemory({ id, content });
+      memories = existing
+        ? memories.map(memory => (memory.id === id ? saved : memory))
+        : [...memories, saved];
+      renderRows();
+    } catch (err) {
+      fail('save', err);
+    }
+  };
+
+  const add = async () => {
+    if (!newInput.value.trim()) return;
+    await save(newInput);
+    newInput.value = '';
+  };
+
+  list.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-memory-action="delete"]');
+    if (btn) forget(btn.closest('[data-memory-id]').dataset.memoryId);
+  });
+
+  list.addEventListener('keydown', (e) => {
+    const row = e.target.closest('[data-memory-id]');
+    if (!row || e.target.tagName !== 'INPUT') return;
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      save(e.target, row.dataset.memoryId);
+    } else if (e.key === 'Escape') {
+      const memory = memories.find(m => m.id === row.dataset.memoryId);
+      if (memory) e.target.value = memory.content;
+      e.target.blur();
+    }
+  });
+
+  newInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      add();
+    }
+  });
+  addBtn.addEventListener('click', add);
+
+  try {
+    memories = await Repository.loadAllMemories();
+    renderRows();
+  } catch (err) {
+    console.error('Failed to load memories:', err);
+    list.innerHTML = '<span class="settings-item-hint">Couldn\'t load memories.</span>';
+  }
 }
 
 /**
@@ -1008,7 +1459,7 @@ export function renderContentPriorities(container, obj) {
       iconClass: '',
       content: priority.name,
       contentEditable: true, // Always editable
-      meta: '',
+      meta: createClarityBadge(priority),
       selected: false
     });
 
@@ -1110,7 +1561,7 @@ export function renderContentSteps(container, obj) {
       iconClass: '',
       content: step.name,
       contentEditable: true, // Always editable
-      meta: `<span class="step-timestamp">${timestamp}${durationStr}</span>`,
+      meta: `${renderStepDueDate(step)}<span class="step-timestamp">${timestamp}${durationStr}</span>`,
       metaClass: 'compact',
       selected: false
     });
@@ -1118,6 +1569,30 @@ export function renderContentSteps(container, obj) {
     listItem.dataset.section = 'steps';
     listItem.dataset.index = actualIdx;
 
+    // Right-click to set a due date (searchable with due:)
+    listItem.addEventListener('contextmenu', (e) => {
+      const ContextMenu = window.Layer?.ContextMenu;
+      if (!ContextMenu) return;
+      e.preventDefault();
+      ContextMenu.showContextMenu({
+        x: e.clientX,
+        y: e.clientY,
+        items: [{
+          label: 'Set due date…',
+          action: () => showDueDateModal({
+            itemName: step.name,
+            itemType: 'step',
+            dueDate: step.dueDate || null,
+            onSave: (dueDate) => {
+              step.dueDate = dueDate;
+              window.Layer?.Repository?.saveOneObjective?.(obj);
+              _renderContentView();
+            }
+          })
+        }]
+      });
+    });
+
     const contentEl = listItem.querySelector('.list-item-content');
     if (contentEl) {
       // Setup Notion-style inline editing
@@ -1157,6 +1632,16 @@ export function renderContentSteps(container, obj) {
   }
 }
 
+/**
+ * A step's due date, flagged once it's past (completed steps aren't flagged)
+ */
+function renderStepDueDate(step) {
+  if (!step.dueDate) return '';
+  const done = !step.status || step.status === StepStatus.COMPLETED;
+  const overdue = !done && isOverdue(step.dueDate);
+  return `<span class="step-due${overdue ? ' overdue' : ''}">Due ${escapeHtml(formatDueDate(step.dueDate))}</span>`;
+}
+
 // ========================================
 // Hover Preview
 // ========================================
@@ -1221,6 +1706,7 @@ export default {
   renderFolderView,
   renderNoteView,
   renderSettingsView,
+  revealOnRender,
   renderContentPriorities,
   renderContentSteps,
   startHoverPreview,
@@ -196,7 +196,6 @@ async function handleDropInto({ itemId, itemType, targetId }) {
  */
 function updateItemPosition(type, id, targetParentId, prevEl, nextEl) {
   const Repository = window.Layer?.Repository;
-  const NoteStorage = window.Layer?.NoteStorage;
   const BookmarkStorage = window.Layer?.BookmarkStorage;
 
   // Build updates array before mutation
@@ -220,7 +219,7 @@ function updateItemPosition(type, id, targetParentId, prevEl, nextEl) {
     },
     // Persist function (async)
     async () => {
-      await persistUpdates(type, updates, Repository, NoteStorage, BookmarkStorage);
+      await persistUpdates(type, updates, Repository, BookmarkStorage);
     },
     // Options
     {
@@ -370,7 +369,7 @@ function applyUpdatesLocally(type, updates) {
 /**
  * Persist updates to database
  */
-async function persistUpdates(type, updates, Repository, NoteStorage, BookmarkStorage) {
+async function persistUpdates(type, updates, Repository, BookmarkStorage) {
   const savePromises = [];
 
   for (const update of updates) {
@@ -384,9 +383,9 @@ async function persistUpdates(type, updates, Repository, NoteStorage, BookmarkSt
       savePromises.push(
         Repository.updateObjectiveOrder(update.id, update.orderIndex, update.folderId)
       );
-    } else if (itemType === 'note' && NoteStorage?.updateNoteOrder) {
+    } else if (itemType === 'note' && Repository?.updateNoteOrder) {
       savePromises.push(
-        NoteStorage.updateNoteOrder(update.id, update.orderIndex, update.folderId)
+        Repository.updateNoteOrder(update.id, update.orderIndex, update.folderId)
       );
     }
     // Bookmarks are localStorage-only, already updated in applyUpdatesLocally
@@ -0,0 +1,102 @@
+/**
+ * Due Date Modal Component
+ *
+ * Small modal for setting or clearing a task's or step's due date, which
+ * the omnibox's due: operator searches (due:<2026-11-01, due:overdue).
+ */
+
+import { escapeHtml } from '../utils.js';
+
+let modalElement = null;
+let onSaveCallback = null;
+
+/**
+ * Show the due date modal
+ * @param {Object} options - Modal options
+ * @param {string} options.itemName - Name of the item
+ * @param {string} options.itemType - Type of item (task, step)
+ * @param {string|null} options.dueDate - Current due date (YYYY-MM-DD)
+ * @param {Function} options.onSave - Called with the new date, or null when cleared
+ */
+export function showDueDateModal({ itemName, itemType, dueDate = null, onSave }) {
+  // Remove any existing modal
+  hideDueDateModal();
+
+  onSaveCallback = onSave;
+
+  modalElement = document.createElement('div');
+  modalElement.className = 'due-date-modal-overlay';
+
+  const modal = document.createElement('div');
+  modal.className = 'due-date-modal';
+
+  modal.innerHTML = `
+    <div class="due-date-modal-header">Due date for ${escapeHtml(itemType)}</div>
+    <div class="due-date-modal-body">
+      <p class="due-date-modal-item">${escapeHtml(itemName)}</p>
+      <input type="date" class="due-date-modal-input" />
+    </div>
+    <div class="due-date-modal-actions">
+      ${dueDate ? '<button class="due-date-modal-clear">Clear</button>' : ''}
+      <button class="due-date-modal-cancel">Cancel</button>
+      <button class="due-date-modal-save">Save</button>
+    </div>
+  `;
+
+  modalElement.appendChild(modal);
+  document.body.appendChild(modalElement);
+
+  const input = modal.querySelector('.due-date-modal-input');
+  input.value = dueDate || '';
+
+  const save = (value) => {
+    const callback = onSaveCallback; // Save before hiding clears it
+    hideDueDateModal();
+    if (callback) callback(value || null);
+  };
+
+  modal.querySelector('.due-date-modal-save').addEventListener('click', () => save(input.value));
+  modal.querySelector('.due-date-modal-clear')?.addEventListener('click', () => save(null));
+  modal.querySelector('.due-date-modal-cancel').addEventListener('click', hideDueDateModal);
+
+  // Handle overlay click
+  modalElement.addEventListener('click', (e) => {
+    if (e.target === modalElement) {
+      hideDueDateModal();
+    }
+  });
+
+  document.addEventListener('keydown', handleEscape);
+
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      save(input.value);
+    }
+  });
+
+  setTimeout(() => input.focus(), 0);
+}
+
+/**
+ * Hide the due date modal
+ */
+export function hideDueDateModal() {
+  if (modalElement) {
+    modalElement.remove();
+    modalElement = null;
+  }
+  onSaveCallback = null;
+  document.removeEventListener('keydown', handleEscape);
+}
+
+function handleEscape(e) {
+  if (e.key === 'Escape') {
+    hideDueDateModal();
+  }
+}
+
+export default {
+  showDueDateModal,
+  hideDueDateModal
+};
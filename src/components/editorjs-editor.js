@@ -36,6 +36,8 @@ import {
   MarkdownShortcuts
 } from '../lib/editorjs/index.js';
 
+import { findHashtags } from '../utils/tags.js';
+
 /**
  * Load Editor.js modules (no-op - modules are now statically imported)
  * Kept for API compatibility
@@ -53,6 +55,7 @@ let editorInstance = null;
 let autoSaveCallback = null;
 let autoSaveTimeout = null;
 const AUTOSAVE_DELAY = 1000; // 1 second debounce
+const HASHTAG_HIGHLIGHT = 'hashtag';
 
 // ========================================
 // Editor Lifecycle
@@ -218,6 +221,8 @@ export async function initNoteEditor(content, noteId, container, onAutoSave) {
     tunes: ['alignmentTune'],
     data: initialData || { blocks: [] },
     onChange: async () => {
+      highlightHashtags(editorElement);
+
       // Debounced auto-save
       if (autoSaveTimeout) {
         clearTimeout(autoSaveTimeout);
@@ -234,6 +239,8 @@ export async function initNoteEditor(content, noteId, container, onAutoSave) {
       new DragDrop(editorInstance, '2px solid var(--accent, #0891b2)');
       // Initialize markdown shortcuts for block conversion
       new MarkdownShortcuts(editorInstance);
+      // Highlight #hashtags in paragraphs
+      highlightHashtags(editorElement);
 
       // Restart toolbar fade-in animation when toolbar moves to a new block
       const setupToolbarAnimation = () => {
@@ -263,9 +270,58 @@ export async function initNoteEditor(content, noteId, container, onAutoSave) {
     }
   });
 
+  // Cmd/Ctrl-click a #hashtag to browse the tag
+  editorElement.addEventListener('mousedown', handleHashtagClick);
+
   return editorInstance;
 }
 
+// ========================================
+// Hashtags
+// ========================================
+
+/**
+ * Highlight #hashtags in paragraph blocks
+ * Uses the CSS Custom Highlight API so Editor.js's own markup is untouched.
+ */
+function highlightHashtags(root) {
+  if (!window.CSS?.highlights || typeof Highlight === 'undefined') return;
+
+  const ranges = [];
+  root.querySelectorAll('.ce-paragraph').forEach(paragraph => {
+    const walker = document.createTreeWalker(paragraph, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      for (const { from, to } of findHashtags(node.textContent)) {
+        const range = new Range();
+        range.setStart(node, from);
+        range.setEnd(node, to);
+        ranges.push(range);
+      }
+    }
+  });
+
+  CSS.highlights.set(HASHTAG_HIGHLIGHT, new Highlight(...ranges));
+}
+
+/**
+ * Open the tag browser for a Cmd/Ctrl-clicked #hashtag
+ */
+function handleHashtagClick(e) {
+  if (!(e.metaKey || e.ctrlKey) || !e.target.closest('.ce-paragraph')) return;
+
+  const caret = document.caretRangeFromPoint?.(e.clientX, e.clientY);
+  const node = caret?.startContainer;
+  if (!node || node.nodeType !== Node.TEXT_NODE) return;
+
+  const hashtag = findHashtags(node.textContent)
+    .find(({ from, to }) => caret.startOffset >= from && caret.startOffset <= to);
+  if (!hashtag) return;
+
+  e.preventDefault();
+  window.Layer?.TagController?.openTag(hashtag.tag);
+}
+
 /**
  * Trigger auto-save for note editor
  */
@@ -293,6 +349,7 @@ export function destroyNoteEditor() {
     editorInstance.destroy();
     editorInstance = null;
   }
+  window.CSS?.highlights?.delete(HASHTAG_HIGHLIGHT);
   autoSaveCallback = null;
 }
 
@@ -2,14 +2,21 @@
  * Global Navigation Component
  *
  * Provides omnibox-style search/navigation across the entire app.
- * Can navigate to objectives, folders, or web URLs.
+ * Can navigate to objectives, folders, notes, task lists, tasks, the full
+ * search results view, or web URLs. Queries with operators (type:note,
+ * in:"Folder", is:completed, due:<2026-11-01, updated:7d, tag:#foo) filter
+ * the tree instead and can be saved to the side list.
  */
 
 import AppState from '../state/app-state.js';
 import * as TabState from '../state/tab-state.js';
 import * as TabContentManager from '../state/tab-content-manager.js';
+import * as SessionManager from '../state/session-manager.js';
 import * as BookmarkStorage from '../data/bookmark-storage.js';
 import * as HistoryStorage from '../data/history-storage.js';
+import * as SavedSearchStorage from '../data/saved-search-storage.js';
+import * as SearchIndex from '../services/search-index.js';
+import * as SearchQuery from '../services/search-query.js';
 
 // ========================================
 // State
@@ -26,6 +33,13 @@ let userInputBeforeInline = null;   // Track what user actually typed
 let inlineDebounceTimer = null;
 const INLINE_DEBOUNCE_MS = 50;
 
+// Full-text matches shown per item type in the dropdown
+const MAX_RESULTS_PER_TYPE = 5;
+const INDEXED_TYPES = ['objective', 'note', 'task-list', 'task', 'folder'];
+
+// Operator queries (type:, in:, ...) show more matches since they're a slice of the tree
+const MAX_FILTERED_RESULTS_PER_TYPE = 8;
+
 // DOM References
 let navInput = null;
 let dropdown = null;
@@ -100,7 +114,7 @@ export function init() {
       const viewMode = AppState.getViewMode();
       if (viewMode === 'web') {
         const webview = getActiveWebview();
-        if (webview) webview.goBack();
+        if (webview) SessionManager.goBack(TabState.getActiveTabId(), webview);
       } else {
         // Use browser history for app navigation
         window.history.back();
@@ -113,7 +127,7 @@ export function init() {
       const viewMode = AppState.getViewMode();
       if (viewMode === 'web') {
         const webview = getActiveWebview();
-        if (webview) webview.goForward();
+        if (webview) SessionManager.goForward(TabState.getActiveTabId(), webview);
       } else {
         // Use browser history for app navigation
         window.history.forward();
@@ -275,9 +289,11 @@ function handleKeydown(e) {
       const el = resultEls[selectedIndex];
       navigateToResult(getResultFromElement(el));
     } else {
-      // No selection - treat as web URL
+      // No selection - operator queries open the results page, anything else is a web URL
       const query = navInput.value.trim();
-      if (query) {
+      if (query && SearchQuery.hasOperators(query)) {
+        navigateToResult({ type: 'search', query });
+      } else if (query) {
         navigateToResult({ type: 'web', url: query });
       }
     }
@@ -392,6 +408,11 @@ function getSearchResults(query) {
 
   if (!q) return results;
 
+  // Operator queries slice the tree, so skip history and the web
+  if (SearchQuery.hasOperators(query)) {
+    return getFilteredResults(query.trim());
+  }
+
   // Get history/common site suggestions (highest priority for URL bar)
   const historySuggestions = HistoryStorage.getSuggestions(q, 5);
   historySuggestions.forEach(item => {
@@ -424,25 +445,67 @@ function getSearchResults(query) {
     }
   });
 
-  const data = AppState.getData();
-
-  // Search objectives
-  data.objectives.forEach((obj, index) => {
-    if (obj.name.toLowerCase().includes(q)) {
-      results.push({ type: 'objective', id: obj.id, name: obj.name, index });
-    }
+  // Full-text search over objectives, notes, tasks and folders
+  const perType = {};
+  SearchIndex.search(query, { types: INDEXED_TYPES }).forEach(match => {
+    perType[match.type] = (perType[match.type] || 0) + 1;
+    if (perType[match.type] > MAX_RESULTS_PER_TYPE) return;
+    results.push({
+      type: match.type,
+      id: match.itemId,
+      name: match.title,
+      titleHtml: match.titleHtml,
+      snippetHtml: match.snippetHtml,
+      parentId: match.parentId
+    });
   });
 
-  // Search folders
-  data.folders.forEach(folder => {
-    if (folder.name.toLowerCase().includes(q)) {
-      results.push({ type: 'folder', id: folder.id, name: folder.name });
+  // Always add the full results page and web option if query has content
+  if (q.length > 0) {
+    results.push({ type: 'search', query: query.trim() });
+    results.push({ type: 'web', url: query });
+  }
+
+  return results;
+}
+
+/**
+ * Results for a query using operators: grouped matches, then the full
+ * results page and an option to save the query to the side list
+ */
+function getFilteredResults(query) {
+  const results = [];
+  const { results: matches, parsed } = SearchQuery.runQuery(query, { limit: 200 });
+
+  parsed.errors.forEach(message => results.push({ type: 'query-error', message }));
+
+  const bookmarksById = new Map(BookmarkStorage.loadAllBookmarks().map(bm => [bm.id, bm]));
+  const perType = {};
+  matches.forEach(match => {
+    perType[match.type] = (perType[match.type] || 0) + 1;
+    if (perType[match.type] > MAX_FILTERED_RESULTS_PER_TYPE) return;
+
+    if (match.type === 'bookmark') {
+      const bm = bookmarksById.get(match.itemId);
+      if (bm) {
+        results.push({ type: 'bookmark', url: bm.url, title: bm.title, faviconUrl: bm.faviconUrl, id: bm.id });
+      }
+      return;
     }
+
+    results.push({
+      type: match.type,
+      id: match.itemId,
+      name: match.title,
+      titleHtml: match.titleHtml,
+      snippetHtml: match.snippetHtml,
+      parentId: match.parentId
+    });
   });
 
-  // Always add web option if query has content
-  if (q.length > 0) {
-    results.push({ type: 'web', url: query });
+  results.push({ type: 'search', query });
+  if (!SavedSearchStorage.findSavedSearchByQuery(query)) {
+    results.push({ type: 'save-search', query });
   }
 
   return results;
@@ -465,7 +528,7 @@ function highlightMatch(name, query) {
 }
 
 function escapeHtml(str) {
-  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
 }
 
 function renderDropdown(results, query) {
@@ -484,7 +547,13 @@ function renderDropdown(results, query) {
   const suggestions = results.filter(r => r.type === 'suggestion');
   const bookmarks = results.filter(r => r.type === 'bookmark');
   const objectives = results.filter(r => r.type === 'objective');
+  const notes = results.filter(r => r.type === 'note');
+  const taskLists = results.filter(r => r.type === 'task-list');
+  const tasks = results.filter(r => r.type === 'task');
   const folders = results.filter(r => r.type === 'folder');
+  const search = results.filter(r => r.type === 'search');
+  const saveSearch = results.filter(r => r.type === 'save-search');
+  const queryErrors = results.filter(r => r.type === 'query-error');
   const web = results.filter(r => r.type === 'web');
 
   let flatIndex = 0;
@@ -497,6 +566,11 @@ function renderDropdown(results, query) {
     return `<span class="web-search-result-icon">${fallback}</span>`;
   };
 
+  // Operators that couldn't be read (not selectable)
+  queryErrors.forEach(item => {
+    html += `<div class="web-search-query-error">${escapeHtml(item.message)}</div>`;
+  });
+
   // History items (visited sites)
   if (history.length > 0) {
     html += '<div class="web-search-section">History</div>';
@@ -546,27 +620,44 @@ function renderDropdown(results, query) {
     });
   }
 
-  if (objectives.length > 0) {
-    html += '<div class="web-search-section">Objectives</div>';
-    objectives.forEach(obj => {
-      html += `<div class="web-search-result" data-index="${flatIndex}" data-type="objective" data-id="${obj.id}" data-obj-index="${obj.index}">
-        <span class="web-search-result-icon">📋</span>
-        <span class="web-search-result-name">${highlightMatch(obj.name, query)}</span>
+  // Indexed items: highlighted title plus a snippet when the body matched
+  const renderIndexed = (title, items, icon) => {
+    if (items.length === 0) return;
+    html += `<div class="web-search-section">${title}</div>`;
+    items.forEach(item => {
+      const parentAttr = item.type === 'task' ? ` data-task-list-id="${escapeHtml(item.parentId || '')}"` : '';
+      html += `<div class="web-search-result" data-index="${flatIndex}" data-type="${item.type}" data-id="${escapeHtml(item.id)}"${parentAttr}>
+        <span class="web-search-result-icon">${icon}</span>
+        <div class="web-search-result-content">
+          <span class="web-search-result-name">${item.titleHtml || escapeHtml(item.name || 'Untitled')}</span>
+          ${item.snippetHtml ? `<span class="web-search-result-snippet">${item.snippetHtml}</span>` : ''}
+        </div>
       </div>`;
       flatIndex++;
     });
-  }
+  };
 
-  if (folders.length > 0) {
-    html += '<div class="web-search-section">Folders</div>';
-    folders.forEach(folder => {
-      html += `<div class="web-search-result" data-index="${flatIndex}" data-type="folder" data-id="${folder.id}">
-        <span class="web-search-result-icon">📁</span>
-        <span class="web-search-result-name">${highlightMatch(folder.name, query)}</span>
-      </div>`;
-      flatIndex++;
-    });
-  }
+  renderIndexed('Objectives', objectives, '📋');
+  renderIndexed('Notes', notes, '📝');
+  renderIndexed('Task Lists', taskLists, '☑️');
+  renderIndexed('Tasks', tasks, '•');
+  renderIndexed('Folders', folders, '📁');
+
+  search.forEach(item => {
+    html += `<div class="web-search-result" data-index="${flatIndex}" data-type="search" data-query="${escapeHtml(item.query)}">
+      <span class="web-search-result-icon">🔎</span>
+      <span class="web-search-result-name">Show all results for "${escapeHtml(item.query)}"</span>
+    </div>`;
+    flatIndex++;
+  });
+
+  saveSearch.forEach(item => {
+    html += `<div class="web-search-result" data-index="${flatIndex}" data-type="save-search" data-query="${escapeHtml(item.query)}">
+      <span class="web-search-result-icon">📌</span>
+      <span class="web-search-result-name">Save "${escapeHtml(item.query)}" to the side list</span>
+    </div>`;
+    flatIndex++;
+  });
 
   if (web.length > 0) {
     web.forEach(item => {
@@ -601,10 +692,12 @@ function renderDropdown(results, query) {
 
 function getResultFromElement(el) {
   const type = el.dataset.type;
-  if (type === 'objective') {
-    return { type: 'objective', id: el.dataset.id, index: parseInt(el.dataset.objIndex, 10) };
-  } else if (type === 'folder') {
-    return { type: 'folder', id: el.dataset.id };
+  if (type === 'objective' || type === 'folder' || type === 'note' || type === 'task-list') {
+    return { type, id: el.dataset.id };
+  } else if (type === 'task') {
+    return { type: 'task', id: el.dataset.id, taskListId: el.dataset.taskListId };
+  } else if (type === 'search' || type === 'save-search') {
+    return { type, query: el.dataset.query };
   } else if (type === 'history' || type === 'suggestion' || type === 'bookmark') {
     // All URL-based types navigate as web
     return { type: 'web', url: el.dataset.url };
@@ -734,43 +827,53 @@ function applyInlineAutocomplete(userInput) {
 // Navigation
 // ========================================
 
-function navigateToResult(result) {
+export function navigateToResult(result) {
   const SideListState = window.Layer?.SideListState;
+  const NavigationController = window.Layer?.NavigationController;
   const app = document.getElementById('app');
 
-  if (result.type === 'objective') {
-    AppState.setSelectedObjectiveIndex(result.index);
-    AppState.setViewMode('objective');
+  if (result.type === 'objective' || result.type === 'folder' ||
+      result.type === 'note' || result.type === 'task-list') {
+    // Expands parent folders so nested items open too
+    NavigationController?.openItem(result.type, result.id);
+  } else if (result.type === 'task') {
+    // Tasks open in their list
+    NavigationController?.openItem('task-list', result.taskListId);
+  } else if (result.type === 'search' || result.type === 'save-search') {
+    if (result.type === 'save-search' && !SavedSearchStorage.findSavedSearchByQuery(result.query)) {
+      SavedSearchStorage.addSavedSearch(SavedSearchStorage.createSavedSearch(result.query));
+    }
+
+    TabState.setSelection(result.query, 'search');
+    AppState.setViewMode('search');
 
     // Remove web-mode class
     app?.classList.remove('web-mode');
 
-    // Update side list selection
-    if (SideListState) {
-      const flatList = SideListState.getFlatList?.() || SideListState.getItems?.() || [];
-      const sideListIndex = flatList.findIndex(item =>
-        item.type === SideListState.ItemType.OBJECTIVE && item.objectiveId === result.id
-      );
-      if (sideListIndex >= 0) {
-        SideListState.setSelectedIndex(sideListIndex);
-      }
-    }
-
     // Re-render sidebar and content
     _renderSideList();
     _renderContentView();
-  } else if (result.type === 'folder') {
-    AppState.setViewMode('folder');
+  } else if (result.type === 'graph') {
+    TabState.setSelection('graph', 'graph');
+    AppState.setViewMode('graph');
+    app?.classList.remove('web-mode');
 
-    // Remove web-mode class
+    _renderSideList();
+    _renderContentView();
+  } else if (result.type === 'reports') {
+    TabState.setSelection('reports', 'reports');
+    AppState.setViewMode('reports');
     app?.classList.remove('web-mode');
 
-    // Update side list selection
-    if (SideListState) {
-      SideListState.selectItem(SideListState.ItemType.FOLDER, result.id);
-    }
+    _renderSideList();
+    _renderContentView();
+  } else if (result.type === 'calendar') {
+    // result.date is the day to show (YYYY-MM-DD); without one the tab
+    // follows today
+    TabState.setSelection(result.date || 'today', 'calendar');
+    AppState.setViewMode('calendar');
+    app?.classList.remove('web-mode');
 
-    // Re-render sidebar and content
     _renderSideList();
     _renderContentView();
   } else if (result.type === 'web') {
@@ -1022,6 +1125,43 @@ export function updateFromSelection() {
     return;
   }
 
+  if (viewMode === 'search') {
+    const query = TabState.getSelection().id || '';
+    renderBreadcrumb([{ name: query ? `Search: ${query}` : 'Search', folderId: null, isCurrent: true }]);
+    navInput.value = '';
+    setIcon('search');
+    return;
+  }
+
+  if (viewMode === 'tags') {
+    const tag = TabState.getSelection().id || '';
+    renderBreadcrumb([{ name: tag ? `#${tag}` : 'Tags', folderId: null, isCurrent: true }]);
+    navInput.value = '';
+    setIcon('tag');
+    return;
+  }
+
+  if (viewMode === 'graph') {
+    renderBreadcrumb([{ name: 'Graph', folderId: null, isCurrent: true }]);
+    navInput.value = '';
+    setIcon('graph');
+    return;
+  }
+
+  if (viewMode === 'reports') {
+    renderBreadcrumb([{ name: 'Reports', folderId: null, isCurrent: true }]);
+    navInput.value = '';
+    setIcon('reports');
+    return;
+  }
+
+  if (viewMode === 'calendar') {
+    renderBreadcrumb([{ name: 'Calendar', folderId: null, isCurrent: true }]);
+    navInput.value = '';
+    setIcon('calendar');
+    return;
+  }
+
   if (viewMode === 'objective') {
     const data = AppState.getData();
     const objIndex = AppState.getSelectedObjectiveIndex();
@@ -1215,6 +1355,10 @@ export function setIcon(icon) {
     // Built-in icon - restore SVG if needed
     const svgIcons = {
       search: '<circle cx="11" cy="11" r="8"/><path d="M21 21l-4.35-4.35"/>',
+      tag: '<path d="M20.59 13.41l-7.17 7.17a2 2 0 0 1-2.83 0L2 12V2h10l8.59 8.59a2 2 0 0 1 0 2.82z"/><line x1="7" y1="7" x2="7.01" y2="7"/>',
+      graph: '<circle cx="6" cy="6" r="3"/><circle cx="18" cy="8" r="3"/><circle cx="9" cy="18" r="3"/><line x1="8.6" y1="7.4" x2="15.3" y2="7.6"/><line x1="6.8" y1="8.9" x2="8.2" y2="15.1"/><line x1="16.2" y1="10.4" x2="10.8" y2="15.8"/>',
+      calendar: '<rect x="3" y="4" width="18" height="18" rx="2"/><line x1="16" y1="2" x2="16" y2="6"/><line x1="8" y1="2" x2="8" y2="6"/><line x1="3" y1="10" x2="21" y2="10"/>',
+      reports: '<line x1="18" y1="20" x2="18" y2="10"/><line x1="12" y1="20" x2="12" y2="4"/><line x1="6" y1="20" x2="6" y2="14"/>',
       home: '<path d="M3 9l9-7 9 7v11a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2z"/><polyline points="9 22 9 12 15 12 15 22"/>',
       folder: '<path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"/>',
       objective: '<circle cx="12" cy="12" r="10"/><circle cx="12" cy="12" r="6"/><circle cx="12" cy="12" r="2"/>',
@@ -1247,5 +1391,6 @@ export default {
   setFavicon,
   setIcon,
   clear,
-  updateFromSelection
+  updateFromSelection,
+  navigateToResult
 };
@@ -0,0 +1,472 @@
+/**
+ * Graph View Component
+ *
+ * Force-directed map of the tree. Folders are joined to what they hold,
+ * task lists to their tasks, and [[wiki-links]] join whatever they connect
+ * (which is how objectives and tasks reference each other). Items with no
+ * connections at all are highlighted as orphans.
+ *
+ * Filters (types, folder, folder lines) last for the session and apply to
+ * every tab showing the graph.
+ */
+
+import AppState from '../state/app-state.js';
+import * as LinkIndex from '../services/link-index.js';
+import { findFolder } from '../data/tree-utils.js';
+import { openResult } from './search-view.js';
+import { escapeHtml } from '../utils.js';
+
+// ========================================
+// Constants
+// ========================================
+
+const NODE_TYPES = [
+  ['objective', 'Objectives'],
+  ['folder', 'Folders'],
+  ['note', 'Notes'],
+  ['task-list', 'Task lists'],
+  ['task', 'Tasks'],
+  ['bookmark', 'Bookmarks']
+];
+
+const NODE_RADIUS = {
+  folder: 7,
+  objective: 6,
+  'task-list': 6,
+  note: 5,
+  bookmark: 4,
+  task: 3.5
+};
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Above this many nodes the graph is cut off (layout is O(n²) per tick)
+const MAX_NODES = 800;
+
+// Above this many nodes labels only show on hover
+const LABEL_LIMIT = 150;
+
+// Layout
+const TICKS = 300;
+const REPULSION = 900;
+const SPRING_LENGTH = 60;
+const SPRING_STRENGTH = 0.04;
+const CENTER_STRENGTH = 0.01;
+const DAMPING = 0.85;
+
+const MIN_ZOOM = 0.2;
+const MAX_ZOOM = 4;
+
+// ========================================
+// State
+// ========================================
+
+const filters = {
+  types: new Set(['objective', 'folder', 'note', 'task-list', 'bookmark']),
+  folderId: null,
+  showContainment: true
+};
+
+let stopSimulation = null;
+
+// ========================================
+// Graph Building
+// ========================================
+
+/**
+ * Collect the nodes and edges the filters allow
+ * @param {Object} options
+ * @param {Set<string>} options.types - Item types to show
+ * @param {string|null} options.folderId - Only this folder's subtree
+ * @param {boolean} options.showContainment - Include folder/list edges
+ * @returns {Promise<{nodes: Array, edges: Array, truncated: boolean}>}
+ */
+export async function buildGraph({ types, folderId, showContainment }) {
+  const nodes = new Map();
+  const edges = [];
+
+  const addNode = (type, id, name, parentId = null) => {
+    const key = `${type}:${id}`;
+    if (!nodes.has(key)) {
+      nodes.set(key, { key, type, id, name: name || 'Untitled', parentId, degree: 0 });
+    }
+    return key;
+  };
+
+  // Task lists in scope, shown or not (their tasks may still be)
+  const taskListIds = new Set();
+
+  // Folder containment, starting from the chosen folder (or the root).
+  // Hidden folders are still walked so their contents show.
+  const visit = (items, parentKey) => {
+    for (const item of items) {
+      if (item.type === 'task-list') taskListIds.add(item.id);
+      const key = types.has(item.type) ? addNode(item.type, item.id, item.name || item.title) : null;
+      if (key && parentKey && showContainment) {
+        edges.push({ from: parentKey, to: key, kind: 'contains' });
+      }
+      if (item.type === 'folder') {
+        visit(item.children || [], key || parentKey);
+      }
+    }
+  };
+
+  const tree = AppState.getTree() || [];
+  const root = folderId ? findFolder(tree, folderId) : null;
+  if (root) {
+    visit([root], null);
+  } else {
+    visit(tree, null);
+  }
+
+  // Tasks hang off their (visible) task lists
+  if (types.has('task')) {
+    const tasks = await window.Layer?.Repository?.loadAllTasks?.() || [];
+    for (const task of tasks) {
+      if (!taskListIds.has(task.taskListId)) continue;
+      const listKey = `task-list:${task.taskListId}`;
+      const key = addNode('task', task.id, task.name, task.taskListId);
+      if (nodes.has(listKey) && showContainment) {
+        edges.push({ from: listKey, to: key, kind: 'contains' });
+      }
+    }
+  }
+
+  const truncated = nodes.size > MAX_NODES;
+  if (truncated) {
+    [...nodes.keys()].slice(MAX_NODES).forEach(key => nodes.delete(key));
+  }
+
+  // Links between items that are both on the graph
+  for (const { source, target } of LinkIndex.getLinkEdges()) {
+    const from = `${source.type}:${source.id}`;
+    const to = `${target.type}:${target.id}`;
+    if (nodes.has(from) && nodes.has(to)) {
+      edges.push({ from, to, kind: 'link' });
+    }
+  }
+
+  const keptEdges = edges.filter(edge => nodes.has(edge.from) && nodes.has(edge.to));
+  for (const edge of keptEdges) {
+    nodes.get(edge.from).degree++;
+    nodes.get(edge.to).degree++;
+  }
+
+  return { nodes: [...nodes.values()], edges: keptEdges, truncated };
+}
+
+// ========================================
+// Layout
+// ========================================
+
+/**
+ * Place nodes on a spiral so the first frames aren't a pile at the origin
+ */
+function seedPositions(nodes) {
+  const golden = Math.PI * (3 - Math.sqrt(5));
+  nodes.forEach((node, i) => {
+    const r = 12 * Math.sqrt(i + 1);
+    node.x = r * Math.cos(i * golden);
+    node.y = r * Math.sin(i * golden);
+    node.vx = 0;
+    node.vy = 0;
+  });
+}
+
+/**
+ * Advance the force simulation one step
+ * @param {number} alpha - Cooling factor (1 → 0)
+ */
+function tick(nodes, links, alpha) {
+  // Every node pushes every other away
+  for (let i = 0; i < nodes.length; i++) {
+    const a = nodes[i];
+    for (let j = i + 1; j < nodes.length; j++) {
+      const b = nodes[j];
+      let dx = b.x - a.x;
+      let dy = b.y - a.y;
+      let dist2 = dx * dx + dy * dy;
+      if (dist2 < 0.01) {
+        dx = Math.random() - 0.5;
+        dy = Math.random() - 0.5;
+        dist2 = 0.01;
+      }
+      const force = (REPULSION * alpha) / dist2;
+      const dist = Math.sqrt(dist2);
+      const fx = (dx / dist) * force;
+      const fy = (dy / dist) * force;
+      a.vx -= fx;
+      a.vy -= fy;
+      b.vx += fx;
+      b.vy += fy;
+    }
+  }
+
+  // Edges pull their ends toward a rest length
+  for (const { source, target } of links) {
+    const dx = target.x - source.x;
+    const dy = target.y - source.y;
+    const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+    const force = (dist - SPRING_LENGTH) * SPRING_STRENGTH * alpha;
+    const fx = (dx / dist) * force;
+    const fy = (dy / dist) * force;
+    source.vx += fx;
+    source.vy += fy;
+    target.vx -= fx;
+    target.vy -= fy;
+  }
+
+  // Gentle pull to the middle keeps disconnected pieces on screen
+  for (const node of nodes) {
+    node.vx = (node.vx - node.x * CENTER_STRENGTH * alpha) * DAMPING;
+    node.vy = (node.vy - node.y * CENTER_STRENGTH * alpha) * DAMPING;
+    node.x += node.vx;
+    node.y += node.vy;
+  }
+}
+
+// ========================================
+// Rendering
+// ========================================
+
+/**
+ * Render the graph view
+ * @param {HTMLElement} container - Container element
+ */
+export async function renderGraphView(container) {
+  stopSimulation?.();
+  stopSimulation = null;
+
+  const graph = await buildGraph(filters);
+  const orphanCount = graph.nodes.filter(node => node.degree === 0).length;
+  const linkCount = graph.edges.filter(edge => edge.kind === 'link').length;
+
+  container.innerHTML = `
+    <div class="graph-view">
+      <div class="graph-view-toolbar">
+        <div class="graph-view-types">
+          ${NODE_TYPES.map(([type, label]) => `
+            <button class="graph-view-type graph-node-${type}${filters.types.has(type) ? ' active' : ''}" data-type="${type}" type="button">
+              <span class="graph-view-swatch"></span>${label}
+            </button>
+          `).join('')}
+        </div>
+        <select class="graph-view-folder">
+          <option value="">All folders</option>
+          ${renderFolderOptions(AppState.getTree() || [], 0)}
+        </select>
+        <label class="graph-view-containment">
+          <input type="checkbox"${filters.showContainment ? ' checked' : ''}> Folder lines
+        </label>
+      </div>
+      <div class="graph-view-meta">
+        ${graph.nodes.length} item${graph.nodes.length === 1 ? '' : 's'} ·
+        ${linkCount} link${linkCount === 1 ? '' : 's'} ·
+        <span class="graph-view-orphans">${orphanCount} orphan${orphanCount === 1 ? '' : 's'}</span>
+        ${graph.truncated ? ` · showing the first ${MAX_NODES}` : ''}
+      </div>
+      <svg class="graph-view-canvas${graph.nodes.length > LABEL_LIMIT ? ' dense' : ''}"></svg>
+    </div>
+  `;
+
+  const folderSelect = container.querySelector('.graph-view-folder');
+  folderSelect.value = filters.folderId || '';
+  folderSelect.addEventListener('change', () => {
+    filters.folderId = folderSelect.value || null;
+    renderGraphView(container);
+  });
+
+  container.querySelectorAll('.graph-view-type').forEach(button => {
+    button.addEventListener('click', () => {
+      const type = button.dataset.type;
+      if (filters.types.has(type)) {
+        filters.types.delete(type);
+      } else {
+        filters.types.add(type);
+      }
+      renderGraphView(container);
+    });
+  });
+
+  container.querySelector('.graph-view-containment input').addEventListener('change', (e) => {
+    filters.showContainment = e.target.checked;
+    renderGraphView(container);
+  });
+
+  drawGraph(container.querySelector('.graph-view-canvas'), graph);
+}
+
+/**
+ * Folder <option>s, indented by depth
+ */
+function renderFolderOptions(items, depth) {
+  return items
+    .filter(item => item.type === 'folder')
+    .map(folder => `
+      <option value="${escapeHtml(folder.id)}">${'  '.repeat(depth)}${escapeHtml(folder.name || 'Untitled')}</option>
+      ${renderFolderOptions(folder.children || [], depth + 1)}
+    `).join('');
+}
+
+/**
+ * Draw the graph into the SVG and run the layout
+ */
+function drawGraph(svg, graph) {
+  const { width, height } = svg.getBoundingClientRect();
+  svg.setAttribute('viewBox', `${-width / 2} ${-height / 2} ${width} ${height}`);
+
+  const viewport = createSvgElement('g', { class: 'graph-viewport' });
+  const edgeLayer = createSvgElement('g', { class: 'graph-edges' });
+  const nodeLayer = createSvgElement('g', { class: 'graph-nodes' });
+  viewport.append(edgeLayer, nodeLayer);
+  svg.appendChild(viewport);
+
+  const nodes = graph.nodes;
+  const byKey = new Map(nodes.map(node => [node.key, node]));
+  const links = graph.edges.map(edge => ({
+    ...edge,
+    source: byKey.get(edge.from),
+    target: byKey.get(edge.to)
+  }));
+  seedPositions(nodes);
+
+  // Neighbours, for hover highlighting
+  const neighbors = new Map(nodes.map(node => [node.key, new Set()]));
+  links.forEach(link => {
+    neighbors.get(link.from).add(link.to);
+    neighbors.get(link.to).add(link.from);
+  });
+
+  for (const link of links) {
+    link.el = createSvgElement('line', { class: `graph-edge graph-edge-${link.kind}` });
+    edgeLayer.appendChild(link.el);
+  }
+
+  for (const node of nodes) {
+    const radius = NODE_RADIUS[node.type] + Math.min(6, node.degree * 0.5);
+    node.el = createSvgElement('g', {
+      class: `graph-node graph-node-${node.type}${node.degree === 0 ? ' orphan' : ''}`
+    });
+    node.el.append(
+      createSvgElement('circle', { r: radius }),
+      createSvgElement('text', { y: radius + 11 })
+    );
+    node.el.querySelector('text').textContent = node.name;
+
+    const title = createSvgElement('title');
+    title.textContent = node.degree === 0 ? `${node.name} (orphan)` : node.name;
+    node.el.appendChild(title);
+
+    node.el.addEventListener('click', () => {
+      openResult({ type: node.type, itemId: node.id, parentId: node.parentId });
+    });
+    node.el.addEventListener('mouseenter', () => {
+      svg.classList.add('focused');
+      node.el.classList.add('highlighted');
+      for (const key of neighbors.get(node.key)) byKey.get(key).el.classList.add('highlighted');
+      for (const link of links) {
+        if (link.from === node.key || link.to === node.key) link.el.classList.add('highlighted');
+      }
+    });
+    node.el.addEventListener('mouseleave', () => {
+      svg.classList.remove('focused');
+      svg.querySelectorAll('.highlighted').forEach(el => el.classList.remove('highlighted'));
+    });
+
+    nodeLayer.appendChild(node.el);
+  }
+
+  setupPanZoom(svg, viewport);
+
+  const paint = () => {
+    for (const link of links) {
+      link.el.setAttribute('x1', link.source.x);
+      link.el.setAttribute('y1', link.source.y);
+      link.el.setAttribute('x2', link.target.x);
+      link.el.setAttribute('y2', link.target.y);
+    }
+    for (const node of nodes) {
+      node.el.setAttribute('transform', `translate(${node.x},${node.y})`);
+    }
+  };
+
+  let frame = null;
+  let ticks = 0;
+  const step = () => {
+    // Stop once the view is gone (tab closed or view re-rendered)
+    if (!svg.isConnected || ticks >= TICKS) {
+      frame = null;
+      return;
+    }
+    tick(nodes, links, 1 - ticks / TICKS);
+    ticks++;
+    paint();
+    frame = requestAnimationFrame(step);
+  };
+  frame = requestAnimationFrame(step);
+
+  stopSimulation = () => {
+    if (frame) cancelAnimationFrame(frame);
+  };
+}
+
+/**
+ * Drag the background to pan, scroll to zoom
+ */
+function setupPanZoom(svg, viewport) {
+  let scale = 1;
+  let panX = 0;
+  let panY = 0;
+  let drag = null;
+
+  const apply = () => {
+    viewport.setAttribute('transform', `translate(${panX},${panY}) scale(${scale})`);
+  };
+
+  svg.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    scale = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, scale * (e.deltaY < 0 ? 1.1 : 1 / 1.1)));
+    apply();
+  }, { passive: false });
+
+  svg.addEventListener('pointerdown', (e) => {
+    if (e.target.closest('.graph-node')) return;
+    drag = { x: e.clientX - panX, y: e.clientY - panY };
+    svg.setPointerCapture(e.pointerId);
+    svg.classList.add('panning');
+  });
+
+  svg.addEventListener('pointermove', (e) => {
+    if (!drag) return;
+    panX = e.clientX - drag.x;
+    panY = e.clientY - drag.y;
+    apply();
+  });
+
+  const endDrag = () => {
+    drag = null;
+    svg.classList.remove('panning');
+  };
+  svg.addEventListener('pointerup', endDrag);
+  svg.addEventListener('pointercancel', endDrag);
+}
+
+/**
+ * Create an SVG element with attributes
+ */
+function createSvgElement(tag, attributes = {}) {
+  const el = document.createElementNS(SVG_NS, tag);
+  for (const [name, value] of Object.entries(attributes)) {
+    el.setAttribute(name, value);
+  }
+  return el;
+}
+
+// ========================================
+// Default Export
+// ========================================
+
+export default {
+  buildGraph,
+  renderGraphView
+};
@@ -8,6 +8,8 @@
  * - initMarkdownEditor(content, noteId, container, onAutoSave)
  * - destroyMarkdownEditor()
  * - getContent() - Returns raw markdown string
+ * - setContent(content) - Replaces the document after an outside edit
+ * - revealHeading(slug) - Puts the caret on a heading (note deep links)
  */
 
 import {
@@ -29,7 +31,8 @@ import {
   bracketMatching,
   indentOnInput,
   closeBrackets,
-  closeBracketsKeymap
+  closeBracketsKeymap,
+  autocompletion
 } from '../lib/codemirror/index.js';
 
 import { layerThemeExtension } from '../lib/codemirror/theme.js';
@@ -37,6 +40,9 @@ import { livePreviewExtension } from '../lib/codemirror/live-preview.js';
 import { slashCommandExtension, cleanupSlashMenu } from '../lib/codemirror/slash-commands.js';
 import { blockOverlayExtension } from '../lib/codemirror/block-overlay.js';
 import { blockDragExtension } from '../lib/codemirror/block-drag.js';
+import * as LinkIndex from '../services/link-index.js';
+import { parseWikiLink, formatWikiLink } from '../utils/wiki-links.js';
+import { slugifyHeading } from '../router.js';
 
 // ========================================
 // Editor State
@@ -46,6 +52,7 @@ let editorView = null;
 let autoSaveCallback = null;
 let autoSaveTimeout = null;
 let currentNoteId = null;
+let applyingExternalContent = false;
 const AUTOSAVE_DELAY = 1000; // 1 second debounce
 
 // ========================================
@@ -227,6 +234,89 @@ function toggleCheckbox(view) {
   });
 }
 
+// ========================================
+// Hashtags
+// ========================================
+
+/**
+ * Open the tag browser when a #hashtag is Cmd/Ctrl-clicked
+ */
+function createHashtagClickHandler() {
+  return EditorView.domEventHandlers({
+    mousedown(event) {
+      if (!(event.metaKey || event.ctrlKey)) return false;
+      const hashtag = event.target.closest?.('.cm-md-hashtag');
+      if (!hashtag) return false;
+
+      event.preventDefault();
+      window.Layer?.TagController?.openTag(hashtag.dataset.tag);
+      return true;
+    }
+  });
+}
+
+// ========================================
+// Wiki-links
+// ========================================
+
+const LINK_TYPE_LABELS = {
+  note: 'Note',
+  objective: 'Objective',
+  'task-list': 'Task list',
+  task: 'Task',
+  folder: 'Folder'
+};
+
+/**
+ * Follow a [[wiki-link]] when it's clicked
+ */
+function createWikiLinkClickHandler() {
+  return EditorView.domEventHandlers({
+    mousedown(event) {
+      if (event.button !== 0) return false;
+      const link = event.target.closest?.('.cm-md-wikilink');
+      if (!link) return false;
+
+      event.preventDefault();
+      window.Layer?.LinkController?.openLink(
+        { type: link.dataset.linkType || null, name: link.dataset.linkName },
+        { sourceNoteId: currentNoteId }
+      );
+      return true;
+    }
+  });
+}
+
+/**
+ * Suggest items from the tree after typing [[
+ */
+function wikiLinkCompletions(context) {
+  const match = context.matchBefore(/\[\[[^[\]\n]*$/);
+  if (!match) return null;
+
+  const { type, name } = parseWikiLink(match.text.slice(2));
+  const targets = LinkIndex.findLinkTargets(name, { type });
+  if (targets.length === 0) return null;
+
+  return {
+    from: match.from + 2,
+    filter: false,
+    options: targets.map(target => ({
+      label: target.name,
+      detail: LINK_TYPE_LABELS[target.type],
+      apply: (view, completion, from, to) => {
+        // closeBrackets may already have added the ]]
+        const end = view.state.sliceDoc(to, to + 2) === ']]' ? to + 2 : to;
+        const text = formatWikiLink(target.type, target.name);
+        view.dispatch({
+          changes: { from: from - 2, to: end, insert: text },
+          selection: { anchor: from - 2 + text.length }
+        });
+      }
+    }))
+  };
+}
+
 // ========================================
 // Auto-save Listener
 // ========================================
@@ -236,12 +326,13 @@ function toggleCheckbox(view) {
  */
 function createAutoSaveListener() {
   return EditorView.updateListener.of((update) => {
-    if (update.docChanged) {
+    if (update.docChanged && !applyingExternalContent) {
       // Debounced auto-save
       if (autoSaveTimeout) {
         clearTimeout(autoSaveTimeout);
       }
       autoSaveTimeout = setTimeout(() => {
+        autoSaveTimeout = null;
         triggerAutoSave();
       }, AUTOSAVE_DELAY);
     }
@@ -322,6 +413,13 @@ export async function initMarkdownEditor(content, noteId, container, onAutoSave)
     // Custom markdown shortcuts
     createMarkdownKeymap(),
 
+    // Cmd/Ctrl-click a #hashtag to browse the tag
+    createHashtagClickHandler(),
+
+    // [[wiki-links]]: click to follow, autocomplete after [[
+    createWikiLinkClickHandler(),
+    autocompletion({ override: [wikiLinkCompletions], icons: false }),
+
     // Auto-save listener
     createAutoSaveListener(),
 
@@ -400,6 +498,63 @@ export function getContent() {
   return editorView.state.doc.toString();
 }
 
+/**
+ * Replace the document with content changed outside the editor
+ * Skipped while local edits are waiting to auto-save (those win).
+ * @param {string} content - New markdown content
+ * @returns {boolean} Whether the editor was updated
+ */
+export function setContent(content) {
+  if (!editorView || autoSaveTimeout) return false;
+
+  const doc = editorView.state.doc;
+  if (doc.toString() === content) return false;
+
+  const anchor = Math.min(editorView.state.selection.main.anchor, content.length);
+  applyingExternalContent = true;
+  try {
+    editorView.dispatch({
+      changes: { from: 0, to: doc.length, insert: content },
+      selection: { anchor }
+    });
+  } finally {
+    applyingExternalContent = false;
+  }
+  return true;
+}
+
+/**
+ * Put the caret at the end of a heading and scroll it to the top
+ * @param {string} slug - Heading slug from a note link, e.g. 'q3-plan'
+ * @returns {boolean} Whether a heading matched
+ */
+export function revealHeading(slug) {
+  if (!editorView) return false;
+
+  const doc = editorView.state.doc;
+  for (let n = 1; n <= doc.lines; n++) {
+    const line = doc.line(n);
+    const match = line.text.match(/^#{1,6}\s+(.+?)\s*$/);
+    if (match && slugifyHeading(match[1]) === slug) {
+      editorView.dispatch({
+        selection: { anchor: line.to },
+        effects: EditorView.scrollIntoView(line.from, { y: 'start', yMargin: 24 })
+      });
+      editorView.focus();
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * ID of the note open in the editor
+ * @returns {string|null}
+ */
+export function getCurrentNoteId() {
+  return currentNoteId;
+}
+
 /**
  * Check if editor is currently active
  * @returns {boolean}
@@ -424,6 +579,9 @@ export default {
   initMarkdownEditor,
   destroyMarkdownEditor,
   getContent,
+  setContent,
+  revealHeading,
+  getCurrentNoteId,
   isEditorActive,
   getEditorView
 };
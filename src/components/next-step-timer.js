@@ -56,6 +56,9 @@ export function startNextStepTimer() {
   // Update UI immediately
   updateNextStepTimerDisplay(obj);
   updateNextStepPlayButton(obj);
+
+  // Save so the start is recorded
+  _saveData();
 }
 
 /**
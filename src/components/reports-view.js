@@ -0,0 +1,355 @@
+/**
+ * Reports View Component
+ *
+ * What got done and where the time went: tracked step time and completed
+ * steps per objective and per day for a range (this week, last week or the
+ * last four weeks), with a sparkline of daily effort, totals for recent
+ * weeks, and CSV export of the range's steps.
+ *
+ * A step's time is its elapsed seconds (duration for steps logged from
+ * the next step) and counts on the day it was completed, or the day it was
+ * started if it isn't finished. Steps without a status were logged from
+ * the next step and count as completed.
+ *
+ * The chosen range lasts for the session and applies to every tab showing
+ * reports.
+ */
+
+import AppState from '../state/app-state.js';
+import GlobalNav from './global-nav.js';
+import { StepStatus } from '../constants.js';
+import { escapeHtml, formatDuration, formatTimerDisplay } from '../utils.js';
+
+// ========================================
+// Constants
+// ========================================
+
+const RANGES = [
+  ['this-week', 'This week'],
+  ['last-week', 'Last week'],
+  ['four-weeks', 'Last 4 weeks']
+];
+
+// Weeks shown in the week totals, including this one
+const WEEK_HISTORY = 8;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SPARKLINE_HEIGHT = 40;
+const SPARKLINE_STEP = 10;
+
+// ========================================
+// State
+// ========================================
+
+let range = 'this-week';
+
+// ========================================
+// Dates
+// ========================================
+
+function startOfDay(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+/**
+ * Monday of the date's week
+ */
+function startOfWeek(date) {
+  const day = startOfDay(date);
+  day.setDate(day.getDate() - ((day.getDay() + 6) % 7));
+  return day;
+}
+
+function addDays(date, days) {
+  const day = new Date(date);
+  day.setDate(day.getDate() + days);
+  return day;
+}
+
+/**
+ * Local YYYY-MM-DD
+ */
+function dateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * First and last day (inclusive) of a range
+ * @returns {{start: Date, end: Date}}
+ */
+function getRangeBounds(rangeId, now) {
+  const thisWeek = startOfWeek(now);
+  if (rangeId === 'last-week') {
+    return { start: addDays(thisWeek, -7), end: addDays(thisWeek, -1) };
+  }
+  if (rangeId === 'four-weeks') {
+    return { start: addDays(thisWeek, -21), end: addDays(thisWeek, 6) };
+  }
+  return { start: thisWeek, end: addDays(thisWeek, 6) };
+}
+
+// ========================================
+// Aggregation
+// ========================================
+
+/**
+ * Every step with tracked time or a completion, with the day it counts on
+ * @param {Array} objectives
+ * @returns {Array<{date: Date, objective: Object, step: Object, seconds: number, completed: boolean}>}
+ */
+function collectStepEntries(objectives) {
+  const entries = [];
+  for (const objective of objectives) {
+    for (const step of objective.steps || []) {
+      const seconds = step.elapsed ?? step.duration ?? 0;
+      const completed = !step.status || step.status === StepStatus.COMPLETED;
+      const when = completed
+        ? step.completedAt || step.loggedAt
+        : step.startedAt;
+      if (!when || (!completed && seconds === 0)) continue;
+
+      const date = new Date(when);
+      if (isNaN(date)) continue;
+      entries.push({ date, objective, step, seconds, completed });
+    }
+  }
+  return entries.sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Totals for a range, and for the weeks up to now
+ * @param {Array} objectives - From AppState
+ * @param {string} rangeId - One of RANGES
+ * @param {Date} [now]
+ * @returns {{
+ *   start: Date, end: Date,
+ *   entries: Array, totalSeconds: number, totalCompleted: number,
+ *   days: Array<{key, date, seconds, completed}>,
+ *   objectives: Array<{id, name, seconds, completed}>,
+ *   weeks: Array<{key, date, seconds, completed}>
+ * }}
+ */
+export function buildReport(objectives, rangeId, now = new Date()) {
+  const { start, end } = getRangeBounds(rangeId, now);
+  const allEntries = collectStepEntries(objectives);
+  const rangeEnd = addDays(end, 1);
+  const entries = allEntries.filter(entry => entry.date >= start && entry.date < rangeEnd);
+
+  // Days in the range, with nothing tracked counted as zero
+  const days = new Map();
+  for (let day = start; day <= end; day = addDays(day, 1)) {
+    days.set(dateKey(day), { key: dateKey(day), date: day, seconds: 0, completed: 0 });
+  }
+
+  const byObjective = new Map();
+  for (const entry of entries) {
+    const day = days.get(dateKey(entry.date));
+    day.seconds += entry.seconds;
+    if (entry.completed) day.completed++;
+
+    const { objective } = entry;
+    if (!byObjective.has(objective.id)) {
+      byObjective.set(objective.id, { id: objective.id, name: objective.name || 'Untitled', seconds: 0, completed: 0 });
+    }
+    const totals = byObjective.get(objective.id);
+    totals.seconds += entry.seconds;
+    if (entry.completed) totals.completed++;
+  }
+
+  // Recent weeks, oldest first
+  const thisWeek = startOfWeek(now);
+  const weeks = new Map();
+  for (let i = WEEK_HISTORY - 1; i >= 0; i--) {
+    const date = addDays(thisWeek, -7 * i);
+    weeks.set(dateKey(date), { key: dateKey(date), date, seconds: 0, completed: 0 });
+  }
+  for (const entry of allEntries) {
+    const week = weeks.get(dateKey(startOfWeek(entry.date)));
+    if (!week) continue;
+    week.seconds += entry.seconds;
+    if (entry.completed) week.completed++;
+  }
+
+  return {
+    start,
+    end,
+    entries,
+    totalSeconds: entries.reduce((sum, entry) => sum + entry.seconds, 0),
+    totalCompleted: entries.filter(entry => entry.completed).length,
+    days: [...days.values()],
+    objectives: [...byObjective.values()].sort((a, b) => b.seconds - a.seconds || b.completed - a.completed),
+    weeks: [...weeks.values()]
+  };
+}
+
+// ========================================
+// CSV Export
+// ========================================
+
+/**
+ * The range's steps as CSV, one row per step
+ * @param {Object} report - From buildReport
+ * @returns {string}
+ */
+export function reportToCsv(report) {
+  const rows = [['Date', 'Week of', 'Objective', 'Step', 'Status', 'Seconds', 'Duration']];
+  for (const { date, objective, step, seconds, completed } of report.entries) {
+    rows.push([
+      dateKey(date),
+      dateKey(startOfWeek(date)),
+      objective.name || 'Untitled',
+      step.name || '',
+      completed ? StepStatus.COMPLETED : step.status,
+      seconds,
+      formatTimerDisplay(seconds)
+    ]);
+  }
+  return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+function csvCell(value) {
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function downloadCsv(report) {
+  const blob = new Blob([reportToCsv(report)], { type: 'text/csv' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `layer-time-${dateKey(report.start)}-to-${dateKey(report.end)}.csv`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// ========================================
+// Rendering
+// ========================================
+
+/**
+ * Render reports into a container
+ * @param {HTMLElement} container - The container to render into
+ */
+export function renderReportsView(container) {
+  const report = buildReport(AppState.getData().objectives || [], range);
+  const objectiveCount = report.objectives.filter(objective => objective.completed > 0).length;
+  const busiest = report.days.reduce((best, day) => (day.seconds > (best?.seconds || 0) ? day : best), null);
+
+  container.innerHTML = `
+    <div class="reports-view">
+      <div class="reports-view-toolbar">
+        <div class="reports-view-ranges">
+          ${RANGES.map(([id, label]) => `
+            <button class="reports-view-range${id === range ? ' active' : ''}" data-range="${id}" type="button">${label}</button>
+          `).join('')}
+        </div>
+        <button class="reports-view-export" type="button"${report.entries.length === 0 ? ' disabled' : ''}>Export CSV</button>
+      </div>
+      <div class="reports-view-summary">
+        ${report.entries.length === 0
+          ? 'No steps tracked or completed in this period.'
+          : `Completed ${report.totalCompleted} step${report.totalCompleted === 1 ? '' : 's'} across
+            ${objectiveCount} objective${objectiveCount === 1 ? '' : 's'} ·
+            ${formatDuration(report.totalSeconds)} tracked
+            ${busiest ? ` · Most active: ${formatDayName(busiest.date)} (${formatDuration(busiest.seconds)})` : ''}`}
+      </div>
+      ${renderSparkline(report.days)}
+      <div class="section-header">BY OBJECTIVE</div>
+      ${renderTable(['Objective', 'Completed', 'Time'], report.objectives.map(objective => ({
+        cells: [escapeHtml(objective.name), objective.completed, formatTime(objective.seconds)],
+        objectiveId: objective.id
+      })))}
+      <div class="section-header">BY DAY</div>
+      ${renderTable(['Day', 'Completed', 'Time'], report.days.map(day => ({
+        cells: [escapeHtml(formatDayLabel(day.date)), day.completed, formatTime(day.seconds)]
+      })))}
+      <div class="section-header">BY WEEK</div>
+      ${renderTable(['Week of', 'Completed', 'Time'], report.weeks.map(week => ({
+        cells: [escapeHtml(formatDayLabel(week.date, false)), week.completed, formatTime(week.seconds)]
+      })))}
+    </div>
+  `;
+
+  container.querySelectorAll('.reports-view-range').forEach(button => {
+    button.addEventListener('click', () => {
+      range = button.dataset.range;
+      renderReportsView(container);
+    });
+  });
+
+  container.querySelector('.reports-view-export').addEventListener('click', () => downloadCsv(report));
+
+  container.querySelectorAll('tr[data-objective-id]').forEach(row => {
+    row.addEventListener('click', () => {
+      GlobalNav.navigateToResult({ type: 'objective', id: row.dataset.objectiveId });
+    });
+  });
+}
+
+/**
+ * Effort per day as a line, one point per day
+ */
+function renderSparkline(days) {
+  const max = Math.max(...days.map(day => day.seconds), 1);
+  const width = (days.length - 1) * SPARKLINE_STEP;
+  const points = days.map((day, i) => {
+    const y = SPARKLINE_HEIGHT - (day.seconds / max) * (SPARKLINE_HEIGHT - 2) - 1;
+    return `${i * SPARKLINE_STEP},${y.toFixed(1)}`;
+  }).join(' ');
+
+  return `
+    <svg class="reports-view-sparkline" viewBox="0 0 ${width} ${SPARKLINE_HEIGHT}" preserveAspectRatio="none" role="img" aria-label="Tracked time per day">
+      <polygon class="reports-view-sparkline-area" points="0,${SPARKLINE_HEIGHT} ${points} ${width},${SPARKLINE_HEIGHT}"/>
+      <polyline class="reports-view-sparkline-line" points="${points}" vector-effect="non-scaling-stroke"/>
+    </svg>
+  `;
+}
+
+function renderTable(headings, rows) {
+  if (rows.length === 0) {
+    return '<div class="reports-view-empty">Nothing yet</div>';
+  }
+  return `
+    <table class="reports-view-table">
+      <thead><tr>${headings.map(heading => `<th>${heading}</th>`).join('')}</tr></thead>
+      <tbody>
+        ${rows.map(({ cells, objectiveId }) => `
+          <tr${objectiveId ? ` data-objective-id="${escapeHtml(objectiveId)}"` : ''}>
+            ${cells.map(cell => `<td>${cell}</td>`).join('')}
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+function formatTime(seconds) {
+  return seconds > 0 ? formatDuration(seconds) : '–';
+}
+
+function formatDayName(date) {
+  return date.toLocaleDateString(undefined, { weekday: 'long' });
+}
+
+function formatDayLabel(date, withWeekday = true) {
+  return date.toLocaleDateString(undefined, withWeekday
+    ? { weekday: 'short', month: 'short', day: 'numeric' }
+    : { month: 'short', day: 'numeric' });
+}
+
+// ========================================
+// Default Export
+// ========================================
+
+export default {
+  buildReport,
+  reportToCsv,
+  renderReportsView
+};
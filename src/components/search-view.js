@@ -0,0 +1,219 @@
+/**
+ * Search View Component
+ *
+ * Full results page for a search query ("Show all results" in the omnibox).
+ * The query lives in the tab's selection ({ id: query, type: 'search' }) so
+ * each tab keeps its own search. Queries accept the omnibox operators
+ * (see search-query.js) and can be saved to the side list.
+ */
+
+import AppState from '../state/app-state.js';
+import * as TabState from '../state/tab-state.js';
+import * as BookmarkStorage from '../data/bookmark-storage.js';
+import * as SavedSearchStorage from '../data/saved-search-storage.js';
+import * as SearchIndex from '../services/search-index.js';
+import * as SearchQuery from '../services/search-query.js';
+import GlobalNav from './global-nav.js';
+import { escapeHtml } from '../utils.js';
+
+// ========================================
+// Constants
+// ========================================
+
+const RESULT_LIMIT = 100;
+const INPUT_DEBOUNCE_MS = 150;
+
+const TYPE_ICONS = {
+  objective: '📋',
+  folder: '📁',
+  note: '📝',
+  'task-list': '☑️',
+  task: '•',
+  bookmark: '⭐'
+};
+
+const TYPE_LABELS = {
+  objective: 'Objective',
+  folder: 'Folder',
+  note: 'Note',
+  'task-list': 'Task list',
+  task: 'Task',
+  bookmark: 'Bookmark'
+};
+
+// ========================================
+// State
+// ========================================
+
+let inputDebounceTimer = null;
+
+// ========================================
+// Rendering
+// ========================================
+
+/**
+ * Render the search view
+ * @param {HTMLElement} container - Container element
+ * @param {string} query - Initial query
+ */
+export function renderSearchView(container, query = '') {
+  container.innerHTML = `
+    <div class="search-view">
+      <input type="text" class="search-view-input" placeholder="Search, or filter with type: in: is: due: updated: tag:" value="${escapeHtml(query)}" spellcheck="false" />
+      <div class="search-view-meta">
+        <div class="search-view-count"></div>
+        <button class="search-view-save" type="button"></button>
+      </div>
+      <div class="search-view-errors"></div>
+      <div class="search-view-results"></div>
+    </div>
+  `;
+
+  const input = container.querySelector('.search-view-input');
+  input.addEventListener('input', () => {
+    clearTimeout(inputDebounceTimer);
+    inputDebounceTimer = setTimeout(() => {
+      const value = input.value.trim();
+      // Keep the tab's selection in step so switching tabs restores the query
+      TabState.setSelection(value, 'search');
+      renderResults(container, value);
+    }, INPUT_DEBOUNCE_MS);
+  });
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      container.querySelector('.search-view-result')?.click();
+    }
+  });
+
+  container.querySelector('.search-view-save').addEventListener('click', () => {
+    const value = input.value.trim();
+    if (!value || SavedSearchStorage.findSavedSearchByQuery(value)) return;
+    SavedSearchStorage.addSavedSearch(SavedSearchStorage.createSavedSearch(value));
+    window.Layer?.SideList?.renderSideList();
+    updateSaveButton(container, value);
+  });
+
+  renderResults(container, query);
+  input.focus();
+  input.setSelectionRange(input.value.length, input.value.length);
+}
+
+/**
+ * Render the ranked result list for a query
+ */
+function renderResults(container, query) {
+  const countEl = container.querySelector('.search-view-count');
+  const errorsEl = container.querySelector('.search-view-errors');
+  const resultsEl = container.querySelector('.search-view-results');
+  if (!countEl || !errorsEl || !resultsEl) return;
+
+  updateSaveButton(container, query);
+
+  if (!query) {
+    countEl.textContent = '';
+    errorsEl.innerHTML = '';
+    resultsEl.innerHTML = '';
+    return;
+  }
+
+  // Bookmarks live in localStorage and change without going through the repository
+  SearchIndex.syncCollection('bookmarks', BookmarkStorage.loadAllBookmarks());
+  const { results, parsed } = SearchQuery.runQuery(query, { limit: RESULT_LIMIT });
+
+  errorsEl.innerHTML = parsed.errors
+    .map(message => `<div class="search-view-error">${escapeHtml(message)}</div>`)
+    .join('');
+
+  countEl.textContent = results.length === 0
+    ? `No results for "${query}"`
+    : `${results.length === RESULT_LIMIT ? `${RESULT_LIMIT}+` : results.length} result${results.length === 1 ? '' : 's'}`;
+
+  resultsEl.innerHTML = results.map(result => `
+    <div class="search-view-result${result.completed ? ' completed' : ''}" data-type="${result.type}" data-id="${escapeHtml(result.itemId)}">
+      <span class="search-view-result-icon">${TYPE_ICONS[result.type] || '🔍'}</span>
+      <div class="search-view-result-content">
+        <div class="search-view-result-title">${result.titleHtml || escapeHtml(`Untitled ${TYPE_LABELS[result.type] || ''}`.trim())}</div>
+        <div class="search-view-result-location">${escapeHtml(describeLocation(result))}</div>
+        ${result.snippetHtml ? `<div class="search-view-result-snippet">${result.snippetHtml}</div>` : ''}
+      </div>
+    </div>
+  `).join('');
+
+  resultsEl.querySelectorAll('.search-view-result').forEach((el, index) => {
+    el.addEventListener('click', () => openResult(results[index]));
+  });
+}
+
+/**
+ * Show "Save search" for new queries, "Saved" once it's in the side list
+ */
+function updateSaveButton(container, query) {
+  const button = container.querySelector('.search-view-save');
+  if (!button) return;
+
+  const saved = !!SavedSearchStorage.findSavedSearchByQuery(query);
+  button.style.display = query ? '' : 'none';
+  button.disabled = saved;
+  button.textContent = saved ? 'Saved' : 'Save search';
+}
+
+/**
+ * "Note · Work / Projects" style line under a result's title
+ */
+export function describeLocation(result) {
+  const label = TYPE_LABELS[result.type] || result.type;
+
+  if (result.type === 'task') {
+    const taskList = AppState.getTaskLists().find(t => t.id === result.parentId);
+    return taskList ? `${label} · ${taskList.name}` : label;
+  }
+
+  const path = folderPath(result.parentId);
+  return path ? `${label} · ${path}` : label;
+}
+
+/**
+ * Folder names from the root down to a folder
+ */
+function folderPath(folderId) {
+  const folders = AppState.getFolders();
+  const names = [];
+  const seen = new Set();
+  let current = folders.find(f => f.id === folderId);
+  while (current && !seen.has(current.id)) {
+    seen.add(current.id);
+    names.unshift(current.name);
+    current = folders.find(f => f.id === current.parentId);
+  }
+  return names.join(' / ');
+}
+
+// ========================================
+// Navigation
+// ========================================
+
+/**
+ * Open the item behind a result
+ */
+export function openResult(result) {
+  if (result.type === 'bookmark') {
+    const bookmark = BookmarkStorage.loadAllBookmarks().find(b => b.id === result.itemId);
+    if (bookmark) GlobalNav.navigateToResult({ type: 'web', url: bookmark.url });
+    return;
+  }
+  if (result.type === 'task') {
+    GlobalNav.navigateToResult({ type: 'task', id: result.itemId, taskListId: result.parentId });
+    return;
+  }
+  GlobalNav.navigateToResult({ type: result.type, id: result.itemId });
+}
+
+// ========================================
+// Default Export
+// ========================================
+
+export default {
+  renderSearchView,
+  describeLocation,
+  openResult
+};
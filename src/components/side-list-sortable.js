@@ -293,7 +293,6 @@ function getTargetParentId(prevEl, nextEl, prevData, nextData, droppedType) {
  */
 function updateItemPosition(type, id, targetParentId, prevEl, nextEl) {
   const Repository = window.Layer?.Repository;
-  const NoteStorage = window.Layer?.NoteStorage;
   const BookmarkStorage = window.Layer?.BookmarkStorage;
 
   // Capture scroll position for restoration
@@ -323,7 +322,7 @@ function updateItemPosition(type, id, targetParentId, prevEl, nextEl) {
     },
     // Persist function (async)
     async () => {
-      await persistUpdates(type, updates, Repository, NoteStorage, BookmarkStorage);
+      await persistUpdates(type, updates, Repository, BookmarkStorage);
     },
     // Options
     {
@@ -488,7 +487,7 @@ function applyUpdatesLocally(type, updates) {
 /**
  * Persist updates to database
  */
-async function persistUpdates(type, updates, Repository, NoteStorage, BookmarkStorage) {
+async function persistUpdates(type, updates, Repository, BookmarkStorage) {
   const savePromises = [];
 
   for (const update of updates) {
@@ -502,9 +501,9 @@ async function persistUpdates(type, updates, Repository, NoteStorage, BookmarkSt
       savePromises.push(
         Repository.updateObjectiveOrder(update.id, update.orderIndex, update.folderId)
       );
-    } else if (itemType === 'note' && NoteStorage?.updateNoteOrder) {
+    } else if (itemType === 'note' && Repository?.updateNoteOrder) {
       savePromises.push(
-        NoteStorage.updateNoteOrder(update.id, update.orderIndex, update.folderId)
+        Repository.updateNoteOrder(update.id, update.orderIndex, update.folderId)
       );
     } else if (itemType === 'task-list' && Repository?.updateTaskListOrder) {
       savePromises.push(
@@ -8,6 +8,9 @@ import AppState from '../state/app-state.js';
 import * as TabState from '../state/tab-state.js';
 import * as TabContentManager from '../state/tab-content-manager.js';
 import * as BookmarkStorage from '../data/bookmark-storage.js';
+import * as SavedSearchStorage from '../data/saved-search-storage.js';
+import * as SearchIndex from '../services/search-index.js';
+import { escapeHtml } from '../utils.js';
 import * as SideListSortable from './side-list-sortable.js';
 
 // ========================================
@@ -346,6 +349,69 @@ function createSideListItem(itemData, idx, isSelected) {
       setupDropTarget(item, 'task-list', itemData.taskListId);
       break;
 
+    case ItemType.SAVED_SEARCH:
+      const isSearchExpanded = SideListState.isFolderExpanded(itemData.expansionKey);
+      item.className = 'side-item folder-row saved-search-row' + (isSelected ? ' selected' : '');
+      item.dataset.type = 'saved-search';
+      item.dataset.savedSearchId = itemData.savedSearchId;
+      item.title = itemData.query;
+
+      const searchToggleIcon = isSearchExpanded
+        ? '<svg class="folder-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M6 9l6 6 6-6"/></svg>'
+        : '<svg class="folder-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M9 6l6 6-6 6"/></svg>';
+      const savedSearchIcon = `<svg class="saved-search-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <circle cx="11" cy="11" r="8"/>
+        <path d="M21 21l-4.35-4.35"/>
+      </svg>`;
+
+      item.innerHTML = `
+        <button class="folder-toggle">${searchToggleIcon}</button>${savedSearchIcon}<span class="folder-name">${escapeHtml(itemData.name || itemData.query)}</span>      `;
+
+      item.onclick = (e) => {
+        e.stopPropagation();
+
+        if (e.target.closest('.folder-toggle')) {
+          SideListState.toggleFolder(itemData.expansionKey);
+          renderSideList();
+          return;
+        }
+
+        handleSavedSearchClick(idx);
+      };
+
+      item.addEventListener('contextmenu', (e) => {
+        e.preventDefault();
+        showSavedSearchContextMenu(e, itemData);
+      });
+      break;
+
+    case ItemType.TAG_FILTER:
+      item.className = 'side-item tag-filter-row';
+      item.dataset.type = 'tag-filter';
+      item.title = 'Clear tag filter';
+      item.innerHTML = `
+        <span class="tag-chip active">${escapeHtml(itemData.name)}<span class="tag-chip-clear">&times;</span></span>      `;
+
+      item.onclick = (e) => {
+        e.stopPropagation();
+        window.Layer?.TagController?.setSideListFilter(null);
+      };
+      break;
+
+    case ItemType.SAVED_SEARCH_RESULT:
+      item.className = 'side-item saved-search-result-row' + (itemData.completed ? ' completed' : '');
+      item.dataset.type = 'saved-search-result';
+      item.dataset.resultType = itemData.resultType;
+      item.innerHTML = `
+        <span class="side-icon-slot">${SAVED_SEARCH_RESULT_ICONS[itemData.resultType] || ''}</span>
+        <span class="side-item-name">${escapeHtml(itemData.name || 'Untitled')}</span>      `;
+
+      item.onclick = (e) => {
+        e.stopPropagation();
+        handleSavedSearchResultClick(itemData);
+      };
+      break;
+
     default:
       item.innerHTML = `<span class="side-item-name">${itemData.name || '?'}</span>`;
   }
@@ -353,6 +419,15 @@ function createSideListItem(itemData, idx, isSelected) {
   return item;
 }
 
+const SAVED_SEARCH_RESULT_ICONS = {
+  objective: '<svg class="objective-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><circle cx="12" cy="12" r="1"/></svg>',
+  folder: '<svg class="note-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"/></svg>',
+  note: '<svg class="note-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><polyline points="14 2 14 8 20 8"/></svg>',
+  'task-list': '<svg class="task-list-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="3" y="5" width="6" height="6" rx="1"/><path d="m3 17 2 2 4-4"/><path d="M13 6h8"/><path d="M13 12h8"/><path d="M13 18h8"/></svg>',
+  task: '<svg class="task-list-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="m5 12 4 4 10-10"/></svg>',
+  bookmark: '<svg class="bookmark-globe-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><line x1="2" y1="12" x2="22" y2="12"/></svg>'
+};
+
 // ========================================
 // Side Item Click Handler
 // ========================================
@@ -450,6 +525,49 @@ export function updateSideListSelection() {
 // Context Menus
 // ========================================
 
+const MAX_TAG_FILTER_ITEMS = 3;
+
+/**
+ * Tag entries shared by the item context menus
+ * "Edit tags…" plus a quick filter for each of the item's first few tags.
+ */
+function getTagMenuItems(type, record) {
+  const TagController = window.Layer?.TagController;
+  if (!TagController || !record) return [];
+
+  const items = [
+    {
+      label: 'Edit tags…',
+      action: () => TagController.editItemTags(type, record)
+    }
+  ];
+
+  const tags = [...(SearchIndex.getDocument(type, record.id)?.tags || [])];
+  tags.slice(0, MAX_TAG_FILTER_ITEMS).forEach(tag => {
+    items.push({
+      label: `Show only #${tag}`,
+      action: () => TagController.setSideListFilter(tag)
+    });
+  });
+
+  return items;
+}
+
+/**
+ * "Copy link" entry for items that [[wiki-links]] can point at
+ */
+function getLinkMenuItems(type, record) {
+  const LinkController = window.Layer?.LinkController;
+  if (!LinkController || !record?.name) return [];
+
+  return [
+    {
+      label: 'Copy link',
+      action: () => LinkController.copyLink(type, record.name)
+    }
+  ];
+}
+
 function showObjectiveContextMenu(e, itemData) {
   const ContextMenu = window.Layer?.ContextMenu;
   const DeleteModal = window.Layer?.DeleteModal;
@@ -460,6 +578,8 @@ function showObjectiveContextMenu(e, itemData) {
     x: e.clientX,
     y: e.clientY,
     items: [
+      ...getTagMenuItems('objective', itemData.data),
+      ...getLinkMenuItems('objective', itemData.data),
       {
         label: 'Delete',
         danger: true,
@@ -509,6 +629,8 @@ function showFolderContextMenu(e, itemData) {
     x: e.clientX,
     y: e.clientY,
     items: [
+      ...getTagMenuItems('folder', (AppState.getData().folders || []).find(f => f.id === itemData.folderId)),
+      ...getLinkMenuItems('folder', itemData.data),
       {
         label: 'Delete',
         danger: true,
@@ -637,6 +759,84 @@ function handleTaskListClick(idx, itemData) {
   }
 }
 
+/**
+ * Handle click on a saved search - show its results page
+ */
+function handleSavedSearchClick(idx) {
+  const SideListState = window.Layer?.SideListState;
+
+  // Update selection (sets the tab's search query)
+  SideListState.setSelectedIndex(idx);
+  _playNotch();
+
+  AppState.setViewMode('search');
+  document.getElementById('app')?.classList.remove('web-mode');
+
+  updateSideListSelection();
+  _renderContentView();
+  _updateTabTitle();
+
+  if (AppState.isMobile()) {
+    const Mobile = window.Layer?.Mobile;
+    if (Mobile?.setMobileView) Mobile.setMobileView('detail');
+  }
+}
+
+/**
+ * Handle click on an item listed under a saved search
+ */
+function handleSavedSearchResultClick(itemData) {
+  const GlobalNav = window.Layer?.GlobalNav;
+  if (!GlobalNav?.navigateToResult) return;
+
+  if (itemData.resultType === 'bookmark') {
+    const bookmark = BookmarkStorage.loadAllBookmarks().find(b => b.id === itemData.itemId);
+    if (bookmark) GlobalNav.navigateToResult({ type: 'web', url: bookmark.url });
+  } else if (itemData.resultType === 'task') {
+    GlobalNav.navigateToResult({ type: 'task', id: itemData.itemId, taskListId: itemData.parentId });
+  } else {
+    GlobalNav.navigateToResult({ type: itemData.resultType, id: itemData.itemId });
+  }
+
+  if (AppState.isMobile()) {
+    const Mobile = window.Layer?.Mobile;
+    if (Mobile?.setMobileView) Mobile.setMobileView('detail');
+  }
+}
+
+/**
+ * Show context menu for saved searches
+ */
+function showSavedSearchContextMenu(e, itemData) {
+  const ContextMenu = window.Layer?.ContextMenu;
+  const DeleteModal = window.Layer?.DeleteModal;
+
+  if (!ContextMenu) return;
+
+  ContextMenu.showContextMenu({
+    x: e.clientX,
+    y: e.clientY,
+    items: [
+      {
+        label: 'Delete',
+        danger: true,
+        action: () => {
+          if (!DeleteModal) return;
+
+          DeleteModal.showDeleteModal({
+            itemName: itemData.name || itemData.query,
+            itemType: 'saved search',
+            onConfirm: async () => {
+              SavedSearchStorage.deleteSavedSearch(itemData.savedSearchId);
+              _updateView();
+            }
+          });
+        }
+      }
+    ]
+  });
+}
+
 /**
  * Show context menu for bookmark items
  */
@@ -650,6 +850,7 @@ function showBookmarkContextMenu(e, itemData) {
     x: e.clientX,
     y: e.clientY,
     items: [
+      ...getTagMenuItems('bookmark', itemData.data),
       {
         label: 'Delete',
         danger: true,
@@ -680,7 +881,7 @@ function showBookmarkContextMenu(e, itemData) {
 function showNoteContextMenu(e, itemData) {
   const ContextMenu = window.Layer?.ContextMenu;
   const DeleteModal = window.Layer?.DeleteModal;
-  const NoteStorage = window.Layer?.NoteStorage;
+  const Repository = window.Layer?.Repository;
 
   if (!ContextMenu) return;
 
@@ -688,6 +889,8 @@ function showNoteContextMenu(e, itemData) {
     x: e.clientX,
     y: e.clientY,
     items: [
+      ...getTagMenuItems('note', itemData.data),
+      ...getLinkMenuItems('note', itemData.data),
       {
         label: 'Delete',
         danger: true,
@@ -699,8 +902,8 @@ function showNoteContextMenu(e, itemData) {
             itemType: 'note',
             onConfirm: async () => {
               try {
-                if (NoteStorage?.deleteNote) {
-                  await NoteStorage.deleteNote(itemData.noteId);
+                if (Repository?.deleteNote) {
+                  await Repository.deleteNote(itemData.noteId);
                 }
 
                 // Update local state
@@ -725,7 +928,7 @@ function showNoteContextMenu(e, itemData) {
 function showTaskListContextMenu(e, itemData) {
   const ContextMenu = window.Layer?.ContextMenu;
   const DeleteModal = window.Layer?.DeleteModal;
-  const TaskListStorage = window.Layer?.TaskListStorage;
+  const Repository = window.Layer?.Repository;
 
   if (!ContextMenu) return;
 
@@ -733,6 +936,8 @@ function showTaskListContextMenu(e, itemData) {
     x: e.clientX,
     y: e.clientY,
     items: [
+      ...getTagMenuItems('task-list', itemData.data),
+      ...getLinkMenuItems('task-list', itemData.data),
       {
         label: 'Delete',
         danger: true,
@@ -744,8 +949,8 @@ function showTaskListContextMenu(e, itemData) {
             itemType: 'task list',
             onConfirm: async () => {
               try {
-                if (TaskListStorage?.deleteTaskList) {
-                  await TaskListStorage.deleteTaskList(itemData.taskListId);
+                if (Repository?.deleteTaskList) {
+                  await Repository.deleteTaskList(itemData.taskListId);
                 }
 
                 // Update local state
@@ -1017,8 +1222,8 @@ async function handleBookmarkDrop(dragId, dragData, insertPosition) {
 async function handleNoteDrop(dragId, dragData, insertPosition) {
   if (!insertPosition) return;
 
-  const NoteStorage = window.Layer?.NoteStorage;
-  if (!NoteStorage?.updateNoteOrder) return;
+  const Repository = window.Layer?.Repository;
+  if (!Repository?.updateNoteOrder) return;
 
   const { targetId, targetType, position, folderId } = insertPosition;
 
@@ -1041,10 +1246,10 @@ async function handleNoteDrop(dragId, dragData, insertPosition) {
     newOrderIndex = Date.now();
   }
 
-  await NoteStorage.updateNoteOrder(dragId, newOrderIndex, newFolderId);
+  await Repository.updateNoteOrder(dragId, newOrderIndex, newFolderId);
 
   // Reload notes
-  const reloadedNotes = await NoteStorage.loadAllNotes();
+  const reloadedNotes = await Repository.loadAllNotes();
   AppState.setNotes(reloadedNotes);
   renderSideList();
 }
@@ -0,0 +1,130 @@
+/**
+ * Tag Browser Component
+ *
+ * Lists every tag in use, or everything carrying one tag grouped by type.
+ * The tag lives in the tab's selection ({ id: tag, type: 'tag' }); an
+ * empty id shows the full tag list.
+ */
+
+import * as BookmarkStorage from '../data/bookmark-storage.js';
+import * as SearchIndex from '../services/search-index.js';
+import { describeLocation, openResult } from './search-view.js';
+import { escapeHtml } from '../utils.js';
+
+// ========================================
+// Constants
+// ========================================
+
+const RESULT_LIMIT = 500;
+
+// Group order and headings
+const TYPE_GROUPS = [
+  ['objective', 'Objectives'],
+  ['folder', 'Folders'],
+  ['note', 'Notes'],
+  ['task-list', 'Task lists'],
+  ['task', 'Tasks'],
+  ['bookmark', 'Bookmarks']
+];
+
+// ========================================
+// Rendering
+// ========================================
+
+/**
+ * Render the tag browser
+ * @param {HTMLElement} container - Container element
+ * @param {string} tag - Tag to show, or '' for all tags
+ */
+export function renderTagBrowser(container, tag = '') {
+  // Bookmarks live in localStorage and change without going through the repository
+  SearchIndex.syncCollection('bookmarks', BookmarkStorage.loadAllBookmarks());
+
+  if (tag) {
+    renderTagItems(container, tag);
+  } else {
+    renderTagList(container);
+  }
+}
+
+/**
+ * All tags with how many items carry each
+ */
+function renderTagList(container) {
+  const tags = SearchIndex.listTags();
+
+  container.innerHTML = `
+    <div class="tag-browser">
+      <div class="tag-browser-meta">${tags.length === 0
+        ? 'No tags yet. Add #tags to notes and task names, or right-click an item to tag it.'
+        : `${tags.length} tag${tags.length === 1 ? '' : 's'}`}</div>
+      <div class="tag-browser-tags">
+        ${tags.map(({ tag, count }) => `
+          <button class="tag-chip" data-tag="${escapeHtml(tag)}">#${escapeHtml(tag)}<span class="tag-chip-count">${count}</span></button>
+        `).join('')}
+      </div>
+    </div>
+  `;
+
+  container.querySelectorAll('.tag-browser-tags .tag-chip').forEach(chip => {
+    chip.addEventListener('click', () => window.Layer?.TagController?.openTag(chip.dataset.tag));
+  });
+}
+
+/**
+ * Everything tagged with one tag, grouped by type
+ */
+function renderTagItems(container, tag) {
+  const TagController = window.Layer?.TagController;
+  const results = SearchIndex.search('', { filter: doc => doc.tags.has(tag), limit: RESULT_LIMIT });
+  const isFiltering = TagController?.getSideListFilter() === tag;
+
+  const groups = TYPE_GROUPS
+    .map(([type, heading]) => ({ heading, results: results.filter(r => r.type === type) }))
+    .filter(group => group.results.length > 0);
+
+  container.innerHTML = `
+    <div class="tag-browser">
+      <div class="tag-browser-meta">
+        <button class="tag-browser-back" type="button">All tags</button>
+        <span class="tag-browser-count">${results.length} item${results.length === 1 ? '' : 's'}</span>
+        <button class="tag-browser-filter" type="button">${isFiltering ? 'Clear side list filter' : 'Filter side list'}</button>
+      </div>
+      ${groups.map(group => `
+        <div class="tag-browser-group">
+          <div class="tag-browser-group-heading">${group.heading}</div>
+          ${group.results.map(result => `
+            <div class="search-view-result${result.completed ? ' completed' : ''}" data-key="${escapeHtml(result.key)}">
+              <div class="search-view-result-content">
+                <div class="search-view-result-title">${escapeHtml(result.title || 'Untitled')}</div>
+                <div class="search-view-result-location">${escapeHtml(describeLocation(result))}</div>
+              </div>
+            </div>
+          `).join('')}
+        </div>
+      `).join('')}
+    </div>
+  `;
+
+  container.querySelector('.tag-browser-back').addEventListener('click', () => {
+    TagController?.openTag(null);
+  });
+
+  container.querySelector('.tag-browser-filter').addEventListener('click', () => {
+    TagController?.setSideListFilter(isFiltering ? null : tag);
+    renderTagItems(container, tag);
+  });
+
+  const byKey = new Map(results.map(result => [result.key, result]));
+  container.querySelectorAll('.search-view-result').forEach(el => {
+    el.addEventListener('click', () => openResult(byKey.get(el.dataset.key)));
+  });
+}
+
+// ========================================
+// Default Export
+// ========================================
+
+export default {
+  renderTagBrowser
+};
@@ -0,0 +1,132 @@
+/**
+ * Tag Modal Component
+ *
+ * Small modal for editing an item's tags. Tags are typed as a space or
+ * comma separated list ("#work reading"); tags already in use elsewhere
+ * are offered as one-click suggestions.
+ */
+
+import { parseTagInput, formatTags } from '../utils/tags.js';
+import { escapeHtml } from '../utils.js';
+
+const MAX_SUGGESTIONS = 12;
+
+let modalElement = null;
+let onSaveCallback = null;
+
+/**
+ * Show the tag editor modal
+ * @param {Object} options - Modal options
+ * @param {string} options.itemName - Name of the item being tagged
+ * @param {string} options.itemType - Type of item (note, folder, ...)
+ * @param {Array<string>} options.tags - Current tags
+ * @param {Array<string>} [options.suggestions] - Tags in use, most used first
+ * @param {Function} options.onSave - Called with the new tag array
+ */
+export function showTagModal({ itemName, itemType, tags = [], suggestions = [], onSave }) {
+  // Remove any existing modal
+  hideTagModal();
+
+  onSaveCallback = onSave;
+
+  modalElement = document.createElement('div');
+  modalElement.className = 'tag-modal-overlay';
+
+  const modal = document.createElement('div');
+  modal.className = 'tag-modal';
+
+  modal.innerHTML = `
+    <div class="tag-modal-header">Tags for ${escapeHtml(itemType)}</div>
+    <div class="tag-modal-body">
+      <p class="tag-modal-item">${escapeHtml(itemName)}</p>
+      <input type="text" class="tag-modal-input" placeholder="#work #reading" autocomplete="off" spellcheck="false" />
+      <div class="tag-modal-suggestions"></div>
+    </div>
+    <div class="tag-modal-actions">
+      <button class="tag-modal-cancel">Cancel</button>
+      <button class="tag-modal-save">Save</button>
+    </div>
+  `;
+
+  modalElement.appendChild(modal);
+  document.body.appendChild(modalElement);
+
+  const input = modal.querySelector('.tag-modal-input');
+  const suggestionsEl = modal.querySelector('.tag-modal-suggestions');
+  input.value = tags.length ? formatTags(tags) + ' ' : '';
+
+  // Suggestions not already on the item
+  const renderSuggestions = () => {
+    const current = new Set(parseTagInput(input.value));
+    const available = suggestions.filter(tag => !current.has(tag)).slice(0, MAX_SUGGESTIONS);
+    suggestionsEl.innerHTML = available
+      .map(tag => `<button class="tag-chip" data-tag="${escapeHtml(tag)}">#${escapeHtml(tag)}</button>`)
+      .join('');
+  };
+  renderSuggestions();
+
+  suggestionsEl.addEventListener('click', (e) => {
+    const chip = e.target.closest('.tag-chip');
+    if (!chip) return;
+    const value = input.value.trimEnd();
+    input.value = `${value}${value ? ' ' : ''}#${chip.dataset.tag} `;
+    renderSuggestions();
+    input.focus();
+  });
+
+  input.addEventListener('input', renderSuggestions);
+
+  const save = () => {
+    const callback = onSaveCallback; // Save before hiding clears it
+    const newTags = parseTagInput(input.value);
+    hideTagModal();
+    if (callback) callback(newTags);
+  };
+
+  modal.querySelector('.tag-modal-save').addEventListener('click', save);
+  modal.querySelector('.tag-modal-cancel').addEventListener('click', hideTagModal);
+
+  // Handle overlay click
+  modalElement.addEventListener('click', (e) => {
+    if (e.target === modalElement) {
+      hideTagModal();
+    }
+  });
+
+  document.addEventListener('keydown', handleEscape);
+
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      save();
+    }
+  });
+
+  setTimeout(() => {
+    input.focus();
+    input.setSelectionRange(input.value.length, input.value.length);
+  }, 0);
+}
+
+/**
+ * Hide the tag modal
+ */
+export function hideTagModal() {
+  if (modalElement) {
+    modalElement.remove();
+    modalElement = null;
+  }
+  onSaveCallback = null;
+  document.removeEventListener('keydown', handleEscape);
+}
+
+function handleEscape(e) {
+  if (e.key === 'Escape') {
+    hideTagModal();
+  }
+}
+
+export default {
+  showTagModal,
+  hideTagModal
+};
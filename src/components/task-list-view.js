@@ -7,6 +7,7 @@
  * - Task expand/collapse
  * - Inline editing of task names
  * - Adding/deleting tasks
+ * - Tagging tasks and setting due dates (right-click)
  */
 
 import * as Repository from '../data/repository.js';
@@ -14,6 +15,9 @@ import * as TabState from '../state/tab-state.js';
 import * as TaskHelpers from '../utils/task-helpers.js';
 import * as TaskListSortable from './task-list-sortable.js';
 import { setupInlineEdit } from '../utils/inline-edit.js';
+import { getExplicitTags } from '../utils/tags.js';
+import { formatDueDate, isOverdue } from '../utils.js';
+import { showDueDateModal } from './due-date-modal.js';
 
 let currentTaskListId = null;
 let currentTasks = [];
@@ -92,6 +96,29 @@ export async function renderTaskListView(container, taskList) {
   }
 }
 
+/**
+ * Scroll a task into view and put the caret at the end of its name
+ * Its parent tasks need to be expanded for it to be rendered.
+ * @param {HTMLElement} container - Container the list was rendered into
+ * @param {string} taskId - Task ID
+ * @returns {boolean} Whether the task was found
+ */
+export function revealTask(container, taskId) {
+  const taskNameEl = container.querySelector(`.task-name[data-task-id="${CSS.escape(taskId)}"]`);
+  if (!taskNameEl) return false;
+
+  taskNameEl.scrollIntoView({ block: 'center' });
+  taskNameEl.focus();
+
+  const range = document.createRange();
+  range.selectNodeContents(taskNameEl);
+  range.collapse(false);
+  const selection = window.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+  return true;
+}
+
 /**
  * Render task tree recursively
  * @param {Array} tasks - Tasks to render
@@ -131,6 +158,8 @@ function renderTaskTree(tasks, depth) {
         ` : '<span class="task-spacer"></span>'}
         <input type="checkbox" class="task-checkbox" ${task.completed ? 'checked' : ''}>
         <span contenteditable="true" spellcheck="true" class="task-name" data-task-id="${task.id}">${escapeHtml(task.name)}</span>
+        ${renderTaskTags(task)}
+        ${renderTaskDueDate(task)}
         <button class="add-subtask-btn" title="Add subtask">+</button>
         <button class="delete-task-btn" title="Delete task">×</button>
       </div>
@@ -145,6 +174,30 @@ function renderTaskTree(tasks, depth) {
   }).join('');
 }
 
+/**
+ * Render a task's explicit tags as chips (#hashtags stay in the name)
+ * @param {Object} task - Task object
+ * @returns {string} HTML string
+ */
+function renderTaskTags(task) {
+  const tags = getExplicitTags(task);
+  if (tags.length === 0) return '';
+  return `<span class="task-tags">${tags
+    .map(tag => `<button class="tag-chip" data-tag="${escapeHtml(tag)}">#${escapeHtml(tag)}</button>`)
+    .join('')}</span>`;
+}
+
+/**
+ * Render a task's due date, flagged once it's past (unless completed)
+ * @param {Object} task - Task object
+ * @returns {string} HTML string
+ */
+function renderTaskDueDate(task) {
+  if (!task.dueDate) return '';
+  const overdue = !task.completed && isOverdue(task.dueDate);
+  return `<span class="task-due${overdue ? ' overdue' : ''}">Due ${escapeHtml(formatDueDate(task.dueDate))}</span>`;
+}
+
 /**
  * Wire up event handlers
  * @param {HTMLElement} container - Container element
@@ -197,6 +250,50 @@ function wireEventHandlers(container, taskList) {
       await refreshView(container);
     }
   });
+
+  // Open a tag from its chip
+  container.addEventListener('click', (e) => {
+    const chip = e.target.closest('.task-tags .tag-chip');
+    if (chip) {
+      window.Layer?.TagController?.openTag(chip.dataset.tag);
+    }
+  });
+
+  // Task context menu (tags, due date)
+  container.addEventListener('contextmenu', (e) => {
+    const taskItem = e.target.closest('.task-item');
+    const ContextMenu = window.Layer?.ContextMenu;
+    const TagController = window.Layer?.TagController;
+    if (!taskItem || !ContextMenu || !TagController) return;
+
+    const task = currentTasks.find(t => t.id === taskItem.dataset.taskId);
+    if (!task) return;
+
+    e.preventDefault();
+    ContextMenu.showContextMenu({
+      x: e.clientX,
+      y: e.clientY,
+      items: [
+        {
+          label: 'Edit tags…',
+          action: () => TagController.editItemTags('task', task, () => refreshView(container))
+        },
+        {
+          label: 'Set due date…',
+          action: () => showDueDateModal({
+            itemName: task.name,
+            itemType: 'task',
+            dueDate: task.dueDate || null,
+            onSave: async (dueDate) => {
+              task.dueDate = dueDate;
+              await Repository.saveTask(task);
+              await refreshView(container);
+            }
+          })
+        }
+      ]
+    });
+  });
 }
 
 
@@ -333,5 +430,6 @@ function escapeHtml(text) {
 }
 
 export default {
-  renderTaskListView
+  renderTaskListView,
+  revealTask
 };
@@ -0,0 +1,160 @@
+/**
+ * Tool Approval Card Component
+ *
+ * Approve/deny card for a tool call the agent server is holding back
+ * (tool_approval_request events). Used by the agent panel and the
+ * popped-out chat window.
+ */
+
+import { escapeHtml } from '../utils.js';
+
+// ========================================
+// Constants
+// ========================================
+
+const APPROVAL_API_URL = 'http://localhost:3001/api/agent/approval';
+
+const MAX_VALUE_LENGTH = 160;
+
+const ACCESS_TITLES = {
+  write: 'Allow this edit?',
+  delete: 'Allow this delete?'
+};
+
+const STATUS_LABELS = {
+  approved: 'Approved',
+  denied: 'Denied',
+  dry_run: 'Dry run – not run',
+  expired: 'No longer waiting'
+};
+
+// ========================================
+// Rendering
+// ========================================
+
+/**
+ * Append an approval card for a held tool call
+ * @param {HTMLElement} container - Chat message container
+ * @param {Object} approval - From the tool_approval_request event
+ * @param {string} approval.id - Approval ID to answer with
+ * @param {'write'|'delete'} approval.access
+ * @param {{id: string, name: string, input: Object}} approval.tool
+ * @param {Object} [options]
+ * @param {Function} [options.onAnswer] - Called with (approved) once the server has the answer
+ * @returns {HTMLElement}
+ */
+export function renderApprovalCard(container, approval, { onAnswer } = {}) {
+  container.querySelector(`.tool-approval-card[data-tool-id="${CSS.escape(approval.tool.id)}"]`)?.remove();
+
+  const card = document.createElement('div');
+  card.className = `tool-approval-card access-${approval.access}`;
+  card.dataset.toolId = approval.tool.id;
+
+  card.innerHTML = `
+    <div class="tool-approval-title">${ACCESS_TITLES[approval.access] || 'Allow this action?'}</div>
+    <div class="tool-approval-tool">${escapeHtml(approval.tool.name.replace(/_/g, ' '))}</div>
+    ${renderInput(approval.tool.input)}
+    <div class="tool-approval-actions">
+      <button type="button" class="tool-approval-btn" data-answer="deny">Deny</button>
+      ${approval.access === 'write'
+        ? '<button type="button" class="tool-approval-btn" data-answer="allow-writes">Allow all edits</button>'
+        : ''}
+      <button type="button" class="tool-approval-btn primary" data-answer="approve">
+        ${approval.access === 'delete' ? 'Delete' : 'Approve'}
+      </button>
+    </div>
+    <div class="tool-approval-status"></div>
+  `;
+
+  card.querySelectorAll('.tool-approval-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const approved = btn.dataset.answer !== 'deny';
+      setButtonsDisabled(card, true);
+
+      try {
+        await sendAnswer(approval.id, approved, btn.dataset.answer === 'allow-writes');
+        settleApprovalCard(container, approval.tool.id, approved ? 'approved' : 'denied');
+        onAnswer?.(approved);
+      } catch (err) {
+        if (err.status === 404) {
+          // The agent stopped waiting (timed out or the reply ended)
+          settleApprovalCard(container, approval.tool.id, 'expired');
+          return;
+        }
+        console.error('Failed to answer tool approval:', err);
+        card.querySelector('.tool-approval-status').textContent = 'Couldn\'t reach the agent server';
+        setButtonsDisabled(card, false);
+      }
+    });
+  });
+
+  container.appendChild(card);
+  return card;
+}
+
+/**
+ * Show a card's outcome and retire its buttons
+ * @param {HTMLElement} container - Chat message container
+ * @param {string} toolUseId - Tool call the card belongs to
+ * @param {'approved'|'denied'|'dry_run'|'expired'} status
+ */
+export function settleApprovalCard(container, toolUseId, status) {
+  const card = container.querySelector(`.tool-approval-card[data-tool-id="${CSS.escape(toolUseId)}"]`);
+  if (!card) return;
+
+  card.classList.add('settled', `status-${status}`);
+  card.querySelector('.tool-approval-actions')?.remove();
+  card.querySelector('.tool-approval-status').textContent = STATUS_LABELS[status] || '';
+}
+
+/**
+ * Tool input as a short key/value list
+ */
+function renderInput(input) {
+  const entries = Object.entries(input || {});
+  if (entries.length === 0) return '';
+
+  return `
+    <dl class="tool-approval-input">
+      ${entries.map(([key, value]) => {
+        let text = typeof value === 'string' ? value : JSON.stringify(value);
+        if (text.length > MAX_VALUE_LENGTH) text = text.slice(0, MAX_VALUE_LENGTH) + '…';
+        return `<dt>${escapeHtml(key.replace(/_/g, ' '))}</dt><dd>${escapeHtml(text)}</dd>`;
+      }).join('')}
+    </dl>
+  `;
+}
+
+function setButtonsDisabled(card, disabled) {
+  card.querySelectorAll('.tool-approval-btn').forEach(btn => { btn.disabled = disabled; });
+}
+
+// ========================================
+// Answering
+// ========================================
+
+/**
+ * Send the user's answer to the agent server
+ */
+async function sendAnswer(approvalId, approved, allowWrites) {
+  const response = await fetch(APPROVAL_API_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ approvalId, approved, allowWrites })
+  });
+
+  if (!response.ok) {
+    const error = new Error(`Server error: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+}
+
+// ========================================
+// Default Export
+// ========================================
+
+export default {
+  renderApprovalCard,
+  settleApprovalCard
+};
@@ -30,11 +30,26 @@ export const GROQ_API_ENDPOINT = 'https://api.groq.com/openai/v1/chat/completion
 // Model Options
 // ========================================
 
+// provider is a key of PROVIDERS in shared/llm-providers.mjs. endpoint
+// overrides the provider's default for Ask mode; the agent server reads
+// its endpoints from the environment (e.g. OLLAMA_ENDPOINT).
 export const MODEL_OPTIONS = [
   { id: 'claude-opus-4-5-20251101', label: 'Claude Opus 4.5', provider: 'anthropic' },
   { id: 'moonshotai/kimi-k2', label: 'Kimi K2', provider: 'groq' },
+  { id: 'gpt-4o', label: 'GPT-4o', provider: 'openai' },
+  { id: 'llama3.1', label: 'Llama 3.1 (Ollama)', provider: 'ollama' },
+  { id: 'local', label: 'llama.cpp server', provider: 'llamacpp' },
 ];
 
+// ========================================
+// Ask Mode Retrieval
+// ========================================
+
+// Embedding model that re-ranks retrieved passages alongside keyword
+// matching, e.g. { id: 'text-embedding-3-small', provider: 'openai' } or
+// { id: 'nomic-embed-text', provider: 'ollama' }. null: keywords only.
+export const RETRIEVAL_EMBEDDING_MODEL = null;
+
 // ========================================
 // Default Export
 // ========================================
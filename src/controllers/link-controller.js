@@ -0,0 +1,214 @@
+/**
+ * Link Controller Module
+ *
+ * Following [[wiki-links]], copying links to items, and keeping links
+ * pointed at the right item when it's renamed.
+ */
+
+import AppState from '../state/app-state.js';
+import * as LinkIndex from '../services/link-index.js';
+import { formatWikiLink, replaceWikiLinks } from '../utils/wiki-links.js';
+
+// ========================================
+// Callbacks (set by app.js)
+// ========================================
+
+let _renderSideList = () => {};
+
+export function setCallbacks({ renderSideList }) {
+  if (renderSideList) _renderSideList = renderSideList;
+}
+
+// ========================================
+// Following Links
+// ========================================
+
+/**
+ * Open the item a link points at
+ * A note link with no matching note creates the note, next to the one
+ * the link was followed from.
+ * @param {{type: string|null, name: string}} link
+ * @param {Object} [options]
+ * @param {string|null} [options.sourceNoteId] - Note holding the link
+ */
+export async function openLink(link, { sourceNoteId = null } = {}) {
+  const target = LinkIndex.resolveLink(link);
+  if (target) {
+    openTarget(target);
+    return;
+  }
+
+  if (link.type && link.type !== 'note') {
+    window.Layer?.Toast?.showErrorToast?.(`Nothing named "${link.name}"`);
+    return;
+  }
+
+  const sourceNote = sourceNoteId && AppState.getNotes().find(n => n.id === sourceNoteId);
+  await createLinkedNote(link.name, sourceNote?.folderId || null);
+}
+
+/**
+ * Open an item from the link index (or a backlink)
+ * @param {{type: string, id: string, parentId: string|null}} target
+ */
+export function openTarget(target) {
+  const GlobalNav = window.Layer?.GlobalNav;
+  if (target.type === 'task') {
+    GlobalNav?.navigateToResult({ type: 'task', id: target.id, taskListId: target.parentId });
+  } else {
+    GlobalNav?.navigateToResult({ type: target.type, id: target.id });
+  }
+}
+
+/**
+ * Create a note for a link that doesn't resolve yet, then open it
+ */
+async function createLinkedNote(name, folderId) {
+  const Repository = window.Layer?.Repository;
+  if (!Repository?.saveNote) return;
+
+  try {
+    const note = Repository.createNote(name, '', folderId, 0);
+    const saved = await Repository.saveNote(note);
+    AppState.setNotes(await Repository.loadAllNotes());
+    _renderSideList();
+    openTarget({ type: 'note', id: saved.id, parentId: folderId });
+  } catch (err) {
+    console.error('Failed to create linked note:', err);
+    window.Layer?.Toast?.showErrorToast?.('Couldn\'t create note');
+  }
+}
+
+// ========================================
+// Copying Links
+// ========================================
+
+/**
+ * Copy a [[link]] to an item, ready to paste into a note
+ * @param {string} type - note, objective, task-list, task or folder
+ * @param {string} name
+ */
+export async function copyLink(type, name) {
+  const link = formatWikiLink(type, name);
+  try {
+    await navigator.clipboard.writeText(link);
+    window.Layer?.Toast?.showSuccessToast?.(`Copied ${link}`);
+  } catch (err) {
+    console.error('Failed to copy link:', err);
+  }
+}
+
+// ========================================
+// Renames
+// ========================================
+
+/**
+ * Rewrite links to a renamed item in every item that links to it
+ * Registered with LinkIndex.onRename by init().
+ * @param {{type: string, id: string, oldName: string, newName: string}} rename
+ */
+export async function rewriteLinksAfterRename({ type, oldName, newName }) {
+  const sources = LinkIndex.findLinkingSources(type, oldName);
+  if (sources.length === 0) return;
+
+  const lower = oldName.toLowerCase();
+  // Unprefixed links stay put if something else still answers to the old name
+  const rewriteUnprefixed = !LinkIndex.resolveLink({ type: null, name: oldName });
+  const rewrite = (text) => text && replaceWikiLinks(text, link =>
+    link.name.toLowerCase() === lower && (link.type === type || (!link.type && rewriteUnprefixed))
+      ? `${text.slice(link.from, link.nameFrom)}${newName}]]`
+      : null
+  );
+
+  let updated = 0;
+  for (const source of sources) {
+    try {
+      if (await rewriteSource(source, rewrite)) updated++;
+    } catch (err) {
+      console.error(`Failed to update links in ${source.type}:`, source.id, err);
+    }
+  }
+
+  if (updated > 0) {
+    window.Layer?.Toast?.showSuccessToast?.(
+      `Updated links in ${updated} item${updated === 1 ? '' : 's'}`
+    );
+  }
+}
+
+/**
+ * Apply a text rewrite to one linking item and save it
+ * @returns {Promise<boolean>} Whether anything changed
+ */
+async function rewriteSource(source, rewrite) {
+  const Repository = window.Layer?.Repository;
+  if (!Repository) return false;
+
+  if (source.type === 'note') {
+    const note = AppState.getNotes().find(n => n.id === source.id) || source.record;
+    const content = rewrite(note.content);
+    if (content === note.content) return false;
+
+    note.content = content;
+    await Repository.saveNote(note);
+
+    // Keep an open editor in step (unless it has unsaved edits of its own)
+    const MarkdownEditor = window.Layer?.MarkdownEditor;
+    if (MarkdownEditor?.getCurrentNoteId?.() === note.id) {
+      MarkdownEditor.setContent(content);
+    }
+    return true;
+  }
+
+  if (source.type === 'objective') {
+    const obj = AppState.getObjectives().find(o => o.id === source.id) || source.record;
+    const before = JSON.stringify(obj);
+
+    obj.description = rewrite(obj.description);
+    (obj.priorities || []).forEach(p => {
+      p.name = rewrite(p.name);
+      p.description = rewrite(p.description);
+    });
+    (obj.steps || []).forEach(s => { s.name = rewrite(s.name); });
+    if (obj.nextStep) obj.nextStep.text = rewrite(obj.nextStep.text);
+
+    if (JSON.stringify(obj) === before) return false;
+    await Repository.saveOneObjective(obj);
+    return true;
+  }
+
+  if (source.type === 'task') {
+    const task = source.record;
+    const name = rewrite(task.name);
+    if (name === task.name) return false;
+
+    await Repository.saveTask({ ...task, name });
+    return true;
+  }
+
+  return false;
+}
+
+// ========================================
+// Initialize
+// ========================================
+
+/**
+ * Start following renames
+ */
+export function init() {
+  LinkIndex.onRename(rewriteLinksAfterRename);
+}
+
+// ========================================
+// Default Export
+// ========================================
+
+export default {
+  setCallbacks,
+  openLink,
+  openTarget,
+  copyLink,
+  rewriteLinksAfterRename,
+  init
+};
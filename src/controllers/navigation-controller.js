@@ -402,6 +402,61 @@ export function updateSideListSelection() {
   });
 }
 
+/**
+ * Open any item by type and ID, wherever it sits in the folder tree
+ * Expands its ancestor folders so the side list can show it selected.
+ * @param {'objective'|'folder'|'note'|'task-list'} type
+ * @param {string} id
+ * @returns {boolean} Whether the item was found
+ */
+export function openItem(type, id) {
+  const item = findItem(type, id);
+  if (!item) return false;
+
+  PromptController.commitEditInPlace();
+
+  // Walk up the folder chain (guard against cycles in bad data)
+  const folders = AppState.getFolders();
+  const seen = new Set();
+  let folderId = type === 'folder' ? item.parentId : item.folderId;
+  while (folderId && !seen.has(folderId)) {
+    seen.add(folderId);
+    TabState.expandFolder(folderId);
+    folderId = folders.find(f => f.id === folderId)?.parentId || null;
+  }
+
+  TabState.setSelection(id, type);
+  AppState.setViewMode(type);
+  document.getElementById('app')?.classList.remove('web-mode');
+  _updateView();
+  return true;
+}
+
+/**
+ * Open an item in a new tab
+ * @param {string} type - 'objective', 'folder', 'note' or 'task-list'
+ * @param {string} id
+ * @param {string} title - Tab title until the view sets its own
+ * @returns {boolean} Whether the item was found (no tab is opened if not)
+ */
+export function openItemInNewTab(type, id, title) {
+  const Tabs = window.Layer?.Tabs;
+  if (!Tabs || !findItem(type, id)) return false;
+
+  Tabs.createNewTab(title || 'Untitled', type === 'folder' ? 'folder' : 'objective');
+  return openItem(type, id);
+}
+
+function findItem(type, id) {
+  const collections = {
+    objective: AppState.getObjectives(),
+    folder: AppState.getFolders(),
+    note: AppState.getNotes(),
+    'task-list': AppState.getTaskLists()
+  };
+  return (collections[type] || []).find(i => i.id === id) || null;
+}
+
 // ========================================
 // Sound (disabled)
 // ========================================
@@ -432,5 +487,7 @@ export default {
   initMouseHandler,
   selectObjective,
   updateSideListSelection,
+  openItem,
+  openItemInNewTab,
   init
 };
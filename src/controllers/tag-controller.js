@@ -0,0 +1,174 @@
+/**
+ * Tag Controller Module
+ *
+ * Editing tags on items, opening the tag browser, and filtering the
+ * side list by tag.
+ */
+
+import AppState from '../state/app-state.js';
+import * as TabState from '../state/tab-state.js';
+import * as SideListState from '../state/side-list-state.js';
+import * as BookmarkStorage from '../data/bookmark-storage.js';
+import * as SearchIndex from '../services/search-index.js';
+import TagModal from '../components/tag-modal.js';
+import { normalizeTag, getExplicitTags } from '../utils/tags.js';
+
+// ========================================
+// Callbacks (set by app.js)
+// ========================================
+
+let _renderSideList = () => {};
+let _renderContentView = () => {};
+let _updateTabTitle = () => {};
+
+export function setCallbacks({ renderSideList, renderContentView, updateTabTitle }) {
+  if (renderSideList) _renderSideList = renderSideList;
+  if (renderContentView) _renderContentView = renderContentView;
+  if (updateTabTitle) _updateTabTitle = updateTabTitle;
+}
+
+// ========================================
+// Constants
+// ========================================
+
+const TYPE_LABELS = {
+  objective: 'objective',
+  folder: 'folder',
+  note: 'note',
+  'task-list': 'task list',
+  task: 'task',
+  bookmark: 'bookmark'
+};
+
+// Search index collection for each item type
+const TYPE_COLLECTIONS = {
+  objective: 'objectives',
+  folder: 'folders',
+  note: 'notes',
+  'task-list': 'taskLists',
+  task: 'tasks',
+  bookmark: 'bookmarks'
+};
+
+// ========================================
+// Editing Tags
+// ========================================
+
+/**
+ * Open the tag editor for an item
+ * @param {string} type - objective, folder, note, task-list, task or bookmark
+ * @param {Object} record - The item itself
+ * @param {Function} [onSaved] - Called with the record after saving
+ */
+export function editItemTags(type, record, onSaved) {
+  if (!record) return;
+
+  TagModal.showTagModal({
+    itemName: record.name || record.title || 'Untitled',
+    itemType: TYPE_LABELS[type] || type,
+    tags: getExplicitTags(record),
+    suggestions: SearchIndex.listTags().map(entry => entry.tag),
+    onSave: async (tags) => {
+      const saved = await saveItemTags(type, record, tags);
+      if (saved && onSaved) onSaved(record);
+    }
+  });
+}
+
+/**
+ * Replace an item's explicit tags and persist it
+ * Inline #hashtags in the item's text are untouched; they stay tags.
+ * @returns {Promise<boolean>} Whether the save succeeded
+ */
+export async function saveItemTags(type, record, tags) {
+  const Repository = window.Layer?.Repository;
+  record.tags = tags.map(normalizeTag).filter(Boolean);
+
+  try {
+    switch (type) {
+      case 'objective':
+        await Repository?.saveOneObjective(record);
+        break;
+      case 'folder':
+        await Repository?.updateFolder({ id: record.id, tags: record.tags });
+        break;
+      case 'note':
+        await Repository?.saveNote(record);
+        break;
+      case 'task-list':
+        await Repository?.saveTaskList(record);
+        break;
+      case 'task':
+        await Repository?.saveTask(record);
+        break;
+      case 'bookmark':
+        BookmarkStorage.updateBookmark(record.id, { tags: record.tags });
+        break;
+      default:
+        return false;
+    }
+  } catch (err) {
+    console.error('Failed to save tags:', err);
+    window.Layer?.Toast?.showErrorToast?.('Couldn\'t save tags');
+    return false;
+  }
+
+  // Repository saves reach the index through the event log; bookmarks don't
+  SearchIndex.updateRecord(TYPE_COLLECTIONS[type], record.id, record);
+  _renderSideList();
+  return true;
+}
+
+// ========================================
+// Tag Browser
+// ========================================
+
+/**
+ * Show the tag browser, optionally focused on one tag
+ * @param {string|null} tag - With or without the leading #
+ */
+export function openTag(tag = null) {
+  const normalized = tag ? normalizeTag(tag) : '';
+
+  TabState.setSelection(normalized, 'tag');
+  AppState.setViewMode('tags');
+  document.getElementById('app')?.classList.remove('web-mode');
+
+  _renderSideList();
+  _renderContentView();
+  _updateTabTitle();
+}
+
+// ========================================
+// Side List Filter
+// ========================================
+
+/**
+ * Only show side list items carrying a tag (null clears the filter)
+ * @param {string|null} tag
+ */
+export function setSideListFilter(tag) {
+  SideListState.setTagFilter(tag ? normalizeTag(tag) : null);
+  _renderSideList();
+}
+
+/**
+ * Tag the side list is filtered by, if any
+ * @returns {string|null}
+ */
+export function getSideListFilter() {
+  return SideListState.getTagFilter();
+}
+
+// ========================================
+// Default Export
+// ========================================
+
+export default {
+  setCallbacks,
+  editItemTags,
+  saveItemTags,
+  openTag,
+  setSideListFilter,
+  getSideListFilter
+};
@@ -22,6 +22,7 @@ export function createBookmark(url, title, faviconUrl = null, folderId = null, o
     faviconUrl,
     folderId,
     orderIndex,
+    tags: [],
     createdAt: new Date().toISOString()
   };
 }
@@ -0,0 +1,870 @@
+/**
+ * Event Log Module
+ *
+ * Append-only log of what happened to the user's data.
+ * The repository hands every save/delete to this module, which diffs it
+ * against the last state it saw and appends events like
+ * { id, ts, type: 'step.completed', entityId, data, deviceId }.
+ *
+ * Events are never changed once appended. A burst of autosaves to a note
+ * is held in memory and appended as one note.edited event when the burst
+ * ends, rather than logging every keystroke.
+ *
+ * Events are kept in the local store and uploaded to the Supabase `events`
+ * table in batches (see supabase/migrations). Uploaded events are pruned
+ * locally after EVENT_RETENTION_DAYS; getAllEvents still reads them from
+ * Supabase. Projections replay events to rebuild current state.
+ */
+
+import { StepStatus } from '../constants.js';
+import * as LocalStore from './local-store.js';
+import * as EventStorage from './event-storage.js';
+
+// ========================================
+// Constants
+// ========================================
+
+export const EventType = {
+  OBJECTIVE_CREATED: 'objective.created',
+  OBJECTIVE_RENAMED: 'objective.renamed',
+  OBJECTIVE_DESCRIBED: 'objective.description_changed',
+  OBJECTIVE_MOVED: 'objective.moved',
+  OBJECTIVE_DELETED: 'objective.deleted',
+  PRIORITY_ADDED: 'priority.added',
+  PRIORITY_UPDATED: 'priority.updated',
+  PRIORITY_REMOVED: 'priority.removed',
+  STEP_CREATED: 'step.created',
+  STEP_RENAMED: 'step.renamed',
+  STEP_STARTED: 'step.started',
+  STEP_PAUSED: 'step.paused',
+  STEP_COMPLETED: 'step.completed',
+  STEP_DELETED: 'step.deleted',
+  NEXT_STEP_SET: 'next_step.set',
+  NEXT_STEP_STARTED: 'next_step.started',
+  NEXT_STEP_PAUSED: 'next_step.paused',
+  NOTE_CREATED: 'note.created',
+  NOTE_RENAMED: 'note.renamed',
+  NOTE_EDITED: 'note.edited',
+  NOTE_MOVED: 'note.moved',
+  NOTE_DELETED: 'note.deleted',
+  FOLDER_CREATED: 'folder.created',
+  FOLDER_RENAMED: 'folder.renamed',
+  FOLDER_MOVED: 'folder.moved',
+  FOLDER_DELETED: 'folder.deleted',
+  TASK_LIST_CREATED: 'task_list.created',
+  TASK_LIST_RENAMED: 'task_list.renamed',
+  TASK_LIST_MOVED: 'task_list.moved',
+  TASK_LIST_DELETED: 'task_list.deleted',
+  TASK_CREATED: 'task.created',
+  TASK_RENAMED: 'task.renamed',
+  TASK_MOVED: 'task.moved',
+  TASK_COMPLETED: 'task.completed',
+  TASK_REOPENED: 'task.reopened',
+  TASK_DELETED: 'task.deleted'
+};
+
+// Upload shortly after a burst of edits rather than on every keystroke
+const FLUSH_DELAY_MS = 10000;
+
+// Autosaves of the same note within this window become one note.edited
+// event (an upload appends it sooner)
+const NOTE_EDIT_WINDOW_MS = 2 * 60 * 1000;
+
+// Uploaded events older than this are dropped from the local store
+const EVENT_RETENTION_DAYS = 90;
+
+// ========================================
+// State
+// ========================================
+
+let deviceId = null;
+let isInitialized = false;
+let lastSeq = 0;
+let flushTimer = null;
+let flushPromise = null;
+
+// Last state the log has seen, keyed by `${collection}:${id}`
+const snapshots = new Map();
+
+// Note edits not yet appended, by note id: { data, ts, timer }
+const pendingNoteEdits = new Map();
+
+const eventListeners = [];
+const recordListeners = [];
+
+// ========================================
+// Initialization
+// ========================================
+
+/**
+ * Seed snapshots from the local store so the first save after a reload
+ * only logs what actually changed
+ * @param {Object} options
+ * @param {string} options.deviceId - This device's sync ID
+ */
+export async function initEventLog({ deviceId: id } = {}) {
+  if (isInitialized) return;
+
+  deviceId = id || null;
+  for (const collection of LocalStore.COLLECTIONS) {
+    seedSnapshots(collection, await LocalStore.readCollection(collection));
+  }
+
+  const events = await LocalStore.readCollection(LocalStore.EVENTS);
+  for (const event of events) {
+    lastSeq = Math.max(lastSeq, event.seq || 0);
+  }
+
+  // Best effort: the store may not finish writing before the page goes
+  if (typeof window !== 'undefined') {
+    window.addEventListener('pagehide', () => appendNoteEdits());
+  }
+
+  isInitialized = true;
+}
+
+/**
+ * Record the current state of records without logging anything
+ * Use for data that arrived from Supabase (other devices log their own edits).
+ * @param {string} collection - Local store collection name
+ * @param {Array} records
+ */
+export function seedSnapshots(collection, records) {
+  for (const record of records) {
+    if (record?.id) snapshots.set(`${collection}:${record.id}`, clone(record));
+  }
+}
+
+/**
+ * Deep copy that drops anything JSON can't represent
+ */
+function clone(value) {
+  return value == null ? null : JSON.parse(JSON.stringify(value));
+}
+
+// ========================================
+// Appending
+// ========================================
+
+/**
+ * Append one event to the log
+ * @param {string} type - One of EventType
+ * @param {string} entityId - ID of the top-level record the event is about
+ * @param {Object} data - Event payload
+ * @param {string} [ts] - When it happened, if earlier than now
+ * @returns {Promise<Object>} The stored event
+ */
+export async function appendEvent(type, entityId, data = {}, ts = new Date().toISOString()) {
+  // Monotonic even when two events land in the same millisecond
+  lastSeq = Math.max(Date.now(), lastSeq + 1);
+  const event = {
+    id: crypto.randomUUID(),
+    seq: lastSeq,
+    ts,
+    type,
+    entityId,
+    data: clone(data),
+    deviceId,
+    synced: false
+  };
+
+  await LocalStore.putRecord(LocalStore.EVENTS, event);
+  notifyListeners(event);
+  scheduleFlush();
+  return event;
+}
+
+/**
+ * Hold a note edit until its editing session ends, folding it into the
+ * edits already held for the note
+ */
+function bufferNoteEdit(noteId, data) {
+  const held = pendingNoteEdits.get(noteId);
+  if (held) {
+    held.data = { ...data, from: held.data.from };
+    held.ts = new Date().toISOString();
+    return;
+  }
+
+  pendingNoteEdits.set(noteId, {
+    data,
+    ts: new Date().toISOString(),
+    timer: setTimeout(() => appendNoteEdit(noteId), NOTE_EDIT_WINDOW_MS)
+  });
+}
+
+/**
+ * Append the held edits for a note as one note.edited event
+ */
+async function appendNoteEdit(noteId) {
+  const held = pendingNoteEdits.get(noteId);
+  if (!held) return;
+
+  pendingNoteEdits.delete(noteId);
+  clearTimeout(held.timer);
+  await appendEvent(EventType.NOTE_EDITED, noteId, held.data, held.ts);
+}
+
+/**
+ * Append every held note edit
+ */
+async function appendNoteEdits() {
+  for (const noteId of [...pendingNoteEdits.keys()]) {
+    await appendNoteEdit(noteId);
+  }
+}
+
+// ========================================
+// Change Tracking
+// ========================================
+
+/**
+ * Log the changes between the last seen state of a record and this one
+ * @param {string} collection - Local store collection name
+ * @param {Object} record - Record as it is being saved
+ */
+export async function trackSave(collection, record) {
+  if (!record?.id) return;
+
+  const key = `${collection}:${record.id}`;
+  const prev = snapshots.get(key) || null;
+  const next = clone(record);
+  snapshots.set(key, next);
+  notifyRecordListeners(collection, record.id, next);
+
+  const diff = DIFFERS[collection];
+  if (!diff) return;
+
+  for (const [type, entityId, data] of diff(prev, next)) {
+    if (type === EventType.NOTE_EDITED) {
+      bufferNoteEdit(entityId, data);
+    } else {
+      await appendEvent(type, entityId, data);
+    }
+  }
+}
+
+/**
+ * Log a partial update (order/folder/completion changes)
+ * @param {string} collection
+ * @param {string} id
+ * @param {Object} fields - Fields to merge; undefined values are skipped
+ */
+export async function trackPatch(collection, id, fields) {
+  const prev = snapshots.get(`${collection}:${id}`);
+  if (!prev) return;
+
+  const next = { ...prev };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) next[key] = value;
+  }
+  await trackSave(collection, next);
+}
+
+/**
+ * Log a deletion
+ * @param {string} collection
+ * @param {string} id
+ */
+export async function trackDelete(collection, id) {
+  const key = `${collection}:${id}`;
+  const prev = snapshots.get(key);
+  snapshots.delete(key);
+  notifyRecordListeners(collection, id, null);
+
+  const type = DELETE_TYPES[collection];
+  if (!type) return;
+
+  // The final content goes in the log before the deletion
+  await appendNoteEdit(id);
+  const data = { id, name: prev?.name ?? null };
+  if (collection === 'tasks') data.taskListId = prev?.taskListId ?? null;
+  await appendEvent(type, id, data);
+}
+
+const DELETE_TYPES = {
+  objectives: EventType.OBJECTIVE_DELETED,
+  folders: EventType.FOLDER_DELETED,
+  notes: EventType.NOTE_DELETED,
+  taskLists: EventType.TASK_LIST_DELETED,
+  tasks: EventType.TASK_DELETED
+};
+
+// ========================================
+// Diffing
+// ========================================
+//
+// Each differ returns [type, entityId, data] tuples for prev -> next.
+// prev is null for a record the log hasn't seen before.
+
+/**
+ * Key for list items (older items may predate IDs)
+ */
+function itemKey(item) {
+  return item.id ?? item.name;
+}
+
+/**
+ * Placement change (folder or order) between two records
+ */
+function movedFields(prev, next, parentField) {
+  if ((prev[parentField] ?? null) === (next[parentField] ?? null) &&
+      (prev.orderIndex || 0) === (next.orderIndex || 0)) {
+    return null;
+  }
+  return { [parentField]: next[parentField] ?? null, orderIndex: next.orderIndex || 0 };
+}
+
+/**
+ * Normalize a step's lifecycle state
+ * Steps logged from the next step have no status but are finished work.
+ */
+function stepStatus(step) {
+  if (!step.status) return StepStatus.COMPLETED;
+  return step.status;
+}
+
+/**
+ * Seconds spent on a step
+ */
+function stepElapsed(step) {
+  return step.elapsed ?? step.duration ?? 0;
+}
+
+/**
+ * Objective diff, including priorities, steps and the next step
+ */
+function diffObjective(prev, next) {
+  const id = next.id;
+  const events = [];
+
+  if (!prev) {
+    events.push([EventType.OBJECTIVE_CREATED, id, {
+      id,
+      name: next.name || '',
+      description: next.description || '',
+      folderId: next.folderId ?? null,
+      orderIndex: next.orderIndex || 0
+    }]);
+    prev = { ...next, priorities: [], steps: [], nextStep: null };
+  } else {
+    if ((prev.name || '') !== (next.name || '')) {
+      events.push([EventType.OBJECTIVE_RENAMED, id, { id, from: prev.name || '', to: next.name || '' }]);
+    }
+    if ((prev.description || '') !== (next.description || '')) {
+      events.push([EventType.OBJECTIVE_DESCRIBED, id, { id, from: prev.description || '', to: next.description || '' }]);
+    }
+    const moved = movedFields(prev, next, 'folderId');
+    if (moved) events.push([EventType.OBJECTIVE_MOVED, id, { id, ...moved }]);
+  }
+
+  // Priorities
+  const prevPriorities = new Map((prev.priorities || []).map(p => [itemKey(p), p]));
+  const nextPriorities = new Map((next.priorities || []).map(p => [itemKey(p), p]));
+  for (const [key, priority] of nextPriorities) {
+    const before = prevPriorities.get(key);
+    if (!before) {
+      events.push([EventType.PRIORITY_ADDED, id, { objectiveId: id, priority }]);
+    } else if ((before.name || '') !== (priority.name || '') ||
+               (before.description || '') !== (priority.description || '')) {
+      events.push([EventType.PRIORITY_UPDATED, id, {
+        objectiveId: id,
+        priorityId: key,
+        name: priority.name || '',
+        description: priority.description || ''
+      }]);
+    }
+  }
+  for (const key of prevPriorities.keys()) {
+    if (!nextPriorities.has(key)) {
+      events.push([EventType.PRIORITY_REMOVED, id, { objectiveId: id, priorityId: key }]);
+    }
+  }
+
+  // Steps
+  const prevSteps = new Map((prev.steps || []).map(s => [itemKey(s), s]));
+  const nextSteps = new Map((next.steps || []).map(s => [itemKey(s), s]));
+  for (const [key, step] of nextSteps) {
+    const before = prevSteps.get(key);
+    const stepRef = { objectiveId: id, stepId: key };
+
+    if (!before) {
+      events.push([EventType.STEP_CREATED, id, { objectiveId: id, step }]);
+      if (stepStatus(step) === StepStatus.COMPLETED) {
+        events.push([EventType.STEP_COMPLETED, id, { ...stepRef, elapsed: stepElapsed(step) }]);
+      }
+      continue;
+    }
+
+    if ((before.name || '') !== (step.name || '')) {
+      events.push([EventType.STEP_RENAMED, id, { ...stepRef, from: before.name || '', to: step.name || '' }]);
+    }
+
+    const from = stepStatus(before);
+    const to = stepStatus(step);
+    if (from !== to) {
+      const type = {
+        [StepStatus.ACTIVE]: EventType.STEP_STARTED,
+        [StepStatus.PAUSED]: EventType.STEP_PAUSED,
+        [StepStatus.COMPLETED]: EventType.STEP_COMPLETED
+      }[to];
+      if (type) events.push([type, id, { ...stepRef, elapsed: stepElapsed(step) }]);
+    }
+  }
+  for (const [key, step] of prevSteps) {
+    if (!nextSteps.has(key)) {
+      events.push([EventType.STEP_DELETED, id, { objectiveId: id, stepId: key, name: step.name || '' }]);
+    }
+  }
+
+  // Next step
+  const prevNext = prev.nextStep || { text: '', elapsedSeconds: 0, isRunning: false };
+  const nextNext = next.nextStep || { text: '', elapsedSeconds: 0, isRunning: false };
+  if ((prevNext.text || '') !== (nextNext.text || '')) {
+    events.push([EventType.NEXT_STEP_SET, id, { objectiveId: id, text: nextNext.text || '', elapsedSeconds: nextNext.elapsedSeconds || 0 }]);
+  }
+  if (!prevNext.isRunning && nextNext.isRunning) {
+    events.push([EventType.NEXT_STEP_STARTED, id, { objectiveId: id, elapsedSeconds: nextNext.elapsedSeconds || 0 }]);
+  } else if (prevNext.isRunning && !nextNext.isRunning) {
+    events.push([EventType.NEXT_STEP_PAUSED, id, { objectiveId: id, elapsedSeconds: nextNext.elapsedSeconds || 0 }]);
+  }
+
+  return events;
+}
+
+/**
+ * Note diff (content edits carry the full text so projections can rebuild it)
+ */
+function diffNote(prev, next) {
+  const id = next.id;
+
+  if (!prev) {
+    return [[EventType.NOTE_CREATED, id, {
+      id,
+      name: next.name || '',
+      content: next.content || '',
+      folderId: next.folderId ?? null,
+      orderIndex: next.orderIndex || 0
+    }]];
+  }
+
+  const events = [];
+  if ((prev.name || '') !== (next.name || '')) {
+    events.push([EventType.NOTE_RENAMED, id, { id, from: prev.name || '', to: next.name || '' }]);
+  }
+  if ((prev.content || '') !== (next.content || '')) {
+    events.push([EventType.NOTE_EDITED, id, {
+      id,
+      content: next.content || '',
+      from: (prev.content || '').length,
+      chars: (next.content || '').length
+    }]);
+  }
+  const moved = movedFields(prev, next, 'folderId');
+  if (moved) events.push([EventType.NOTE_MOVED, id, { id, ...moved }]);
+  return events;
+}
+
+/**
+ * Builds a differ for records that only have a name and a placement
+ */
+function simpleDiffer(created, renamed, moved, parentField) {
+  return (prev, next) => {
+    const id = next.id;
+    if (!prev) {
+      return [[created, id, {
+        id,
+        name: next.name || '',
+        [parentField]: next[parentField] ?? null,
+        orderIndex: next.orderIndex || 0
+      }]];
+    }
+
+    const events = [];
+    if ((prev.name || '') !== (next.name || '')) {
+      events.push([renamed, id, { id, from: prev.name || '', to: next.name || '' }]);
+    }
+    const placement = movedFields(prev, next, parentField);
+    if (placement) events.push([moved, id, { id, ...placement }]);
+    return events;
+  };
+}
+
+const diffTaskFields = simpleDiffer(EventType.TASK_CREATED, EventType.TASK_RENAMED, EventType.TASK_MOVED, 'parentTaskId');
+
+/**
+ * Task diff (adds completion on top of name and placement)
+ */
+function diffTask(prev, next) {
+  const events = diffTaskFields(prev, next).map(([type, id, data]) => [
+    type,
+    id,
+    type === EventType.TASK_CREATED
+      ? { ...data, taskListId: next.taskListId, completed: !!next.completed }
+      : data
+  ]);
+
+  if (prev && !!prev.completed !== !!next.completed) {
+    events.push([next.completed ? EventType.TASK_COMPLETED : EventType.TASK_REOPENED, next.id, { id: next.id }]);
+  }
+  return events;
+}
+
+const DIFFERS = {
+  objectives: diffObjective,
+  notes: diffNote,
+  folders: simpleDiffer(EventType.FOLDER_CREATED, EventType.FOLDER_RENAMED, EventType.FOLDER_MOVED, 'parentId'),
+  taskLists: simpleDiffer(EventType.TASK_LIST_CREATED, EventType.TASK_LIST_RENAMED, EventType.TASK_LIST_MOVED, 'folderId'),
+  tasks: diffTask
+};
+
+// ========================================
+// Upload
+// ========================================
+
+/**
+ * Upload soon, batching whatever else gets logged in the meantime
+ */
+function scheduleFlush() {
+  if (flushTimer) return;
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    flushEvents();
+  }, FLUSH_DELAY_MS);
+}
+
+/**
+ * Send unsent events to Supabase, then prune uploaded events past the
+ * retention window
+ * Failures leave them unsent for the next attempt.
+ * @returns {Promise<number>} Number of events sent
+ */
+export async function flushEvents() {
+  if (flushPromise) return flushPromise;
+
+  flushPromise = (async () => {
+    // Held note edits go out with this upload
+    await appendNoteEdits();
+
+    const events = await getEvents();
+    const unsent = events.filter(e => !e.synced);
+    await pruneEvents(events);
+    if (unsent.length === 0) return 0;
+
+    try {
+      await EventStorage.insertEvents(unsent);
+    } catch (err) {
+      console.warn('Events not uploaded, will retry:', err.message);
+      return 0;
+    }
+
+    await LocalStore.putRecords(LocalStore.EVENTS, unsent.map(event => ({ ...event, synced: true })));
+    return unsent.length;
+  })().finally(() => {
+    flushPromise = null;
+  });
+
+  return flushPromise;
+}
+
+/**
+ * Drop uploaded events older than the retention window from the local store
+ */
+async function pruneEvents(events) {
+  const cutoff = new Date(Date.now() - EVENT_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const expired = events.filter(e => e.synced && e.ts < cutoff).map(e => e.id);
+  await LocalStore.removeRecords(LocalStore.EVENTS, expired);
+}
+
+// ========================================
+// Reading
+// ========================================
+
+/**
+ * Read the local event log, oldest first
+ * @param {Object} [filter]
+ * @param {string} [filter.entityId] - Only events about this record
+ * @param {string|Array<string>} [filter.type] - Only these event types (or 'step.*' prefixes)
+ * @param {string} [filter.since] - Only events after this ISO timestamp
+ * @returns {Promise<Array>}
+ */
+export async function getEvents({ entityId = null, type = null, since = null } = {}) {
+  const events = await LocalStore.readCollection(LocalStore.EVENTS);
+  const types = type ? [].concat(type) : null;
+
+  return events
+    .filter(e => !entityId || e.entityId === entityId)
+    .filter(e => !since || e.ts > since)
+    .filter(e => !types || types.some(t => t.endsWith('.*') ? e.type.startsWith(t.slice(0, -1)) : e.type === t))
+    .sort((a, b) => (a.seq || 0) - (b.seq || 0));
+}
+
+/**
+ * Local events plus those other devices have uploaded, oldest first
+ */
+export async function getAllEvents() {
+  const local = await getEvents();
+  const remote = await EventStorage.loadEvents();
+
+  const byId = new Map(remote.map(e => [e.id, e]));
+  for (const event of local) byId.set(event.id, event);
+  return [...byId.values()].sort((a, b) => a.ts.localeCompare(b.ts) || (a.seq || 0) - (b.seq || 0));
+}
+
+/**
+ * Subscribe to newly logged events
+ * @param {Function} listener - Called with each event
+ * @returns {Function} Unsubscribe
+ */
+export function onEvent(listener) {
+  eventListeners.push(listener);
+  return () => {
+    const index = eventListeners.indexOf(listener);
+    if (index !== -1) eventListeners.splice(index, 1);
+  };
+}
+
+/**
+ * Notify event listeners
+ */
+function notifyListeners(event) {
+  for (const listener of eventListeners) {
+    try {
+      listener(event);
+    } catch (err) {
+      console.error('Event listener failed:', err);
+    }
+  }
+}
+
+/**
+ * Subscribe to records as they are saved or deleted
+ * Fires for every local write, even ones that log no events.
+ * @param {Function} listener - Called with (collection, id, record|null)
+ * @returns {Function} Unsubscribe
+ */
+export function onRecordChange(listener) {
+  recordListeners.push(listener);
+  return () => {
+    const index = recordListeners.indexOf(listener);
+    if (index !== -1) recordListeners.splice(index, 1);
+  };
+}
+
+/**
+ * Notify record listeners
+ */
+function notifyRecordListeners(collection, id, record) {
+  for (const listener of recordListeners) {
+    try {
+      listener(collection, id, record);
+    } catch (err) {
+      console.error('Record listener failed:', err);
+    }
+  }
+}
+
+// ========================================
+// Projections
+// ========================================
+
+/**
+ * Replay events into current state
+ * @param {Array} events - Events, oldest first
+ * @returns {{ objectives: Array, notes: Array, folders: Array, taskLists: Array, tasks: Array }}
+ */
+export function project(events) {
+  const state = {
+    objectives: new Map(),
+    notes: new Map(),
+    folders: new Map(),
+    taskLists: new Map(),
+    tasks: new Map()
+  };
+
+  for (const event of events) {
+    applyEvent(state, event);
+  }
+
+  const byOrder = (a, b) => (a.orderIndex || 0) - (b.orderIndex || 0);
+  return {
+    objectives: [...state.objectives.values()].sort(byOrder),
+    notes: [...state.notes.values()].sort(byOrder),
+    folders: [...state.folders.values()].sort(byOrder),
+    taskLists: [...state.taskLists.values()].sort(byOrder),
+    tasks: [...state.tasks.values()].sort(byOrder)
+  };
+}
+
+/**
+ * Rebuild objectives (with priorities, steps and next step) from events
+ */
+export function projectObjectives(events) {
+  return project(events).objectives;
+}
+
+/**
+ * Apply a single event to projection state
+ * Events about records the projection never saw created are ignored.
+ */
+function applyEvent(state, { type, data, ts }) {
+  const [kind, action] = type.split('.');
+
+  switch (kind) {
+    case 'objective': {
+      const objective = state.objectives.get(data.id);
+      if (action === 'created') {
+        state.objectives.set(data.id, {
+          id: data.id,
+          name: data.name,
+          description: data.description,
+          folderId: data.folderId,
+          orderIndex: data.orderIndex,
+          createdAt: ts,
+          priorities: [],
+          steps: [],
+          nextStep: null
+        });
+      } else if (action === 'deleted') {
+        state.objectives.delete(data.id);
+      } else if (objective) {
+        if (action === 'renamed') objective.name = data.to;
+        if (action === 'description_changed') objective.description = data.to;
+        if (action === 'moved') Object.assign(objective, { folderId: data.folderId, orderIndex: data.orderIndex });
+      }
+      break;
+    }
+
+    case 'priority': {
+      const objective = state.objectives.get(data.objectiveId);
+      if (!objective) break;
+      if (action === 'added') {
+        objective.priorities.push({ ...data.priority });
+      } else if (action === 'updated') {
+        const priority = objective.priorities.find(p => itemKey(p) === data.priorityId);
+        if (priority) Object.assign(priority, { name: data.name, description: data.description });
+      } else if (action === 'removed') {
+        objective.priorities = objective.priorities.filter(p => itemKey(p) !== data.priorityId);
+      }
+      break;
+    }
+
+    case 'step': {
+      const objective = state.objectives.get(data.objectiveId);
+      if (!objective) break;
+      if (action === 'created') {
+        objective.steps.push({ ...data.step });
+        break;
+      }
+      if (action === 'deleted') {
+        objective.steps = objective.steps.filter(s => itemKey(s) !== data.stepId);
+        break;
+      }
+      const step = objective.steps.find(s => itemKey(s) === data.stepId);
+      if (!step) break;
+      if (action === 'renamed') step.name = data.to;
+      if (action === 'started') Object.assign(step, { status: StepStatus.ACTIVE, startedAt: step.startedAt || ts });
+      if (action === 'paused') Object.assign(step, { status: StepStatus.PAUSED, elapsed: data.elapsed });
+      if (action === 'completed' && step.status) {
+        Object.assign(step, { status: StepStatus.COMPLETED, elapsed: data.elapsed, completedAt: step.completedAt || ts });
+      }
+      break;
+    }
+
+    case 'next_step': {
+      const objective = state.objectives.get(data.objectiveId);
+      if (!objective) break;
+      const nextStep = objective.nextStep || { text: '', elapsedSeconds: 0, isRunning: false };
+      if (action === 'set') Object.assign(nextStep, { text: data.text, elapsedSeconds: data.elapsedSeconds ?? nextStep.elapsedSeconds });
+      if (action === 'started') Object.assign(nextStep, { isRunning: true, elapsedSeconds: data.elapsedSeconds });
+      if (action === 'paused') Object.assign(nextStep, { isRunning: false, elapsedSeconds: data.elapsedSeconds });
+      objective.nextStep = nextStep;
+      break;
+    }
+
+    case 'note': {
+      const note = state.notes.get(data.id);
+      if (action === 'created') {
+        state.notes.set(data.id, {
+          id: data.id,
+          name: data.name,
+          content: data.content,
+          folderId: data.folderId,
+          orderIndex: data.orderIndex,
+          createdAt: ts,
+          updatedAt: ts
+        });
+      } else if (action === 'deleted') {
+        state.notes.delete(data.id);
+      } else if (note) {
+        if (action === 'renamed') note.name = data.to;
+        if (action === 'edited') note.content = data.content;
+        if (action === 'moved') Object.assign(note, { folderId: data.folderId, orderIndex: data.orderIndex });
+        note.updatedAt = ts;
+      }
+      break;
+    }
+
+    case 'folder':
+    case 'task_list':
+    case 'task': {
+      const map = { folder: state.folders, task_list: state.taskLists, task: state.tasks }[kind];
+      const record = map.get(data.id);
+      if (action === 'created') {
+        const { id, ...fields } = data;
+        map.set(id, { id, ...fields, createdAt: ts });
+      } else if (action === 'deleted') {
+        map.delete(data.id);
+      } else if (record) {
+        if (action === 'renamed') record.name = data.to;
+        if (action === 'moved') {
+          const { id, ...placement } = data;
+          Object.assign(record, placement);
+        }
+        if (action === 'completed') record.completed = true;
+        if (action === 'reopened') record.completed = false;
+      }
+      break;
+    }
+  }
+}
+
+/**
+ * Group events into a day-by-day timeline, newest day first
+ * @param {Array} events - Events, oldest first
+ * @returns {Array<{ date: string, events: Array }>} date is YYYY-MM-DD (local time)
+ */
+export function buildTimeline(events) {
+  const days = new Map();
+  for (const event of events) {
+    const d = new Date(event.ts);
+    const date = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    if (!days.has(date)) days.set(date, []);
+    days.get(date).push(event);
+  }
+  return [...days.entries()]
+    .sort((a, b) => b[0].localeCompare(a[0]))
+    .map(([date, dayEvents]) => ({ date, events: dayEvents }));
+}
+
+// ========================================
+// Default Export
+// ========================================
+
+export default {
+  EventType,
+  initEventLog,
+  seedSnapshots,
+  appendEvent,
+  trackSave,
+  trackPatch,
+  trackDelete,
+  flushEvents,
+  getEvents,
+  getAllEvents,
+  onEvent,
+  onRecordChange,
+  project,
+  projectObjectives,
+  buildTimeline
+};
@@ -0,0 +1,122 @@
+/**
+ * Event Storage Module
+ *
+ * Supabase persistence for the activity event log.
+ * Events are append-only: rows are inserted, never updated.
+ *
+ * Table `events` (supabase/migrations/20261019000000_events.sql):
+ *   id uuid primary key, ts timestamptz, type text,
+ *   entity_id text, data jsonb, device_id text
+ */
+
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { SUPABASE_URL, SUPABASE_ANON_KEY } from '../config.js';
+
+let supabase = null;
+
+/**
+ * Initialize the Supabase client
+ */
+function initClient() {
+  if (supabase) return supabase;
+
+  try {
+    supabase = createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
+    return supabase;
+  } catch (err) {
+    console.error('Failed to initialize Supabase for events:', err);
+    return null;
+  }
+}
+
+// ========================================
+// Event Operations
+// ========================================
+
+/**
+ * Load events from Supabase, oldest first
+ * @param {Object} [options]
+ * @param {string} [options.since] - Only events after this ISO timestamp
+ * @param {string} [options.entityId] - Only events about this record
+ * @returns {Promise<Array>} Array of event objects
+ */
+export async function loadEvents({ since = null, entityId = null } = {}) {
+  const client = initClient();
+
+  if (!client) {
+    console.log('Supabase not available for events');
+    return [];
+  }
+
+  try {
+    let query = client
+      .from('events')
+      .select('*')
+      .order('ts', { ascending: true });
+
+    if (since) query = query.gt('ts', since);
+    if (entityId) query = query.eq('entity_id', entityId);
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('Failed to load events:', error);
+      return [];
+    }
+
+    // Transform database rows to app format
+    return data.map(row => ({
+      id: row.id,
+      ts: row.ts,
+      type: row.type,
+      entityId: row.entity_id || null,
+      data: row.data || {},
+      deviceId: row.device_id || null
+    }));
+
+  } catch (err) {
+    console.error('Error loading events:', err);
+    return [];
+  }
+}
+
+/**
+ * Append a batch of events
+ * Re-sent events are ignored, so a retry after a lost response is safe.
+ * @param {Array} events - Event objects from the local log
+ */
+export async function insertEvents(events) {
+  const client = initClient();
+
+  if (!client) {
+    throw new Error('Supabase not configured');
+  }
+
+  if (events.length === 0) return;
+
+  const records = events.map(event => ({
+    id: event.id,
+    ts: event.ts,
+    type: event.type,
+    entity_id: event.entityId || null,
+    data: event.data || {},
+    device_id: event.deviceId || null
+  }));
+
+  const { error } = await client
+    .from('events')
+    .upsert(records, { onConflict: 'id', ignoreDuplicates: true });
+
+  if (error) {
+    throw new Error(`Failed to insert events: ${error.message}`);
+  }
+}
+
+// ========================================
+// Default Export
+// ========================================
+
+export default {
+  loadEvents,
+  insertEvents
+};
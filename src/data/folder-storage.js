@@ -58,6 +58,7 @@ export async function loadAllFolders() {
       name: row.name || '',
       parentId: row.parent_id || null,
       orderIndex: row.order_index || 0,
+      tags: row.tags || [],
       createdAt: row.created_at,
       updatedAt: row.updated_at
     }));
@@ -73,7 +74,7 @@ export async function loadAllFolders() {
 
 /**
  * Create a new folder
- * @param {Object} folder - Folder data { name, parentId?, orderIndex? }
+ * @param {Object} folder - Folder data { id?, name, parentId?, orderIndex?, tags? }
  * @returns {Promise<Object>} Created folder with ID
  */
 export async function createFolder(folder) {
@@ -87,9 +88,15 @@ export async function createFolder(folder) {
     name: folder.name || '',
     parent_id: folder.parentId || null,
     order_index: folder.orderIndex || 0,
+    tags: folder.tags || [],
     updated_at: new Date().toISOString()
   };
 
+  // Folders created offline already have a client-generated UUID
+  if (folder.id) {
+    record.id = folder.id;
+  }
+
   const { data, error } = await client
     .from('folders')
     .insert(record)
@@ -107,6 +114,7 @@ export async function createFolder(folder) {
     name: data.name,
     parentId: data.parent_id,
     orderIndex: data.order_index,
+    tags: data.tags || [],
     createdAt: data.created_at,
     updatedAt: data.updated_at
   };
@@ -132,6 +140,7 @@ export async function updateFolder(folder) {
     name: folder.name,
     parent_id: folder.parentId,
     order_index: folder.orderIndex,
+    tags: folder.tags,
     updated_at: new Date().toISOString()
   };
 
@@ -158,6 +167,7 @@ export async function updateFolder(folder) {
     name: data.name,
     parentId: data.parent_id,
     orderIndex: data.order_index,
+    tags: data.tags || [],
     createdAt: data.created_at,
     updatedAt: data.updated_at
   };
@@ -193,6 +203,7 @@ export async function deleteFolder(folderId) {
  * @param {string} objectiveId - Objective ID
  * @param {string|null} folderId - Target folder ID, or null for unfiled
  * @param {number|null} orderIndex - Optional order index for positioning
+ * @returns {Promise<{updatedAt: string}>} The updated_at written
  */
 export async function moveObjectiveToFolder(objectiveId, folderId, orderIndex = null) {
   const client = initClient();
@@ -221,6 +232,7 @@ export async function moveObjectiveToFolder(objectiveId, folderId, orderIndex =
   }
 
   console.log('Moved objective', objectiveId, 'to folder', folderId || 'unfiled', orderIndex !== null ? `at index ${orderIndex}` : '');
+  return { updatedAt: updateData.updated_at };
 }
 
 /**
@@ -0,0 +1,406 @@
+/**
+ * Local Store Module
+ *
+ * Offline copy of app data behind the repository.
+ * Pluggable adapters: IndexedDB (browser), JSON file via IPC (Electron),
+ * and in-memory (tests / no-network runs).
+ * Also holds the outbox of writes waiting to be sent to Supabase, the
+ * sync engine's per-record metadata and conflict records, and the
+ * append-only activity event log.
+ */
+
+// ========================================
+// Constants
+// ========================================
+
+export const COLLECTIONS = ['objectives', 'folders', 'notes', 'taskLists', 'tasks'];
+
+// Internal collections used by the sync engine
+export const SYNC_META = 'syncMeta';
+export const CONFLICTS = 'conflicts';
+
+// Append-only activity log (see event-log.js)
+export const EVENTS = 'events';
+
+const OUTBOX = 'outbox';
+const DB_NAME = 'layer-local-store';
+const DB_VERSION = 3;
+
+// ========================================
+// Adapters
+// ========================================
+//
+// Every adapter implements the same async interface:
+//   open()
+//   getAll(collection)            -> Array of records
+//   put(collection, record)       -> upsert by record.id
+//   putMany(collection, records)  -> upsert several in one write
+//   replaceAll(collection, records)
+//   remove(collection, id)
+//   removeMany(collection, ids)
+
+/**
+ * In-memory adapter (nothing survives a reload)
+ */
+export function createMemoryAdapter() {
+  const stores = new Map();
+
+  function storeFor(collection) {
+    if (!stores.has(collection)) stores.set(collection, new Map());
+    return stores.get(collection);
+  }
+
+  return {
+    name: 'memory',
+    async open() {},
+    async getAll(collection) {
+      return [...storeFor(collection).values()];
+    },
+    async put(collection, record) {
+      storeFor(collection).set(record.id, structuredClone(record));
+    },
+    async putMany(collection, records) {
+      const store = storeFor(collection);
+      for (const record of records) store.set(record.id, structuredClone(record));
+    },
+    async replaceAll(collection, records) {
+      const store = storeFor(collection);
+      store.clear();
+      for (const record of records) store.set(record.id, structuredClone(record));
+    },
+    async remove(collection, id) {
+      storeFor(collection).delete(id);
+    },
+    async removeMany(collection, ids) {
+      const store = storeFor(collection);
+      for (const id of ids) store.delete(id);
+    }
+  };
+}
+
+/**
+ * IndexedDB adapter (browser)
+ */
+export function createIndexedDbAdapter() {
+  let db = null;
+
+  function request(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  function transaction(collection, mode, fn) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(collection, mode);
+      const result = fn(tx.objectStore(collection));
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  return {
+    name: 'indexeddb',
+    async open() {
+      if (db) return;
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        for (const collection of [...COLLECTIONS, OUTBOX, SYNC_META, CONFLICTS, EVENTS]) {
+          if (!req.result.objectStoreNames.contains(collection)) {
+            req.result.createObjectStore(collection, { keyPath: 'id' });
+          }
+        }
+      };
+      db = await request(req);
+    },
+    async getAll(collection) {
+      const tx = db.transaction(collection, 'readonly');
+      return request(tx.objectStore(collection).getAll());
+    },
+    async put(collection, record) {
+      await transaction(collection, 'readwrite', store => store.put(record));
+    },
+    async putMany(collection, records) {
+      await transaction(collection, 'readwrite', store => {
+        for (const record of records) store.put(record);
+      });
+    },
+    async replaceAll(collection, records) {
+      await transaction(collection, 'readwrite', store => {
+        store.clear();
+        for (const record of records) store.put(record);
+      });
+    },
+    async remove(collection, id) {
+      await transaction(collection, 'readwrite', store => store.delete(id));
+    },
+    async removeMany(collection, ids) {
+      await transaction(collection, 'readwrite', store => {
+        for (const id of ids) store.delete(id);
+      });
+    }
+  };
+}
+
+/**
+ * JSON file adapter (Electron, via window.electronAPI.localStore)
+ * Keeps the whole store in memory and writes the file after each change.
+ * @param {Object} api - { read(), write(data) } IPC bridge
+ */
+export function createFileAdapter(api) {
+  let data = {};
+  let writeChain = Promise.resolve();
+  let writeQueued = false;
+
+  function recordsFor(collection) {
+    if (!data[collection]) data[collection] = {};
+    return data[collection];
+  }
+
+  // Serialize writes so an older snapshot never lands after a newer one,
+  // and coalesce bursts into a single write of the latest data
+  function persist() {
+    if (writeQueued) return writeChain;
+    writeQueued = true;
+    writeChain = writeChain.then(async () => {
+      writeQueued = false;
+      const result = await api.write(data);
+      if (!result.success) {
+        console.error('Failed to write local store:', result.error);
+      }
+    });
+    return writeChain;
+  }
+
+  return {
+    name: 'file',
+    async open() {
+      const result = await api.read();
+      if (!result.success) {
+        throw new Error(`Failed to read local store: ${result.error}`);
+      }
+      data = result.data || {};
+    },
+    async getAll(collection) {
+      return Object.values(recordsFor(collection));
+    },
+    async put(collection, record) {
+      recordsFor(collection)[record.id] = record;
+      await persist();
+    },
+    async putMany(collection, records) {
+      const stored = recordsFor(collection);
+      for (const record of records) stored[record.id] = record;
+      await persist();
+    },
+    async replaceAll(collection, records) {
+      data[collection] = {};
+      for (const record of records) data[collection][record.id] = record;
+      await persist();
+    },
+    async remove(collection, id) {
+      delete recordsFor(collection)[id];
+      await persist();
+    },
+    async removeMany(collection, ids) {
+      const stored = recordsFor(collection);
+      for (const id of ids) delete stored[id];
+      await persist();
+    }
+  };
+}
+
+// ========================================
+// Adapter Selection
+// ========================================
+
+let adapter = null;
+
+/**
+ * Pick the best adapter for this platform
+ */
+function detectAdapter() {
+  if (typeof window !== 'undefined' && window.electronAPI?.localStore) {
+    return createFileAdapter(window.electronAPI.localStore);
+  }
+  if (typeof indexedDB !== 'undefined') {
+    return createIndexedDbAdapter();
+  }
+  return createMemoryAdapter();
+}
+
+/**
+ * Open the local store
+ * @param {Object} [customAdapter] - Use this adapter instead of detecting one
+ */
+export async function initLocalStore(customAdapter = null) {
+  if (adapter && !customAdapter) return adapter;
+
+  adapter = customAdapter || detectAdapter();
+  try {
+    await adapter.open();
+  } catch (err) {
+    console.error(`Local store (${adapter.name}) failed to open, using memory:`, err);
+    adapter = createMemoryAdapter();
+    await adapter.open();
+  }
+
+  console.log('Local store ready:', adapter.name);
+  return adapter;
+}
+
+/**
+ * Name of the active adapter, or null before init
+ */
+export function getAdapterName() {
+  return adapter ? adapter.name : null;
+}
+
+// ========================================
+// Record Operations
+// ========================================
+
+/**
+ * Read every record in a collection
+ * @param {string} collection - One of COLLECTIONS
+ * @returns {Promise<Array>}
+ */
+export async function readCollection(collection) {
+  if (!adapter) return [];
+  const records = await adapter.getAll(collection);
+  return records.sort((a, b) => (a.orderIndex || 0) - (b.orderIndex || 0));
+}
+
+/**
+ * Replace a collection with a fresh snapshot
+ */
+export async function writeCollection(collection, records) {
+  if (!adapter) return;
+  await adapter.replaceAll(collection, records);
+}
+
+/**
+ * Insert or replace a single record
+ */
+export async function putRecord(collection, record) {
+  if (!adapter || !record?.id) return;
+  await adapter.put(collection, record);
+}
+
+/**
+ * Insert or replace several records in one write
+ */
+export async function putRecords(collection, records) {
+  if (!adapter || records.length === 0) return;
+  await adapter.putMany(collection, records);
+}
+
+/**
+ * Merge fields into an existing record (no-op if it isn't cached)
+ * @param {string} collection
+ * @param {string} id
+ * @param {Object} fields - Fields to merge; undefined values are skipped
+ * @returns {Promise<Object|null>} Patched record
+ */
+export async function patchRecord(collection, id, fields) {
+  if (!adapter) return null;
+  const records = await adapter.getAll(collection);
+  const existing = records.find(r => r.id === id);
+  if (!existing) return null;
+
+  const patched = { ...existing };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) patched[key] = value;
+  }
+  await adapter.put(collection, patched);
+  return patched;
+}
+
+/**
+ * Remove a single record
+ */
+export async function removeRecord(collection, id) {
+  if (!adapter) return;
+  await adapter.remove(collection, id);
+}
+
+/**
+ * Remove several records in one write
+ */
+export async function removeRecords(collection, ids) {
+  if (!adapter || ids.length === 0) return;
+  await adapter.removeMany(collection, ids);
+}
+
+// ========================================
+// Outbox (queued writes)
+// ========================================
+
+let lastSeq = 0;
+
+/**
+ * Queue a write to replay when Supabase is reachable again
+ * @param {string} op - Remote write operation name (e.g. 'saveNote')
+ * @param {Array} args - JSON-serializable arguments for the operation
+ * @param {Object} target - { collection, recordId, version } the write applies to
+ */
+export async function enqueueWrite(op, args, target = {}) {
+  if (!adapter) return;
+  // Monotonic even when two writes land in the same millisecond
+  lastSeq = Math.max(Date.now(), lastSeq + 1);
+  const entry = {
+    id: lastSeq.toString(36),
+    seq: lastSeq,
+    op,
+    args,
+    ...target,
+    queuedAt: new Date().toISOString()
+  };
+  await adapter.put(OUTBOX, entry);
+  console.log('Queued offline write:', op);
+}
+
+/**
+ * Get queued writes, oldest first
+ */
+export async function getPendingWrites() {
+  if (!adapter) return [];
+  const entries = await adapter.getAll(OUTBOX);
+  return entries.sort((a, b) => a.seq - b.seq);
+}
+
+/**
+ * Drop a queued write once it has been sent
+ */
+export async function removePendingWrite(id) {
+  if (!adapter) return;
+  await adapter.remove(OUTBOX, id);
+}
+
+// ========================================
+// Default Export
+// ========================================
+
+export default {
+  COLLECTIONS,
+  SYNC_META,
+  CONFLICTS,
+  EVENTS,
+  createMemoryAdapter,
+  createIndexedDbAdapter,
+  createFileAdapter,
+  initLocalStore,
+  getAdapterName,
+  readCollection,
+  writeCollection,
+  putRecord,
+  putRecords,
+  patchRecord,
+  removeRecord,
+  removeRecords,
+  enqueueWrite,
+  getPendingWrites,
+  removePendingWrite
+};
@@ -0,0 +1,128 @@
+/**
+ * Memory Storage Module
+ *
+ * Supabase CRUD operations for agent memories: lasting facts about the
+ * user that the agent saves with its remember tool (server/memories.mjs)
+ * and reads back into its prompt. Here they can be reviewed and edited.
+ */
+
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { SUPABASE_URL, SUPABASE_ANON_KEY } from '../config.js';
+
+const TABLE = 'agent_memories';
+
+let supabase = null;
+
+/**
+ * Initialize the Supabase client
+ */
+function initClient() {
+  if (supabase) return supabase;
+
+  try {
+    supabase = createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
+    return supabase;
+  } catch (err) {
+    console.error('Failed to initialize Supabase for memories:', err);
+    return null;
+  }
+}
+
+// ========================================
+// Memory Operations
+// ========================================
+
+/**
+ * Load all memories, oldest first
+ * @returns {Promise<Array>} Array of { id, content, createdAt, updatedAt }
+ */
+export async function loadAllMemories() {
+  const client = initClient();
+
+  if (!client) {
+    console.log('Supabase not available for memories');
+    return [];
+  }
+
+  const { data, error } = await client
+    .from(TABLE)
+    .select('*')
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to load memories: ${error.message}`);
+  }
+
+  return data.map(toMemory);
+}
+
+/**
+ * Save a memory (insert or update)
+ * @param {Object} memory - { id?, content }
+ * @returns {Promise<Object>} Saved memory
+ */
+export async function saveMemory(memory) {
+  const client = initClient();
+
+  if (!client) {
+    throw new Error('Supabase not configured');
+  }
+
+  const now = new Date().toISOString();
+  const record = {
+    content: memory.content.trim(),
+    updated_at: now
+  };
+
+  const query = memory.id
+    ? client.from(TABLE).update(record).eq('id', memory.id)
+    : client.from(TABLE).insert({ ...record, created_at: now });
+
+  const { data, error } = await query.select().single();
+
+  if (error) {
+    throw new Error(`Failed to save memory: ${error.message}`);
+  }
+
+  return toMemory(data);
+}
+
+/**
+ * Delete a memory
+ * @param {string} memoryId
+ */
+export async function deleteMemory(memoryId) {
+  const client = initClient();
+
+  if (!client) {
+    throw new Error('Supabase not configured');
+  }
+
+  const { error } = await client
+    .from(TABLE)
+    .delete()
+    .eq('id', memoryId);
+
+  if (error) {
+    throw new Error(`Failed to delete memory: ${error.message}`);
+  }
+}
+
+function toMemory(row) {
+  return {
+    id: row.id,
+    content: row.content || '',
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// ========================================
+// Exports
+// ========================================
+
+export default {
+  loadAllMemories,
+  saveMemory,
+  deleteMemory
+};
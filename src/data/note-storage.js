@@ -10,19 +10,6 @@ import { SUPABASE_URL, SUPABASE_ANON_KEY } from '../config.js';
 
 let supabase = null;
 
-// Track recently saved note IDs to ignore our own realtime updates
-const recentlySavedNoteIds = new Set();
-const RECENT_SAVE_EXPIRY_MS = 2000; // Ignore realtime updates for 2 seconds after local save
-
-/**
- * Check if a note was recently saved locally (to ignore our own realtime updates)
- * @param {string} noteId - Note ID to check
- * @returns {boolean} True if this note was saved locally recently
- */
-export function wasRecentlySavedLocally(noteId) {
-  return recentlySavedNoteIds.has(noteId);
-}
-
 /**
  * Initialize the Supabase client
  */
@@ -72,6 +59,7 @@ export async function loadAllNotes() {
       content: row.content || '',
       folderId: row.folder_id || null,
       orderIndex: row.order_index || 0,
+      tags: row.tags || [],
       createdAt: row.created_at,
       updatedAt: row.updated_at
     }));
@@ -102,6 +90,7 @@ export async function saveNote(note) {
     content: note.content || '',
     folder_id: note.folderId || null,
     order_index: note.orderIndex || 0,
+    tags: note.tags || [],
     updated_at: new Date().toISOString()
   };
 
@@ -122,16 +111,13 @@ export async function saveNote(note) {
 
     console.log('Updated note:', data.id);
 
-    // Track this save to ignore our own realtime updates
-    recentlySavedNoteIds.add(data.id);
-    setTimeout(() => recentlySavedNoteIds.delete(data.id), RECENT_SAVE_EXPIRY_MS);
-
     return {
       id: data.id,
       name: data.name,
       content: data.content,
       folderId: data.folder_id,
       orderIndex: data.order_index,
+      tags: data.tags || [],
       createdAt: data.created_at,
       updatedAt: data.updated_at
     };
@@ -150,16 +136,13 @@ export async function saveNote(note) {
 
     console.log('Created note:', data.id);
 
-    // Track this save to ignore our own realtime updates
-    recentlySavedNoteIds.add(data.id);
-    setTimeout(() => recentlySavedNoteIds.delete(data.id), RECENT_SAVE_EXPIRY_MS);
-
     return {
       id: data.id,
       name: data.name,
       content: data.content,
       folderId: data.folder_id,
       orderIndex: data.order_index,
+      tags: data.tags || [],
       createdAt: data.created_at,
       updatedAt: data.updated_at
     };
@@ -194,6 +177,7 @@ export async function deleteNote(noteId) {
  * @param {string} id - Note ID
  * @param {number} orderIndex - New order index
  * @param {string|null} folderId - Optional folder ID to move to
+ * @returns {Promise<{updatedAt: string}>} The updated_at written
  */
 export async function updateNoteOrder(id, orderIndex, folderId = undefined) {
   const client = initClient();
@@ -222,6 +206,7 @@ export async function updateNoteOrder(id, orderIndex, folderId = undefined) {
   }
 
   console.log('Updated note order:', id, 'to index', orderIndex);
+  return { updatedAt: record.updated_at };
 }
 
 /**
@@ -281,6 +266,5 @@ export default {
   deleteNote,
   updateNoteOrder,
   subscribeToNoteChanges,
-  wasRecentlySavedLocally,
   isEditorJsFormat
 };
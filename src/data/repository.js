@@ -1,53 +1,64 @@
 /**
  * Data Repository Module
  *
- * Supabase-based persistence layer.
- * Stores objectives in PostgreSQL database.
+ * Offline-first persistence layer.
+ * Reads come from Supabase when it is reachable (reconciled into the
+ * local store by the sync engine), otherwise from the local store.
+ * Writes that can't reach Supabase are applied locally and queued.
+ * Every write is also recorded in the activity event log.
+ *
+ * With a vault directory chosen, folders and notes live in that directory
+ * as plain files instead (see vault-storage.js).
  */
 
 import { StepStatus } from '../constants.js';
 import {
   loadAllObjectives,
-  saveObjective as saveObjectiveFile,
-  deleteObjective as deleteObjectiveFile,
-  updateObjectiveOrder,
   isStorageAvailable,
   getStorageStatus,
   subscribeToChanges
 } from './supabase-storage.js';
 
+import * as FolderStorage from './folder-storage.js';
+import * as NoteStorage from './note-storage.js';
+import * as TaskListStorage from './task-list-storage.js';
+import * as VaultStorage from './vault-storage.js';
 import {
-  loadAllFolders,
-  createFolder,
-  updateFolder,
-  deleteFolder,
-  moveObjectiveToFolder,
-  subscribeToFolderChanges
-} from './folder-storage.js';
-
+  isVaultAvailable,
+  isVaultEnabled,
+  getVaultPath,
+  setVaultPath,
+  pickVaultFolder
+} from './vault-storage.js';
+import { subscribeToTaskListChanges } from './task-list-storage.js';
+import * as LocalStore from './local-store.js';
+import * as SyncEngine from './sync-engine.js';
+import * as EventLog from './event-log.js';
 import {
-  loadAllNotes,
-  saveNote,
-  deleteNote,
-  updateNoteOrder,
-  subscribeToNoteChanges
-} from './note-storage.js';
-
+  EventType,
+  getEvents,
+  getAllEvents,
+  onEvent,
+  onRecordChange,
+  project,
+  projectObjectives,
+  buildTimeline
+} from './event-log.js';
 import {
-  loadAllTaskLists,
-  saveTaskList,
-  deleteTaskList,
-  updateTaskListOrder,
-  subscribeToTaskListChanges,
-  loadTasksForList,
-  saveTask,
-  deleteTask,
-  updateTaskOrder,
-  updateTaskCompletion
-} from './task-list-storage.js';
-
+  isOnline,
+  setOfflineOnly,
+  flushPendingWrites,
+  getPendingWriteCount,
+  syncNow,
+  getSyncStatus,
+  onSyncStatusChange,
+  isOwnEcho,
+  getConflicts,
+  getConflictFor
+} from './sync-engine.js';
 import * as TreeUtils from './tree-utils.js';
 import * as BookmarkStorage from './bookmark-storage.js';
+import { loadAllMemories, saveMemory, deleteMemory } from './memory-storage.js';
 
 // ========================================
 // Configuration
@@ -156,6 +167,9 @@ export async function initializeData() {
   }
 
   try {
+    await SyncEngine.initSyncEngine();
+    SyncEngine.startBackgroundSync();
+
     // Check if storage is available (folder selected + filesystem access)
     if (!isStorageAvailable()) {
       console.log('Storage not available, using empty data');
@@ -164,9 +178,12 @@ export async function initializeData() {
       return cachedData;
     }
 
-    // Load from markdown files
-    cachedData = await loadAllObjectives();
-    cachedData = ensureStructure(cachedData);
+    // Load from Supabase, or the local store when offline
+    const objectives = await readThrough('objectives', async () => {
+      const remote = await loadAllObjectives();
+      return remote.objectives;
+    });
+    cachedData = ensureStructure({ objectives });
     isInitialized = true;
 
     console.log('Initialized with', cachedData.objectives.length, 'objectives');
@@ -180,6 +197,23 @@ export async function initializeData() {
   }
 }
 
+/**
+ * Pause next step timers left running when the app last closed, saving
+ * each so the event log records the pause. Call once at cold start, after
+ * initializeData; reloads keep running timers going.
+ */
+export async function pauseStaleTimers() {
+  if (!cachedData || !isStorageAvailable()) return;
+
+  const running = cachedData.objectives.filter(obj => obj.nextStep?.isRunning);
+  await Promise.all(running.map(obj => {
+    obj.nextStep.isRunning = false;
+    return saveOneObjective(obj).catch(err => {
+      console.error('Failed to pause timer:', obj.name, err);
+    });
+  }));
+}
+
 /**
  * Load data (synchronous if cached, async if not)
  * For backward compatibility with existing code
@@ -214,9 +248,9 @@ export async function saveData(data) {
     return;
   }
 
-  // Save each objective to its file
+  // Save each objective (queued locally when offline)
   const savePromises = cachedData.objectives.map(obj => {
-    return saveObjectiveFile(obj).catch(err => {
+    return saveOneObjective(obj).catch(err => {
       console.error('Failed to save objective:', obj.name, err);
     });
   });
@@ -233,7 +267,15 @@ export async function saveOneObjective(objective) {
     return;
   }
 
-  await saveObjectiveFile(objective);
+  // New objectives get their UUID up front so sync can track them
+  if (!objective._supabaseId) {
+    objective.id = newRecordId();
+    objective._supabaseId = objective.id;
+  }
+
+  await SyncEngine.writeOrQueue('saveObjective', [objective], { collection: 'objectives', id: objective.id });
+  await LocalStore.putRecord('objectives', objective);
+  await EventLog.trackSave('objectives', objective);
 }
 
 /**
@@ -245,7 +287,9 @@ export async function deleteOneObjective(objective) {
     return;
   }
 
-  await deleteObjectiveFile(objective);
+  await SyncEngine.writeOrQueue('deleteObjective', [objective], { collection: 'objectives', id: objective.id });
+  await LocalStore.removeRecord('objectives', objective.id);
+  await EventLog.trackDelete('objectives', objective.id);
 
   // Remove from cache
   if (cachedData) {
@@ -267,54 +311,440 @@ export function invalidateCache() {
 export { getStorageStatus };
 
 /**
- * Subscribe to realtime changes
+ * Subscribe to realtime changes (Supabase only - nothing to subscribe to offline)
+ */
+export {
+  subscribeToChanges,
+  subscribeToTaskListChanges
+};
+
+/**
+ * Subscribe to folder changes (vault edits on disk, or Supabase realtime)
+ */
+export function subscribeToFolderChanges(callback) {
+  if (VaultStorage.isVaultEnabled()) {
+    // Only directory changes matter here (polling can't tell, so it always fires)
+    return VaultStorage.subscribeToVaultChanges((payload) => {
+      if (payload.changes.length === 0 || payload.changes.some(c => c.isDirectory)) {
+        callback(payload);
+      }
+    });
+  }
+  return FolderStorage.subscribeToFolderChanges(callback);
+}
+
+/**
+ * Subscribe to note changes (vault edits on disk, or Supabase realtime)
  */
-export { subscribeToChanges };
+export function subscribeToNoteChanges(callback) {
+  if (VaultStorage.isVaultEnabled()) {
+    return VaultStorage.subscribeToVaultChanges(callback);
+  }
+  return NoteStorage.subscribeToNoteChanges(callback);
+}
 
 /**
  * Update objective order
  */
-export { updateObjectiveOrder };
+export async function updateObjectiveOrder(id, orderIndex, folderId = undefined) {
+  await SyncEngine.writeOrQueue('updateObjectiveOrder', [id, orderIndex, folderId], { collection: 'objectives', id });
+  await LocalStore.patchRecord('objectives', id, { orderIndex, folderId });
+  await EventLog.trackPatch('objectives', id, { orderIndex, folderId });
+}
+
+// ========================================
+// Offline Support
+// ========================================
 
 /**
- * Folder operations - re-export from folder-storage
+ * Sync engine controls - re-export from sync-engine
  */
 export {
-  loadAllFolders,
-  createFolder,
-  updateFolder,
-  deleteFolder,
-  moveObjectiveToFolder,
-  subscribeToFolderChanges
+  isOnline,
+  setOfflineOnly,
+  flushPendingWrites,
+  getPendingWriteCount,
+  syncNow,
+  getSyncStatus,
+  onSyncStatusChange,
+  isOwnEcho,
+  getConflicts,
+  getConflictFor
 };
 
 /**
- * Note operations - re-export from note-storage
+ * UUID for new records (Supabase accepts client-supplied IDs)
+ * Assigned before the first write so offline and online saves look the same.
+ */
+function newRecordId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Load a collection from Supabase when reachable, else from the local store
+ * @param {string} collection - Local store collection name
+ * @param {Function} loadRemote - Async loader returning an array of records
+ * @param {Function} inScope - Limits which cached records this load covers
+ * @returns {Promise<Array>}
+ */
+async function readThrough(collection, loadRemote, inScope = () => true) {
+  if (await isOnline()) {
+    // Send queued writes (and surface conflicts) before reading fresh data
+    await syncNow();
+    const records = await SyncEngine.pull(collection, loadRemote, inScope);
+    EventLog.seedSnapshots(collection, records);
+    return records;
+  }
+
+  const cached = (await LocalStore.readCollection(collection)).filter(inScope);
+  console.log(`Offline: loaded ${cached.length} ${collection} from local store`);
+  return cached;
+}
+
+/**
+ * Load a collection from the vault directory
+ * Files on disk are the source of truth, so nothing is synced or cached.
+ */
+async function readVault(collection, loadVault) {
+  const records = await loadVault();
+  EventLog.seedSnapshots(collection, records);
+  return records;
+}
+
+// ========================================
+// Vault
+// ========================================
+
+/**
+ * Vault selection - re-export from vault-storage
  */
 export {
-  loadAllNotes,
-  saveNote,
-  deleteNote,
-  updateNoteOrder,
-  subscribeToNoteChanges
+  isVaultAvailable,
+  isVaultEnabled,
+  getVaultPath,
+  setVaultPath,
+  pickVaultFolder
 };
 
 /**
- * Task list operations - re-export from task-list-storage
+ * Resolve a sync conflict on a note
+ * @param {string} conflictId
+ * @param {'local'|'remote'|'merged'} choice - Which version to keep
+ * @returns {Promise<Object>} The note as it now stands
+ */
+export async function resolveConflict(conflictId, choice) {
+  const { record, needsSave } = await SyncEngine.resolveConflict(conflictId, choice);
+  return needsSave ? saveNote(record) : record;
+}
+
+// ========================================
+// Activity Log
+// ========================================
+
+/**
+ * Event log reads and projections - re-export from event-log
  */
 export {
-  loadAllTaskLists,
-  saveTaskList,
-  deleteTaskList,
-  updateTaskListOrder,
-  subscribeToTaskListChanges,
-  loadTasksForList,
-  saveTask,
-  deleteTask,
-  updateTaskOrder,
-  updateTaskCompletion
+  EventType,
+  getEvents,
+  getAllEvents,
+  onEvent,
+  onRecordChange,
+  project,
+  projectObjectives,
+  buildTimeline
 };
 
+// ========================================
+// Agent Memory
+// ========================================
+
+/**
+ * What the agent remembers about the user - re-export from memory-storage
+ * Always read from and written to Supabase, where the agent server sees them.
+ */
+export {
+  loadAllMemories,
+  saveMemory,
+  deleteMemory
+};
+
+// ========================================
+// Folder Operations
+// ========================================
+
+/**
+ * Load all folders
+ */
+export async function loadAllFolders() {
+  if (VaultStorage.isVaultEnabled()) {
+    return readVault('folders', VaultStorage.loadAllFolders);
+  }
+  return readThrough('folders', FolderStorage.loadAllFolders);
+}
+
+/**
+ * Create a folder (gets a local UUID when created offline)
+ */
+export async function createFolder(folder) {
+  const now = new Date().toISOString();
+  const localFolder = {
+    id: folder.id || newRecordId(),
+    name: folder.name || '',
+    parentId: folder.parentId || null,
+    orderIndex: folder.orderIndex || 0,
+    tags: folder.tags || [],
+    createdAt: now,
+    updatedAt: now
+  };
+
+  if (VaultStorage.isVaultEnabled()) {
+    const created = await VaultStorage.createFolder(localFolder);
+    await EventLog.trackSave('folders', created);
+    return created;
+  }
+
+  const { queued, result } = await SyncEngine.writeOrQueue('createFolder', [localFolder], { collection: 'folders', id: localFolder.id });
+  const saved = queued ? localFolder : result;
+  await LocalStore.putRecord('folders', saved);
+  await EventLog.trackSave('folders', saved);
+  return saved;
+}
+
+/**
+ * Update a folder's name, parent, order or tags
+ */
+export async function updateFolder(folder) {
+  if (VaultStorage.isVaultEnabled()) {
+    const updated = await VaultStorage.updateFolder(folder);
+    await EventLog.trackSave('folders', updated);
+    return updated;
+  }
+
+  const { queued, result } = await SyncEngine.writeOrQueue('updateFolder', [folder], { collection: 'folders', id: folder.id });
+  const patched = await LocalStore.patchRecord('folders', folder.id, {
+    name: folder.name,
+    parentId: folder.parentId,
+    orderIndex: folder.orderIndex,
+    tags: folder.tags,
+    updatedAt: new Date().toISOString()
+  });
+  await EventLog.trackPatch('folders', folder.id, {
+    name: folder.name,
+    parentId: folder.parentId,
+    orderIndex: folder.orderIndex,
+    tags: folder.tags
+  });
+  return queued ? patched : result;
+}
+
+/**
+ * Delete a folder
+ */
+export async function deleteFolder(folderId) {
+  if (VaultStorage.isVaultEnabled()) {
+    await VaultStorage.deleteFolder(folderId);
+    await EventLog.trackDelete('folders', folderId);
+    return;
+  }
+
+  await SyncEngine.writeOrQueue('deleteFolder', [folderId], { collection: 'folders', id: folderId });
+  await LocalStore.removeRecord('folders', folderId);
+  await EventLog.trackDelete('folders', folderId);
+}
+
+/**
+ * Move an objective to a folder (or unfiled if folderId is null)
+ */
+export async function moveObjectiveToFolder(objectiveId, folderId, orderIndex = null) {
+  await SyncEngine.writeOrQueue('moveObjectiveToFolder', [objectiveId, folderId, orderIndex], { collection: 'objectives', id: objectiveId });
+  const placement = { folderId, orderIndex: orderIndex !== null ? orderIndex : undefined };
+  await LocalStore.patchRecord('objectives', objectiveId, placement);
+  await EventLog.trackPatch('objectives', objectiveId, placement);
+}
+
+// ========================================
+// Note Operations
+// ========================================
+
+/**
+ * Load all notes
+ */
+export async function loadAllNotes() {
+  if (VaultStorage.isVaultEnabled()) {
+    return readVault('notes', VaultStorage.loadAllNotes);
+  }
+  return readThrough('notes', NoteStorage.loadAllNotes);
+}
+
+/**
+ * Save a note (insert or update)
+ */
+export async function saveNote(note) {
+  const localNote = {
+    ...note,
+    id: note.id || newRecordId(),
+    createdAt: note.createdAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+
+  if (VaultStorage.isVaultEnabled()) {
+    const saved = await VaultStorage.saveNote(localNote);
+    await EventLog.trackSave('notes', saved);
+    return saved;
+  }
+
+  const { queued, result } = await SyncEngine.writeOrQueue('saveNote', [localNote], { collection: 'notes', id: localNote.id });
+  const saved = queued ? localNote : result;
+  await LocalStore.putRecord('notes', saved);
+  await EventLog.trackSave('notes', saved);
+  return saved;
+}
+
+/**
+ * Delete a note
+ */
+export async function deleteNote(noteId) {
+  if (VaultStorage.isVaultEnabled()) {
+    await VaultStorage.deleteNote(noteId);
+    await EventLog.trackDelete('notes', noteId);
+    return;
+  }
+
+  await SyncEngine.writeOrQueue('deleteNote', [noteId], { collection: 'notes', id: noteId });
+  await LocalStore.removeRecord('notes', noteId);
+  await EventLog.trackDelete('notes', noteId);
+}
+
+/**
+ * Update a note's order index and optionally folder
+ */
+export async function updateNoteOrder(id, orderIndex, folderId = undefined) {
+  if (VaultStorage.isVaultEnabled()) {
+    await VaultStorage.updateNoteOrder(id, orderIndex, folderId);
+    await EventLog.trackPatch('notes', id, { orderIndex, folderId });
+    return;
+  }
+
+  await SyncEngine.writeOrQueue('updateNoteOrder', [id, orderIndex, folderId], { collection: 'notes', id });
+  await LocalStore.patchRecord('notes', id, { orderIndex, folderId });
+  await EventLog.trackPatch('notes', id, { orderIndex, folderId });
+}
+
+// ========================================
+// Task List Operations
+// ========================================
+
+/**
+ * Load all task lists
+ */
+export async function loadAllTaskLists() {
+  return readThrough('taskLists', TaskListStorage.loadAllTaskLists);
+}
+
+/**
+ * Save a task list (insert or update)
+ */
+export async function saveTaskList(taskList) {
+  const localTaskList = {
+    ...taskList,
+    id: taskList.id || newRecordId(),
+    createdAt: taskList.createdAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+
+  const { queued, result } = await SyncEngine.writeOrQueue('saveTaskList', [localTaskList], { collection: 'taskLists', id: localTaskList.id });
+  const saved = queued ? localTaskList : result;
+  await LocalStore.putRecord('taskLists', saved);
+  await EventLog.trackSave('taskLists', saved);
+  return saved;
+}
+
+/**
+ * Delete a task list
+ */
+export async function deleteTaskList(taskListId) {
+  await SyncEngine.writeOrQueue('deleteTaskList', [taskListId], { collection: 'taskLists', id: taskListId });
+  await LocalStore.removeRecord('taskLists', taskListId);
+  await EventLog.trackDelete('taskLists', taskListId);
+}
+
+/**
+ * Update a task list's order index and optionally folder
+ */
+export async function updateTaskListOrder(id, orderIndex, folderId = undefined) {
+  await SyncEngine.writeOrQueue('updateTaskListOrder', [id, orderIndex, folderId], { collection: 'taskLists', id });
+  await LocalStore.patchRecord('taskLists', id, { orderIndex, folderId });
+  await EventLog.trackPatch('taskLists', id, { orderIndex, folderId });
+}
+
+// ========================================
+// Task Operations
+// ========================================
+
+/**
+ * Load all tasks for a task list
+ */
+export async function loadTasksForList(taskListId) {
+  return readThrough(
+    'tasks',
+    () => TaskListStorage.loadTasksForList(taskListId),
+    task => task.taskListId === taskListId
+  );
+}
+
+/**
+ * Load every task (used to build the search index)
+ */
+export async function loadAllTasks() {
+  return readThrough('tasks', TaskListStorage.loadAllTasks);
+}
+
+/**
+ * Save a task (insert or update)
+ */
+export async function saveTask(task) {
+  const localTask = {
+    ...task,
+    id: task.id || newRecordId(),
+    createdAt: task.createdAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+
+  const { queued, result } = await SyncEngine.writeOrQueue('saveTask', [localTask], { collection: 'tasks', id: localTask.id });
+  const saved = queued ? localTask : result;
+  await LocalStore.putRecord('tasks', saved);
+  await EventLog.trackSave('tasks', saved);
+  return saved;
+}
+
+/**
+ * Delete a task
+ */
+export async function deleteTask(taskId) {
+  await SyncEngine.writeOrQueue('deleteTask', [taskId], { collection: 'tasks', id: taskId });
+  await LocalStore.removeRecord('tasks', taskId);
+  await EventLog.trackDelete('tasks', taskId);
+}
+
+/**
+ * Update a task's order index and optionally parent
+ */
+export async function updateTaskOrder(taskId, orderIndex, parentTaskId = undefined) {
+  await SyncEngine.writeOrQueue('updateTaskOrder', [taskId, orderIndex, parentTaskId], { collection: 'tasks', id: taskId });
+  await LocalStore.patchRecord('tasks', taskId, { orderIndex, parentTaskId });
+  await EventLog.trackPatch('tasks', taskId, { orderIndex, parentTaskId });
+}
+
+/**
+ * Update a task's completion status
+ */
+export async function updateTaskCompletion(taskId, completed) {
+  await SyncEngine.writeOrQueue('updateTaskCompletion', [taskId, completed], { collection: 'tasks', id: taskId });
+  await LocalStore.patchRecord('tasks', taskId, { completed });
+  await EventLog.trackPatch('tasks', taskId, { completed });
+}
+
 // ========================================
 // Tree Operations
 // ========================================
@@ -352,6 +782,7 @@ export function createObjective(name = '', description = '', folderId = null, or
     description,
     folderId,
     orderIndex,
+    tags: [],
     createdAt: new Date().toISOString(),
     priorities: [],
     steps: []
@@ -383,7 +814,9 @@ export function createStep(name = '', orderNumber = 1) {
     status: StepStatus.PENDING,
     elapsed: 0,             // accumulated seconds across pause/resume
     startedAt: null,        // first time timer started
-    completedAt: null       // when marked complete
+    completedAt: null,      // when marked complete
+    scheduledAt: null,      // when it's planned for (calendar view)
+    dueDate: null           // YYYY-MM-DD it's due by
   };
 }
 
@@ -397,6 +830,7 @@ export function createNote(name = '', content = '', folderId = null, orderIndex
     content,
     folderId,
     orderIndex,
+    tags: [],
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString()
   };
@@ -411,6 +845,7 @@ export function createTaskList(name = '', folderId = null, orderIndex = 0) {
     name,
     folderId,
     orderIndex,
+    tags: [],
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString()
   };
@@ -427,6 +862,8 @@ export function createTask(name = '', taskListId, parentTaskId = null, orderInde
     name,
     completed: false,
     orderIndex,
+    tags: [],
+    dueDate: null, // YYYY-MM-DD
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString()
   };
@@ -438,6 +875,7 @@ export function createTask(name = '', taskListId, parentTaskId = null, orderInde
 
 export default {
   initializeData,
+  pauseStaleTimers,
   loadData,
   reloadData,
   saveData,
@@ -448,6 +886,37 @@ export default {
   subscribeToChanges,
   updateObjectiveOrder,
   generateId,
+  // Offline support
+  isOnline,
+  setOfflineOnly,
+  flushPendingWrites,
+  getPendingWriteCount,
+  syncNow,
+  getSyncStatus,
+  onSyncStatusChange,
+  isOwnEcho,
+  getConflicts,
+  getConflictFor,
+  resolveConflict,
+  // Vault
+  isVaultAvailable,
+  isVaultEnabled,
+  getVaultPath,
+  setVaultPath,
+  pickVaultFolder,
+  // Activity log
+  EventType,
+  getEvents,
+  getAllEvents,
+  onEvent,
+  onRecordChange,
+  project,
+  projectObjectives,
+  buildTimeline,
+  // Agent memory
+  loadAllMemories,
+  saveMemory,
+  deleteMemory,
   createObjective,
   createPriority,
   createStep,
@@ -476,6 +945,7 @@ export default {
   updateTaskListOrder,
   subscribeToTaskListChanges,
   loadTasksForList,
+  loadAllTasks,
   saveTask,
   deleteTask,
   updateTaskOrder,
@@ -0,0 +1,122 @@
+/**
+ * Saved Search Storage Module
+ *
+ * localStorage-based persistence for saved search queries.
+ * Saved searches appear in the side list as virtual folders whose
+ * contents are the query's live results.
+ */
+
+const STORAGE_KEY = 'layer-saved-searches';
+
+// ========================================
+// Factory Functions
+// ========================================
+
+/**
+ * Create a new saved search object
+ */
+export function createSavedSearch(query, name = null, orderIndex = Date.now()) {
+  return {
+    id: generateId(),
+    name: name || query,
+    query,
+    orderIndex,
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Generate a unique ID for saved searches
+ */
+function generateId() {
+  return 'ss_' + Date.now().toString(36) + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+// ========================================
+// Storage Operations
+// ========================================
+
+/**
+ * Load all saved searches from localStorage, in side list order
+ */
+export function loadAllSavedSearches() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (!stored) return [];
+    const searches = JSON.parse(stored);
+    return Array.isArray(searches)
+      ? searches.sort((a, b) => (a.orderIndex || 0) - (b.orderIndex || 0))
+      : [];
+  } catch (err) {
+    console.error('Failed to load saved searches:', err);
+    return [];
+  }
+}
+
+/**
+ * Save all saved searches to localStorage
+ */
+function saveAllSavedSearches(searches) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(searches));
+  } catch (err) {
+    console.error('Failed to save saved searches:', err);
+  }
+}
+
+/**
+ * Add a saved search
+ */
+export function addSavedSearch(search) {
+  const searches = loadAllSavedSearches();
+  searches.push(search);
+  saveAllSavedSearches(searches);
+  console.log('Added saved search:', search.id, search.query);
+  return search;
+}
+
+/**
+ * Delete a saved search by ID
+ */
+export function deleteSavedSearch(searchId) {
+  const searches = loadAllSavedSearches();
+  saveAllSavedSearches(searches.filter(s => s.id !== searchId));
+  console.log('Deleted saved search:', searchId);
+}
+
+/**
+ * Find a saved search by its query text
+ */
+export function findSavedSearchByQuery(query) {
+  const normalized = (query || '').trim();
+  return loadAllSavedSearches().find(s => s.query === normalized) || null;
+}
+
+/**
+ * Update a saved search's properties
+ */
+export function updateSavedSearch(searchId, updates) {
+  const searches = loadAllSavedSearches();
+  const search = searches.find(s => s.id === searchId);
+
+  if (search) {
+    Object.assign(search, updates);
+    saveAllSavedSearches(searches);
+    console.log('Updated saved search:', searchId);
+  }
+
+  return search;
+}
+
+// ========================================
+// Default Export
+// ========================================
+
+export default {
+  createSavedSearch,
+  loadAllSavedSearches,
+  addSavedSearch,
+  deleteSavedSearch,
+  findSavedSearchByQuery,
+  updateSavedSearch
+};
@@ -62,6 +62,7 @@ export async function loadAllObjectives() {
       nextStep: row.next_step || null,
       folderId: row.folder_id || null,
       orderIndex: row.order_index || 0,
+      tags: row.tags || [],
       createdAt: row.created_at,
       updatedAt: row.updated_at,
       _supabaseId: row.id // Track for updates
@@ -95,6 +96,7 @@ export async function saveObjective(objective) {
     next_step: objective.nextStep || null,
     folder_id: objective.folderId || null,
     order_index: objective.orderIndex || 0,
+    tags: objective.tags || [],
     updated_at: new Date().toISOString()
   };
 
@@ -117,6 +119,7 @@ export async function saveObjective(objective) {
 
     objective.id = data.id;
     objective._supabaseId = data.id;
+    objective.updatedAt = data.updated_at;
     console.log('Updated objective:', data.id);
 
   } else {
@@ -134,6 +137,7 @@ export async function saveObjective(objective) {
     // Update the objective with the Supabase-generated UUID
     objective.id = data.id;
     objective._supabaseId = data.id;
+    objective.updatedAt = data.updated_at;
     console.log('Created objective:', data.id);
   }
 
@@ -174,6 +178,7 @@ export async function deleteObjective(objective) {
  * @param {string} id - Objective ID
  * @param {number} orderIndex - New order index
  * @param {string|null} folderId - Optional folder ID to move to
+ * @returns {Promise<{updatedAt: string}>} The updated_at written
  */
 export async function updateObjectiveOrder(id, orderIndex, folderId = undefined) {
   const client = initClient();
@@ -202,6 +207,7 @@ export async function updateObjectiveOrder(id, orderIndex, folderId = undefined)
   }
 
   console.log('Updated objective order:', id, 'to index', orderIndex);
+  return { updatedAt: record.updated_at };
 }
 
 /**
@@ -211,6 +217,25 @@ export function isStorageAvailable() {
   return true; // Always available with hardcoded config
 }
 
+/**
+ * Check whether Supabase can actually be reached
+ * @returns {Promise<boolean>} True if a lightweight query succeeds
+ */
+export async function checkConnection() {
+  const client = initClient();
+  if (!client) return false;
+
+  try {
+    const { error } = await client
+      .from('objectives')
+      .select('id', { head: true, count: 'exact' })
+      .limit(1);
+    return !error;
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Get the current storage status
  */
@@ -264,6 +289,7 @@ export default {
   deleteObjective,
   updateObjectiveOrder,
   isStorageAvailable,
+  checkConnection,
   getStorageStatus,
   subscribeToChanges
 };
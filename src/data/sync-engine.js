@@ -0,0 +1,810 @@
+/**
+ * Sync Engine Module
+ *
+ * Reconciles the local store with Supabase in the background.
+ *
+ * Each record carries sync metadata in the local store:
+ * - version: a counter of this device's edits to it
+ * - syncedVersion: the last of those edits Supabase has acknowledged
+ * - baseUpdatedAt: the server updated_at this device last saw
+ *
+ * The counters are local only, so they say which edits are unsent, not
+ * what other devices did; remote edits are detected from updated_at.
+ *
+ * A record is dirty when version is ahead of syncedVersion. If Supabase's
+ * updated_at has also moved past baseUpdatedAt, both sides changed it:
+ * notes get a mergeable conflict record, everything else is
+ * last-write-wins by timestamp (so clock skew between devices can pick the
+ * older edit).
+ * Writes to a note with an open conflict are held in the outbox until the
+ * user resolves it.
+ */
+
+import {
+  checkConnection,
+  loadAllObjectives,
+  saveObjective,
+  deleteObjective,
+  updateObjectiveOrder
+} from './supabase-storage.js';
+import * as FolderStorage from './folder-storage.js';
+import * as NoteStorage from './note-storage.js';
+import * as TaskListStorage from './task-list-storage.js';
+import * as LocalStore from './local-store.js';
+import * as EventLog from './event-log.js';
+
+// ========================================
+// Constants
+// ========================================
+
+const CONNECTION_CHECK_TTL_MS = 5000;
+const BACKGROUND_SYNC_INTERVAL_MS = 30000;
+const DEVICE_ID_KEY = 'layer-device-id';
+
+export const SyncState = {
+  SYNCED: 'synced',
+  SYNCING: 'syncing',
+  PENDING: 'pending',
+  OFFLINE: 'offline',
+  CONFLICT: 'conflict',
+  ERROR: 'error'
+};
+
+/**
+ * Remote write operations that can be queued in the outbox and replayed.
+ * Keys are the op names stored with each queued write.
+ */
+const REMOTE_WRITES = {
+  saveObjective,
+  deleteObjective,
+  updateObjectiveOrder,
+  createFolder: FolderStorage.createFolder,
+  updateFolder: FolderStorage.updateFolder,
+  deleteFolder: FolderStorage.deleteFolder,
+  moveObjectiveToFolder: FolderStorage.moveObjectiveToFolder,
+  saveNote: NoteStorage.saveNote,
+  deleteNote: NoteStorage.deleteNote,
+  updateNoteOrder: NoteStorage.updateNoteOrder,
+  saveTaskList: TaskListStorage.saveTaskList,
+  deleteTaskList: TaskListStorage.deleteTaskList,
+  updateTaskListOrder: TaskListStorage.updateTaskListOrder,
+  saveTask: TaskListStorage.saveTask,
+  deleteTask: TaskListStorage.deleteTask,
+  updateTaskOrder: TaskListStorage.updateTaskOrder,
+  updateTaskCompletion: TaskListStorage.updateTaskCompletion
+};
+
+/**
+ * Remote loaders per collection (tasks are loaded per task list)
+ */
+const REMOTE_LOADERS = {
+  objectives: async () => (await loadAllObjectives()).objectives,
+  folders: FolderStorage.loadAllFolders,
+  notes: NoteStorage.loadAllNotes,
+  taskLists: TaskListStorage.loadAllTaskLists
+};
+
+// ========================================
+// State
+// ========================================
+
+let deviceId = null;
+let isInitialized = false;
+let offlineOnly = false;
+let lastConnectionCheck = { at: 0, ok: false };
+let flushPromise = null;
+let syncPromise = null;
+let backgroundTimer = null;
+
+// Sync metadata keyed by `${collection}:${id}` (mirrors the syncMeta collection)
+const metaCache = new Map();
+
+// Records with a write on the wire right now
+const inFlight = new Set();
+
+let status = {
+  state: SyncState.SYNCED,
+  pending: 0,
+  conflicts: 0,
+  lastSyncedAt: null
+};
+const statusListeners = [];
+
+// ========================================
+// Initialization
+// ========================================
+
+/**
+ * Stable ID for this device, recorded with its events
+ */
+function loadDeviceId() {
+  try {
+    let id = localStorage.getItem(DEVICE_ID_KEY);
+    if (!id) {
+      id = crypto.randomUUID();
+      localStorage.setItem(DEVICE_ID_KEY, id);
+    }
+    return id;
+  } catch {
+    return crypto.randomUUID();
+  }
+}
+
+/**
+ * Open the local store and load sync metadata
+ * Call once before any reads or writes go through the repository.
+ */
+export async function initSyncEngine() {
+  if (isInitialized) return;
+
+  await LocalStore.initLocalStore();
+  deviceId = loadDeviceId();
+
+  const metas = await LocalStore.readCollection(LocalStore.SYNC_META);
+  for (const meta of metas) {
+    metaCache.set(meta.id, upgradeMeta(meta));
+  }
+  await EventLog.initEventLog({ deviceId });
+
+  isInitialized = true;
+  await refreshStatus();
+}
+
+/**
+ * Sync periodically and whenever the browser comes back online
+ */
+export function startBackgroundSync() {
+  if (backgroundTimer || typeof window === 'undefined') return;
+
+  backgroundTimer = setInterval(syncNow, BACKGROUND_SYNC_INTERVAL_MS);
+
+  window.addEventListener('online', () => {
+    lastConnectionCheck = { at: 0, ok: false };
+    syncNow();
+  });
+
+  window.addEventListener('offline', () => {
+    markUnreachable();
+    refreshStatus();
+  });
+}
+
+/**
+ * Stop the background sync timer
+ */
+export function stopBackgroundSync() {
+  if (backgroundTimer) {
+    clearInterval(backgroundTimer);
+    backgroundTimer = null;
+  }
+}
+
+// ========================================
+// Connectivity
+// ========================================
+
+/**
+ * Force local-only mode (no Supabase reads or writes)
+ * Useful for running the app against the local store with no network.
+ * @param {boolean} value
+ */
+export function setOfflineOnly(value) {
+  offlineOnly = value;
+  lastConnectionCheck = { at: 0, ok: false };
+}
+
+/**
+ * Check whether Supabase is reachable right now
+ * Result is cached briefly so a burst of loads only checks once.
+ * @returns {Promise<boolean>}
+ */
+export async function isOnline() {
+  if (offlineOnly) return false;
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return false;
+
+  if (Date.now() - lastConnectionCheck.at < CONNECTION_CHECK_TTL_MS) {
+    return lastConnectionCheck.ok;
+  }
+
+  lastConnectionCheck = { at: Date.now(), ok: await checkConnection() };
+  return lastConnectionCheck.ok;
+}
+
+function markUnreachable() {
+  lastConnectionCheck = { at: Date.now(), ok: false };
+}
+
+/**
+ * Storage modules wrap fetch failures in their own Error messages,
+ * so sniff the message to tell "offline" from "rejected by Supabase"
+ */
+function isNetworkError(err) {
+  return /fetch|network|timed? ?out/i.test(err?.message || '');
+}
+
+// ========================================
+// Local Versions
+// ========================================
+
+function metaKey(collection, id) {
+  return `${collection}:${id}`;
+}
+
+function getMeta(collection, id) {
+  return metaCache.get(metaKey(collection, id)) || null;
+}
+
+function createMeta(collection, id) {
+  return {
+    id: metaKey(collection, id),
+    version: 0,
+    syncedVersion: 0,
+    baseUpdatedAt: null,
+    changedAt: null,
+    conflictId: null,
+    deleted: false
+  };
+}
+
+async function putMeta(meta) {
+  metaCache.set(meta.id, meta);
+  await LocalStore.putRecord(LocalStore.SYNC_META, meta);
+}
+
+/**
+ * Metadata stored before the counters replaced { deviceId: counter }
+ * vectors, which only ever held this device's entry
+ */
+function upgradeMeta(meta) {
+  if (!meta.vector) return meta;
+  const { vector, synced = {}, ...rest } = meta;
+  const total = counts => Object.values(counts).reduce((sum, count) => sum + count, 0);
+  return { ...rest, version: total(vector), syncedVersion: total(synced) };
+}
+
+function isDirty(meta) {
+  return meta.version > meta.syncedVersion;
+}
+
+/**
+ * True if Supabase's copy changed since this device last saw it
+ */
+function remoteChangedSince(remote, meta) {
+  if (!meta.baseUpdatedAt || !remote.updatedAt) return false;
+  return Date.parse(remote.updatedAt) > Date.parse(meta.baseUpdatedAt);
+}
+
+/**
+ * Record a local edit: bumps the record's version
+ * @returns {Promise<number>} The new version
+ */
+async function recordLocalChange(collection, id) {
+  const meta = getMeta(collection, id) || createMeta(collection, id);
+  meta.version++;
+  meta.changedAt = new Date().toISOString();
+  meta.deleted = false;
+  await putMeta(meta);
+  return meta.version;
+}
+
+/**
+ * Record that Supabase has a local version (and optionally its updated_at)
+ */
+async function markSynced(collection, id, version, updatedAt = null) {
+  const meta = getMeta(collection, id) || createMeta(collection, id);
+  meta.syncedVersion = Math.max(meta.syncedVersion, version);
+  if (updatedAt) meta.baseUpdatedAt = updatedAt;
+  await putMeta(meta);
+}
+
+/**
+ * Take Supabase's copy as the new base, discarding unsent local versions
+ */
+async function acceptRemote(collection, remote) {
+  const meta = getMeta(collection, remote.id) || createMeta(collection, remote.id);
+  const baseUpdatedAt = remote.updatedAt || meta.baseUpdatedAt;
+
+  // Skip the write on the common path where nothing changed
+  if (!isDirty(meta) &&
+      meta.baseUpdatedAt === baseUpdatedAt && metaCache.has(meta.id)) {
+    return;
+  }
+
+  meta.syncedVersion = meta.version;
+  meta.baseUpdatedAt = baseUpdatedAt;
+  await putMeta(meta);
+}
+
+// ========================================
+// Writes
+// ========================================
+
+/**
+ * Send one write to Supabase and record the acknowledged version
+ */
+async function pushWrite(op, args, collection, recordId, version) {
+  if (!collection || !recordId) {
+    return REMOTE_WRITES[op](...args);
+  }
+
+  const key = metaKey(collection, recordId);
+  inFlight.add(key);
+  try {
+    const result = await REMOTE_WRITES[op](...args);
+
+    if (op.startsWith('delete')) {
+      const meta = getMeta(collection, recordId) || createMeta(collection, recordId);
+      meta.syncedVersion = meta.version;
+      meta.deleted = true;
+      await putMeta(meta);
+    } else {
+      await markSynced(collection, recordId, version, result?.updatedAt);
+    }
+    return result;
+  } finally {
+    inFlight.delete(key);
+  }
+}
+
+/**
+ * Run a remote write, or queue it in the outbox when Supabase is unreachable
+ * @param {string} op - Key in REMOTE_WRITES
+ * @param {Array} args - Arguments for the remote write (JSON-serializable)
+ * @param {Object} target - { collection, id } of the record being written
+ * @returns {Promise<{queued: boolean, result: *}>}
+ */
+export async function writeOrQueue(op, args, target) {
+  const version = await recordLocalChange(target.collection, target.id);
+
+  // Hold writes to a conflicted record so the remote version the user
+  // hasn't chosen against yet isn't overwritten
+  const held = !!getMeta(target.collection, target.id)?.conflictId;
+
+  if (!held && await isOnline()) {
+    try {
+      // Older queued writes go first so they can't overwrite this one
+      await flushPendingWrites();
+      const result = await pushWrite(op, args, target.collection, target.id, version);
+      return { queued: false, result };
+    } catch (err) {
+      if (!isNetworkError(err)) throw err;
+      markUnreachable();
+    }
+  }
+
+  await LocalStore.enqueueWrite(op, args, {
+    collection: target.collection,
+    recordId: target.id,
+    version
+  });
+  await refreshStatus();
+  return { queued: true, result: null };
+}
+
+/**
+ * Replay queued writes against Supabase, oldest first
+ * Skips writes held by a conflict, drops writes already superseded,
+ * stops at the first network failure and drops writes Supabase rejects.
+ * @returns {Promise<number>} Number of writes sent
+ */
+export async function flushPendingWrites() {
+  if (flushPromise) return flushPromise;
+
+  flushPromise = (async () => {
+    const pending = await LocalStore.getPendingWrites();
+    let sent = 0;
+
+    for (const entry of pending) {
+      const meta = entry.collection ? getMeta(entry.collection, entry.recordId) : null;
+
+      // Held until the user resolves the conflict
+      if (meta?.conflictId) continue;
+
+      // A later write (or the remote copy) already covers this one
+      if (meta && entry.version <= meta.syncedVersion) {
+        await LocalStore.removePendingWrite(entry.id);
+        continue;
+      }
+
+      try {
+        await pushWrite(entry.op, entry.args, entry.collection, entry.recordId, entry.version);
+        sent++;
+      } catch (err) {
+        if (isNetworkError(err)) {
+          markUnreachable();
+          break;
+        }
+        console.error('Dropping queued write rejected by Supabase:', entry.op, err);
+      }
+      await LocalStore.removePendingWrite(entry.id);
+    }
+
+    if (sent > 0) {
+      console.log('Flushed', sent, 'queued writes');
+    }
+    return sent;
+  })().finally(() => {
+    flushPromise = null;
+  });
+
+  return flushPromise;
+}
+
+/**
+ * Number of writes waiting in the outbox
+ */
+export async function getPendingWriteCount() {
+  const pending = await LocalStore.getPendingWrites();
+  return pending.length;
+}
+
+// ========================================
+// Reads & Reconciliation
+// ========================================
+
+/**
+ * Merge Supabase's records with the local copy
+ * @param {string} collection
+ * @param {Array} remoteRecords - Records from Supabase
+ * @param {Array} localRecords - Cached records covering the same scope
+ * @returns {Promise<Array>} Records to keep locally
+ */
+async function reconcile(collection, remoteRecords, localRecords) {
+  const localById = new Map(localRecords.map(record => [record.id, record]));
+  const remoteIds = new Set();
+  const merged = [];
+
+  for (const remote of remoteRecords) {
+    remoteIds.add(remote.id);
+    const local = localById.get(remote.id);
+    const meta = getMeta(collection, remote.id);
+
+    // Nothing unsent locally - Supabase is authoritative
+    if (!local || !meta || !isDirty(meta)) {
+      merged.push(remote);
+      await acceptRemote(collection, remote);
+      continue;
+    }
+
+    // Only this device changed it - keep ours until the outbox sends it
+    if (!remoteChangedSince(remote, meta)) {
+      merged.push(local);
+      continue;
+    }
+
+    // Both sides changed it
+    if (collection === 'notes') {
+      await openConflict(collection, local, remote, meta);
+      merged.push(local);
+    } else if (Date.parse(remote.updatedAt) > Date.parse(meta.changedAt || 0)) {
+      merged.push(remote);
+      await acceptRemote(collection, remote);
+    } else {
+      // Ours is newer: rebase onto the remote copy so the outbox overwrites it
+      meta.baseUpdatedAt = remote.updatedAt;
+      await putMeta(meta);
+      merged.push(local);
+    }
+  }
+
+  // Local records missing remotely were either created offline or deleted elsewhere
+  for (const local of localRecords) {
+    if (remoteIds.has(local.id)) continue;
+    const meta = getMeta(collection, local.id);
+    if (meta && isDirty(meta) && !meta.baseUpdatedAt) {
+      merged.push(local);
+    }
+  }
+
+  return merged.sort((a, b) => (a.orderIndex || 0) - (b.orderIndex || 0));
+}
+
+/**
+ * Load a collection from Supabase and reconcile it into the local store
+ * @param {string} collection - Local store collection name
+ * @param {Function} loadRemote - Async loader returning an array of records
+ * @param {Function} inScope - Limits which cached records this load covers
+ * @returns {Promise<Array>} Reconciled records in scope
+ */
+export async function pull(collection, loadRemote, inScope = () => true) {
+  const cached = await LocalStore.readCollection(collection);
+  const cachedInScope = cached.filter(inScope);
+  const remote = await loadRemote();
+
+  // Loaders return [] on failure too, so never let that wipe a populated cache
+  if (remote.length === 0 && cachedInScope.length > 0) {
+    return cachedInScope;
+  }
+
+  const merged = await reconcile(collection, remote, cachedInScope);
+  const outOfScope = cached.filter(record => !inScope(record));
+  await LocalStore.writeCollection(collection, [...outOfScope, ...merged]);
+  return merged;
+}
+
+/**
+ * Pull the collections touched by queued writes so concurrent remote edits
+ * are detected before the outbox overwrites them
+ */
+async function pullTouchedCollections(pending) {
+  const touched = new Set(pending.map(entry => entry.collection).filter(Boolean));
+
+  for (const collection of touched) {
+    if (collection === 'tasks') {
+      const tasks = await LocalStore.readCollection('tasks');
+      const taskIds = new Set(pending.filter(e => e.collection === 'tasks').map(e => e.recordId));
+      const listIds = new Set(tasks.filter(t => taskIds.has(t.id)).map(t => t.taskListId));
+      for (const listId of listIds) {
+        await pull('tasks', () => TaskListStorage.loadTasksForList(listId), t => t.taskListId === listId);
+      }
+    } else if (REMOTE_LOADERS[collection]) {
+      await pull(collection, REMOTE_LOADERS[collection]);
+    }
+  }
+}
+
+/**
+ * Run one sync pass: upload logged events, pull what the outbox touches,
+ * then send the outbox
+ */
+export async function syncNow() {
+  if (syncPromise) return syncPromise;
+
+  syncPromise = (async () => {
+    if (!(await isOnline())) {
+      await refreshStatus();
+      return;
+    }
+
+    await EventLog.flushEvents();
+
+    const pending = await LocalStore.getPendingWrites();
+    if (pending.length === 0) {
+      status.lastSyncedAt = new Date().toISOString();
+      await refreshStatus();
+      return;
+    }
+
+    setStatus({ state: SyncState.SYNCING });
+    try {
+      await pullTouchedCollections(pending);
+      await flushPendingWrites();
+      status.lastSyncedAt = new Date().toISOString();
+      await refreshStatus();
+    } catch (err) {
+      console.error('Sync failed:', err);
+      await refreshStatus(SyncState.ERROR);
+    }
+  })().finally(() => {
+    syncPromise = null;
+  });
+
+  return syncPromise;
+}
+
+/**
+ * Check whether a realtime payload is just the echo of this device's own write
+ * @param {string} collection - Local store collection name
+ * @param {Object} payload - Supabase realtime payload
+ * @returns {boolean}
+ */
+export function isOwnEcho(collection, payload) {
+  const id = payload.new?.id || payload.old?.id;
+  if (!id) return false;
+
+  const meta = getMeta(collection, id);
+  if (!meta) return false;
+  if (inFlight.has(meta.id)) return true;
+
+  if (payload.eventType === 'DELETE') {
+    return meta.deleted;
+  }
+
+  const updatedAt = payload.new?.updated_at;
+  return !!updatedAt && !!meta.baseUpdatedAt &&
+    Date.parse(updatedAt) === Date.parse(meta.baseUpdatedAt);
+}
+
+// ========================================
+// Conflicts
+// ========================================
+
+/**
+ * Merge two versions of a text line by line
+ * Shared leading/trailing lines are kept once; the differing middle is
+ * wrapped in conflict markers for the user to tidy up.
+ */
+export function mergeText(local = '', remote = '') {
+  if (local === remote) return local;
+  if (local.includes(remote)) return local;
+  if (remote.includes(local)) return remote;
+
+  const a = local.split('\n');
+  const b = remote.split('\n');
+
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) suffix++;
+
+  return [
+    ...a.slice(0, prefix),
+    '<<<<<<< This device',
+    ...a.slice(prefix, a.length - suffix),
+    '=======',
+    ...b.slice(prefix, b.length - suffix),
+    '>>>>>>> Other device',
+    ...a.slice(a.length - suffix)
+  ].join('\n');
+}
+
+/**
+ * A record with both sides' content, keeping this device's name
+ */
+function mergeRecords(local, remote) {
+  return {
+    ...remote,
+    name: local.name,
+    content: mergeText(local.content, remote.content)
+  };
+}
+
+/**
+ * Create (or refresh) the conflict record for a record changed on both sides
+ */
+async function openConflict(collection, local, remote, meta) {
+  const conflict = {
+    id: meta.conflictId || crypto.randomUUID(),
+    collection,
+    recordId: local.id,
+    local,
+    remote,
+    merged: mergeRecords(local, remote),
+    baseUpdatedAt: meta.baseUpdatedAt,
+    createdAt: new Date().toISOString()
+  };
+
+  await LocalStore.putRecord(LocalStore.CONFLICTS, conflict);
+  meta.conflictId = conflict.id;
+  await putMeta(meta);
+
+  console.warn('Sync conflict:', collection, local.id);
+}
+
+/**
+ * Get all unresolved conflicts
+ * @returns {Promise<Array>}
+ */
+export async function getConflicts() {
+  return LocalStore.readCollection(LocalStore.CONFLICTS);
+}
+
+/**
+ * Get the open conflict for a record, if any
+ * @returns {Promise<Object|null>}
+ */
+export async function getConflictFor(collection, id) {
+  const meta = getMeta(collection, id);
+  if (!meta?.conflictId) return null;
+  const conflicts = await getConflicts();
+  return conflicts.find(c => c.id === meta.conflictId) || null;
+}
+
+/**
+ * Close a conflict, choosing which version wins
+ * The remote copy becomes the base and queued writes for the record are
+ * dropped; the caller saves the returned record unless it chose 'remote'.
+ * @param {string} conflictId
+ * @param {'local'|'remote'|'merged'} choice
+ * @returns {Promise<{record: Object, needsSave: boolean}>}
+ */
+export async function resolveConflict(conflictId, choice) {
+  const conflicts = await getConflicts();
+  const conflict = conflicts.find(c => c.id === conflictId);
+  if (!conflict) {
+    throw new Error(`Conflict not found: ${conflictId}`);
+  }
+
+  // Edits made while the conflict was open were held in the outbox; they're
+  // in the local copy, so 'local' and 'merged' start from that
+  const records = await LocalStore.readCollection(conflict.collection);
+  const local = records.find(r => r.id === conflict.recordId) || conflict.local;
+
+  const meta = getMeta(conflict.collection, conflict.recordId);
+  meta.conflictId = null;
+  await putMeta(meta);
+  await acceptRemote(conflict.collection, conflict.remote);
+  await LocalStore.removeRecord(LocalStore.CONFLICTS, conflictId);
+
+  const record = choice === 'remote' ? conflict.remote
+    : choice === 'merged' ? mergeRecords(local, conflict.remote)
+    : local;
+
+  if (choice === 'remote') {
+    await LocalStore.putRecord(conflict.collection, record);
+  }
+
+  await refreshStatus();
+  return { record, needsSave: choice !== 'remote' };
+}
+
+// ========================================
+// Status
+// ========================================
+
+/**
+ * Subscribe to sync status changes
+ * @param {Function} listener - Called with the status object
+ */
+export function onSyncStatusChange(listener) {
+  statusListeners.push(listener);
+}
+
+/**
+ * Get the current sync status
+ * @returns {{state: string, pending: number, conflicts: number, lastSyncedAt: string|null}}
+ */
+export function getSyncStatus() {
+  return { ...status };
+}
+
+function setStatus(changes) {
+  status = { ...status, ...changes };
+  for (const listener of statusListeners) {
+    try {
+      listener(getSyncStatus());
+    } catch (err) {
+      console.error('Sync status listener failed:', err);
+    }
+  }
+}
+
+/**
+ * Recompute status from the outbox, conflicts and connectivity
+ * @param {string} [forceState] - Use this state instead of deriving one
+ */
+async function refreshStatus(forceState = null) {
+  const pending = await getPendingWriteCount();
+  const conflicts = (await getConflicts()).length;
+  const online = !offlineOnly && lastConnectionCheck.ok;
+
+  let state = forceState;
+  if (!state) {
+    if (conflicts > 0) state = SyncState.CONFLICT;
+    else if (!online) state = SyncState.OFFLINE;
+    else if (pending > 0) state = SyncState.PENDING;
+    else state = SyncState.SYNCED;
+  }
+
+  setStatus({ state, pending, conflicts });
+}
+
+// ========================================
+// Default Export
+// ========================================
+
+export default {
+  SyncState,
+  initSyncEngine,
+  startBackgroundSync,
+  stopBackgroundSync,
+  setOfflineOnly,
+  isOnline,
+  writeOrQueue,
+  flushPendingWrites,
+  getPendingWriteCount,
+  pull,
+  syncNow,
+  isOwnEcho,
+  mergeText,
+  getConflicts,
+  getConflictFor,
+  resolveConflict,
+  onSyncStatusChange,
+  getSyncStatus
+};
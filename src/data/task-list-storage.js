@@ -10,20 +10,6 @@ import { SUPABASE_URL, SUPABASE_ANON_KEY } from '../config.js';
 
 let supabase = null;
 
-// Track recently saved IDs to ignore our own realtime updates
-const recentlySavedTaskListIds = new Set();
-const recentlySavedTaskIds = new Set();
-const RECENT_SAVE_EXPIRY_MS = 2000; // Ignore realtime updates for 2 seconds after local save
-
-/**
- * Check if a task list was recently saved locally (to ignore our own realtime updates)
- * @param {string} taskListId - Task list ID to check
- * @returns {boolean} True if this task list was saved locally recently
- */
-export function wasRecentlySavedLocally(taskListId) {
-  return recentlySavedTaskListIds.has(taskListId);
-}
-
 /**
  * Initialize the Supabase client
  */
@@ -72,6 +58,7 @@ export async function loadAllTaskLists() {
       name: row.name || '',
       folderId: row.folder_id || null,
       orderIndex: row.order_index || 0,
+      tags: row.tags || [],
       createdAt: row.created_at,
       updatedAt: row.updated_at
     }));
@@ -101,6 +88,7 @@ export async function saveTaskList(taskList) {
     name: taskList.name || '',
     folder_id: taskList.folderId || null,
     order_index: taskList.orderIndex || 0,
+    tags: taskList.tags || [],
     updated_at: new Date().toISOString()
   };
 
@@ -121,15 +109,12 @@ export async function saveTaskList(taskList) {
 
     console.log('Updated task list:', data.id);
 
-    // Track this save to ignore our own realtime updates
-    recentlySavedTaskListIds.add(data.id);
-    setTimeout(() => recentlySavedTaskListIds.delete(data.id), RECENT_SAVE_EXPIRY_MS);
-
     return {
       id: data.id,
       name: data.name,
       folderId: data.folder_id,
       orderIndex: data.order_index,
+      tags: data.tags || [],
       createdAt: data.created_at,
       updatedAt: data.updated_at
     };
@@ -148,15 +133,12 @@ export async function saveTaskList(taskList) {
 
     console.log('Created task list:', data.id);
 
-    // Track this save to ignore our own realtime updates
-    recentlySavedTaskListIds.add(data.id);
-    setTimeout(() => recentlySavedTaskListIds.delete(data.id), RECENT_SAVE_EXPIRY_MS);
-
     return {
       id: data.id,
       name: data.name,
       folderId: data.folder_id,
       orderIndex: data.order_index,
+      tags: data.tags || [],
       createdAt: data.created_at,
       updatedAt: data.updated_at
     };
@@ -191,6 +173,7 @@ export async function deleteTaskList(taskListId) {
  * @param {string} id - Task list ID
  * @param {number} orderIndex - New order index
  * @param {string|null} folderId - Optional folder ID to move to
+ * @returns {Promise<{updatedAt: string}>} The updated_at written
  */
 export async function updateTaskListOrder(id, orderIndex, folderId = undefined) {
   const client = initClient();
@@ -219,6 +202,7 @@ export async function updateTaskListOrder(id, orderIndex, folderId = undefined)
   }
 
   console.log('Updated task list order:', id, 'to index', orderIndex);
+  return { updatedAt: record.updated_at };
 }
 
 /**
@@ -286,6 +270,8 @@ export async function loadTasksForList(taskListId) {
       name: row.name || '',
       completed: row.completed || false,
       orderIndex: row.order_index || 0,
+      tags: row.tags || [],
+      dueDate: row.due_date || null,
       createdAt: row.created_at,
       updatedAt: row.updated_at
     }));
@@ -299,6 +285,52 @@ export async function loadTasksForList(taskListId) {
   }
 }
 
+/**
+ * Load every task across all task lists
+ * @returns {Promise<Array>} Array of task objects
+ */
+export async function loadAllTasks() {
+  const client = initClient();
+
+  if (!client) {
+    console.log('Supabase not available for tasks');
+    return [];
+  }
+
+  try {
+    const { data, error } = await client
+      .from('tasks')
+      .select('*')
+      .order('order_index', { ascending: true });
+
+    if (error) {
+      console.error('Failed to load tasks:', error);
+      return [];
+    }
+
+    // Transform database rows to app format
+    const tasks = data.map(row => ({
+      id: row.id,
+      taskListId: row.task_list_id,
+      parentTaskId: row.parent_task_id || null,
+      name: row.name || '',
+      completed: row.completed || false,
+      orderIndex: row.order_index || 0,
+      tags: row.tags || [],
+      dueDate: row.due_date || null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    }));
+
+    console.log(`Loaded ${tasks.length} tasks`);
+    return tasks;
+
+  } catch (err) {
+    console.error('Error loading tasks:', err);
+    return [];
+  }
+}
+
 /**
  * Save a task (insert or update)
  * @param {Object} task - Task data
@@ -317,6 +349,8 @@ export async function saveTask(task) {
     name: task.name || '',
     completed: task.completed || false,
     order_index: task.orderIndex || 0,
+    tags: task.tags || [],
+    due_date: task.dueDate || null,
     updated_at: new Date().toISOString()
   };
 
@@ -337,10 +371,6 @@ export async function saveTask(task) {
 
     console.log('Updated task:', data.id);
 
-    // Track this save to ignore our own realtime updates
-    recentlySavedTaskIds.add(data.id);
-    setTimeout(() => recentlySavedTaskIds.delete(data.id), RECENT_SAVE_EXPIRY_MS);
-
     return {
       id: data.id,
       taskListId: data.task_list_id,
@@ -348,6 +378,8 @@ export async function saveTask(task) {
       name: data.name,
       completed: data.completed,
       orderIndex: data.order_index,
+      tags: data.tags || [],
+      dueDate: data.due_date || null,
       createdAt: data.created_at,
       updatedAt: data.updated_at
     };
@@ -366,10 +398,6 @@ export async function saveTask(task) {
 
     console.log('Created task:', data.id);
 
-    // Track this save to ignore our own realtime updates
-    recentlySavedTaskIds.add(data.id);
-    setTimeout(() => recentlySavedTaskIds.delete(data.id), RECENT_SAVE_EXPIRY_MS);
-
     return {
       id: data.id,
       taskListId: data.task_list_id,
@@ -377,6 +405,8 @@ export async function saveTask(task) {
       name: data.name,
       completed: data.completed,
       orderIndex: data.order_index,
+      tags: data.tags || [],
+      dueDate: data.due_date || null,
       createdAt: data.created_at,
       updatedAt: data.updated_at
     };
@@ -411,6 +441,7 @@ export async function deleteTask(taskId) {
  * @param {string} taskId - Task ID
  * @param {number} orderIndex - New order index
  * @param {string|null} parentTaskId - Optional parent task ID
+ * @returns {Promise<{updatedAt: string}>} The updated_at written
  */
 export async function updateTaskOrder(taskId, orderIndex, parentTaskId = undefined) {
   const client = initClient();
@@ -439,12 +470,14 @@ export async function updateTaskOrder(taskId, orderIndex, parentTaskId = undefin
   }
 
   console.log('Updated task order:', taskId, 'to index', orderIndex);
+  return { updatedAt: record.updated_at };
 }
 
 /**
  * Update a task's completion status
  * @param {string} taskId - Task ID
  * @param {boolean} completed - Completion state
+ * @returns {Promise<{updatedAt: string}>} The updated_at written
  */
 export async function updateTaskCompletion(taskId, completed) {
   const client = initClient();
@@ -453,12 +486,14 @@ export async function updateTaskCompletion(taskId, completed) {
     throw new Error('Supabase not configured');
   }
 
+  const record = {
+    completed,
+    updated_at: new Date().toISOString()
+  };
+
   const { error } = await client
     .from('tasks')
-    .update({
-      completed,
-      updated_at: new Date().toISOString()
-    })
+    .update(record)
     .eq('id', taskId);
 
   if (error) {
@@ -466,6 +501,7 @@ export async function updateTaskCompletion(taskId, completed) {
   }
 
   console.log('Updated task completion:', taskId, completed);
+  return { updatedAt: record.updated_at };
 }
 
 /**
@@ -507,10 +543,10 @@ export default {
   deleteTaskList,
   updateTaskListOrder,
   subscribeToTaskListChanges,
-  wasRecentlySavedLocally,
 
   // Task operations
   loadTasksForList,
+  loadAllTasks,
   saveTask,
   deleteTask,
   updateTaskOrder,
@@ -0,0 +1,767 @@
+/**
+ * Vault Storage Module
+ *
+ * Obsidian-style storage for folders and notes: a directory on disk is
+ * the tree. Folders are directories, notes are .md files.
+ *
+ * IDs and order live in the files themselves so they survive edits in
+ * other apps:
+ * - notes carry YAML frontmatter (id, order, created, updated, tags)
+ * - folders carry a hidden .layer-folder.json ({ id, order, created, tags })
+ *
+ * Edits made outside the app arrive through the folder-explorer watch API
+ * (polling when it isn't available).
+ *
+ * Electron only (uses window.electronAPI.folderExplorer).
+ */
+
+// ========================================
+// Constants
+// ========================================
+
+const VAULT_PATH_KEY = 'layer-vault-path';
+const FOLDER_META_FILE = '.layer-folder.json';
+const NOTE_EXTENSION = '.md';
+const POLL_INTERVAL_MS = 3000;
+
+// ========================================
+// State
+// ========================================
+
+let vaultPath = null;
+
+// Records from the last scan, with their paths on disk
+const folderIndex = new Map(); // id -> { folder, path }
+const noteIndex = new Map();   // id -> { note, path, frontmatter }
+
+// What the watcher last saw: file path -> mtime, plus known directories
+let knownFiles = new Map();
+let knownDirs = new Set();
+
+let pollTimer = null;
+let polling = false;
+let watchId = null;
+let watchPromise = null;
+let removeWatchListener = null;
+let currentScan = null;
+const changeListeners = [];
+
+// ========================================
+// Vault Selection
+// ========================================
+
+/**
+ * Filesystem bridge (Electron only)
+ */
+function fsApi() {
+  return typeof window !== 'undefined' ? window.electronAPI?.folderExplorer || null : null;
+}
+
+/**
+ * Whether this platform can use a vault
+ */
+export function isVaultAvailable() {
+  return !!fsApi();
+}
+
+/**
+ * Get the chosen vault directory, or null
+ */
+export function getVaultPath() {
+  if (vaultPath === null) {
+    try {
+      vaultPath = localStorage.getItem(VAULT_PATH_KEY) || '';
+    } catch {
+      vaultPath = '';
+    }
+  }
+  return vaultPath || null;
+}
+
+/**
+ * Whether folders and notes come from the vault
+ */
+export function isVaultEnabled() {
+  return isVaultAvailable() && !!getVaultPath();
+}
+
+/**
+ * Choose (or clear, with null) the vault directory
+ * Callers should reload folders and notes afterwards.
+ */
+export function setVaultPath(dirPath) {
+  stopWatching();
+  folderIndex.clear();
+  noteIndex.clear();
+  knownFiles = new Map();
+  knownDirs = new Set();
+
+  vaultPath = dirPath || '';
+  try {
+    if (dirPath) {
+      localStorage.setItem(VAULT_PATH_KEY, dirPath);
+    } else {
+      localStorage.removeItem(VAULT_PATH_KEY);
+    }
+  } catch (err) {
+    console.warn('Failed to persist vault path:', err);
+  }
+}
+
+/**
+ * Ask the user for a vault directory
+ * @returns {Promise<string|null>} Chosen path, or null if cancelled
+ */
+export async function pickVaultFolder() {
+  const api = fsApi();
+  if (!api) return null;
+  return api.pickFolder();
+}
+
+// ========================================
+// Path Helpers
+// ========================================
+
+/**
+ * Path separator used by the vault path (Windows paths use backslashes)
+ */
+function separator() {
+  const root = getVaultPath() || '';
+  return root.includes('\\') && !root.includes('/') ? '\\' : '/';
+}
+
+function joinPath(dir, name) {
+  const sep = separator();
+  return dir.endsWith(sep) ? dir + name : dir + sep + name;
+}
+
+function parentDir(filePath) {
+  const index = filePath.lastIndexOf(separator());
+  return index > 0 ? filePath.slice(0, index) : filePath;
+}
+
+/**
+ * Turn a display name into a safe file or directory name
+ */
+function toFileName(name) {
+  const cleaned = (name || '')
+    .replace(/[\\/:*?"<>|]/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^\.+/, '');
+  return cleaned || 'Untitled';
+}
+
+/**
+ * Directory a folder ID maps to (null/unknown is the vault root)
+ */
+function folderDir(folderId) {
+  return folderIndex.get(folderId)?.path || getVaultPath();
+}
+
+/**
+ * First path in dir that isn't taken: "Name.md", "Name 2.md", ...
+ * @param {string} ignorePath - A path that counts as free (the item's own)
+ */
+async function uniquePath(dir, baseName, extension = '', ignorePath = null) {
+  const api = fsApi();
+  for (let n = 1; ; n++) {
+    const candidate = joinPath(dir, `${baseName}${n > 1 ? ` ${n}` : ''}${extension}`);
+    if (candidate === ignorePath || !(await api.exists(candidate))) {
+      return candidate;
+    }
+  }
+}
+
+/**
+ * Throw if an IPC result reports failure
+ */
+function check(result, action) {
+  if (!result?.success) {
+    throw new Error(`Failed to ${action}: ${result?.error || 'unknown error'}`);
+  }
+  return result;
+}
+
+// ========================================
+// Frontmatter
+// ========================================
+
+/**
+ * Split a markdown file into frontmatter fields and body
+ * Only flat `key: value` pairs and the `tags` list (`[a, b]` or `- a` lines)
+ * are understood; other lines are kept verbatim.
+ * @returns {{ fields: Object, extra: Array<string>, body: string }}
+ */
+export function parseFrontmatter(text) {
+  const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(text || '');
+  if (!match) return { fields: {}, extra: [], body: text || '' };
+
+  const fields = {};
+  const extra = [];
+  let inTagList = false;
+  for (const line of match[1].split(/\r?\n/)) {
+    const listItem = inTagList && /^\s*-\s*(.+)$/.exec(line);
+    if (listItem) {
+      fields.tags.push(unquote(listItem[1]));
+      continue;
+    }
+    inTagList = false;
+
+    const tags = /^tags:\s*(.*)$/.exec(line);
+    if (tags) {
+      const value = tags[1].trim().replace(/^\[|\]$/g, '');
+      fields.tags = value ? value.split(',').map(unquote).filter(Boolean) : [];
+      inTagList = !value;
+      continue;
+    }
+
+    const pair = /^(id|order|created|updated):\s*(.*)$/.exec(line);
+    if (pair) {
+      fields[pair[1]] = unquote(pair[2]);
+    } else {
+      extra.push(line);
+    }
+  }
+  return { fields, extra, body: text.slice(match[0].length) };
+}
+
+/**
+ * Strip whitespace and surrounding quotes from a frontmatter value
+ */
+function unquote(value) {
+  return value.trim().replace(/^["']|["']$/g, '');
+}
+
+/**
+ * Serialize a note to file contents
+ * @param {Object} note
+ * @param {Array<string>} extra - Unrecognized frontmatter lines to preserve
+ */
+export function serializeNote(note, extra = []) {
+  const lines = [
+    `id: ${note.id}`,
+    `order: ${note.orderIndex || 0}`,
+    `created: ${note.createdAt}`,
+    `updated: ${note.updatedAt}`,
+    ...(note.tags?.length ? [`tags: [${note.tags.join(', ')}]`] : []),
+    ...extra
+  ];
+  return `---\n${lines.join('\n')}\n---\n${note.content || ''}`;
+}
+
+// ========================================
+// Scanning
+// ========================================
+
+/**
+ * Read a folder's metadata file, creating it if missing
+ */
+async function readFolderMeta(dirPath) {
+  const api = fsApi();
+  const metaPath = joinPath(dirPath, FOLDER_META_FILE);
+  const result = await api.readFile(metaPath);
+
+  if (result.success) {
+    try {
+      const meta = JSON.parse(result.content);
+      if (meta.id) return meta;
+    } catch {
+      // Unreadable metadata - replaced below
+    }
+  }
+
+  const meta = { id: crypto.randomUUID(), order: 0, created: new Date().toISOString() };
+  await api.writeFile(metaPath, JSON.stringify(meta, null, 2));
+  return meta;
+}
+
+/**
+ * Read a note file, adding frontmatter if the file doesn't have an ID yet
+ */
+async function readNoteFile(item, folderId) {
+  const api = fsApi();
+  const result = check(await api.readFile(item.path), `read ${item.name}`);
+  const info = await api.getInfo(item.path);
+  const modified = info.success ? new Date(info.info.modified).toISOString() : new Date().toISOString();
+  const { fields, extra, body } = parseFrontmatter(result.content);
+
+  const note = {
+    id: fields.id || crypto.randomUUID(),
+    name: item.name.slice(0, -NOTE_EXTENSION.length),
+    content: body,
+    folderId,
+    orderIndex: Number(fields.order) || 0,
+    tags: fields.tags || [],
+    createdAt: fields.created || modified,
+    updatedAt: fields.updated || modified
+  };
+
+  if (!fields.id) {
+    await api.writeFile(item.path, serializeNote(note, extra));
+  }
+  return { note, path: item.path, frontmatter: extra };
+}
+
+/**
+ * Walk the vault and rebuild the folder and note indexes
+ * @returns {Promise<{ folders: Array, notes: Array }>}
+ */
+export async function scanVault() {
+  currentScan = runScan();
+  try {
+    return await currentScan;
+  } finally {
+    currentScan = null;
+  }
+}
+
+/**
+ * Scan implementation (see scanVault)
+ */
+async function runScan() {
+  const api = fsApi();
+  const root = getVaultPath();
+  if (!api || !root) return { folders: [], notes: [] };
+
+  folderIndex.clear();
+  noteIndex.clear();
+  const files = new Map();
+  const dirs = new Set([root]);
+
+  async function walk(dirPath, parentId) {
+    const listing = await api.readDir(dirPath);
+    if (!listing.success) {
+      console.error('Failed to read vault directory:', dirPath, listing.error);
+      return;
+    }
+
+    for (const item of listing.items) {
+      if (item.isDirectory) {
+        const meta = await readFolderMeta(item.path);
+        folderIndex.set(meta.id, {
+          path: item.path,
+          folder: {
+            id: meta.id,
+            name: item.name,
+            parentId,
+            orderIndex: meta.order || 0,
+            tags: meta.tags || [],
+            createdAt: meta.created || null,
+            updatedAt: meta.created || null
+          }
+        });
+        dirs.add(item.path);
+        await walk(item.path, meta.id);
+      } else if (item.isFile && item.name.toLowerCase().endsWith(NOTE_EXTENSION)) {
+        try {
+          const entry = await readNoteFile(item, parentId);
+          noteIndex.set(entry.note.id, entry);
+          files.set(item.path, await fileStamp(item.path));
+        } catch (err) {
+          console.error('Failed to read vault note:', item.path, err);
+        }
+      }
+    }
+  }
+
+  await walk(root, null);
+  knownFiles = files;
+  knownDirs = dirs;
+
+  const byOrder = (a, b) => (a.orderIndex || 0) - (b.orderIndex || 0);
+  return {
+    folders: [...folderIndex.values()].map(e => ({ ...e.folder })).sort(byOrder),
+    notes: [...noteIndex.values()].map(e => ({ ...e.note })).sort(byOrder)
+  };
+}
+
+// ========================================
+// Folder Operations
+// ========================================
+
+/**
+ * Load all folders from the vault
+ */
+export async function loadAllFolders() {
+  const { folders } = await scanVault();
+  console.log(`Loaded ${folders.length} folders from vault`);
+  return folders;
+}
+
+/**
+ * Write a folder's metadata file
+ */
+async function writeFolderMeta(dirPath, folder) {
+  const meta = { id: folder.id, order: folder.orderIndex || 0, created: folder.createdAt };
+  if (folder.tags?.length) meta.tags = folder.tags;
+  check(await fsApi().writeFile(joinPath(dirPath, FOLDER_META_FILE), JSON.stringify(meta, null, 2)), 'write folder metadata');
+}
+
+/**
+ * Create a folder (a new directory)
+ * @param {Object} folder - { id?, name, parentId?, orderIndex?, tags? }
+ */
+export async function createFolder(folder) {
+  const now = new Date().toISOString();
+  const created = {
+    id: folder.id || crypto.randomUUID(),
+    name: folder.name || '',
+    parentId: folder.parentId || null,
+    orderIndex: folder.orderIndex || 0,
+    tags: folder.tags || [],
+    createdAt: now,
+    updatedAt: now
+  };
+
+  const dirPath = await uniquePath(folderDir(created.parentId), toFileName(created.name));
+  check(await fsApi().mkdir(dirPath), 'create folder');
+  await writeFolderMeta(dirPath, created);
+
+  folderIndex.set(created.id, { folder: created, path: dirPath });
+  knownDirs.add(dirPath);
+  return { ...created };
+}
+
+/**
+ * Update a folder's name, parent, order or tags (renames/moves the directory)
+ * @param {Object} folder - { id, name?, parentId?, orderIndex?, tags? }
+ */
+export async function updateFolder(folder) {
+  const entry = folderIndex.get(folder.id);
+  if (!entry) throw new Error('Failed to update folder: not in vault');
+
+  const updated = { ...entry.folder, updatedAt: new Date().toISOString() };
+  if (folder.name !== undefined) updated.name = folder.name;
+  if (folder.parentId !== undefined) updated.parentId = folder.parentId || null;
+  if (folder.orderIndex !== undefined) updated.orderIndex = folder.orderIndex;
+  if (folder.tags !== undefined) updated.tags = folder.tags;
+
+  let dirPath = entry.path;
+  if (updated.name !== entry.folder.name || updated.parentId !== entry.folder.parentId) {
+    dirPath = await uniquePath(folderDir(updated.parentId), toFileName(updated.name), '', entry.path);
+    if (dirPath !== entry.path) {
+      check(await fsApi().renameFile(entry.path, dirPath), 'move folder');
+    }
+  }
+
+  await writeFolderMeta(dirPath, updated);
+  folderIndex.set(updated.id, { folder: updated, path: dirPath });
+
+  // Everything below a moved directory has a new path
+  if (dirPath !== entry.path) await scanVault();
+  return { ...updated };
+}
+
+/**
+ * Delete a folder
+ * Its notes and subfolders move up to the parent directory rather than
+ * being deleted with it.
+ */
+export async function deleteFolder(folderId) {
+  const api = fsApi();
+  const entry = folderIndex.get(folderId);
+  if (!entry) return;
+
+  const parentPath = parentDir(entry.path);
+  const listing = check(await api.readDir(entry.path), 'read folder');
+  for (const item of listing.items) {
+    const target = item.isDirectory
+      ? await uniquePath(parentPath, item.name)
+      : await uniquePath(parentPath, item.name.replace(/\.[^.]*$/, ''), item.name.match(/\.[^.]*$/)?.[0] || '');
+    check(await api.renameFile(item.path, target), `move ${item.name} out of folder`);
+  }
+
+  await api.deleteFile(joinPath(entry.path, FOLDER_META_FILE));
+  check(await api.removeDir(entry.path), 'delete folder');
+  await scanVault();
+}
+
+// ========================================
+// Note Operations
+// ========================================
+
+/**
+ * Load all notes from the vault
+ */
+export async function loadAllNotes() {
+  if (folderIndex.size === 0 && noteIndex.size === 0) {
+    await scanVault();
+  }
+  const notes = [...noteIndex.values()]
+    .map(e => ({ ...e.note }))
+    .sort((a, b) => (a.orderIndex || 0) - (b.orderIndex || 0));
+  console.log(`Loaded ${notes.length} notes from vault`);
+  return notes;
+}
+
+/**
+ * Save a note (creates, renames or moves its file as needed)
+ * @param {Object} note - { id, name, content, folderId, orderIndex, tags, createdAt }
+ * @returns {Promise<Object>} Saved note
+ */
+export async function saveNote(note) {
+  const api = fsApi();
+  const existing = noteIndex.get(note.id);
+  const now = new Date().toISOString();
+
+  const saved = {
+    id: note.id || crypto.randomUUID(),
+    name: note.name || '',
+    content: note.content || '',
+    folderId: note.folderId || null,
+    orderIndex: note.orderIndex || 0,
+    tags: note.tags || [],
+    createdAt: note.createdAt || existing?.note.createdAt || now,
+    updatedAt: now
+  };
+
+  const dir = folderDir(saved.folderId);
+  let filePath = existing?.path;
+  if (!existing) {
+    filePath = await uniquePath(dir, toFileName(saved.name), NOTE_EXTENSION);
+  } else if (saved.name !== existing.note.name || saved.folderId !== existing.note.folderId) {
+    filePath = await uniquePath(dir, toFileName(saved.name), NOTE_EXTENSION, existing.path);
+    if (filePath !== existing.path) {
+      check(await api.renameFile(existing.path, filePath), 'move note');
+      knownFiles.delete(existing.path);
+    }
+  }
+
+  const frontmatter = existing?.frontmatter || [];
+  check(await api.writeFile(filePath, serializeNote(saved, frontmatter)), 'save note');
+
+  noteIndex.set(saved.id, { note: saved, path: filePath, frontmatter });
+  knownFiles.set(filePath, await fileStamp(filePath));
+  return { ...saved };
+}
+
+/**
+ * Delete a note's file
+ */
+export async function deleteNote(noteId) {
+  const entry = noteIndex.get(noteId);
+  if (!entry) return;
+
+  check(await fsApi().deleteFile(entry.path), 'delete note');
+  noteIndex.delete(noteId);
+  knownFiles.delete(entry.path);
+}
+
+/**
+ * Update a note's order index and optionally folder
+ */
+export async function updateNoteOrder(id, orderIndex, folderId = undefined) {
+  const entry = noteIndex.get(id);
+  if (!entry) return;
+
+  await saveNote({
+    ...entry.note,
+    orderIndex,
+    folderId: folderId !== undefined ? folderId : entry.note.folderId
+  });
+}
+
+// ========================================
+// Watching
+// ========================================
+
+/**
+ * Modification stamp for a file (0 if it can't be read)
+ */
+async function fileStamp(filePath) {
+  const info = await fsApi().getInfo(filePath);
+  return info.success ? new Date(info.info.modified).getTime() : 0;
+}
+
+/**
+ * Look for files and directories added, removed or modified outside the app
+ * @returns {Promise<boolean>} Whether anything changed
+ */
+async function detectExternalChanges() {
+  const api = fsApi();
+  const files = new Map();
+  const dirs = new Set([getVaultPath()]);
+
+  async function walk(dirPath) {
+    const listing = await api.readDir(dirPath);
+    if (!listing.success) return;
+    for (const item of listing.items) {
+      if (item.isDirectory) {
+        dirs.add(item.path);
+        await walk(item.path);
+      } else if (item.isFile && item.name.toLowerCase().endsWith(NOTE_EXTENSION)) {
+        files.set(item.path, await fileStamp(item.path));
+      }
+    }
+  }
+  await walk(getVaultPath());
+
+  if (dirs.size !== knownDirs.size || [...dirs].some(d => !knownDirs.has(d))) return true;
+  if (files.size !== knownFiles.size) return true;
+  for (const [filePath, stamp] of files) {
+    if (knownFiles.get(filePath) !== stamp) return true;
+  }
+  return false;
+}
+
+/**
+ * Check the vault once and notify listeners if it changed on disk
+ * (fallback when the watch API isn't available)
+ */
+async function poll() {
+  if (polling || !isVaultEnabled()) return;
+  polling = true;
+  try {
+    if (await detectExternalChanges()) {
+      console.log('Vault changed on disk, rescanning...');
+      await scanVault();
+      notifyChange({ eventType: 'UPDATE', source: 'vault', changes: [], noteIds: [] });
+    }
+  } catch (err) {
+    console.error('Vault watch failed:', err);
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Whether a watch event is the echo of the app's own write
+ * Own writes update knownFiles/knownDirs before their events arrive.
+ */
+async function isOwnChange(event) {
+  if (event.isDirectory) {
+    if (event.type === 'add') return knownDirs.has(event.path);
+    if (event.type === 'unlink') return !knownDirs.has(event.path);
+    if (event.type === 'rename') return knownDirs.has(event.path) && !knownDirs.has(event.oldPath);
+    return true;
+  }
+
+  if (event.type === 'unlink') return !knownFiles.has(event.path);
+  if (event.type === 'rename') return knownFiles.has(event.path) && !knownFiles.has(event.oldPath);
+  return knownFiles.has(event.path) && knownFiles.get(event.path) === await fileStamp(event.path);
+}
+
+/**
+ * Handle a batch of watch events from the main process
+ */
+async function handleWatchEvents(events) {
+  // Let an in-progress scan (e.g. after moving a folder) settle first
+  if (currentScan) await currentScan.catch(() => {});
+
+  const relevant = events.filter(e => e.isDirectory || e.path.toLowerCase().endsWith(NOTE_EXTENSION) ||
+    e.oldPath?.toLowerCase().endsWith(NOTE_EXTENSION));
+  const external = [];
+  for (const event of relevant) {
+    if (!(await isOwnChange(event))) external.push(event);
+  }
+  if (external.length === 0) return;
+
+  console.log('Vault changed on disk:', external.map(e => `${e.type} ${e.path}`).join(', '));
+  await scanVault();
+
+  // Notes whose file was added, edited or moved
+  const touched = new Set(external.filter(e => e.type !== 'unlink').map(e => e.path));
+  const noteIds = [...noteIndex.values()].filter(e => touched.has(e.path)).map(e => e.note.id);
+  notifyChange({ eventType: 'UPDATE', source: 'vault', changes: external, noteIds });
+}
+
+/**
+ * Start watching the vault for external edits
+ */
+function startWatching() {
+  if (watchPromise || pollTimer || !isVaultEnabled()) return watchPromise;
+
+  const api = fsApi();
+  watchPromise = (async () => {
+    if (api.watch && api.onChange) {
+      const result = await api.watch(getVaultPath());
+      if (result.success) {
+        watchId = result.watchId;
+        removeWatchListener = api.onChange((payload) => {
+          if (payload.watchId === watchId) {
+            handleWatchEvents(payload.events).catch(err => console.error('Vault watch failed:', err));
+          }
+        });
+        return;
+      }
+      console.warn('Vault watch unavailable, polling instead:', result.error);
+    }
+    pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+  })().finally(() => {
+    watchPromise = null;
+  });
+  return watchPromise;
+}
+
+/**
+ * Stop watching the vault
+ */
+export function stopWatching() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+  if (watchId !== null) {
+    fsApi()?.unwatch?.(watchId);
+    watchId = null;
+  }
+  if (removeWatchListener) {
+    removeWatchListener();
+    removeWatchListener = null;
+  }
+}
+
+/**
+ * Subscribe to changes made to the vault outside the app
+ * @param {Function} callback - Called with { eventType, source, changes, noteIds }
+ *   after the vault has been rescanned
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToVaultChanges(callback) {
+  changeListeners.push(callback);
+  startWatching();
+  return () => {
+    const index = changeListeners.indexOf(callback);
+    if (index !== -1) changeListeners.splice(index, 1);
+    if (changeListeners.length === 0) stopWatching();
+  };
+}
+
+/**
+ * Notify change listeners
+ */
+function notifyChange(payload) {
+  for (const listener of changeListeners) {
+    try {
+      listener(payload);
+    } catch (err) {
+      console.error('Vault change listener failed:', err);
+    }
+  }
+}
+
+// ========================================
+// Default Export
+// ========================================
+
+export default {
+  isVaultAvailable,
+  getVaultPath,
+  isVaultEnabled,
+  setVaultPath,
+  pickVaultFolder,
+  parseFrontmatter,
+  serializeNote,
+  scanVault,
+  loadAllFolders,
+  createFolder,
+  updateFolder,
+  deleteFolder,
+  loadAllNotes,
+  saveNote,
+  deleteNote,
+  updateNoteOrder,
+  subscribeToVaultChanges,
+  stopWatching
+};
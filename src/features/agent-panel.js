@@ -9,10 +9,18 @@
 
 import * as AnthropicService from '../services/anthropic-service.js';
 import * as ChatContext from '../services/chat-context.js';
+import * as ConversationStore from '../services/conversation-store.js';
+import * as Retrieval from '../services/retrieval.js';
 import * as smd from '../vendor/smd.js';
+import { renderApprovalCard, settleApprovalCard } from '../components/tool-approval-card.js';
+import { renderChangesetControl } from '../components/changeset-control.js';
+import { showChatHistoryPicker } from '../components/chat-history-picker.js';
+import { renderCitations } from '../components/chat-citations.js';
+import { renderReply, hasReferences } from '../components/chat-references.js';
 import * as SideListState from '../state/side-list-state.js';
 import * as Repository from '../data/repository.js';
 import { onSelectionChange, getSelection } from '../state/tab-state.js';
+import * as SessionManager from '../state/session-manager.js';
 
 // ========================================
 // Constants
@@ -21,11 +29,13 @@ import { onSelectionChange, getSelection } from '../state/tab-state.js';
 const PANEL_COLLAPSED_KEY = 'layer-agent-panel-collapsed';
 const PANEL_WIDTH_KEY = 'layer-agent-panel-width';
 const PANEL_MODE_KEY = 'layer-agent-panel-mode';
+const DRY_RUN_KEY = 'layer-agent-dry-run';
 const MIN_WIDTH = 280;
 const MAX_WIDTH = 600;
 const DEFAULT_WIDTH = 360;
 
 const AGENT_API_URL = 'http://localhost:3001/api/agent';
+const AGENT_ABORT_URL = 'http://localhost:3001/api/agent/abort';
 
 const MODES = {
   AGENT: 'Agent',
@@ -37,6 +47,11 @@ const MODE_ICONS = {
   Ask: `<path d="M7.9 20A9 9 0 1 0 4 16.1L2 22Z"/>`
 };
 
+const DRY_RUN_ICON = `<path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z"/>`;
+
+const SEND_ICON = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 19V5M5 12l7-7 7 7"/></svg>`;
+const STOP_ICON = `<svg viewBox="0 0 24 24" fill="currentColor"><rect x="6" y="6" width="12" height="12" rx="2"/></svg>`;
+
 // ========================================
 // Panel State
 // ========================================
@@ -45,6 +60,7 @@ let isResizing = false;
 let isHoverExpanded = false; // Track if expanded via hover
 let currentMode = MODES.AGENT;
 let messages = [];
+let dryRun = localStorage.getItem(DRY_RUN_KEY) === 'true'; // Agent describes edits instead of making them
 
 // ========================================
 // Chat Tabs State
@@ -57,7 +73,8 @@ let chatTabs = [];
 let activeTabId = null;
 let nextTabId = 1;
 
-// Per-tab streaming state: tabId -> { abortController, parser, isStreaming, accumulatedText }
+// Per-tab streaming state: tabId -> { abortController, parser, isStreaming, accumulatedText, pendingApproval, runId }
+// runId identifies an agent reply on the server, so it can be stopped there
 const tabStreamState = new Map();
 
 function getTabStream(tabId) {
@@ -66,7 +83,9 @@ function getTabStream(tabId) {
       abortController: null,
       parser: null,
       isStreaming: false,
-      accumulatedText: ''
+      accumulatedText: '',
+      pendingApproval: null,
+      runId: null
     });
   }
   return tabStreamState.get(tabId);
@@ -75,6 +94,11 @@ function getTabStream(tabId) {
 function cleanupTabStream(tabId) {
   const state = tabStreamState.get(tabId);
   if (state) {
+    // Stop the agent server's loop too, not just our side of the stream
+    if (state.runId) {
+      requestAbort(state.runId);
+      state.runId = null;
+    }
     if (state.abortController) {
       state.abortController.abort();
       state.abortController = null;
@@ -308,7 +332,7 @@ export function initModeSelector() {
   if (savedMode && Object.values(MODES).includes(savedMode)) {
     currentMode = savedMode;
   }
-  label.textContent = currentMode;
+  label.textContent = getModeLabel(currentMode);
 
   if (icon && MODE_ICONS[currentMode]) {
     icon.innerHTML = MODE_ICONS[currentMode];
@@ -338,12 +362,41 @@ export function initModeSelector() {
           label: MODES.ASK,
           icon: MODE_ICONS.Ask,
           action: () => setMode(MODES.ASK)
+        },
+        {
+          label: dryRun ? 'Turn off dry run' : 'Dry run',
+          icon: DRY_RUN_ICON,
+          action: () => setDryRun(!dryRun)
         }
       ]
     });
   });
 }
 
+/**
+ * Pill label for a mode (Agent shows when dry run is on)
+ * @param {string} mode
+ * @returns {string}
+ */
+function getModeLabel(mode) {
+  return mode === MODES.AGENT && dryRun ? `${mode} · Dry run` : mode;
+}
+
+/**
+ * Turn dry run on or off
+ * In dry run the agent server describes edits and deletes instead of making them.
+ * @param {boolean} enabled
+ */
+export function setDryRun(enabled) {
+  dryRun = enabled;
+  localStorage.setItem(DRY_RUN_KEY, enabled);
+
+  const label = document.getElementById('agent-mode-label');
+  if (label) {
+    label.textContent = getModeLabel(currentMode);
+  }
+}
+
 /**
  * Set the current mode
  * @param {string} mode
@@ -363,7 +416,7 @@ export function setMode(mode) {
 
   const label = document.getElementById('agent-mode-label');
   if (label) {
-    label.textContent = mode;
+    label.textContent = getModeLabel(mode);
   }
 
   const icon = document.getElementById('agent-mode-icon');
@@ -399,6 +452,11 @@ export function initChatTabs() {
     } catch {
       chatTabs = [];
     }
+
+    // Tabs saved before conversation IDs existed get one now
+    for (const tab of chatTabs) {
+      if (!tab.conversationId) tab.conversationId = crypto.randomUUID();
+    }
   }
 
   // Create default tab if none exist
@@ -432,17 +490,21 @@ export function initChatTabs() {
 /**
  * Create a new chat tab
  * @param {string} title - Optional title for the tab
+ * @param {Object} [fields] - Overrides, e.g. to open a stored conversation
  * @returns {number} The new tab's ID
  */
-export function createChatTab(title = 'New Chat') {
+export function createChatTab(title = 'New Chat', fields = {}) {
   const tab = {
     id: nextTabId++,
     title,
     messages: [],
     mode: currentMode, // inherit current mode as default
     selectedContext: [], // per-tab attached context items
+    conversationId: crypto.randomUUID(), // stored conversation and changeset group
+    stored: false, // whether the agent server has this conversation yet
     createdAt: Date.now(),
-    updatedAt: Date.now()
+    updatedAt: Date.now(),
+    ...fields
   };
 
   chatTabs.push(tab);
@@ -487,6 +549,9 @@ export function switchToTab(tabId) {
   const targetStream = getTabStream(tabId);
   if (targetStream.isStreaming) {
     reattachStreamingBubble(tabId, targetStream);
+    if (targetStream.pendingApproval) {
+      showApprovalCard(tabId, targetStream.pendingApproval);
+    }
   }
 
   // Restore per-tab mode
@@ -497,6 +562,7 @@ export function switchToTab(tabId) {
   renderContextChips();
 
   renderChatTabs();
+  updateSendButton();
 }
 
 /**
@@ -574,10 +640,39 @@ function loadTabMessages(tabId) {
   // Render all messages and rebuild context
   for (const msg of messages) {
     renderMessage(msg);
-    ChatContext.addMessage(msg.role, msg.content);
+    if (msg.content) ChatContext.addMessage(msg.role, msg.content);
   }
 
   scrollToBottom();
+
+  // Stored conversations have a summary of older turns on the server
+  refreshContext(tabId);
+}
+
+/**
+ * Use a stored conversation's server context (summary plus recent messages)
+ * @param {number} tabId
+ * @param {Object} [context] - Context already fetched
+ */
+async function refreshContext(tabId, context = null) {
+  const tab = chatTabs.find(t => t.id === tabId);
+  if (!tab?.stored) return;
+
+  try {
+    context = context || await ConversationStore.getContext(tab.conversationId);
+  } catch (err) {
+    // Deleted elsewhere: store it again on the next message
+    if (err.status === 404) {
+      tab.stored = false;
+      saveChatTabs();
+    }
+    return; // keep the local history
+  }
+
+  // Don't swap history under a reply in progress or into another tab
+  if (tabId === activeTabId && !getTabStream(tabId).isStreaming) {
+    ChatContext.load(context);
+  }
 }
 
 /**
@@ -702,30 +797,53 @@ function initTabEventListeners() {
 }
 
 /**
- * Show chat history menu
+ * Show the searchable chat history picker
  */
 function showChatHistory() {
   const historyBtn = document.querySelector('.agent-panel-actions .agent-header-btn[title="History"]');
   if (!historyBtn) return;
 
-  const rect = historyBtn.getBoundingClientRect();
-
-  const ContextMenu = window.Layer?.ContextMenu;
-  if (!ContextMenu) return;
+  showChatHistoryPicker(historyBtn, {
+    getLocalChats: () => chatTabs.map(tab => ({
+      id: tab.conversationId,
+      title: tab.title,
+      updatedAt: tab.updatedAt,
+      messages: tab.messages
+    })),
+    onOpen: openConversation,
+    onDelete: (conversationId) => {
+      const tab = chatTabs.find(t => t.conversationId === conversationId);
+      if (tab) closeChatTab(tab.id);
+    }
+  });
+}
 
-  const items = chatTabs.map(tab => ({
-    label: tab.title,
-    action: () => switchToTab(tab.id)
-  }));
+/**
+ * Switch to a conversation's tab, opening a stored one in a new tab if needed
+ * @param {{id: string}} conversation - From the history picker
+ */
+async function openConversation({ id }) {
+  const openTab = chatTabs.find(t => t.conversationId === id);
+  if (openTab) {
+    if (openTab.id !== activeTabId) switchToTab(openTab.id);
+    return;
+  }
 
-  if (items.length === 0) {
-    items.push({ label: 'No chat history', disabled: true });
+  let conversation;
+  try {
+    conversation = await ConversationStore.getConversation(id);
+  } catch (err) {
+    console.error('Failed to open conversation:', err);
+    return;
   }
 
-  ContextMenu.showContextMenu({
-    x: rect.right,
-    y: rect.bottom + 4,
-    items
+  createChatTab(conversation.title || 'New Chat', {
+    messages: conversation.messages.map(ConversationStore.fromStoredMessage),
+    mode: conversation.mode || currentMode,
+    conversationId: conversation.id,
+    stored: true,
+    createdAt: Date.parse(conversation.createdAt),
+    updatedAt: Date.parse(conversation.updatedAt)
   });
 }
 
@@ -734,6 +852,10 @@ function showChatHistory() {
 // ========================================
 
 let tearOffState = null; // { tabId, startX, startY, ghost, active }
+let chatWindowCount = 0; // Keeps transfer keys unique when several windows open at once
+
+// Where a restored chat window goes if its position wasn't saved
+const DEFAULT_CHAT_WINDOW_BOUNDS = { left: 80, top: 80, width: 500, height: 700 };
 
 /**
  * Initialize drag-to-tear-off detection on tab elements.
@@ -860,26 +982,25 @@ function tearOffTab(tabId, screenX, screenY) {
     saveCurrentTabMessages();
   }
 
-  // Serialize tab data to a localStorage transfer key
-  const transferKey = `layer-tearoff-${tabId}-${Date.now()}`;
-  const transferData = {
-    messages: tab.messages,
-    mode: tab.mode || currentMode,
-    title: tab.title,
-    selectedContext: tab.selectedContext || []
-  };
-  localStorage.setItem(transferKey, JSON.stringify(transferData));
-
   // Open standalone chat window
   const width = 500;
   const height = 700;
-  const left = Math.max(0, screenX - width / 2);
-  const top = Math.max(0, screenY - 20);
-  window.open(
-    'chat-window.html',
-    transferKey,  // window.name = transferKey so child can read it
-    `width=${width},height=${height},left=${left},top=${top}`
-  );
+  openChatWindow({
+    tabs: [{
+      messages: tab.messages,
+      mode: tab.mode || currentMode,
+      title: tab.title,
+      selectedContext: tab.selectedContext || [],
+      conversationId: tab.conversationId,
+      stored: Boolean(tab.stored)
+    }],
+    activeIndex: 0
+  }, {
+    width,
+    height,
+    left: Math.max(0, screenX - width / 2),
+    top: Math.max(0, screenY - 20)
+  });
 
   // Remove the tab from parent
   const index = chatTabs.findIndex(t => t.id === tabId);
@@ -904,6 +1025,34 @@ function tearOffTab(tabId, screenX, screenY) {
   }
 }
 
+/**
+ * Open a standalone chat window holding the given chat tabs.
+ * The tabs reach the window through a localStorage transfer key, which is
+ * also the window's name so the child can find it.
+ * @param {{tabs: Array, activeIndex: number}} transferData - Tabs as { messages, mode, title, selectedContext, conversationId, stored }
+ * @param {{left: number, top: number, width: number, height: number}} bounds
+ */
+function openChatWindow(transferData, { left, top, width, height }) {
+  const transferKey = `layer-tearoff-${Date.now()}-${chatWindowCount++}`;
+  localStorage.setItem(transferKey, JSON.stringify(transferData));
+
+  const win = window.open(
+    'chat-window.html',
+    transferKey,
+    `width=${width},height=${height},left=${left},top=${top}`
+  );
+  SessionManager.registerChatWindow(win);
+}
+
+/**
+ * Reopen the chat windows that were open when the app last quit
+ */
+export function restoreChatWindows() {
+  for (const session of SessionManager.takeChatWindows()) {
+    openChatWindow(session, session.bounds || DEFAULT_CHAT_WINDOW_BOUNDS);
+  }
+}
+
 // ========================================
 // Tab Rename
 // ========================================
@@ -939,6 +1088,10 @@ function startTabRename(tabId, titleEl) {
       if (newTitle && newTitle !== originalTitle) {
         tab.title = newTitle;
         saveChatTabs();
+        if (tab.stored) {
+          ConversationStore.renameConversation(tab.conversationId, newTitle)
+            .catch(err => console.warn('Failed to rename stored conversation:', err.message));
+        }
       } else {
         titleEl.textContent = originalTitle;
       }
@@ -997,6 +1150,7 @@ export function initTextarea() {
  * Add a message to the chat
  * @param {string} content - Message text
  * @param {'user' | 'assistant'} role - Who sent the message
+ * @returns {Object} The message
  */
 function addMessage(content, role) {
   const message = {
@@ -1011,6 +1165,8 @@ function addMessage(content, role) {
 
   // Save to current tab
   saveCurrentTabMessages();
+
+  return message;
 }
 
 /**
@@ -1030,18 +1186,123 @@ function renderMessage(message) {
 
   if (message.role === 'assistant') {
     // Render markdown for assistant messages
-    const renderer = smd.default_renderer(bubble);
-    const parser = smd.parser(renderer);
-    smd.parser_write(parser, message.content);
-    smd.parser_end(parser);
+    renderReply(bubble, message.content, message.references, { onOpen: openReference });
   } else {
     bubble.textContent = message.content;
   }
 
-  el.appendChild(bubble);
+  // A reply that only ran tools has no text, just its revert control
+  if (message.content) el.appendChild(bubble);
+  if (message.sources) renderCitations(el, message.sources, { onOpen: openSource });
+  if (message.changeset) renderMessageChangeset(el, message);
   container.appendChild(el);
 }
 
+/**
+ * Keep the sources an Ask reply cited with its message, and link them
+ * @param {number} tabId - The tab the reply streamed into
+ * @param {Object} message - The finalized reply
+ * @param {Array} sources - From Retrieval.getCitedSources
+ */
+function attachSources(tabId, message, sources) {
+  if (sources.length === 0) return;
+  message.sources = sources;
+  saveChatTabs();
+
+  if (tabId !== activeTabId) return;
+  const container = document.getElementById('agent-panel-content');
+  const el = container?.querySelector(`.chat-message[data-message-id="${message.id}"]`);
+  if (el) renderCitations(el, sources, { onOpen: openSource });
+}
+
+/**
+ * Show a cited item in the content area
+ */
+function openSource(source) {
+  const NavigationController = window.Layer?.NavigationController;
+  if (!NavigationController?.openItem(source.type, source.id)) {
+    window.Layer?.showMessage?.(`"${source.title}" no longer exists`);
+  }
+}
+
+/**
+ * Keep the item references the server confirmed with their reply, and show them as chips
+ * @param {number} tabId - The tab the reply streamed into
+ * @param {Array} references - From the references event
+ * @param {number} turnStartedAt - When the reply was requested
+ */
+function attachReferences(tabId, references, turnStartedAt) {
+  const tab = chatTabs.find(t => t.id === tabId);
+  const message = tab?.messages[tab.messages.length - 1];
+  if (!message || message.role !== 'assistant' || message.id < turnStartedAt) return;
+
+  message.references = references;
+  saveChatTabs();
+
+  if (tabId !== activeTabId) return;
+  const container = document.getElementById('agent-panel-content');
+  const bubble = container?.querySelector(`.chat-message[data-message-id="${message.id}"] .chat-bubble`);
+  if (bubble) renderReply(bubble, message.content, references, { onOpen: openReference });
+}
+
+/**
+ * Open a referenced item in a new tab
+ */
+function openReference(reference) {
+  const NavigationController = window.Layer?.NavigationController;
+  const [type, id] = reference.type === 'task'
+    ? ['task-list', reference.taskListId]
+    : [reference.type, reference.id];
+
+  if (!NavigationController?.openItemInNewTab(type, id, reference.name)) {
+    window.Layer?.showMessage?.(`"${reference.name}" no longer exists`);
+  }
+}
+
+/**
+ * Render the revert control for a reply's changes
+ * @param {HTMLElement} el - The message element
+ * @param {Object} message - Message with a changeset
+ */
+function renderMessageChangeset(el, message) {
+  renderChangesetControl(el, message.changeset, {
+    onReverted: () => {
+      message.changeset.reverted = true;
+      saveChatTabs();
+    }
+  });
+}
+
+/**
+ * Attach the changes an agent reply made to that reply's message
+ * @param {number} tabId - The tab the reply streamed into
+ * @param {{id: string, count: number}} changeset - From the changeset event
+ * @param {number} turnStartedAt - When the reply was requested
+ */
+function attachChangeset(tabId, changeset, turnStartedAt) {
+  const tab = chatTabs.find(t => t.id === tabId);
+  if (!tab) return;
+
+  let message = tab.messages[tab.messages.length - 1];
+  if (!message || message.role !== 'assistant' || message.id < turnStartedAt) {
+    message = { id: Date.now(), content: '', role: 'assistant', timestamp: new Date() };
+    tab.messages.push(message);
+    if (tabId === activeTabId) messages.push(message);
+  }
+  message.changeset = { id: changeset.id, count: changeset.count, reverted: false };
+  saveChatTabs();
+
+  if (tabId !== activeTabId) return;
+  const container = document.getElementById('agent-panel-content');
+  const el = container?.querySelector(`.chat-message[data-message-id="${message.id}"]`);
+  if (el) {
+    renderMessageChangeset(el, message);
+  } else {
+    renderMessage(message);
+  }
+  scrollToBottom();
+}
+
 /**
  * Scroll chat to bottom
  */
@@ -1164,6 +1425,7 @@ function writeStreamingChunk(tabId, chunk) {
  * Finalize streaming bubble (end parser and clean up) for a specific tab.
  * @param {number} tabId - The originating tab
  * @param {string} content - Final content for context
+ * @returns {Object|undefined} The assistant message
  */
 function finalizeStreamingBubble(tabId, content) {
   const stream = getTabStream(tabId);
@@ -1175,6 +1437,7 @@ function finalizeStreamingBubble(tabId, content) {
   }
   stream.isStreaming = false;
   stream.accumulatedText = '';
+  const messageId = Date.now();
 
   // Clean up DOM ids if this tab is active
   if (tabId === activeTabId) {
@@ -1182,7 +1445,7 @@ function finalizeStreamingBubble(tabId, content) {
     const bubble = document.getElementById('streaming-bubble');
     if (el) {
       el.removeAttribute('id');
-      el.dataset.messageId = Date.now();
+      el.dataset.messageId = messageId;
     }
     if (bubble) {
       bubble.removeAttribute('id');
@@ -1193,7 +1456,7 @@ function finalizeStreamingBubble(tabId, content) {
   const tab = chatTabs.find(t => t.id === tabId);
   if (tab) {
     const msg = {
-      id: Date.now(),
+      id: messageId,
       content,
       role: 'assistant',
       timestamp: new Date()
@@ -1206,7 +1469,14 @@ function finalizeStreamingBubble(tabId, content) {
     if (tabId === activeTabId) {
       messages.push(msg);
       ChatContext.addMessage('assistant', content);
+
+      // References streamed as raw syntax; show their labels until they're confirmed
+      const bubble = document.querySelector(`.chat-message[data-message-id="${messageId}"] .chat-bubble`);
+      if (bubble && hasReferences(content)) {
+        renderReply(bubble, content, null, { onOpen: openReference });
+      }
     }
+    return msg;
   }
 }
 
@@ -1255,6 +1525,10 @@ export function cancelStream() {
   if (!activeTabId) return;
   const stream = getTabStream(activeTabId);
 
+  if (stream.runId) {
+    requestAbort(stream.runId);
+    stream.runId = null;
+  }
   if (stream.abortController) {
     stream.abortController.abort();
     stream.abortController = null;
@@ -1292,6 +1566,57 @@ export function cancelStream() {
 
   stream.isStreaming = false;
   stream.accumulatedText = '';
+  stream.pendingApproval = null;
+  removeTypingIndicator();
+  removeToolIndicators();
+  updateSendButton();
+}
+
+/**
+ * Stop the active tab's reply (the Stop button)
+ * Agent replies are stopped on the server, which ends the stream itself so
+ * the partial reply and any changes it made are kept. Ask replies, and
+ * agent replies the server can't be reached about, are cancelled here.
+ */
+export async function stopStream() {
+  const tabId = activeTabId;
+  const stream = getTabStream(tabId);
+  if (!stream.isStreaming) return;
+
+  if (stream.runId && await requestAbort(stream.runId)) return;
+  if (tabId === activeTabId) cancelStream();
+}
+
+/**
+ * Ask the agent server to stop a reply
+ * @param {string} runId - From the stream's start event
+ * @returns {Promise<boolean>} Whether the server had the reply to stop
+ */
+async function requestAbort(runId) {
+  try {
+    const response = await fetch(AGENT_ABORT_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ runId }),
+      keepalive: true // still sent if the window is closing
+    });
+    return response.ok;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Show Stop on the send button while the active tab is streaming
+ */
+function updateSendButton() {
+  const btn = document.getElementById('agent-send-btn');
+  if (!btn) return;
+
+  const streaming = Boolean(activeTabId && getTabStream(activeTabId).isStreaming);
+  btn.classList.toggle('is-stop', streaming);
+  btn.setAttribute('aria-label', streaming ? 'Stop' : 'Send');
+  btn.innerHTML = streaming ? STOP_ICON : SEND_ICON;
 }
 
 /**
@@ -1308,8 +1633,13 @@ async function sendMessage() {
   const activeStream = getTabStream(activeTabId);
   if (activeStream.isStreaming) return;
 
+  // Store the conversation on the server first time round (started before
+  // the new message is added, so it isn't copied up as well as sent)
+  const tab = chatTabs.find(t => t.id === activeTabId);
+  const stored = tab ? ConversationStore.ensureStored(tab) : Promise.resolve(false);
+
   // Add user message to UI (show original, without context block)
-  addMessage(content, 'user');
+  const userMessage = addMessage(content, 'user');
 
   // Prepend selected context to the message for the AI
   const contextPrefix = serializeContextForPrompt();
@@ -1323,25 +1653,35 @@ async function sendMessage() {
   textarea.style.height = 'auto';
   closeContextSearch();
 
+  await stored;
+  saveChatTabs();
+
   // Route to appropriate handler based on mode (send with context prefix)
   if (currentMode === MODES.AGENT) {
-    await sendAgentMessage(contentWithContext);
+    await sendAgentMessage(contentWithContext, content);
   } else {
-    await sendAskMessage(contentWithContext);
+    await sendAskMessage(contentWithContext, { ...userMessage, context: contentWithContext });
   }
+  updateSendButton();
 }
 
 /**
  * Send message using backend Agent SDK (Agent mode)
+ * The server saves the turn to the stored conversation itself.
+ * @param {string} content - Prompt including attached context
+ * @param {string} displayContent - What the user typed
  */
-async function sendAgentMessage(content) {
+async function sendAgentMessage(content, displayContent) {
   const tabId = activeTabId;
   const stream = getTabStream(tabId);
+  const turnStartedAt = Date.now();
+  const tab = chatTabs.find(t => t.id === tabId);
 
   // Show typing indicator
   showTypingIndicator();
   stream.isStreaming = true;
   stream.accumulatedText = '';
+  updateSendButton();
 
   // Create abort controller for cancellation
   stream.abortController = new AbortController();
@@ -1352,7 +1692,11 @@ async function sendAgentMessage(content) {
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         prompt: content,
-        conversationHistory: ChatContext.getConversationHistory().slice(0, -1)
+        displayPrompt: displayContent,
+        conversationHistory: ChatContext.getConversationHistory().slice(0, -1),
+        conversationId: tab?.conversationId || null,
+        model: getAgentModel(),
+        dryRun
       }),
       signal: stream.abortController.signal
     });
@@ -1368,6 +1712,21 @@ async function sendAgentMessage(content) {
     let fullText = '';
     let bubbleCreated = false;
 
+    // End of the reply, whether it finished or was stopped
+    const finishReply = () => {
+      if (tabId === activeTabId) {
+        removeTypingIndicator();
+        removeToolIndicators();
+      }
+      stream.abortController = null;
+      stream.runId = null;
+      if (fullText) {
+        finalizeStreamingBubble(tabId, fullText);
+      } else {
+        stream.isStreaming = false;
+      }
+    };
+
     while (true) {
       const { done, value } = await reader.read();
       if (done) break;
@@ -1386,6 +1745,9 @@ async function sendAgentMessage(content) {
           try {
             const event = JSON.parse(data);
             handleAgentEvent(event, {
+              onStart: (runId) => {
+                stream.runId = runId;
+              },
               onText: (text) => {
                 if (tabId === activeTabId) removeTypingIndicator();
                 if (!bubbleCreated) {
@@ -1399,23 +1761,34 @@ async function sendAgentMessage(content) {
                 if (tabId === activeTabId) showToolUseIndicator(toolUse);
               },
               onToolResult: (toolResult) => {
+                if (stream.pendingApproval?.tool.id === toolResult.id) {
+                  stream.pendingApproval = null;
+                }
                 if (tabId === activeTabId) handleToolResult(toolResult);
               },
-              onDone: () => {
-                if (tabId === activeTabId) {
-                  removeTypingIndicator();
-                  removeToolIndicators();
-                }
-                stream.abortController = null;
-                if (fullText) {
-                  finalizeStreamingBubble(tabId, fullText);
-                } else {
-                  stream.isStreaming = false;
+              onApprovalRequest: (approval) => {
+                stream.pendingApproval = approval;
+                if (tabId === activeTabId) showApprovalCard(tabId, approval);
+              },
+              onReferences: (references) => {
+                attachReferences(tabId, references, turnStartedAt);
+              },
+              onChangeset: (changeset) => {
+                attachChangeset(tabId, changeset, turnStartedAt);
+              },
+              onDone: finishReply,
+              onAborted: () => {
+                const container = document.getElementById('agent-panel-content');
+                if (stream.pendingApproval && tabId === activeTabId && container) {
+                  settleApprovalCard(container, stream.pendingApproval.tool.id, 'expired');
                 }
+                stream.pendingApproval = null;
+                finishReply();
               },
               onError: (errorMsg) => {
                 stream.isStreaming = false;
                 stream.abortController = null;
+                stream.runId = null;
                 if (tabId === activeTabId) handleApiError(new Error(errorMsg));
               }
             });
@@ -1426,6 +1799,7 @@ async function sendAgentMessage(content) {
       }
     }
 
+    refreshContext(tabId);
   } catch (error) {
     stream.isStreaming = false;
     stream.abortController = null;
@@ -1436,11 +1810,25 @@ async function sendAgentMessage(content) {
   }
 }
 
+/**
+ * The model picked in settings, as the agent server expects it
+ * @returns {{provider: string, id: string}}
+ */
+function getAgentModel() {
+  const { provider, id } = AnthropicService.getSelectedModelConfig();
+  return { provider, id };
+}
+
 /**
  * Handle an event from the agent backend
  */
 function handleAgentEvent(event, callbacks) {
   switch (event.type) {
+    case 'start':
+      // Identifies the reply so the Stop button can stop it on the server
+      callbacks.onStart(event.runId);
+      break;
+
     case 'text_delta':
       // Streaming text chunk from direct API
       if (event.text) {
@@ -1459,10 +1847,36 @@ function handleAgentEvent(event, callbacks) {
       callbacks.onToolResult(event);
       break;
 
+    case 'tool_approval_request':
+      // Server is holding a tool call until the user answers
+      if (event.approval) {
+        callbacks.onApprovalRequest(event.approval);
+      }
+      break;
+
+    case 'references':
+      // Sent after done with the item references in the reply the server could confirm
+      if (event.references) {
+        callbacks.onReferences(event.references);
+      }
+      break;
+
+    case 'changeset':
+      // Sent after done when the reply changed data
+      if (event.changeset) {
+        callbacks.onChangeset(event.changeset);
+      }
+      break;
+
     case 'done':
       callbacks.onDone();
       break;
 
+    case 'aborted':
+      // Stopped by the user; what streamed so far is kept
+      callbacks.onAborted();
+      break;
+
     case 'error':
       callbacks.onError(event.message);
       break;
@@ -1499,10 +1913,36 @@ function showToolUseIndicator(toolUse) {
   scrollToBottom();
 }
 
+/**
+ * Show an approve/deny card for a held tool call
+ * @param {number} tabId - The tab whose stream is waiting
+ * @param {Object} approval - From the tool_approval_request event
+ */
+function showApprovalCard(tabId, approval) {
+  const container = document.getElementById('agent-panel-content');
+  if (!container) return;
+
+  renderApprovalCard(container, approval, {
+    onAnswer: () => {
+      const stream = getTabStream(tabId);
+      if (stream.pendingApproval?.id === approval.id) {
+        stream.pendingApproval = null;
+      }
+    }
+  });
+  scrollToBottom();
+}
+
 /**
  * Handle tool result - check for actions
  */
 function handleToolResult(event) {
+  // Settle the approval card if the server stopped waiting on its own
+  const container = document.getElementById('agent-panel-content');
+  if (container && (event.status === 'denied' || event.status === 'dry_run')) {
+    settleApprovalCard(container, event.id, event.status);
+  }
+
   if (!event.result) return;
 
   // Check if result is an action to execute
@@ -1520,19 +1960,9 @@ function handleToolResult(event) {
  * Execute a frontend action from tool result
  */
 function executeAction(action) {
-  const Tabs = window.Layer?.Tabs;
-
   switch (action.action) {
     case 'open_note_tab':
-      if (Tabs) {
-        // Create a new tab for the note
-        const tabId = Tabs.createNewTab(action.noteName || 'Note', 'objective');
-        // Navigate to the note
-        const NavigationController = window.Layer?.NavigationController;
-        if (NavigationController) {
-          NavigationController.navigateToNote(action.noteId);
-        }
-      }
+      openReference({ type: 'note', id: action.noteId, name: action.noteName || 'Note' });
       break;
 
     case 'open_url_tab':
@@ -1555,8 +1985,10 @@ function removeToolIndicators() {
 
 /**
  * Send message using direct Anthropic API (Ask mode)
+ * @param {string} content - Prompt including attached context
+ * @param {Object} userMessage - The user's chat message, saved with the reply
  */
-async function sendAskMessage(content) {
+async function sendAskMessage(content, userMessage) {
   // Check for API key first
   if (!AnthropicService.hasApiKey()) {
     handleApiError(new Error('NO_API_KEY'));
@@ -1570,14 +2002,25 @@ async function sendAskMessage(content) {
   showTypingIndicator();
   stream.isStreaming = true;
   stream.accumulatedText = '';
+  updateSendButton();
 
   // Create abort controller for cancellation
   stream.abortController = new AbortController();
 
+  // Passages from the user's items that may answer the question
+  let passages = [];
+  try {
+    passages = await Retrieval.retrieve(userMessage.content, { signal: stream.abortController.signal });
+  } catch (err) {
+    if (err.name === 'AbortError') return;
+    console.warn('Retrieval failed, asking without it:', err.message);
+  }
+  if (!stream.abortController) return; // Stopped while retrieving
+
   let bubbleCreated = false;
 
   await AnthropicService.sendMessage({
-    message: content,
+    message: Retrieval.formatPassagesForPrompt(passages) + content,
     mode: currentMode,
     conversationHistory: ChatContext.getConversationHistory().slice(0, -1),
     signal: stream.abortController.signal,
@@ -1595,7 +2038,9 @@ async function sendAskMessage(content) {
       if (tabId === activeTabId) removeTypingIndicator();
       stream.abortController = null;
       if (fullText) {
-        finalizeStreamingBubble(tabId, fullText);
+        const reply = finalizeStreamingBubble(tabId, fullText);
+        if (reply) attachSources(tabId, reply, Retrieval.getCitedSources(fullText, passages));
+        saveAskTurn(tabId, userMessage, reply);
       } else {
         stream.isStreaming = false;
       }
@@ -1609,6 +2054,25 @@ async function sendAskMessage(content) {
   });
 }
 
+/**
+ * Add an Ask mode turn to the stored conversation
+ * (Agent mode turns are saved by the agent server.)
+ */
+async function saveAskTurn(tabId, userMessage, reply) {
+  const tab = chatTabs.find(t => t.id === tabId);
+  if (!tab?.stored || !reply) return;
+
+  try {
+    const context = await ConversationStore.appendMessages(tab.conversationId, [userMessage, reply], {
+      mode: MODES.ASK,
+      model: getAgentModel()
+    });
+    refreshContext(tabId, context);
+  } catch (err) {
+    console.warn('Failed to save turn to stored conversation:', err.message);
+  }
+}
+
 /**
  * Initialize chat input handlers
  */
@@ -1626,8 +2090,15 @@ function initChatInput() {
     });
   }
 
+  // Doubles as the Stop button while a reply streams
   if (sendBtn) {
-    sendBtn.addEventListener('click', sendMessage);
+    sendBtn.addEventListener('click', () => {
+      if (getTabStream(activeTabId).isStreaming) {
+        stopStream();
+      } else {
+        sendMessage();
+      }
+    });
   }
 }
 
@@ -1646,10 +2117,13 @@ export function clearMessages() {
     container.innerHTML = '';
   }
 
-  // Update current tab
+  // Update current tab (a cleared tab starts a new conversation; the old
+  // one stays in history)
   const tab = chatTabs.find(t => t.id === activeTabId);
   if (tab) {
     tab.messages = [];
+    tab.conversationId = crypto.randomUUID();
+    tab.stored = false;
     saveChatTabs();
   }
 }
@@ -2099,10 +2573,13 @@ export default {
   setWidth,
   getWidth,
   setMode,
+  setDryRun,
   getMode,
   clearMessages,
   cancelStream,
+  stopStream,
   createChatTab,
   switchToTab,
-  closeChatTab
+  closeChatTab,
+  restoreChatWindows
 };
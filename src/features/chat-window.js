@@ -1,23 +1,37 @@
 /**
  * Chat Window - Standalone Entry Point
  *
- * Runs in a popped-out browser window created by agent-panel.js tearOffTab().
+ * Runs in a popped-out browser window created by agent-panel.js (a torn-off
+ * tab, or a window reopened from the last session).
  * Reads initial state from localStorage transfer key, renders messages,
  * and provides independent multi-tab chat capability matching the main panel.
  */
 
 import * as AnthropicService from '../services/anthropic-service.js';
 import * as ChatContext from '../services/chat-context.js';
+import * as ConversationStore from '../services/conversation-store.js';
+import * as Retrieval from '../services/retrieval.js';
 import * as Repository from '../data/repository.js';
-import { loadAllFolders } from '../data/folder-storage.js';
-import { loadAllNotes } from '../data/note-storage.js';
 import * as smd from '../vendor/smd.js';
+import { renderApprovalCard, settleApprovalCard } from '../components/tool-approval-card.js';
+import { renderChangesetControl } from '../components/changeset-control.js';
+import { showChatHistoryPicker } from '../components/chat-history-picker.js';
+import { renderCitations } from '../components/chat-citations.js';
+import { renderReply, hasReferences } from '../components/chat-references.js';
 
 // ========================================
 // Constants
 // ========================================
 
 const AGENT_API_URL = 'http://localhost:3001/api/agent';
+const AGENT_ABORT_URL = 'http://localhost:3001/api/agent/abort';
+
+// Set from the main window's mode menu
+const DRY_RUN_KEY = 'layer-agent-dry-run';
+
+// Read by the main window's session-manager.js when the app quits
+const CLOSING_CHAT_WINDOWS_KEY = 'layer-session-closing-chat-windows';
+const CLOSING_RECORD_MS = 10000;
 
 const MODES = {
   AGENT: 'Agent',
@@ -29,6 +43,9 @@ const MODE_ICONS = {
   Ask: `<path d="M7.9 20A9 9 0 1 0 4 16.1L2 22Z"/>`
 };
 
+const SEND_ICON = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 19V5M5 12l7-7 7 7"/></svg>`;
+const STOP_ICON = `<svg viewBox="0 0 24 24" fill="currentColor"><rect x="6" y="6" width="12" height="12" rx="2"/></svg>`;
+
 // ========================================
 // Tab State
 // ========================================
@@ -45,16 +62,18 @@ let contextMenuEl = null;
 // BroadcastChannel for active-tab sync from main window
 let selectionChannel = null;
 
-// Per-tab streaming state: tabId -> { abortController, parser, isStreaming, accumulatedText }
+// Per-tab streaming state: tabId -> { abortController, runId, parser, isStreaming, accumulatedText, pendingApproval }
 const tabStreamState = new Map();
 
 function getTabStream(tabId) {
   if (!tabStreamState.has(tabId)) {
     tabStreamState.set(tabId, {
       abortController: null,
+      runId: null,
       parser: null,
       isStreaming: false,
-      accumulatedText: ''
+      accumulatedText: '',
+      pendingApproval: null
     });
   }
   return tabStreamState.get(tabId);
@@ -63,6 +82,10 @@ function getTabStream(tabId) {
 function cleanupTabStream(tabId) {
   const state = tabStreamState.get(tabId);
   if (state) {
+    if (state.runId) {
+      requestAbort(state.runId);
+      state.runId = null;
+    }
     if (state.abortController) {
       state.abortController.abort();
       state.abortController = null;
@@ -107,17 +130,26 @@ function init() {
     return;
   }
 
-  // Create initial tab from transferred data
-  const tab = {
-    id: nextTabId++,
-    title: tabData.title || 'Chat',
-    messages: tabData.messages || [],
-    mode: tabData.mode || MODES.AGENT,
-    selectedContext: tabData.selectedContext || [],
-    createdAt: Date.now(),
-    updatedAt: Date.now()
-  };
-  chatTabs.push(tab);
+  // A torn-off tab, or every tab of a window reopened from the last session
+  for (const data of tabData.tabs || []) {
+    chatTabs.push({
+      id: nextTabId++,
+      title: data.title || 'Chat',
+      messages: data.messages || [],
+      mode: data.mode || MODES.AGENT,
+      selectedContext: data.selectedContext || [],
+      conversationId: data.conversationId || crypto.randomUUID(),
+      stored: Boolean(data.stored),
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    });
+  }
+  if (chatTabs.length === 0) {
+    console.error('No chat tabs in transfer data');
+    return;
+  }
+
+  const tab = chatTabs[tabData.activeIndex] || chatTabs[0];
   activeTabId = tab.id;
   currentMode = tab.mode;
   messages = [...tab.messages];
@@ -130,8 +162,9 @@ function init() {
 
   // Rebuild conversation context
   for (const msg of messages) {
-    ChatContext.addMessage(msg.role, msg.content);
+    if (msg.content) ChatContext.addMessage(msg.role, msg.content);
   }
+  refreshContext(tab.id);
 
   initInput();
   initModeSelector();
@@ -149,22 +182,73 @@ function init() {
     renderContextChips();
   });
 
+  window.getChatWindowSession = getChatWindowSession;
+  window.addEventListener('pagehide', recordClosing);
   window.addEventListener('beforeunload', cleanup);
 }
 
+// ========================================
+// Session
+// ========================================
+
+/**
+ * This window's tabs and position, for the main window's session
+ * (session-manager.js reopens the window on next launch)
+ * @returns {{tabs: Array, activeIndex: number, bounds: Object}}
+ */
+function getChatWindowSession() {
+  saveCurrentTabMessages();
+  return {
+    tabs: chatTabs.map(tab => ({
+      messages: tab.messages,
+      mode: tab.mode,
+      title: tab.title,
+      selectedContext: tab.selectedContext,
+      conversationId: tab.conversationId,
+      stored: tab.stored
+    })),
+    activeIndex: Math.max(0, chatTabs.findIndex(t => t.id === activeTabId)),
+    bounds: {
+      left: window.screenX,
+      top: window.screenY,
+      width: window.outerWidth,
+      height: window.outerHeight
+    }
+  };
+}
+
+/**
+ * Note this window's session as it closes, in case the app is quitting
+ * and the main window hasn't saved yet
+ */
+function recordClosing() {
+  try {
+    const now = Date.now();
+    const closing = JSON.parse(localStorage.getItem(CLOSING_CHAT_WINDOWS_KEY) || '[]')
+      .filter(({ closedAt }) => now - closedAt <= CLOSING_RECORD_MS);
+    closing.push({ closedAt: now, session: getChatWindowSession() });
+    localStorage.setItem(CLOSING_CHAT_WINDOWS_KEY, JSON.stringify(closing));
+  } catch (e) {
+    console.warn('Failed to record chat window session:', e);
+  }
+}
+
 // ========================================
 // Chat Tabs
 // ========================================
 
-function createChatTab(title = 'New Chat') {
+function createChatTab(title = 'New Chat', fields = {}) {
   const tab = {
     id: nextTabId++,
     title,
     messages: [],
     mode: currentMode,
     selectedContext: [],
+    conversationId: crypto.randomUUID(),
+    stored: false,
     createdAt: Date.now(),
-    updatedAt: Date.now()
+    updatedAt: Date.now(),
+    ...fields
   };
   chatTabs.push(tab);
   switchToTab(tab.id);
@@ -196,6 +280,9 @@ function switchToTab(tabId) {
   const targetStream = getTabStream(tabId);
   if (targetStream.isStreaming) {
     reattachStreamingBubble(targetStream);
+    if (targetStream.pendingApproval) {
+      showApprovalCard(tabId, targetStream.pendingApproval);
+    }
   }
 
   // Restore per-tab mode
@@ -205,6 +292,7 @@ function switchToTab(tabId) {
 
   renderChatTabs();
   renderContextChips();
+  updateSendButton();
 }
 
 function closeChatTab(tabId) {
@@ -261,9 +349,29 @@ function loadTabMessages(tabId) {
 
   for (const msg of messages) {
     renderMessage(msg);
-    ChatContext.addMessage(msg.role, msg.content);
+    if (msg.content) ChatContext.addMessage(msg.role, msg.content);
   }
   scrollToBottom();
+  refreshContext(tabId);
+}
+
+/**
+ * Use a stored conversation's server context (summary plus recent messages)
+ */
+async function refreshContext(tabId, context = null) {
+  const tab = chatTabs.find(t => t.id === tabId);
+  if (!tab?.stored) return;
+
+  try {
+    context = context || await ConversationStore.getContext(tab.conversationId);
+  } catch (err) {
+    if (err.status === 404) tab.stored = false; // deleted elsewhere
+    return;
+  }
+
+  if (tabId === activeTabId && !getTabStream(tabId).isStreaming) {
+    ChatContext.load(context);
+  }
 }
 
 function escapeHtml(text) {
@@ -384,6 +492,10 @@ function startTabRename(tabId, titleEl) {
       if (newTitle && newTitle !== originalTitle) {
         tab.title = newTitle;
         if (tab.id === activeTabId) document.title = newTitle;
+        if (tab.stored) {
+          ConversationStore.renameConversation(tab.conversationId, newTitle)
+            .catch(err => console.warn('Failed to rename stored conversation:', err.message));
+        }
       } else {
         titleEl.textContent = originalTitle;
       }
@@ -407,50 +519,47 @@ function startTabRename(tabId, titleEl) {
 }
 
 function showChatHistory() {
-  // Simple dropdown using a temporary menu element (no ContextMenu available in standalone)
-  const existing = document.getElementById('chat-history-menu');
-  if (existing) { existing.remove(); return; }
-
   const historyBtn = document.querySelector('.agent-panel-actions .agent-header-btn[title="History"]');
   if (!historyBtn) return;
 
-  const rect = historyBtn.getBoundingClientRect();
-
-  const menu = document.createElement('div');
-  menu.id = 'chat-history-menu';
-  menu.className = 'chat-history-dropdown';
-  menu.style.position = 'fixed';
-  menu.style.top = (rect.bottom + 4) + 'px';
-  menu.style.right = (window.innerWidth - rect.right) + 'px';
-  menu.style.zIndex = '9999';
-
-  if (chatTabs.length === 0) {
-    const item = document.createElement('div');
-    item.className = 'chat-history-item disabled';
-    item.textContent = 'No chat history';
-    menu.appendChild(item);
-  } else {
-    for (const tab of chatTabs) {
-      const item = document.createElement('div');
-      item.className = 'chat-history-item';
-      item.textContent = tab.title;
-      item.addEventListener('click', () => {
-        switchToTab(tab.id);
-        menu.remove();
-      });
-      menu.appendChild(item);
+  showChatHistoryPicker(historyBtn, {
+    getLocalChats: () => chatTabs.map(tab => ({
+      id: tab.conversationId,
+      title: tab.title,
+      updatedAt: tab.updatedAt,
+      messages: tab.messages
+    })),
+    onOpen: openConversation,
+    onDelete: (conversationId) => {
+      const tab = chatTabs.find(t => t.conversationId === conversationId);
+      if (tab) closeChatTab(tab.id);
     }
+  });
+}
+
+async function openConversation({ id }) {
+  const openTab = chatTabs.find(t => t.conversationId === id);
+  if (openTab) {
+    if (openTab.id !== activeTabId) switchToTab(openTab.id);
+    return;
   }
 
-  document.body.appendChild(menu);
+  let conversation;
+  try {
+    conversation = await ConversationStore.getConversation(id);
+  } catch (err) {
+    console.error('Failed to open conversation:', err);
+    return;
+  }
 
-  const dismiss = (e) => {
-    if (!menu.contains(e.target) && e.target !== historyBtn) {
-      menu.remove();
-      document.removeEventListener('click', dismiss);
-    }
-  };
-  setTimeout(() => document.addEventListener('click', dismiss), 0);
+  createChatTab(conversation.title || 'New Chat', {
+    messages: conversation.messages.map(ConversationStore.fromStoredMessage),
+    mode: conversation.mode || currentMode,
+    conversationId: conversation.id,
+    stored: true,
+    createdAt: Date.parse(conversation.createdAt),
+    updatedAt: Date.parse(conversation.updatedAt)
+  });
 }
 
 // ========================================
@@ -480,18 +589,101 @@ function renderMessage(message) {
   bubble.className = message.role === 'assistant' ? 'chat-bubble chat-bubble-markdown' : 'chat-bubble';
 
   if (message.role === 'assistant') {
-    const renderer = smd.default_renderer(bubble);
-    const p = smd.parser(renderer);
-    smd.parser_write(p, message.content);
-    smd.parser_end(p);
+    renderReply(bubble, message.content, message.references, { onOpen: openReference });
   } else {
     bubble.textContent = message.content;
   }
 
-  el.appendChild(bubble);
+  // A reply that only ran tools has no text, just its revert control
+  if (message.content) el.appendChild(bubble);
+  if (message.sources) renderCitations(el, message.sources, { onOpen: openSource });
+  if (message.changeset) {
+    renderChangesetControl(el, message.changeset, {
+      onReverted: () => { message.changeset.reverted = true; }
+    });
+  }
   container.appendChild(el);
 }
 
+/**
+ * Keep the sources an Ask reply cited with its message, and link them
+ */
+function attachSources(tabId, message, sources) {
+  if (sources.length === 0) return;
+  message.sources = sources;
+
+  if (tabId !== activeTabId) return;
+  const container = document.getElementById('agent-panel-content');
+  const el = container?.querySelector(`.chat-message[data-message-id="${message.id}"]`);
+  if (el) renderCitations(el, sources, { onOpen: openSource });
+}
+
+/**
+ * Show a cited item in the main window, which this window was opened from
+ */
+function openSource(source) {
+  const main = window.opener && !window.opener.closed ? window.opener : null;
+  if (main?.Layer?.NavigationController?.openItem(source.type, source.id)) {
+    main.focus();
+  } else {
+    showError(main ? `"${source.title}" no longer exists` : 'Open Layer to view this item.');
+  }
+}
+
+/**
+ * Keep the item references the server confirmed with their reply, and show them as chips
+ */
+function attachReferences(tabId, references, turnStartedAt) {
+  const tab = chatTabs.find(t => t.id === tabId);
+  const message = tab?.messages[tab.messages.length - 1];
+  if (!message || message.role !== 'assistant' || message.id < turnStartedAt) return;
+
+  message.references = references;
+
+  if (tabId !== activeTabId) return;
+  const container = document.getElementById('agent-panel-content');
+  const bubble = container?.querySelector(`.chat-message[data-message-id="${message.id}"] .chat-bubble`);
+  if (bubble) renderReply(bubble, message.content, references, { onOpen: openReference });
+}
+
+/**
+ * Open a referenced item in a new tab of the main window
+ */
+function openReference(reference) {
+  const main = window.opener && !window.opener.closed ? window.opener : null;
+  const [type, id] = reference.type === 'task'
+    ? ['task-list', reference.taskListId]
+    : [reference.type, reference.id];
+
+  if (main?.Layer?.NavigationController?.openItemInNewTab(type, id, reference.name)) {
+    main.focus();
+  } else {
+    showError(main ? `"${reference.name}" no longer exists` : 'Open Layer to view this item.');
+  }
+}
+
+/**
+ * Attach the changes an agent reply made to that reply's message
+ */
+function attachChangeset(tabId, changeset, turnStartedAt) {
+  const tab = chatTabs.find(t => t.id === tabId);
+  if (!tab) return;
+
+  let message = tab.messages[tab.messages.length - 1];
+  if (!message || message.role !== 'assistant' || message.id < turnStartedAt) {
+    message = { id: Date.now(), content: '', role: 'assistant', timestamp: new Date() };
+    tab.messages.push(message);
+    if (tabId === activeTabId) messages.push(message);
+  }
+  message.changeset = { id: changeset.id, count: changeset.count, reverted: false };
+
+  if (tabId !== activeTabId) return;
+  const container = document.getElementById('agent-panel-content');
+  container?.querySelector(`.chat-message[data-message-id="${message.id}"]`)?.remove();
+  renderMessage(message);
+  scrollToBottom();
+}
+
 function scrollToBottom() {
   const container = document.getElementById('agent-panel-content');
   if (container) {
@@ -569,24 +761,32 @@ function finalizeStreamingBubble(tabId, content) {
   }
   stream.isStreaming = false;
   stream.accumulatedText = '';
+  const messageId = Date.now();
 
   if (tabId === activeTabId) {
     const el = document.getElementById('streaming-message');
     const bubble = document.getElementById('streaming-bubble');
-    if (el) { el.removeAttribute('id'); el.dataset.messageId = Date.now(); }
+    if (el) { el.removeAttribute('id'); el.dataset.messageId = messageId; }
     if (bubble) bubble.removeAttribute('id');
   }
 
   const tab = chatTabs.find(t => t.id === tabId);
   if (tab) {
-    const msg = { id: Date.now(), content, role: 'assistant', timestamp: new Date() };
+    const msg = { id: messageId, content, role: 'assistant', timestamp: new Date() };
     tab.messages.push(msg);
     tab.updatedAt = Date.now();
 
     if (tabId === activeTabId) {
       messages.push(msg);
       ChatContext.addMessage('assistant', content);
+
+      // References streamed as raw syntax; show their labels until they're confirmed
+      const bubble = document.querySelector(`.chat-message[data-message-id="${messageId}"] .chat-bubble`);
+      if (bubble && hasReferences(content)) {
+        renderReply(bubble, content, null, { onOpen: openReference });
+      }
     }
+    return msg;
   }
 }
 
@@ -622,6 +822,7 @@ function addMessage(content, role) {
   renderMessage(message);
   scrollToBottom();
   saveCurrentTabMessages();
+  return message;
 }
 
 async function sendMessage() {
@@ -634,7 +835,11 @@ async function sendMessage() {
   const activeStream = getTabStream(activeTabId);
   if (activeStream.isStreaming) return;
 
-  addMessage(content, 'user');
+  // Started before the new message is added, so it isn't copied up as well as sent
+  const tab = chatTabs.find(t => t.id === activeTabId);
+  const stored = tab ? ConversationStore.ensureStored(tab) : Promise.resolve(false);
+
+  const userMessage = addMessage(content, 'user');
 
   // Prepend selected context to the message for the AI
   const contextPrefix = serializeContextForPrompt();
@@ -645,21 +850,27 @@ async function sendMessage() {
   textarea.value = '';
   textarea.style.height = 'auto';
 
+  await stored;
+
   if (currentMode === MODES.AGENT) {
-    await sendAgentMessage(contentWithContext);
+    await sendAgentMessage(contentWithContext, content);
   } else {
-    await sendAskMessage(contentWithContext);
+    await sendAskMessage(contentWithContext, { ...userMessage, context: contentWithContext });
   }
+  updateSendButton();
 }
 
-async function sendAgentMessage(content) {
+async function sendAgentMessage(content, displayContent) {
   const tabId = activeTabId;
   const stream = getTabStream(tabId);
+  const turnStartedAt = Date.now();
+  const tab = chatTabs.find(t => t.id === tabId);
 
   showTypingIndicator();
   stream.isStreaming = true;
   stream.accumulatedText = '';
   stream.abortController = new AbortController();
+  updateSendButton();
 
   try {
     const response = await fetch(AGENT_API_URL, {
@@ -667,7 +878,11 @@ async function sendAgentMessage(content) {
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         prompt: content,
-        conversationHistory: ChatContext.getConversationHistory().slice(0, -1)
+        displayPrompt: displayContent,
+        conversationHistory: ChatContext.getConversationHistory().slice(0, -1),
+        conversationId: tab?.conversationId || null,
+        model: getAgentModel(),
+        dryRun: isDryRun()
       }),
       signal: stream.abortController.signal
     });
@@ -680,6 +895,18 @@ async function sendAgentMessage(content) {
     let fullText = '';
     let bubbleCreated = false;
 
+    // End of the reply, whether it finished or was stopped
+    const finishReply = () => {
+      if (tabId === activeTabId) removeTypingIndicator();
+      stream.abortController = null;
+      stream.runId = null;
+      if (fullText) {
+        finalizeStreamingBubble(tabId, fullText);
+      } else {
+        stream.isStreaming = false;
+      }
+    };
+
     while (true) {
       const { done, value } = await reader.read();
       if (done) break;
@@ -696,6 +923,9 @@ async function sendAgentMessage(content) {
           try {
             const event = JSON.parse(data);
             handleAgentEvent(event, {
+              onStart: (runId) => {
+                stream.runId = runId;
+              },
               onText: (text) => {
                 if (tabId === activeTabId) removeTypingIndicator();
                 if (!bubbleCreated) {
@@ -705,18 +935,39 @@ async function sendAgentMessage(content) {
                 writeStreamingChunk(tabId, text);
                 fullText += text;
               },
-              onDone: () => {
-                if (tabId === activeTabId) removeTypingIndicator();
-                stream.abortController = null;
-                if (fullText) {
-                  finalizeStreamingBubble(tabId, fullText);
-                } else {
-                  stream.isStreaming = false;
+              onApprovalRequest: (approval) => {
+                stream.pendingApproval = approval;
+                if (tabId === activeTabId) showApprovalCard(tabId, approval);
+              },
+              onReferences: (references) => {
+                attachReferences(tabId, references, turnStartedAt);
+              },
+              onChangeset: (changeset) => {
+                attachChangeset(tabId, changeset, turnStartedAt);
+              },
+              onToolResult: (toolResult) => {
+                if (stream.pendingApproval?.tool.id === toolResult.id) {
+                  stream.pendingApproval = null;
+                }
+                const container = document.getElementById('agent-panel-content');
+                if (tabId === activeTabId && container &&
+                    (toolResult.status === 'denied' || toolResult.status === 'dry_run')) {
+                  settleApprovalCard(container, toolResult.id, toolResult.status);
+                }
+              },
+              onDone: finishReply,
+              onAborted: () => {
+                const container = document.getElementById('agent-panel-content');
+                if (stream.pendingApproval && tabId === activeTabId && container) {
+                  settleApprovalCard(container, stream.pendingApproval.tool.id, 'expired');
                 }
+                stream.pendingApproval = null;
+                finishReply();
               },
               onError: (errorMsg) => {
                 stream.isStreaming = false;
                 stream.abortController = null;
+                stream.runId = null;
                 if (tabId === activeTabId) showError(errorMsg);
               }
             });
@@ -724,6 +975,8 @@ async function sendAgentMessage(content) {
         }
       }
     }
+
+    refreshContext(tabId);
   } catch (error) {
     stream.isStreaming = false;
     stream.abortController = null;
@@ -733,21 +986,70 @@ async function sendAgentMessage(content) {
   }
 }
 
+/**
+ * The model picked in settings, as the agent server expects it
+ * @returns {{provider: string, id: string}}
+ */
+function getAgentModel() {
+  const { provider, id } = AnthropicService.getSelectedModelConfig();
+  return { provider, id };
+}
+
 function handleAgentEvent(event, callbacks) {
   switch (event.type) {
+    case 'start':
+      callbacks.onStart(event.runId);
+      break;
     case 'text_delta':
       if (event.text) callbacks.onText(event.text);
       break;
+    case 'tool_approval_request':
+      if (event.approval) callbacks.onApprovalRequest(event.approval);
+      break;
+    case 'tool_result':
+      callbacks.onToolResult(event);
+      break;
+    case 'references':
+      if (event.references) callbacks.onReferences(event.references);
+      break;
+    case 'changeset':
+      if (event.changeset) callbacks.onChangeset(event.changeset);
+      break;
     case 'done':
       callbacks.onDone();
       break;
+    case 'aborted':
+      callbacks.onAborted();
+      break;
     case 'error':
       callbacks.onError(event.message);
       break;
   }
 }
 
-async function sendAskMessage(content) {
+function isDryRun() {
+  return localStorage.getItem(DRY_RUN_KEY) === 'true';
+}
+
+/**
+ * Show an approve/deny card for a tool call the server is holding
+ */
+function showApprovalCard(tabId, approval) {
+  const container = document.getElementById('agent-panel-content');
+  if (!container) return;
+
+  renderApprovalCard(container, approval, {
+    onAnswer: () => {
+      const stream = getTabStream(tabId);
+      if (stream.pendingApproval?.id === approval.id) {
+        stream.pendingApproval = null;
+      }
+    }
+  });
+  scrollToBottom();
+}
+
+async function sendAskMessage(content, userMessage) {
   if (!AnthropicService.hasApiKey()) {
     showError('No API key configured. Run: doppler run -- npm run web');
     return;
@@ -760,11 +1062,21 @@ async function sendAskMessage(content) {
   stream.isStreaming = true;
   stream.accumulatedText = '';
   stream.abortController = new AbortController();
+  updateSendButton();
+
+  let passages = [];
+  try {
+    passages = await Retrieval.retrieve(userMessage.content, { signal: stream.abortController.signal });
+  } catch (err) {
+    if (err.name === 'AbortError') return;
+    console.warn('Retrieval failed, asking without it:', err.message);
+  }
+  if (!stream.abortController) return; // Stopped while retrieving
 
   let bubbleCreated = false;
 
   await AnthropicService.sendMessage({
-    message: content,
+    message: Retrieval.formatPassagesForPrompt(passages) + content,
     mode: currentMode,
     conversationHistory: ChatContext.getConversationHistory().slice(0, -1),
     signal: stream.abortController.signal,
@@ -782,7 +1094,9 @@ async function sendAskMessage(content) {
       if (tabId === activeTabId) removeTypingIndicator();
       stream.abortController = null;
       if (fullText) {
-        finalizeStreamingBubble(tabId, fullText);
+        const reply = finalizeStreamingBubble(tabId, fullText);
+        if (reply) attachSources(tabId, reply, Retrieval.getCitedSources(fullText, passages));
+        saveAskTurn(tabId, userMessage, reply);
       } else {
         stream.isStreaming = false;
       }
@@ -796,6 +1110,24 @@ async function sendAskMessage(content) {
   });
 }
 
+/**
+ * Add an Ask mode turn to the stored conversation (the agent server saves Agent mode turns)
+ */
+async function saveAskTurn(tabId, userMessage, reply) {
+  const tab = chatTabs.find(t => t.id === tabId);
+  if (!tab?.stored || !reply) return;
+
+  try {
+    const context = await ConversationStore.appendMessages(tab.conversationId, [userMessage, reply], {
+      mode: MODES.ASK,
+      model: getAgentModel()
+    });
+    refreshContext(tabId, context);
+  } catch (err) {
+    console.warn('Failed to save turn to stored conversation:', err.message);
+  }
+}
+
 // ========================================
 // Error Display
 // ========================================
@@ -828,7 +1160,7 @@ function updateModeUI() {
   const label = document.getElementById('agent-mode-label');
   const icon = document.getElementById('agent-mode-icon');
 
-  if (label) label.textContent = currentMode;
+  if (label) label.textContent = currentMode === MODES.AGENT && isDryRun() ? `${currentMode} · Dry run` : currentMode;
   if (icon && MODE_ICONS[currentMode]) {
     icon.innerHTML = MODE_ICONS[currentMode];
   }
@@ -885,8 +1217,70 @@ function initInput() {
     });
   }
 
+  // Doubles as the Stop button while a reply streams
   if (sendBtn) {
-    sendBtn.addEventListener('click', sendMessage);
+    sendBtn.addEventListener('click', () => {
+      if (getTabStream(activeTabId).isStreaming) {
+        stopStream();
+      } else {
+        sendMessage();
+      }
+    });
+  }
+}
+
+function updateSendButton() {
+  const btn = document.getElementById('agent-send-btn');
+  if (!btn) return;
+
+  const streaming = Boolean(activeTabId && getTabStream(activeTabId).isStreaming);
+  btn.classList.toggle('is-stop', streaming);
+  btn.setAttribute('aria-label', streaming ? 'Stop' : 'Send');
+  btn.innerHTML = streaming ? STOP_ICON : SEND_ICON;
+}
+
+// ========================================
+// Stopping
+// ========================================
+
+/**
+ * Stop the active tab's reply, on the server for agent replies (which then
+ * end their own stream) or here otherwise, keeping what streamed so far
+ */
+async function stopStream() {
+  const tabId = activeTabId;
+  const stream = getTabStream(tabId);
+  if (!stream.isStreaming) return;
+
+  if (stream.runId && await requestAbort(stream.runId)) return;
+  if (tabId !== activeTabId || !stream.isStreaming) return;
+
+  stream.runId = null;
+  if (stream.abortController) {
+    stream.abortController.abort();
+    stream.abortController = null;
+  }
+  removeTypingIndicator();
+  if (stream.accumulatedText.trim()) {
+    finalizeStreamingBubble(tabId, stream.accumulatedText);
+  } else {
+    document.getElementById('streaming-message')?.remove();
+    stream.isStreaming = false;
+  }
+  updateSendButton();
+}
+
+async function requestAbort(runId) {
+  try {
+    const response = await fetch(AGENT_ABORT_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ runId }),
+      keepalive: true
+    });
+    return response.ok;
+  } catch {
+    return false;
   }
 }
 
@@ -897,6 +1291,10 @@ function initInput() {
 function clearMessages() {
   // Cancel any ongoing stream for active tab
   const stream = getTabStream(activeTabId);
+  if (stream.runId) {
+    requestAbort(stream.runId);
+    stream.runId = null;
+  }
   if (stream.abortController) {
     stream.abortController.abort();
     stream.abortController = null;
@@ -914,8 +1312,14 @@ function clearMessages() {
   const container = document.getElementById('agent-panel-content');
   if (container) container.innerHTML = '';
 
+  // A cleared tab starts a new conversation; the old one stays in history
   const tab = chatTabs.find(t => t.id === activeTabId);
-  if (tab) tab.messages = [];
+  if (tab) {
+    tab.messages = [];
+    tab.conversationId = crypto.randomUUID();
+    tab.stored = false;
+  }
+  updateSendButton();
 }
 
 // ========================================
@@ -1075,7 +1479,7 @@ async function getSearchableItems() {
   }
 
   try {
-    const folders = await loadAllFolders();
+    const folders = await Repository.loadAllFolders();
     if (folders) {
       for (const f of folders) {
         items.push({ type: 'Folder', id: f.id, name: f.name, data: f });
@@ -1084,7 +1488,7 @@ async function getSearchableItems() {
   } catch { /* ignore */ }
 
   try {
-    const notes = await loadAllNotes();
+    const notes = await Repository.loadAllNotes();
     if (notes) {
       for (const n of notes) {
         items.push({ type: 'Note', id: n.id, name: n.name, data: n });
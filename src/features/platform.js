@@ -5,6 +5,7 @@
  */
 
 import AppState from '../state/app-state.js';
+import { MODEL_OPTIONS } from '../config.js';
 import { createNewTab } from './tabs.js';
 
 // ========================================
@@ -111,6 +112,9 @@ export function initSettingsButton() {
 
   // Model select change handler
   if (modelSelect) {
+    modelSelect.innerHTML = MODEL_OPTIONS
+      .map(model => `<option value="${model.id}">${model.label}</option>`)
+      .join('');
     modelSelect.addEventListener('change', (e) => {
       setSelectedModel(e.target.value);
     });
@@ -169,7 +173,7 @@ const MODEL_STORAGE_KEY = 'layer-agent-model';
  * @returns {string}
  */
 export function getSelectedModel() {
-  return localStorage.getItem(MODEL_STORAGE_KEY) || 'claude-opus-4-5-20251101';
+  return localStorage.getItem(MODEL_STORAGE_KEY) || MODEL_OPTIONS[0].id;
 }
 
 /**
@@ -195,9 +199,20 @@ export function updateStatusReporter() {
   const storageLabel = storageStatus.isReady ? 'connected' : 'not configured';
   const storageSt = storageStatus.isReady ? 'ok' : 'warn';
 
+  // Sync status from the sync engine
+  const sync = systemStatus.sync;
+  let syncLabel = sync ? sync.state : 'starting';
+  if (sync?.conflicts > 0) {
+    syncLabel = `${sync.conflicts} conflict${sync.conflicts === 1 ? '' : 's'}`;
+  } else if (sync?.pending > 0) {
+    syncLabel = `${sync.state} (${sync.pending} queued)`;
+  }
+  const syncSt = sync?.state === 'synced' || sync?.state === 'syncing' ? 'ok' : 'warn';
+
   const items = [
     { label: 'Platform', value: 'web', status: 'ok' },
     { label: 'Supabase', value: storageLabel, status: storageSt },
+    { label: 'Sync', value: syncLabel, status: syncSt },
     { label: 'Taglines', value: systemStatus.taglines ? 'loaded' : 'fallback', status: systemStatus.taglines ? 'ok' : 'warn' }
   ];
 
@@ -4,6 +4,8 @@
 
 import * as TabState from '../state/tab-state.js';
 import * as TabContentManager from '../state/tab-content-manager.js';
+import * as SessionManager from '../state/session-manager.js';
+import { showContextMenu } from '../components/context-menu.js';
 
 let _callbacks = {
   updateView: null
@@ -44,6 +46,26 @@ export function initTabs() {
       handleSelectTab(tab);
     }
   });
+
+  // Right-click the tab bar for recently closed tabs
+  tabsContainer.addEventListener('contextmenu', (e) => {
+    e.preventDefault();
+    showRecentlyClosedMenu(e.clientX, e.clientY);
+  });
+
+  // Ctrl+Shift+T (Cmd+Shift+T on Mac) reopens the last closed tab
+  document.addEventListener('keydown', (e) => {
+    if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === 't') {
+      e.preventDefault();
+      reopenClosedTab();
+    }
+  });
+
+  // Keep the active tab's scroll positions for the next launch
+  window.addEventListener('beforeunload', () => {
+    saveScrollPositions();
+    TabState.saveToStorage();
+  });
 }
 
 /**
@@ -133,6 +155,11 @@ function getIconSvgInline(iconType) {
     objective: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><circle cx="12" cy="12" r="6"/><circle cx="12" cy="12" r="2"/></svg>',
     web: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><line x1="2" y1="12" x2="22" y2="12"/><path d="M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z"/></svg>',
     settings: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12.22 2h-.44a2 2 0 0 0-2 2v.18a2 2 0 0 1-1 1.73l-.43.25a2 2 0 0 1-2 0l-.15-.08a2 2 0 0 0-2.73.73l-.22.38a2 2 0 0 0 .73 2.73l.15.1a2 2 0 0 1 1 1.72v.51a2 2 0 0 1-1 1.74l-.15.09a2 2 0 0 0-.73 2.73l.22.38a2 2 0 0 0 2.73.73l.15-.08a2 2 0 0 1 2 0l.43.25a2 2 0 0 1 1 1.73V20a2 2 0 0 0 2 2h.44a2 2 0 0 0 2-2v-.18a2 2 0 0 1 1-1.73l.43-.25a2 2 0 0 1 2 0l.15.08a2 2 0 0 0 2.73-.73l.22-.39a2 2 0 0 0-.73-2.73l-.15-.08a2 2 0 0 1-1-1.74v-.5a2 2 0 0 1 1-1.74l.15-.09a2 2 0 0 0 .73-2.73l-.22-.38a2 2 0 0 0-2.73-.73l-.15.08a2 2 0 0 1-2 0l-.43-.25a2 2 0 0 1-1-1.73V4a2 2 0 0 0-2-2z"/><circle cx="12" cy="12" r="3"/></svg>',
+    search: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="11" cy="11" r="8"/><path d="M21 21l-4.35-4.35"/></svg>',
+    tag: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M20.59 13.41l-7.17 7.17a2 2 0 0 1-2.83 0L2 12V2h10l8.59 8.59a2 2 0 0 1 0 2.82z"/><line x1="7" y1="7" x2="7.01" y2="7"/></svg>',
+    graph: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="6" cy="6" r="3"/><circle cx="18" cy="8" r="3"/><circle cx="9" cy="18" r="3"/><line x1="8.6" y1="7.4" x2="15.3" y2="7.6"/><line x1="6.8" y1="8.9" x2="8.2" y2="15.1"/><line x1="16.2" y1="10.4" x2="10.8" y2="15.8"/></svg>',
+    calendar: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="4" width="18" height="18" rx="2"/><line x1="16" y1="2" x2="16" y2="6"/><line x1="8" y1="2" x2="8" y2="6"/><line x1="3" y1="10" x2="21" y2="10"/></svg>',
+    reports: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="20" x2="18" y2="10"/><line x1="12" y1="20" x2="12" y2="4"/><line x1="6" y1="20" x2="6" y2="14"/></svg>',
     speaker: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"/><path d="M15.54 8.46a5 5 0 0 1 0 7.07"/><path d="M19.07 4.93a10 10 0 0 1 0 14.14"/></svg>'
   };
   return icons[iconType] || icons.home;
@@ -154,6 +181,31 @@ function setSidebarScrollPosition(position) {
   if (sidebar) sidebar.scrollTop = position;
 }
 
+/**
+ * Save the active tab's sidebar and content scroll positions
+ */
+function saveScrollPositions() {
+  TabState.setScrollPosition(getSidebarScrollPosition());
+  const contentPage = document.getElementById('content-page');
+  TabState.setContentScrollPosition(contentPage ? contentPage.scrollTop : 0);
+}
+
+/**
+ * Restore the active tab's scroll positions once its view has rendered
+ * @param {Promise|undefined} rendered - From the updateView callback
+ */
+export function restoreScrollPositions(rendered) {
+  const sidebarPos = TabState.getScrollPosition();
+  const contentPos = TabState.getContentScrollPosition();
+  Promise.resolve(rendered).then(() => {
+    requestAnimationFrame(() => {
+      setSidebarScrollPosition(sidebarPos);
+      const contentPage = document.getElementById('content-page');
+      if (contentPage) contentPage.scrollTop = contentPos;
+    });
+  });
+}
+
 /**
  * Handle tab selection
  */
@@ -164,8 +216,8 @@ function handleSelectTab(tabEl) {
   const currentActiveId = TabState.getActiveTabId();
   if (tabId === currentActiveId) return; // Already active
 
-  // Save current tab's scroll position
-  TabState.setScrollPosition(getSidebarScrollPosition());
+  // Save current tab's scroll positions
+  saveScrollPositions();
 
   // Switch tab in state
   TabState.switchTab(tabId);
@@ -175,16 +227,10 @@ function handleSelectTab(tabEl) {
   tabs.forEach(t => t.classList.remove('active'));
   tabEl.classList.add('active');
 
-  // Call updateView to refresh sidebar and content
+  // Call updateView to refresh sidebar and content, then restore scroll positions for new tab
   if (_callbacks.updateView) {
-    _callbacks.updateView();
+    restoreScrollPositions(_callbacks.updateView());
   }
-
-  // Restore scroll position for new tab
-  const scrollPos = TabState.getScrollPosition();
-  requestAnimationFrame(() => {
-    setSidebarScrollPosition(scrollPos);
-  });
 }
 
 /**
@@ -209,6 +255,10 @@ function handleCloseTab(tabEl) {
   const wasActive = tabEl.classList.contains('active');
   const tabIndex = Array.from(tabs).indexOf(tabEl);
 
+  // Remember the tab so it can be reopened
+  if (wasActive) saveScrollPositions();
+  SessionManager.recordClosedTab(tabId);
+
   // Destroy the content container for this tab (frees memory)
   TabContentManager.destroyContainer(tabId);
 
@@ -227,16 +277,10 @@ function handleCloseTab(tabEl) {
       t.classList.toggle('active', t.dataset.tabId === newActiveId);
     });
 
-    // Update view for new active tab
+    // Update view for new active tab, then restore its scroll positions
     if (_callbacks.updateView) {
-      _callbacks.updateView();
+      restoreScrollPositions(_callbacks.updateView());
     }
-
-    // Restore scroll position
-    const scrollPos = TabState.getScrollPosition();
-    requestAnimationFrame(() => {
-      setSidebarScrollPosition(scrollPos);
-    });
   }
 }
 
@@ -249,8 +293,8 @@ function handleCreateTab() {
 
   const addBtn = tabsContainer.querySelector('.tab-add');
 
-  // Save current tab's scroll position before switching
-  TabState.setScrollPosition(getSidebarScrollPosition());
+  // Save current tab's scroll positions before switching
+  saveScrollPositions();
 
   // Create tab in state (this also sets it as active)
   const newTabId = TabState.createTab('Home');
@@ -287,13 +331,50 @@ function handleCreateTab() {
  * @returns {string} The new tab's ID
  */
 export function createNewTab(title = 'New Tab', icon = 'home') {
+  return openTab(title, icon);
+}
+
+/**
+ * Reopen a recently closed tab, as it was when it closed
+ * @param {number} index - Position in the recently closed list (0 = most recent)
+ * @returns {string|null} The new tab's ID, or null if there was nothing to reopen
+ */
+export function reopenClosedTab(index = 0) {
+  const closed = SessionManager.takeClosedTab(index);
+  if (!closed) return null;
+  return openTab(closed.tab.title, closed.tab.icon, closed);
+}
+
+/**
+ * Show the recently closed tabs in a menu
+ */
+function showRecentlyClosedMenu(x, y) {
+  const closedTabs = SessionManager.getClosedTabs();
+  const items = closedTabs.length > 0
+    ? closedTabs.map((tab, index) => ({
+      label: tab.title || tab.url || 'Untitled',
+      action: () => reopenClosedTab(index)
+    }))
+    : [{ label: 'No recently closed tabs' }];
+
+  showContextMenu({ x, y, items });
+}
+
+/**
+ * Add a tab, make it active and render it
+ * @param {string} title - Tab title
+ * @param {string} icon - Icon type or favicon URL
+ * @param {Object|null} closed - Closed tab to restore the state of (from SessionManager)
+ * @returns {string|null} The new tab's ID
+ */
+function openTab(title, icon, closed = null) {
   const tabsContainer = document.querySelector('.header-tabs');
   if (!tabsContainer) return null;
 
   const addBtn = tabsContainer.querySelector('.tab-add');
 
-  // Save current tab's scroll position before switching
-  TabState.setScrollPosition(getSidebarScrollPosition());
+  // Save current tab's scroll positions before switching
+  saveScrollPositions();
 
   // Remove active class from existing tabs first
   const existingTabs = document.querySelectorAll('.header-tab');
@@ -301,6 +382,10 @@ export function createNewTab(title = 'New Tab', icon = 'home') {
 
   // Create tab in state (this also sets it as active)
   const newTabId = TabState.createTab(title);
+  if (closed) {
+    TabState.restoreTab(newTabId, closed.tab);
+    SessionManager.restoreWebHistory(newTabId, closed.web);
+  }
 
   // Create DOM element
   const tab = document.createElement('div');
@@ -308,8 +393,8 @@ export function createNewTab(title = 'New Tab', icon = 'home') {
   tab.dataset.tabId = newTabId;
   tab.innerHTML = `
     <span class="tab-content">
-      <span class="tab-icon">${getIconSvgInline(icon)}</span>
-      <span class="tab-title">${title}</span>
+      <span class="tab-icon">${getTabIconHtml(icon)}</span>
+      <span class="tab-title">${escapeHtml(title)}</span>
       <button class="tab-close" aria-label="Close tab"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M18 6L6 18M6 6l12 12"/></svg></button>
     </span>
   `;
@@ -317,9 +402,10 @@ export function createNewTab(title = 'New Tab', icon = 'home') {
   // Insert before the add button
   tabsContainer.insertBefore(tab, addBtn);
 
-  // Update view to show new tab's content
+  // Update view to show new tab's content (a reopened tab gets its scroll back)
   if (_callbacks.updateView) {
-    _callbacks.updateView();
+    const rendered = _callbacks.updateView();
+    if (closed) restoreScrollPositions(rendered);
   }
 
   return newTabId;
@@ -475,6 +561,8 @@ export default {
   initTabs,
   setCallbacks,
   createNewTab,
+  reopenClosedTab,
+  restoreScrollPositions,
   updateActiveTabTitle,
   updateActiveTabIcon,
   updateTabTitleById,
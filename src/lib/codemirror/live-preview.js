@@ -15,6 +15,9 @@ import {
   RangeSetBuilder
 } from './index.js';
 
+import { findHashtags } from '../../utils/tags.js';
+import { findWikiLinks } from '../../utils/wiki-links.js';
+
 // ========================================
 // Widget Classes
 // ========================================
@@ -368,6 +371,41 @@ export const livePreviewPlugin = ViewPlugin.fromClass(class {
         decorations.push({ from: urlStart, to: urlEnd, deco: markDecorations.linkUrl });
       }
     }
+
+    // Wiki-links: [[Name]] or [[type:Name]] (not inside inline code)
+    const codeRanges = [...text.matchAll(codeRegex)].map(m => [m.index, m.index + m[0].length]);
+    for (const link of findWikiLinks(text)) {
+      if (codeRanges.some(([codeFrom, codeTo]) => link.from >= codeFrom && link.to <= codeTo)) continue;
+      const start = lineStart + link.from;
+      const end = lineStart + link.to;
+      const nameStart = lineStart + link.nameFrom;
+      const nameEnd = nameStart + link.name.length;
+
+      decorations.push({
+        from: nameStart,
+        to: nameEnd,
+        deco: Decoration.mark({
+          class: 'cm-md-wikilink',
+          attributes: { 'data-link-type': link.type || '', 'data-link-name': link.name }
+        })
+      });
+
+      if (!cursorInRange(cursorPos, start, end)) {
+        // Hide [[, any type prefix, and ]]
+        decorations.push({ from: start, to: nameStart, deco: hideDecoration });
+        decorations.push({ from: nameEnd, to: end, deco: hideDecoration });
+      }
+    }
+
+    // Hashtags: #tag (not inside inline code)
+    for (const { from: tagFrom, to: tagTo, tag } of findHashtags(text)) {
+      if (codeRanges.some(([codeFrom, codeTo]) => tagFrom >= codeFrom && tagTo <= codeTo)) continue;
+      decorations.push({
+        from: lineStart + tagFrom,
+        to: lineStart + tagTo,
+        deco: Decoration.mark({ class: 'cm-md-hashtag', attributes: { 'data-tag': tag } })
+      });
+    }
   }
 }, {
   decorations: v => v.decorations
@@ -460,6 +498,17 @@ export const livePreviewStyles = EditorView.baseTheme({
     fontSize: '0.9em'
   },
 
+  // Wiki-links (click follows the link)
+  '.cm-md-wikilink': {
+    color: 'var(--accent)',
+    cursor: 'pointer'
+  },
+
+  // Hashtags (Mod-click opens the tag)
+  '.cm-md-hashtag': {
+    color: 'var(--accent)'
+  },
+
   // Headers
   '.cm-md-header': {
     fontWeight: '600'
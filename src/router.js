@@ -5,10 +5,15 @@
  * Enables back/forward navigation and deep linking.
  *
  * URL Structure:
- * - /#/ or /#/home      -> Home view
- * - /#/objective/{id}   -> Layere view
- * - /#/folder/{id}      -> Folder view
- * - /#/settings         -> Settings view
+ * - /#/ or /#/home               -> Home view
+ * - /#/objective/{id}            -> Layere view
+ * - /#/folder/{id}               -> Folder view
+ * - /#/note/{id}                 -> Note view
+ * - /#/note/{id}#heading-slug    -> Note view, scrolled to a heading
+ * - /#/tasklist/{id}             -> Task list view
+ * - /#/task/{id}                 -> The task's list, scrolled to the task
+ * - /#/web?url={encoded url}     -> Web view
+ * - /#/settings                  -> Settings view
  */
 
 // ========================================
@@ -24,11 +29,15 @@ let onNavigateCallback = null;
 
 /**
  * Parse current URL hash to extract route info
- * @returns {{viewMode: string, type: string, id: string|null}}
+ * @returns {{viewMode: string, type: string, id: string|null, heading?: string, url?: string}}
+ *   heading is a heading slug (note routes), url the page to load (web routes)
  */
 export function getRouteFromURL() {
   const hash = window.location.hash || '#/';
-  const path = hash.replace(/^#\/?/, '');
+
+  // A note route can carry a second fragment, a web route a query
+  const [route, heading] = splitOnce(hash.replace(/^#\/?/, ''), '#');
+  const [path, query] = splitOnce(route, '?');
   const segments = path.split('/').filter(Boolean);
 
   if (segments.length === 0 || segments[0] === 'home') {
@@ -43,6 +52,24 @@ export function getRouteFromURL() {
     return { viewMode: 'folder', type: 'folder', id: segments[1] };
   }
 
+  if (segments[0] === 'note' && segments[1]) {
+    return { viewMode: 'note', type: 'note', id: segments[1], ...(heading && { heading: decodeFragment(heading) }) };
+  }
+
+  if (segments[0] === 'tasklist' && segments[1]) {
+    return { viewMode: 'task-list', type: 'task-list', id: segments[1] };
+  }
+
+  // Shown in the task's list, which the app looks up
+  if (segments[0] === 'task' && segments[1]) {
+    return { viewMode: 'task-list', type: 'task', id: segments[1] };
+  }
+
+  if (segments[0] === 'web') {
+    const url = getWebURL(new URLSearchParams(query).get('url'));
+    if (url) return { viewMode: 'web', type: 'web', id: null, url };
+  }
+
   if (segments[0] === 'settings') {
     return { viewMode: 'settings', type: 'settings', id: 'settings' };
   }
@@ -51,14 +78,49 @@ export function getRouteFromURL() {
   return { viewMode: 'home', type: 'home', id: 'home' };
 }
 
+/**
+ * Split a string at the first separator
+ * @returns {[string, string]} The second part is '' if there's no separator
+ */
+function splitOnce(text, separator) {
+  const index = text.indexOf(separator);
+  return index === -1 ? [text, ''] : [text.slice(0, index), text.slice(index + 1)];
+}
+
+/**
+ * Undo the percent-encoding browsers apply to non-ASCII heading slugs
+ */
+function decodeFragment(fragment) {
+  try {
+    return decodeURIComponent(fragment);
+  } catch {
+    return fragment;
+  }
+}
+
+/**
+ * A web route's page URL, if it's one the web view may load
+ * @param {string|null} value
+ * @returns {string|null}
+ */
+function getWebURL(value) {
+  if (!value) return null;
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
 // ========================================
 // URL Updates
 // ========================================
 
 /**
  * Update URL hash based on current view
- * @param {string} type - Selection type: 'home', 'objective', 'folder', 'settings'
- * @param {string|null} id - Item ID (for objective/folder)
+ * @param {string} type - Selection type: 'home', 'objective', 'folder', 'note', 'task-list', 'web', 'settings'
+ * @param {string|null} id - Item ID, or the page URL for web
  */
 export function updateURL(type, id) {
   let newHash = '#/';
@@ -73,19 +135,31 @@ export function updateURL(type, id) {
     case 'folder':
       if (id) newHash = `#/folder/${id}`;
       break;
+    case 'note':
+      if (id) newHash = `#/note/${id}`;
+      break;
+    case 'task-list':
+      if (id) newHash = `#/tasklist/${id}`;
+      break;
     case 'settings':
       newHash = '#/settings';
       break;
     case 'web':
+      // Blank web tabs and local pages keep the URL they have
+      if (!getWebURL(id)) return;
+      newHash = `#/web?url=${encodeURIComponent(id)}`;
+      break;
     case 'bookmark':
-      // Don't update URL for web/bookmark views
+      // Don't update URL for bookmark views
       return;
     default:
       newHash = '#/home';
   }
 
-  // Guard against triggering hashchange handler
-  if (window.location.hash !== newHash) {
+  // Guard against triggering hashchange handler (a note's heading
+  // fragment stays while that note is open)
+  const currentHash = window.location.hash.replace(/^(#[^#]*)#.*$/, '$1');
+  if (currentHash !== newHash) {
     isUpdatingHash = true;
     window.location.hash = newHash;
     // Reset flag after a tick
@@ -93,6 +167,43 @@ export function updateURL(type, id) {
   }
 }
 
+// Item type -> first URL segment
+const ITEM_SEGMENTS = {
+  objective: 'objective',
+  folder: 'folder',
+  note: 'note',
+  'task-list': 'tasklist',
+  task: 'task'
+};
+
+/**
+ * Link to an item, e.g. for chat citations
+ * @param {string} type - 'objective', 'folder', 'note', 'task-list' or 'task'
+ * @param {string} id
+ * @param {string|null} heading - Note heading to jump to
+ * @returns {string} Hash URL, like '#/note/{id}#heading-slug'
+ */
+export function getItemURL(type, id, heading = null) {
+  const segment = ITEM_SEGMENTS[type];
+  if (!segment || !id) return '#/home';
+
+  const slug = heading ? slugifyHeading(heading) : '';
+  return `#/${segment}/${id}${slug ? `#${slug}` : ''}`;
+}
+
+/**
+ * URL fragment for a heading ("Q3 Plan!" -> "q3-plan")
+ * @param {string} heading
+ * @returns {string}
+ */
+export function slugifyHeading(heading) {
+  return heading
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s-]/gu, '')
+    .trim()
+    .replace(/[\s-]+/g, '-');
+}
+
 // ========================================
 // Window Title
 // ========================================
@@ -121,6 +232,8 @@ export function updateWindowTitleForSelection(type, name) {
       break;
     case 'objective':
     case 'folder':
+    case 'note':
+    case 'task-list':
       if (name) {
         document.title = `${name} - Layer`;
       } else {
@@ -176,6 +289,8 @@ export function hasInitialRoute() {
 export default {
   getRouteFromURL,
   updateURL,
+  getItemURL,
+  slugifyHeading,
   updateWindowTitle,
   updateWindowTitleForSelection,
   initRouter,
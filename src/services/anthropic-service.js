@@ -2,17 +2,14 @@
  * Anthropic Service
  *
  * Core service for LLM API calls with streaming support.
- * Supports Anthropic (Claude) and OpenRouter providers.
+ * Calls whichever provider the selected model uses (Anthropic, Groq,
+ * OpenAI, or local Ollama/llama.cpp servers) through
+ * shared/llm-providers.mjs.
  * API keys are provided via Doppler secrets injection.
  */
 
-import {
-  ANTHROPIC_API_ENDPOINT,
-  ANTHROPIC_MODEL,
-  ANTHROPIC_MAX_TOKENS,
-  GROQ_API_ENDPOINT,
-  MODEL_OPTIONS
-} from '../config.js';
+import { ANTHROPIC_MAX_TOKENS, MODEL_OPTIONS, RETRIEVAL_EMBEDDING_MODEL } from '../config.js';
+import { createProvider, PROVIDERS } from '../../shared/llm-providers.mjs';
 
 // ========================================
 // Model Selection
@@ -22,7 +19,7 @@ const MODEL_STORAGE_KEY = 'layer-agent-model';
 
 /**
  * Get the currently selected model config
- * @returns {{ id: string, label: string, provider: string }}
+ * @returns {{ id: string, label: string, provider: string, endpoint?: string }}
  */
 export function getSelectedModelConfig() {
   const storedId = localStorage.getItem(MODEL_STORAGE_KEY);
@@ -35,22 +32,23 @@ export function getSelectedModelConfig() {
 // ========================================
 
 /**
- * Get API key for the current provider
+ * Get API key for a provider
+ * @param {string} [provider] - Defaults to the selected model's
  * @returns {string | null}
  */
-export function getApiKey() {
-  const model = getSelectedModelConfig();
-  if (model.provider === 'groq') {
-    return window.__DOPPLER_SECRETS__?.GROQ_API_KEY || null;
-  }
-  return window.__DOPPLER_SECRETS__?.ANTHROPIC_API_KEY || null;
+export function getApiKey(provider = getSelectedModelConfig().provider) {
+  const keyName = PROVIDERS[provider]?.keyName;
+  return keyName ? window.__DOPPLER_SECRETS__?.[keyName] || null : null;
 }
 
 /**
- * Check if API key is configured for the current provider
+ * Check if the current provider is ready to use (local providers need no key)
  * @returns {boolean}
  */
 export function hasApiKey() {
+  const model = getSelectedModelConfig();
+  if (PROVIDERS[model.provider] && !PROVIDERS[model.provider].keyName) return true;
+
   const key = getApiKey();
   return !!(key && key.trim().length > 0);
 }
@@ -59,6 +57,11 @@ export function hasApiKey() {
 // Streaming API Call
 // ========================================
 
+const SYSTEM_PROMPTS = {
+  Agent: 'You are a helpful assistant that helps users accomplish tasks. Break down complex tasks into clear, actionable steps. Be concise but thorough. Focus on practical solutions.',
+  Ask: 'You are a helpful assistant that answers questions clearly and concisely. Provide accurate, well-structured information. If you\'re unsure about something, say so.'
+};
+
 /**
  * Send a message with streaming response via the selected provider
  * @param {Object} options
@@ -79,113 +82,39 @@ export async function sendMessage({
   onError,
   signal
 }) {
-  const apiKey = getApiKey();
-
-  if (!apiKey) {
+  if (!hasApiKey()) {
     onError?.(new Error('NO_API_KEY'));
     return;
   }
 
   const model = getSelectedModelConfig();
-
-  if (model.provider === 'groq') {
-    return sendGroqMessage({ message, mode, conversationHistory, onChunk, onComplete, onError, signal, apiKey, model });
-  }
-
-  return sendAnthropicMessage({ message, mode, conversationHistory, onChunk, onComplete, onError, signal, apiKey });
-}
-
-// ========================================
-// Anthropic Provider
-// ========================================
-
-async function sendAnthropicMessage({ message, mode, conversationHistory, onChunk, onComplete, onError, signal, apiKey }) {
-  const systemPrompt = mode === 'Agent'
-    ? 'You are a helpful assistant that helps users accomplish tasks. Break down complex tasks into clear, actionable steps. Be concise but thorough. Focus on practical solutions.'
-    : 'You are a helpful assistant that answers questions clearly and concisely. Provide accurate, well-structured information. If you\'re unsure about something, say so.';
-
-  const messages = [
-    ...conversationHistory,
-    { role: 'user', content: message }
-  ];
+  let fullText = '';
 
   try {
-    const response = await fetch(ANTHROPIC_API_ENDPOINT, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01',
-        'anthropic-dangerous-direct-browser-access': 'true'
-      },
-      body: JSON.stringify({
-        model: ANTHROPIC_MODEL,
-        max_tokens: ANTHROPIC_MAX_TOKENS,
-        system: systemPrompt,
-        messages,
-        stream: true
-      }),
-      signal
+    const provider = createProvider({
+      provider: model.provider,
+      model: model.id,
+      apiKey: getApiKey(),
+      endpoint: model.endpoint,
+      headers: model.provider === 'anthropic'
+        ? { 'anthropic-dangerous-direct-browser-access': 'true' }
+        : {}
     });
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      const error = new Error(errorData.error?.message || `HTTP ${response.status}`);
-      error.status = response.status;
-      error.type = errorData.error?.type;
-      throw error;
-    }
-
-    // Parse SSE stream
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    let fullText = '';
-    let buffer = '';
-
-    while (true) {
-      const { done, value } = await reader.read();
-
-      if (done) {
-        break;
-      }
-
-      buffer += decoder.decode(value, { stream: true });
-
-      // Process complete SSE events
-      const lines = buffer.split('\n');
-      buffer = lines.pop() || '';
-
-      for (const line of lines) {
-        if (line.startsWith('data: ')) {
-          const data = line.slice(6);
-
-          if (data === '[DONE]') {
-            continue;
-          }
-
-          try {
-            const event = JSON.parse(data);
-
-            if (event.type === 'content_block_delta' && event.delta?.text) {
-              const chunk = event.delta.text;
-              fullText += chunk;
-              onChunk?.(chunk, fullText);
-            }
-
-            if (event.type === 'message_stop') {
-              onComplete?.(fullText);
-              return;
-            }
+    const events = provider.stream({
+      system: SYSTEM_PROMPTS[mode] || SYSTEM_PROMPTS.Ask,
+      messages: [
+        ...conversationHistory,
+        { role: 'user', content: message }
+      ],
+      maxTokens: ANTHROPIC_MAX_TOKENS,
+      signal
+    });
 
-            if (event.type === 'error') {
-              throw new Error(event.error?.message || 'Stream error');
-            }
-          } catch (parseError) {
-            if (data.trim() && !data.startsWith('event:')) {
-              console.warn('Failed to parse SSE data:', data);
-            }
-          }
-        }
+    for await (const event of events) {
+      if (event.type === 'text') {
+        fullText += event.text;
+        onChunk?.(event.text, fullText);
       }
     }
 
@@ -200,95 +129,37 @@ async function sendAnthropicMessage({ message, mode, conversationHistory, onChun
 }
 
 // ========================================
-// Groq Provider (OpenAI-compatible)
+// Embeddings
 // ========================================
 
-async function sendGroqMessage({ message, mode, conversationHistory, onChunk, onComplete, onError, signal, apiKey, model }) {
-  const systemPrompt = mode === 'Agent'
-    ? 'You are a helpful assistant that helps users accomplish tasks. Break down complex tasks into clear, actionable steps. Be concise but thorough. Focus on practical solutions.'
-    : 'You are a helpful assistant that answers questions clearly and concisely. Provide accurate, well-structured information. If you\'re unsure about something, say so.';
-
-  const messages = [
-    { role: 'system', content: systemPrompt },
-    ...conversationHistory,
-    { role: 'user', content: message }
-  ];
-
-  try {
-    const response = await fetch(GROQ_API_ENDPOINT, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify({
-        model: model.id,
-        max_tokens: ANTHROPIC_MAX_TOKENS,
-        messages,
-        stream: true
-      }),
-      signal
-    });
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      const error = new Error(errorData.error?.message || `HTTP ${response.status}`);
-      error.status = response.status;
-      throw error;
-    }
-
-    // Parse OpenAI-style SSE stream
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    let fullText = '';
-    let buffer = '';
-
-    while (true) {
-      const { done, value } = await reader.read();
-
-      if (done) {
-        break;
-      }
-
-      buffer += decoder.decode(value, { stream: true });
-
-      const lines = buffer.split('\n');
-      buffer = lines.pop() || '';
-
-      for (const line of lines) {
-        if (line.startsWith('data: ')) {
-          const data = line.slice(6);
-
-          if (data === '[DONE]') {
-            onComplete?.(fullText);
-            return;
-          }
-
-          try {
-            const event = JSON.parse(data);
-            const content = event.choices?.[0]?.delta?.content;
-
-            if (content) {
-              fullText += content;
-              onChunk?.(content, fullText);
-            }
-          } catch (parseError) {
-            if (data.trim()) {
-              console.warn('Failed to parse SSE data:', data);
-            }
-          }
-        }
-      }
-    }
-
-    onComplete?.(fullText);
+/**
+ * Whether an embedding model is configured (RETRIEVAL_EMBEDDING_MODEL)
+ * @returns {boolean}
+ */
+export function hasEmbeddings() {
+  return Boolean(RETRIEVAL_EMBEDDING_MODEL);
+}
 
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      return;
-    }
-    onError?.(error);
+/**
+ * Embed texts with the configured embedding model
+ * @param {Array<string>} texts
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Array<Array<number>>>} One vector per text
+ * @throws {Error} If no embedding model is configured or the request fails
+ */
+export async function embed(texts, { signal } = {}) {
+  if (!RETRIEVAL_EMBEDDING_MODEL) {
+    throw new Error('No embedding model configured');
   }
+
+  const { provider, id, endpoint } = RETRIEVAL_EMBEDDING_MODEL;
+  return createProvider({
+    provider,
+    model: id,
+    apiKey: getApiKey(provider),
+    endpoint
+  }).embed(texts, { signal });
 }
 
 // ========================================
@@ -299,5 +170,7 @@ export default {
   getApiKey,
   hasApiKey,
   getSelectedModelConfig,
-  sendMessage
+  sendMessage,
+  hasEmbeddings,
+  embed
 };
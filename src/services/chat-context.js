@@ -2,19 +2,25 @@
  * Chat Context Service
  *
  * Manages conversation history for the agent panel.
+ *
+ * For conversations stored on the agent server, load() replaces the
+ * history with the server's context: a running summary of older turns
+ * plus the recent messages.
  */
 
 // ========================================
 // Constants
 // ========================================
 
-const MAX_MESSAGES = 20;
+// Only reached when the agent server can't summarize (e.g. it's offline)
+const MAX_MESSAGES = 60;
 
 // ========================================
 // State
 // ========================================
 
 let conversationHistory = [];
+let summary = null;
 
 // ========================================
 // Public API
@@ -25,7 +31,22 @@ let conversationHistory = [];
  * @returns {Array<{role: string, content: string}>}
  */
 export function getConversationHistory() {
-  return [...conversationHistory];
+  if (!summary) return [...conversationHistory];
+
+  return [
+    { role: 'user', content: `Summary of our conversation so far:\n\n${summary}` },
+    { role: 'assistant', content: 'Got it, I have the earlier context.' },
+    ...conversationHistory
+  ];
+}
+
+/**
+ * Replace the history with a stored conversation's context
+ * @param {{summary: string|null, messages: Array<{role: string, content: string}>}} context
+ */
+export function load(context) {
+  summary = context.summary || null;
+  conversationHistory = context.messages.map(({ role, content }) => ({ role, content }));
 }
 
 /**
@@ -49,6 +70,7 @@ export function addMessage(role, content) {
  */
 export function clearHistory() {
   conversationHistory = [];
+  summary = null;
 }
 
 /**
@@ -66,6 +88,7 @@ export function getMessageCount() {
 export default {
   getConversationHistory,
   addMessage,
+  load,
   clearHistory,
   getMessageCount
 };
@@ -0,0 +1,152 @@
+/**
+ * Clarity Service
+ *
+ * Clarity scores for objectives and priorities (see shared/clarity.mjs),
+ * scored in the Electron main process over the calculate-clarity IPC.
+ * Results are cached in localStorage by content key, so an item is only
+ * rescored when its name or description changes. Requests go one at a
+ * time, so opening an objective doesn't fire one per priority at once.
+ */
+
+import { clarityKey } from '../../shared/clarity.mjs';
+
+// ========================================
+// Constants
+// ========================================
+
+const CACHE_KEY = 'layer-clarity-cache';
+const MAX_CACHE_ENTRIES = 500;
+
+// Cache hits only reorder it in memory; the new order is saved this long
+// after the first, so rendering a list of badges writes once
+const RECENCY_SAVE_DELAY_MS = 2000;
+
+// ========================================
+// State
+// ========================================
+
+let cache = null; // key -> { score, label, issues, rewrite }, least recently used first
+let lastUsedKey = null;
+let recencySaveTimer = null;
+const pending = new Map(); // key -> Promise
+let queue = Promise.resolve();
+
+// ========================================
+// Cache
+// ========================================
+
+function getCache() {
+  if (cache) return cache;
+  cache = new Map();
+  try {
+    const stored = JSON.parse(localStorage.getItem(CACHE_KEY) || '[]');
+    if (Array.isArray(stored)) cache = new Map(stored);
+  } catch (e) {
+    console.warn('Failed to load clarity cache:', e);
+  }
+  return cache;
+}
+
+function saveCache() {
+  clearTimeout(recencySaveTimer);
+  recencySaveTimer = null;
+
+  // Least recently used entries go first once the cache is full
+  const entries = [...getCache()].slice(-MAX_CACHE_ENTRIES);
+  cache = new Map(entries);
+  try {
+    localStorage.setItem(CACHE_KEY, JSON.stringify(entries));
+  } catch (e) {
+    console.warn('Failed to save clarity cache:', e);
+  }
+}
+
+/**
+ * A cached score, moved to the end of the cache so it's evicted last
+ */
+function useCached(key) {
+  const cached = getCache().get(key);
+  if (!cached) return null;
+
+  if (key !== lastUsedKey) {
+    lastUsedKey = key;
+    cache.delete(key);
+    cache.set(key, cached);
+    recencySaveTimer ??= setTimeout(saveCache, RECENCY_SAVE_DELAY_MS);
+  }
+  return cached;
+}
+
+// ========================================
+// Public API
+// ========================================
+
+/**
+ * Whether clarity can be scored here (the Electron app only)
+ * @returns {boolean}
+ */
+export function isAvailable() {
+  return typeof window !== 'undefined' && !!window.electronAPI?.calculateClarity;
+}
+
+/**
+ * An item's clarity, if its current content has been scored
+ * @param {{name: string, description?: string}} item
+ * @returns {{score: number, label: string, issues: Array<string>, rewrite: string|null}|null}
+ */
+export function getCachedClarity(item) {
+  return useCached(clarityKey(item.name, item.description));
+}
+
+/**
+ * An item's clarity, scoring it if its current content hasn't been
+ * @param {{name: string, description?: string}} item
+ * @returns {Promise<{score: number, label: string, issues: Array<string>, rewrite: string|null}|null>}
+ *   null if clarity is unavailable or scoring failed
+ */
+export function getClarity(item) {
+  if (!isAvailable() || !item?.name?.trim()) return Promise.resolve(null);
+
+  const key = clarityKey(item.name, item.description);
+  const cached = useCached(key);
+  if (cached) return Promise.resolve(cached);
+  if (pending.has(key)) return pending.get(key);
+
+  const { name, description = '' } = item;
+  const request = queue.then(() => window.electronAPI.calculateClarity(name, description))
+    .then((result) => {
+      if (!result || result.error || result.score == null) {
+        if (result?.error) console.warn('Clarity scoring failed:', result.error);
+        return null;
+      }
+      const clarity = {
+        score: result.score,
+        label: result.label,
+        issues: result.issues || [],
+        rewrite: result.rewrite || null
+      };
+      getCache().set(key, clarity);
+      lastUsedKey = key;
+      saveCache();
+      return clarity;
+    })
+    .catch((error) => {
+      console.warn('Clarity scoring failed:', error);
+      return null;
+    })
+    .finally(() => pending.delete(key));
+
+  pending.set(key, request);
+  queue = request;
+  return request;
+}
+
+// ========================================
+// Default Export
+// ========================================
+
+export default {
+  isAvailable,
+  getCachedClarity,
+  getClarity
+};
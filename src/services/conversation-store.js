@@ -0,0 +1,175 @@
+/**
+ * Conversation Store Service
+ *
+ * Client for the agent server's stored conversations. Chat tabs keep their
+ * messages in localStorage for instant rendering; a tab whose conversation
+ * is stored on the server (tab.stored) also gets its model context (the
+ * running summary plus recent messages) from there.
+ */
+
+// ========================================
+// Constants
+// ========================================
+
+const CONVERSATIONS_API_URL = 'http://localhost:3001/api/conversations';
+
+// ========================================
+// Requests
+// ========================================
+
+async function request(path, { method = 'GET', body } = {}) {
+  const response = await fetch(CONVERSATIONS_API_URL + path, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data.error || `Server error: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Stored conversations, most recently updated first
+ * @param {string} [query] - Search titles and messages
+ * @returns {Promise<Array<{id, title, mode, createdAt, updatedAt, messageCount, preview}>>}
+ */
+export function listConversations(query = '') {
+  return request(query ? `?q=${encodeURIComponent(query)}` : '');
+}
+
+/**
+ * A whole stored conversation
+ * @param {string} id
+ * @returns {Promise<Object>}
+ */
+export function getConversation(id) {
+  return request(`/${encodeURIComponent(id)}`);
+}
+
+/**
+ * The model context for a conversation
+ * @param {string} id
+ * @returns {Promise<{summary: string|null, messages: Array<{role, content}>}>}
+ */
+export function getContext(id) {
+  return request(`/${encodeURIComponent(id)}/context`);
+}
+
+/**
+ * Add messages to a conversation (created if it doesn't exist)
+ * @param {string} id
+ * @param {Array<Object>} messages - Chat messages (see toStoredMessage)
+ * @param {{title?: string, mode?: string, model?: {provider: string, id: string}}} [fields] - model also summarizes it
+ * @returns {Promise<{summary: string|null, messages: Array<{role, content}>}>} The updated context
+ */
+export function appendMessages(id, messages, fields = {}) {
+  return request(`/${encodeURIComponent(id)}/messages`, {
+    method: 'POST',
+    body: { messages: messages.map(toStoredMessage), ...fields }
+  });
+}
+
+/**
+ * Rename a stored conversation
+ * @param {string} id
+ * @param {string} title
+ */
+export function renameConversation(id, title) {
+  return request(`/${encodeURIComponent(id)}`, { method: 'PATCH', body: { title } });
+}
+
+/**
+ * Delete a stored conversation
+ * @param {string} id
+ */
+export function deleteConversation(id) {
+  return request(`/${encodeURIComponent(id)}`, { method: 'DELETE' });
+}
+
+/**
+ * Make sure a chat tab's conversation is on the server
+ * The first time, the tab's existing messages are copied up with it.
+ * @param {Object} tab - Chat tab with conversationId, title, mode, messages
+ * @returns {Promise<boolean>} Whether the conversation is stored
+ */
+export async function ensureStored(tab) {
+  if (tab.stored) return true;
+
+  try {
+    await request('', {
+      method: 'POST',
+      body: {
+        id: tab.conversationId,
+        title: tab.title === 'New Chat' ? '' : tab.title,
+        mode: tab.mode,
+        messages: tab.messages.map(toStoredMessage)
+      }
+    });
+  } catch (err) {
+    // 409: already stored (e.g. by another window)
+    if (err.status !== 409) {
+      console.warn('Conversation not stored on the agent server:', err.message);
+      return false;
+    }
+  }
+
+  tab.stored = true;
+  return true;
+}
+
+// ========================================
+// Message Conversion
+// ========================================
+
+/**
+ * Chat message -> stored message
+ * @param {{id, role, content, context?, timestamp, changeset?}} message - context is the text the model saw, if it differs
+ */
+export function toStoredMessage(message) {
+  return {
+    id: message.id,
+    role: message.role,
+    content: message.context ?? message.content,
+    display: message.content,
+    timestamp: message.timestamp,
+    ...(message.changeset && { changeset: message.changeset }),
+    ...(message.sources && { sources: message.sources }),
+    ...(message.references && { references: message.references })
+  };
+}
+
+/**
+ * Stored message -> chat message
+ */
+export function fromStoredMessage(message) {
+  return {
+    id: message.id,
+    role: message.role,
+    content: message.display ?? message.content,
+    timestamp: message.timestamp,
+    ...(message.changeset && { changeset: message.changeset }),
+    ...(message.sources && { sources: message.sources }),
+    ...(message.references && { references: message.references })
+  };
+}
+
+// ========================================
+// Default Export
+// ========================================
+
+export default {
+  listConversations,
+  getConversation,
+  getContext,
+  appendMessages,
+  renameConversation,
+  deleteConversation,
+  ensureStored,
+  toStoredMessage,
+  fromStoredMessage
+};
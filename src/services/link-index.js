@@ -0,0 +1,337 @@
+/**
+ * Link Index Service
+ *
+ * Tracks [[wiki-links]] between items so notes and objectives can show
+ * their backlinks. Notes (content), objectives (description, priorities,
+ * steps) and tasks (name) can hold links; any named item can be a target.
+ *
+ * Kept current the same way as the search index: records arrive one at a
+ * time from Repository.onRecordChange, and whole collections on load.
+ * Local renames are reported to onRename listeners so links can follow.
+ */
+
+import { COLLECTION_TYPES } from './search-index.js';
+import * as EditorJsToMarkdown from '../utils/editorjs-to-markdown.js';
+import { findWikiLinks } from '../utils/wiki-links.js';
+
+// ========================================
+// Constants
+// ========================================
+
+// Unprefixed [[Name]] links resolve to the first type with a match
+const RESOLVE_ORDER = ['note', 'objective', 'task-list', 'task', 'folder'];
+
+const CONTEXT_LENGTH = 120;
+
+/**
+ * Per-collection: record → text that may contain links
+ */
+const LINK_TEXT = {
+  objectives: (obj) => [
+    obj.description,
+    ...(obj.priorities || []).flatMap(p => [p.name, p.description]),
+    ...(obj.steps || []).map(s => s.name),
+    obj.nextStep?.text
+  ].filter(Boolean).join('\n'),
+  notes: (note) => EditorJsToMarkdown.isEditorJsFormat(note.content)
+    ? EditorJsToMarkdown.convert(note.content)
+    : note.content || '',
+  tasks: (task) => task.name || ''
+};
+
+// ========================================
+// State
+// ========================================
+
+// Linkable items by `${type}:${id}` → { key, type, id, name, parentId }
+const items = new Map();
+
+// Lowercase name → Set of item keys
+const byName = new Map();
+
+// Items holding links by key → { key, type, id, record, links: [{ type, name, context }] }
+const sources = new Map();
+
+const renameListeners = [];
+
+// ========================================
+// Indexing
+// ========================================
+
+/**
+ * Add or replace a record
+ * @param {string} collection - Local store collection name
+ * @param {Object} record
+ */
+export function indexRecord(collection, record) {
+  const type = COLLECTION_TYPES[collection];
+  if (!type || type === 'bookmark' || !record?.id) return;
+
+  const key = `${type}:${record.id}`;
+  removeItem(key);
+
+  const name = (record.name || '').trim();
+  items.set(key, {
+    key,
+    type,
+    id: record.id,
+    name,
+    parentId: (type === 'task' ? record.taskListId : type === 'folder' ? record.parentId : record.folderId) || null
+  });
+  if (name) {
+    const lower = name.toLowerCase();
+    if (!byName.has(lower)) byName.set(lower, new Set());
+    byName.get(lower).add(key);
+  }
+
+  const getText = LINK_TEXT[collection];
+  if (getText) {
+    const text = getText(record);
+    const links = findWikiLinks(text).map(link => ({
+      type: link.type,
+      name: link.name,
+      context: lineAround(text, link.from)
+    }));
+    if (links.length > 0) {
+      sources.set(key, { key, type, id: record.id, record, links });
+    }
+  }
+}
+
+/**
+ * Drop a record
+ */
+function removeItem(key) {
+  const item = items.get(key);
+  if (item?.name) {
+    const keys = byName.get(item.name.toLowerCase());
+    keys?.delete(key);
+    if (keys?.size === 0) byName.delete(item.name.toLowerCase());
+  }
+  items.delete(key);
+  sources.delete(key);
+}
+
+/**
+ * Apply a single saved or deleted record
+ * Reports renames to onRename listeners.
+ * @param {string} collection - Local store collection name
+ * @param {string} id - Record ID
+ * @param {Object|null} record - Saved record, or null when deleted
+ */
+export function updateRecord(collection, id, record) {
+  const type = COLLECTION_TYPES[collection];
+  if (!type) return;
+
+  const key = `${type}:${id}`;
+  const previous = items.get(key);
+
+  if (!record) {
+    removeItem(key);
+    return;
+  }
+
+  indexRecord(collection, record);
+
+  const name = (record.name || '').trim();
+  if (previous?.name && name && previous.name !== name) {
+    for (const listener of renameListeners) {
+      try {
+        listener({ type, id, oldName: previous.name, newName: name });
+      } catch (err) {
+        console.error('Rename listener failed:', err);
+      }
+    }
+  }
+}
+
+/**
+ * Make the index match a freshly loaded collection
+ * @param {string} collection - Local store collection name
+ * @param {Array} records - Every record in the collection
+ */
+export function syncCollection(collection, records) {
+  const type = COLLECTION_TYPES[collection];
+  if (!type) return;
+
+  const present = new Set();
+  for (const record of records) {
+    if (!record?.id) continue;
+    present.add(`${type}:${record.id}`);
+    indexRecord(collection, record);
+  }
+
+  for (const [key, item] of items) {
+    if (item.type === type && !present.has(key)) {
+      removeItem(key);
+    }
+  }
+}
+
+/**
+ * Subscribe to local renames
+ * @param {Function} listener - Called with { type, id, oldName, newName }
+ * @returns {Function} Unsubscribe
+ */
+export function onRename(listener) {
+  renameListeners.push(listener);
+  return () => {
+    const index = renameListeners.indexOf(listener);
+    if (index !== -1) renameListeners.splice(index, 1);
+  };
+}
+
+// ========================================
+// Queries
+// ========================================
+
+/**
+ * Find the item a link points at
+ * @param {{type: string|null, name: string}} link
+ * @returns {Object|null} { key, type, id, name, parentId }
+ */
+export function resolveLink(link) {
+  const keys = byName.get((link.name || '').trim().toLowerCase());
+  if (!keys) return null;
+
+  const candidates = [...keys].map(key => items.get(key));
+  if (link.type) {
+    return candidates.find(item => item.type === link.type) || null;
+  }
+  for (const type of RESOLVE_ORDER) {
+    const match = candidates.find(item => item.type === type);
+    if (match) return match;
+  }
+  return null;
+}
+
+/**
+ * Items that link to an item
+ * @param {string} type
+ * @param {string} id
+ * @returns {Array<{type, id, name, parentId, context}>} One entry per linking item
+ */
+export function getBacklinks(type, id) {
+  const targetKey = `${type}:${id}`;
+  const backlinks = [];
+
+  for (const source of sources.values()) {
+    if (source.key === targetKey) continue;
+    const link = source.links.find(l => resolveLink(l)?.key === targetKey);
+    if (!link) continue;
+
+    const item = items.get(source.key);
+    backlinks.push({
+      type: source.type,
+      id: source.id,
+      name: item?.name || '',
+      parentId: item?.parentId || null,
+      context: link.context
+    });
+  }
+
+  return backlinks.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Every link that resolves, once per linking item and target
+ * @returns {Array<{source: {type, id}, target: {type, id}}>}
+ */
+export function getLinkEdges() {
+  const edges = [];
+
+  for (const source of sources.values()) {
+    const targets = new Set();
+    for (const link of source.links) {
+      const target = resolveLink(link);
+      if (!target || target.key === source.key || targets.has(target.key)) continue;
+      targets.add(target.key);
+      edges.push({
+        source: { type: source.type, id: source.id },
+        target: { type: target.type, id: target.id }
+      });
+    }
+  }
+
+  return edges;
+}
+
+/**
+ * Items holding a link with a given name (for rewriting after a rename)
+ * @param {string} type - Type of the renamed item
+ * @param {string} name - The name links used
+ * @returns {Array<{type, id, record}>}
+ */
+export function findLinkingSources(type, name) {
+  const lower = name.toLowerCase();
+  // Unprefixed links follow the rename only if nothing else now has the old name
+  const stillNamed = byName.has(lower);
+
+  return [...sources.values()]
+    .filter(source => source.links.some(link =>
+      link.name.toLowerCase() === lower &&
+      (link.type === type || (!link.type && !stillNamed))
+    ))
+    .map(({ type: sourceType, id, record }) => ({ type: sourceType, id, record }));
+}
+
+/**
+ * Items whose names match what's been typed, for link autocomplete
+ * @param {string} query - Partial name
+ * @param {Object} [options]
+ * @param {string} [options.type] - Only this type
+ * @param {number} [options.limit=20]
+ * @returns {Array<{type, id, name, parentId}>} Prefix matches first
+ */
+export function findLinkTargets(query, { type = null, limit = 20 } = {}) {
+  const lower = (query || '').trim().toLowerCase();
+
+  return [...items.values()]
+    .filter(item => item.name && (!type || item.type === type))
+    .map(item => {
+      const index = item.name.toLowerCase().indexOf(lower);
+      return { item, rank: index === 0 ? 0 : index > 0 ? 1 : -1 };
+    })
+    .filter(({ rank }) => rank >= 0)
+    .sort((a, b) => a.rank - b.rank ||
+      RESOLVE_ORDER.indexOf(a.item.type) - RESOLVE_ORDER.indexOf(b.item.type) ||
+      a.item.name.localeCompare(b.item.name))
+    .slice(0, limit)
+    .map(({ item }) => item);
+}
+
+// ========================================
+// Helpers
+// ========================================
+
+/**
+ * The line of text around an offset, trimmed to a readable length
+ */
+function lineAround(text, offset) {
+  const start = text.lastIndexOf('\n', offset) + 1;
+  const end = text.indexOf('\n', offset);
+  let line = text.slice(start, end === -1 ? undefined : end).trim();
+
+  if (line.length > CONTEXT_LENGTH) {
+    const linkAt = offset - start;
+    const from = Math.max(0, Math.min(linkAt - CONTEXT_LENGTH / 3, line.length - CONTEXT_LENGTH));
+    line = (from > 0 ? '…' : '') + line.slice(from, from + CONTEXT_LENGTH).trim() + '…';
+  }
+  return line;
+}
+
+// ========================================
+// Default Export
+// ========================================
+
+export default {
+  indexRecord,
+  updateRecord,
+  syncCollection,
+  onRename,
+  resolveLink,
+  getBacklinks,
+  getLinkEdges,
+  findLinkingSources,
+  findLinkTargets
+};
@@ -0,0 +1,437 @@
+/**
+ * Retrieval Service
+ *
+ * Finds the passages of the user's notes, objectives and task lists that
+ * best answer an Ask mode question, so they can be sent with the question
+ * and cited in the reply with links back to where they came from.
+ *
+ * Items are split into passages (notes at headings and paragraph breaks)
+ * and ranked with BM25. When an embedding model is configured
+ * (RETRIEVAL_EMBEDDING_MODEL in config.js), the keyword ranking is fused
+ * with a ranking by embedding similarity, so passages that say the same
+ * thing in other words are found too.
+ */
+
+import * as Repository from '../data/repository.js';
+import * as AnthropicService from './anthropic-service.js';
+import * as EditorJsToMarkdown from '../utils/editorjs-to-markdown.js';
+import { toPlainText, tokenize } from './search-index.js';
+import { getItemURL } from '../router.js';
+
+// ========================================
+// Constants
+// ========================================
+
+// Passages are cut at paragraph breaks once they reach this many characters
+const PASSAGE_LENGTH = 1200;
+
+// Passages sent with a question
+const MAX_PASSAGES = 5;
+
+// Steps of an objective included in its passage, most recent first
+const MAX_OBJECTIVE_STEPS = 20;
+
+// How long loaded items are reused before reloading
+const SOURCE_TTL_MS = 60 * 1000;
+
+// BM25 tuning (as in search-index.js)
+const K1 = 1.2;
+const B = 0.75;
+
+// Reciprocal rank fusion: higher flattens the difference between ranks
+const RRF_K = 60;
+
+// Candidates taken from each ranking before fusing
+const CANDIDATES = 30;
+
+// Embedding similarity below this doesn't count as a match
+const MIN_SIMILARITY = 0.3;
+
+const EMBED_BATCH_SIZE = 64;
+
+// Question words that would match nearly any passage
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'did', 'do', 'does',
+  'for', 'from', 'have', 'how', 'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on',
+  'or', 'should', 'that', 'the', 'this', 'to', 'was', 'we', 'what', 'when',
+  'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your'
+]);
+
+// How each source is named in the prompt
+const TYPE_LABELS = {
+  note: 'Note',
+  objective: 'Objective',
+  'task-list': 'Task list'
+};
+
+// ========================================
+// State
+// ========================================
+
+// { passages, stats, loadedAt } for the last load
+let corpus = null;
+let loading = null;
+
+// Passage text -> embedding vector
+const embeddings = new Map();
+
+// ========================================
+// Passages
+// ========================================
+
+/**
+ * Note content as markdown, converting legacy Editor.js JSON first
+ */
+function noteMarkdown(content) {
+  if (EditorJsToMarkdown.isEditorJsFormat(content)) {
+    return EditorJsToMarkdown.convert(content);
+  }
+  return content || '';
+}
+
+/**
+ * Split a note at headings, and at paragraph breaks once a passage is long
+ * @returns {Array<{heading: string|null, text: string}>}
+ */
+function splitNote(markdown) {
+  const sections = [];
+  let heading = null;
+  let lines = [];
+  let length = 0;
+
+  const flush = () => {
+    const text = toPlainText(lines.join('\n')).trim();
+    if (text) sections.push({ heading, text });
+    lines = [];
+    length = 0;
+  };
+
+  for (const line of markdown.split('\n')) {
+    const match = line.match(/^#{1,6}\s+(.+?)\s*#*$/);
+    if (match) {
+      flush();
+      heading = toPlainText(match[1]).trim() || null;
+      continue;
+    }
+    // Cut at a paragraph break once long enough, or mid-paragraph if it runs on
+    if ((!line.trim() && length >= PASSAGE_LENGTH) || length >= PASSAGE_LENGTH * 2) flush();
+    lines.push(line);
+    length += line.length + 1;
+  }
+  flush();
+
+  return sections;
+}
+
+/**
+ * Cut text into passages at line breaks
+ */
+function splitLines(text) {
+  const parts = [];
+  let current = '';
+  for (const line of text.split('\n')) {
+    if (current && current.length + line.length > PASSAGE_LENGTH) {
+      parts.push(current);
+      current = '';
+    }
+    current += (current ? '\n' : '') + line;
+  }
+  if (current.trim()) parts.push(current);
+  return parts;
+}
+
+function objectiveText(objective) {
+  const lines = [];
+  if (objective.description) lines.push(objective.description);
+  for (const priority of objective.priorities || []) {
+    lines.push(`Priority: ${priority.name}${priority.description ? ` - ${priority.description}` : ''}`);
+  }
+  if (objective.nextStep?.text) lines.push(`Next step: ${objective.nextStep.text}`);
+  const steps = [...(objective.steps || [])].reverse().slice(0, MAX_OBJECTIVE_STEPS);
+  for (const step of steps) {
+    lines.push(`Step: ${step.name}${step.status ? ` (${step.status})` : ''}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Every passage from the user's items
+ * @returns {Array<{type, itemId, title, heading, text, url}>}
+ */
+function buildPassages({ notes, objectives, taskLists, tasks }) {
+  const passages = [];
+  const add = (type, item, heading, text) => {
+    passages.push({
+      type,
+      itemId: item.id,
+      title: item.name || 'Untitled',
+      heading,
+      text,
+      url: getItemURL(type, item.id, heading)
+    });
+  };
+
+  for (const note of notes) {
+    const sections = splitNote(noteMarkdown(note.content));
+    for (const { heading, text } of sections) add('note', note, heading, text);
+  }
+
+  for (const objective of objectives) {
+    const parts = splitLines(objectiveText(objective));
+    for (const text of parts) add('objective', objective, null, text);
+  }
+
+  const tasksByList = new Map();
+  for (const task of tasks) {
+    if (!tasksByList.has(task.taskListId)) tasksByList.set(task.taskListId, []);
+    tasksByList.get(task.taskListId).push(task);
+  }
+  for (const taskList of taskLists) {
+    const lines = (tasksByList.get(taskList.id) || [])
+      .sort((a, b) => (a.orderIndex || 0) - (b.orderIndex || 0))
+      .map(task => `${task.completed ? '[x]' : '[ ]'} ${task.name}`);
+    const parts = splitLines(lines.join('\n'));
+    for (const text of parts) add('task-list', taskList, null, text);
+  }
+
+  return passages;
+}
+
+// ========================================
+// Index
+// ========================================
+
+/**
+ * Term counts per passage, plus what BM25 needs across them
+ */
+function indexPassages(passages) {
+  const documentFrequency = new Map();
+  let totalLength = 0;
+
+  for (const passage of passages) {
+    // The item's title (and heading) count as part of every passage
+    const tokens = tokenize(`${passage.title} ${passage.heading || ''} ${passage.text}`);
+    const counts = new Map();
+    for (const token of tokens) counts.set(token, (counts.get(token) || 0) + 1);
+
+    passage.terms = counts;
+    passage.length = tokens.length;
+    totalLength += tokens.length;
+    for (const term of counts.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  return {
+    documentFrequency,
+    averageLength: passages.length ? totalLength / passages.length : 0
+  };
+}
+
+/**
+ * Passages from the user's items, reloaded once they're SOURCE_TTL_MS old
+ */
+async function getCorpus() {
+  if (corpus && Date.now() - corpus.loadedAt < SOURCE_TTL_MS) return corpus;
+  if (loading) return loading;
+
+  loading = (async () => {
+    const [notes, taskLists, tasks] = await Promise.all([
+      Repository.loadAllNotes(),
+      Repository.loadAllTaskLists(),
+      Repository.loadAllTasks()
+    ]);
+    const objectives = Repository.loadData().objectives || [];
+
+    const passages = buildPassages({ notes, objectives, taskLists, tasks });
+    corpus = { passages, stats: indexPassages(passages), loadedAt: Date.now() };
+    return corpus;
+  })();
+
+  try {
+    return await loading;
+  } finally {
+    loading = null;
+  }
+}
+
+/**
+ * Drop the loaded items so the next question reloads them
+ */
+export function invalidate() {
+  corpus = null;
+}
+
+// ========================================
+// Ranking
+// ========================================
+
+/**
+ * BM25 over passages; a passage needs to match any one query word
+ * @returns {Array<{passage, score}>} Best first, matches only
+ */
+function rankByKeywords({ passages, stats }, question) {
+  const queryTerms = [...new Set(tokenize(question))].filter(term => !STOP_WORDS.has(term));
+  const total = passages.length;
+
+  return passages
+    .map(passage => {
+      let score = 0;
+      for (const term of queryTerms) {
+        const tf = passage.terms.get(term);
+        if (!tf) continue;
+        const df = stats.documentFrequency.get(term);
+        const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+        const norm = 1 - B + B * (passage.length / (stats.averageLength || 1));
+        score += idf * (tf * (K1 + 1)) / (tf + K1 * norm);
+      }
+      return { passage, score };
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Passages ranked by embedding similarity to the question
+ * Passage vectors are cached by text, so only new or edited passages are embedded.
+ * @returns {Promise<Array<{passage, score}>>} Best first, above MIN_SIMILARITY
+ */
+async function rankByEmbeddings({ passages }, question, signal) {
+  const texts = passages.map(passageText);
+  const missing = [...new Set(texts.filter(text => !embeddings.has(text)))];
+
+  for (let i = 0; i < missing.length; i += EMBED_BATCH_SIZE) {
+    const batch = missing.slice(i, i + EMBED_BATCH_SIZE);
+    const vectors = await AnthropicService.embed(batch, { signal });
+    batch.forEach((text, j) => embeddings.set(text, vectors[j]));
+  }
+
+  const [queryVector] = await AnthropicService.embed([question], { signal });
+
+  return passages
+    .map((passage, i) => ({ passage, score: cosine(queryVector, embeddings.get(texts[i])) }))
+    .filter(({ score }) => score >= MIN_SIMILARITY)
+    .sort((a, b) => b.score - a.score);
+}
+
+function passageText(passage) {
+  return [passage.title, passage.heading, passage.text].filter(Boolean).join('\n');
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Merge rankings by summing 1 / (RRF_K + rank) per passage
+ */
+function fuseRankings(rankings) {
+  const scores = new Map();
+  for (const ranking of rankings) {
+    ranking.slice(0, CANDIDATES).forEach(({ passage }, rank) => {
+      scores.set(passage, (scores.get(passage) || 0) + 1 / (RRF_K + rank + 1));
+    });
+  }
+  return [...scores.entries()]
+    .map(([passage, score]) => ({ passage, score }))
+    .sort((a, b) => b.score - a.score);
+}
+
+// ========================================
+// Retrieval
+// ========================================
+
+/**
+ * The passages that best answer a question
+ * Falls back to keyword ranking alone if embedding fails.
+ * @param {string} question
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Array<{n, type, itemId, title, heading, text, url}>>} Numbered from 1
+ */
+export async function retrieve(question, { limit = MAX_PASSAGES, signal } = {}) {
+  if (!question?.trim()) return [];
+
+  const loaded = await getCorpus();
+  let ranked = rankByKeywords(loaded, question);
+
+  if (AnthropicService.hasEmbeddings()) {
+    try {
+      ranked = fuseRankings([ranked, await rankByEmbeddings(loaded, question, signal)]);
+    } catch (err) {
+      if (err.name === 'AbortError') throw err;
+      console.warn('Embedding retrieval failed, using keywords only:', err.message);
+    }
+  }
+
+  return ranked
+    .filter(({ passage }) => passage.text)
+    .slice(0, limit)
+    .map(({ passage }, i) => ({
+      n: i + 1,
+      type: passage.type,
+      itemId: passage.itemId,
+      title: passage.title,
+      heading: passage.heading,
+      text: passage.text,
+      url: passage.url
+    }));
+}
+
+/**
+ * Passages as a block to put before the question
+ * @param {Array} passages - From retrieve
+ * @returns {string} '' when there are none
+ */
+export function formatPassagesForPrompt(passages) {
+  if (passages.length === 0) return '';
+
+  const blocks = passages.map(passage => {
+    const source = passage.heading ? `${passage.title} > ${passage.heading}` : passage.title;
+    return `[${passage.n}] ${TYPE_LABELS[passage.type]}: ${source}\n${passage.text}`;
+  });
+
+  return '--- Retrieved From Your Notes ---\n' +
+    'These passages from the user\'s notes, objectives and task lists may help. ' +
+    'When you use one, cite it by number in square brackets, like [1]. ' +
+    'Ignore any that aren\'t relevant.\n\n' +
+    blocks.join('\n\n') +
+    '\n--- End Retrieved ---\n\n';
+}
+
+/**
+ * The passages a reply cites, as sources to keep with the message
+ * @param {string} text - The reply
+ * @param {Array} passages - From retrieve
+ * @returns {Array<{n, type, id, title, heading, url}>}
+ */
+export function getCitedSources(text, passages) {
+  const cited = new Set();
+  for (const match of text.matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+    match[1].split(',').forEach(n => cited.add(Number(n)));
+  }
+
+  return passages
+    .filter(passage => cited.has(passage.n))
+    .map(({ n, type, itemId, title, heading, url }) => ({ n, type, id: itemId, title, heading, url }));
+}
+
+// ========================================
+// Default Export
+// ========================================
+
+export default {
+  retrieve,
+  formatPassagesForPrompt,
+  getCitedSources,
+  invalidate
+};
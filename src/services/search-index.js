@@ -0,0 +1,573 @@
+/**
+ * Search Index Service
+ *
+ * Incremental full-text index over objectives, folders, notes, task lists,
+ * tasks and bookmarks. Markdown is reduced to plain text (Editor.js notes are
+ * converted first), tokenized, and kept in an inverted index that is updated
+ * one record at a time as saves and realtime changes arrive.
+ *
+ * Queries are ranked with BM25 (title hits weigh more), every query word must
+ * match, and words also match as prefixes so results appear while typing.
+ */
+
+import { escapeHtml } from '../utils.js';
+import { StepStatus } from '../constants.js';
+import * as EditorJsToMarkdown from '../utils/editorjs-to-markdown.js';
+import { extractHashtags, getExplicitTags } from '../utils/tags.js';
+
+// ========================================
+// Constants
+// ========================================
+
+// BM25 tuning
+const K1 = 1.2;
+const B = 0.75;
+
+// A word in the title counts this many times over a word in the body
+const TITLE_WEIGHT = 3;
+
+// Prefix-only matches ("proj" → "project") score below exact ones
+const PREFIX_WEIGHT = 0.5;
+
+// Cap on how many indexed words one prefix expands to
+const MAX_PREFIX_EXPANSIONS = 50;
+
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 50;
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Local store collection name → search result type
+ */
+export const COLLECTION_TYPES = {
+  objectives: 'objective',
+  folders: 'folder',
+  notes: 'note',
+  taskLists: 'task-list',
+  tasks: 'task',
+  bookmarks: 'bookmark'
+};
+
+// ========================================
+// State
+// ========================================
+
+// Indexed documents by `${type}:${id}`
+const docs = new Map();
+
+// term → Map(docKey → { tf, titleTf })
+const postings = new Map();
+
+// Sorted copy of postings' keys for prefix lookups (rebuilt lazily)
+let sortedTerms = null;
+
+let totalLength = 0;
+
+// ========================================
+// Text Processing
+// ========================================
+
+/**
+ * Reduce markdown to the text a reader sees
+ * @param {string} markdown
+ * @returns {string}
+ */
+export function toPlainText(markdown) {
+  if (!markdown) return '';
+
+  return markdown
+    .replace(/```[^\n]*\n?/g, '')                  // code fence markers
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')      // images → alt text
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')       // links → link text
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')                       // inline HTML
+    .replace(/^\s{0,3}(#{1,6}|>+|[-*+]\s+\[[ xX]\]|[-*+]|\d+\.)\s+/gm, '') // block markers
+    .replace(/^\s*([-*_]\s*){3,}$/gm, '')          // horizontal rules
+    .replace(/[*_~`|]+/g, ' ')                     // emphasis, code, table pipes
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n{2,}/g, '\n')
+    .trim();
+}
+
+/**
+ * Split text into lowercase words
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function tokenize(text) {
+  if (!text) return [];
+  return (text.toLowerCase().match(TOKEN_PATTERN) || []);
+}
+
+/**
+ * Count occurrences of each word
+ */
+function countTerms(tokens) {
+  const counts = new Map();
+  for (const token of tokens) {
+    counts.set(token, (counts.get(token) || 0) + 1);
+  }
+  return counts;
+}
+
+// ========================================
+// Document Builders
+// ========================================
+
+/**
+ * Note content as plain text, converting legacy Editor.js JSON first
+ */
+function noteText(content) {
+  if (EditorJsToMarkdown.isEditorJsFormat(content)) {
+    return toPlainText(EditorJsToMarkdown.convert(content));
+  }
+  return toPlainText(content);
+}
+
+/**
+ * Due dates of an objective's steps that aren't done yet
+ */
+function openStepDueDates(obj) {
+  return (obj.steps || [])
+    .filter(step => step.dueDate && step.status && step.status !== StepStatus.COMPLETED)
+    .map(step => step.dueDate);
+}
+
+/**
+ * Per-collection: record → { title, text, parentId, completed?, due? }
+ * due lists YYYY-MM-DD dates: a task's own, or an objective's open steps'
+ */
+const BUILDERS = {
+  objectives: (obj) => ({
+    title: obj.name || '',
+    text: [
+      obj.description,
+      ...(obj.priorities || []).flatMap(p => [p.name, p.description]),
+      ...(obj.steps || []).map(s => s.name),
+      obj.nextStep?.text
+    ].filter(Boolean).join('\n'),
+    parentId: obj.folderId || null,
+    due: openStepDueDates(obj)
+  }),
+  folders: (folder) => ({
+    title: folder.name || '',
+    text: '',
+    parentId: folder.parentId || null
+  }),
+  notes: (note) => ({
+    title: note.name || '',
+    text: noteText(note.content),
+    parentId: note.folderId || null
+  }),
+  taskLists: (taskList) => ({
+    title: taskList.name || '',
+    text: '',
+    parentId: taskList.folderId || null
+  }),
+  tasks: (task) => ({
+    title: task.name || '',
+    text: '',
+    parentId: task.taskListId || null,
+    completed: !!task.completed,
+    due: task.dueDate ? [task.dueDate] : []
+  }),
+  bookmarks: (bookmark) => ({
+    title: bookmark.title || bookmark.url || '',
+    text: bookmark.url || '',
+    parentId: bookmark.folderId || null
+  })
+};
+
+// ========================================
+// Indexing
+// ========================================
+
+/**
+ * Add or replace a record in the index
+ * @param {string} collection - Local store collection name (see COLLECTION_TYPES)
+ * @param {Object} record
+ */
+export function indexRecord(collection, record) {
+  const type = COLLECTION_TYPES[collection];
+  const build = BUILDERS[collection];
+  if (!type || !build || !record?.id) return;
+
+  const key = `${type}:${record.id}`;
+  const signature = JSON.stringify(record);
+  if (docs.get(key)?.signature === signature) return;
+
+  removeDocument(key);
+
+  const { title, text, parentId, completed, due = [] } = build(record);
+  const titleCounts = countTerms(tokenize(title));
+  const bodyCounts = countTerms(tokenize(text));
+
+  let length = 0;
+  const terms = new Set([...titleCounts.keys(), ...bodyCounts.keys()]);
+  for (const term of terms) {
+    const tf = bodyCounts.get(term) || 0;
+    const titleTf = titleCounts.get(term) || 0;
+    length += tf + titleTf;
+
+    let postingList = postings.get(term);
+    if (!postingList) {
+      postingList = new Map();
+      postings.set(term, postingList);
+      sortedTerms = null;
+    }
+    postingList.set(key, { tf, titleTf });
+  }
+
+  docs.set(key, {
+    key,
+    type,
+    itemId: record.id,
+    title,
+    text,
+    parentId,
+    completed,
+    updatedAt: record.updatedAt || record.createdAt || null,
+    due,
+    tags: new Set([
+      ...getExplicitTags(record),
+      ...extractHashtags(title),
+      ...extractHashtags(text)
+    ]),
+    terms,
+    length,
+    signature
+  });
+  totalLength += length;
+}
+
+/**
+ * Drop a document and its postings
+ * @param {string} key - `${type}:${id}`
+ */
+function removeDocument(key) {
+  const doc = docs.get(key);
+  if (!doc) return;
+
+  for (const term of doc.terms) {
+    const postingList = postings.get(term);
+    if (!postingList) continue;
+    postingList.delete(key);
+    if (postingList.size === 0) {
+      postings.delete(term);
+      sortedTerms = null;
+    }
+  }
+
+  totalLength -= doc.length;
+  docs.delete(key);
+}
+
+/**
+ * Drop a deleted record's document (tasks go with their list)
+ */
+function dropRecord(key) {
+  const doc = docs.get(key);
+  if (!doc) return;
+
+  removeDocument(key);
+  if (doc.type === 'task-list') {
+    for (const [childKey, child] of docs) {
+      if (child.type === 'task' && child.parentId === doc.itemId) {
+        removeDocument(childKey);
+      }
+    }
+  }
+}
+
+/**
+ * Apply a single saved or deleted record
+ * @param {string} collection - Local store collection name
+ * @param {string} id - Record ID
+ * @param {Object|null} record - Saved record, or null when deleted
+ */
+export function updateRecord(collection, id, record) {
+  const type = COLLECTION_TYPES[collection];
+  if (!type) return;
+
+  if (record) {
+    indexRecord(collection, record);
+  } else {
+    dropRecord(`${type}:${id}`);
+  }
+}
+
+/**
+ * Make the index match a freshly loaded collection
+ * Unchanged records are skipped; records no longer present are removed.
+ * @param {string} collection - Local store collection name
+ * @param {Array} records - Every record in the collection
+ */
+export function syncCollection(collection, records) {
+  const type = COLLECTION_TYPES[collection];
+  if (!type) return;
+
+  const present = new Set();
+  for (const record of records) {
+    if (!record?.id) continue;
+    present.add(`${type}:${record.id}`);
+    indexRecord(collection, record);
+  }
+
+  for (const [key, doc] of docs) {
+    if (doc.type === type && !present.has(key)) {
+      dropRecord(key);
+    }
+  }
+}
+
+/**
+ * Look up an indexed document
+ * @param {string} type - Result type (e.g. 'note')
+ * @param {string} id
+ * @returns {Object|null} { type, itemId, title, text, parentId, completed, updatedAt, due, tags }
+ */
+export function getDocument(type, id) {
+  return docs.get(`${type}:${id}`) || null;
+}
+
+/**
+ * Every tag in use, with how many items carry it
+ * Counts explicit tags and inline #hashtags alike.
+ * @returns {Array<{tag: string, count: number}>} Most used first
+ */
+export function listTags() {
+  const counts = new Map();
+  for (const doc of docs.values()) {
+    for (const tag of doc.tags) {
+      counts.set(tag, (counts.get(tag) || 0) + 1);
+    }
+  }
+  return [...counts.entries()]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Whether an indexed item carries a tag
+ * @param {string} type - Result type (e.g. 'note')
+ * @param {string} id
+ * @param {string} tag - Normalized tag
+ * @returns {boolean}
+ */
+export function hasTag(type, id, tag) {
+  return docs.get(`${type}:${id}`)?.tags.has(tag) || false;
+}
+
+// ========================================
+// Querying
+// ========================================
+
+/**
+ * Indexed words starting with a prefix (binary search over sorted terms)
+ */
+function expandPrefix(prefix) {
+  if (!sortedTerms) {
+    sortedTerms = [...postings.keys()].sort();
+  }
+
+  let low = 0;
+  let high = sortedTerms.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (sortedTerms[mid] < prefix) low = mid + 1;
+    else high = mid;
+  }
+
+  const matches = [];
+  for (let i = low; i < sortedTerms.length && matches.length < MAX_PREFIX_EXPANSIONS; i++) {
+    if (!sortedTerms[i].startsWith(prefix)) break;
+    matches.push(sortedTerms[i]);
+  }
+  return matches;
+}
+
+/**
+ * BM25 contribution of one term to one document
+ */
+function scoreTerm(posting, df, doc, avgLength) {
+  const tf = posting.tf + TITLE_WEIGHT * posting.titleTf;
+  const idf = Math.log(1 + (docs.size - df + 0.5) / (df + 0.5));
+  const norm = K1 * (1 - B + B * (doc.length / (avgLength || 1)));
+  return idf * (tf * (K1 + 1)) / (tf + norm);
+}
+
+/**
+ * Search the index
+ * @param {string} query - Free text; every word must match (as a word or prefix)
+ * @param {Object} [options]
+ * @param {number} [options.limit=50] - Maximum results
+ * @param {Array<string>} [options.types] - Only these result types
+ * @param {Function} [options.filter] - Predicate over documents (see getDocument);
+ *   with no query words, every document passing it is returned, newest first
+ * @returns {Array<Object>} Ranked results:
+ *   { key, type, itemId, title, titleHtml, snippetHtml, score, parentId,
+ *     completed, updatedAt, due, tags }
+ */
+export function search(query, { limit = 50, types = null, filter = null } = {}) {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (docs.size === 0) return [];
+
+  if (queryTerms.length === 0) {
+    if (!filter) return [];
+    return [...docs.values()]
+      .filter(doc => (!types || types.includes(doc.type)) && filter(doc))
+      .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''))
+      .slice(0, limit)
+      .map(doc => toResult(doc, 0, queryTerms));
+  }
+
+  const avgLength = totalLength / docs.size;
+  let scores = null;
+
+  for (const queryTerm of queryTerms) {
+    // Best match per document for this query word
+    const termScores = new Map();
+
+    for (const term of expandPrefix(queryTerm)) {
+      const postingList = postings.get(term);
+      const weight = term === queryTerm ? 1 : PREFIX_WEIGHT;
+
+      for (const [key, posting] of postingList) {
+        if (scores && !scores.has(key)) continue;
+        const doc = docs.get(key);
+        // Later words only see documents the first word admitted
+        if (!scores) {
+          if (types && !types.includes(doc.type)) continue;
+          if (filter && !filter(doc)) continue;
+        }
+
+        const score = weight * scoreTerm(posting, postingList.size, doc, avgLength);
+        if (score > (termScores.get(key) || 0)) termScores.set(key, score);
+      }
+    }
+
+    // AND: keep only documents that matched every word so far
+    if (scores) {
+      for (const [key, score] of termScores) {
+        termScores.set(key, score + scores.get(key));
+      }
+    }
+    scores = termScores;
+    if (scores.size === 0) return [];
+  }
+
+  const normalizedQuery = queryTerms.join(' ');
+
+  return [...scores.entries()]
+    .map(([key, score]) => {
+      const doc = docs.get(key);
+      // Whole-title matches first (e.g. typing a note's exact name)
+      const title = tokenize(doc.title).join(' ');
+      if (title === normalizedQuery) score *= 2;
+      else if (title.startsWith(normalizedQuery)) score *= 1.5;
+      return { doc, score };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ doc, score }) => toResult(doc, score, queryTerms));
+}
+
+/**
+ * Shape a document as a search result
+ */
+function toResult(doc, score, queryTerms) {
+  return {
+    key: doc.key,
+    type: doc.type,
+    itemId: doc.itemId,
+    title: doc.title,
+    titleHtml: highlight(doc.title, queryTerms),
+    snippetHtml: buildSnippet(doc.text, queryTerms),
+    score,
+    parentId: doc.parentId,
+    completed: doc.completed,
+    updatedAt: doc.updatedAt,
+    due: doc.due,
+    tags: [...doc.tags]
+  };
+}
+
+// ========================================
+// Highlighting
+// ========================================
+
+/**
+ * Regex matching whole words that start with any query word
+ */
+function matchPattern(terms) {
+  // Terms are letters/digits only, so they need no escaping
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.join('|')})[\\p{L}\\p{N}]*`, 'giu');
+}
+
+/**
+ * Escape text and wrap words matching the query in <mark>
+ * @param {string} text
+ * @param {Array<string>} terms - Lowercase query words
+ * @returns {string} HTML
+ */
+export function highlight(text, terms) {
+  if (!text) return '';
+  if (!terms.length) return escapeHtml(text);
+
+  let html = '';
+  let last = 0;
+  for (const match of text.matchAll(matchPattern(terms))) {
+    html += escapeHtml(text.slice(last, match.index));
+    html += `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  return html + escapeHtml(text.slice(last));
+}
+
+/**
+ * Short excerpt around the first body match, highlighted
+ * @param {string} text - Plain document text
+ * @param {Array<string>} terms - Lowercase query words (none: the opening lines)
+ * @returns {string} HTML (empty when the body has no match)
+ */
+function buildSnippet(text, terms) {
+  if (!text) return '';
+
+  const match = terms.length ? matchPattern(terms).exec(text) : { index: 0, 0: '' };
+  if (!match) return '';
+
+  let start = Math.max(0, match.index - SNIPPET_LEAD);
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  // Don't cut words in half
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < match.index) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > match.index + match[0].length) end = space;
+  }
+
+  const excerpt = text.slice(start, end).replace(/\s+/g, ' ');
+  return (start > 0 ? '… ' : '') + highlight(excerpt, terms) + (end < text.length ? ' …' : '');
+}
+
+// ========================================
+// Default Export
+// ========================================
+
+export default {
+  COLLECTION_TYPES,
+  toPlainText,
+  tokenize,
+  indexRecord,
+  updateRecord,
+  syncCollection,
+  getDocument,
+  listTags,
+  hasTag,
+  search,
+  highlight
+};
@@ -0,0 +1,291 @@
+/**
+ * Search Query Service
+ *
+ * Parses omnibox queries into free text plus filters and runs them against
+ * the search index, e.g.  type:note in:"Work" updated:7d budget
+ *
+ * Operators:
+ *   type:note|objective|task|list|folder|bookmark
+ *   in:"Folder Name"   anywhere under a folder (or in a task list, for tasks)
+ *   is:completed|open  task completion
+ *   due:<2026-11-01    tasks, and objectives with an open step, due before Nov 1
+ *                      (also >, <=, >=, an exact date, a window ahead (7d), or overdue)
+ *   updated:7d         changed within the last 7 days (or <date, >date, ...)
+ *   tag:#foo           tagged #foo
+ * Prefix an operator with - to exclude matches (-type:task).
+ */
+
+import * as SearchIndex from './search-index.js';
+import { normalizeTag } from '../utils/tags.js';
+
+// ========================================
+// Constants
+// ========================================
+
+export const OPERATORS = ['type', 'in', 'is', 'due', 'updated', 'tag'];
+
+const TYPE_ALIASES = {
+  note: 'note',
+  notes: 'note',
+  objective: 'objective',
+  objectives: 'objective',
+  goal: 'objective',
+  task: 'task',
+  tasks: 'task',
+  list: 'task-list',
+  lists: 'task-list',
+  tasklist: 'task-list',
+  'task-list': 'task-list',
+  folder: 'folder',
+  folders: 'folder',
+  bookmark: 'bookmark',
+  bookmarks: 'bookmark',
+  link: 'bookmark'
+};
+
+const IS_VALUES = {
+  completed: true,
+  complete: true,
+  done: true,
+  open: false,
+  incomplete: false,
+  todo: false
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DURATION_UNITS = {
+  h: 60 * 60 * 1000,
+  d: DAY_MS,
+  w: 7 * DAY_MS,
+  m: 30 * DAY_MS,
+  y: 365 * DAY_MS
+};
+
+// -key:"quoted value" | -key:value | "quoted text" | word
+const TOKEN_PATTERN = /(-?)([a-z]+):(?:"([^"]*)"?|(\S*))|"([^"]*)"?|(\S+)/gi;
+
+// ========================================
+// Parsing
+// ========================================
+
+/**
+ * Split a query into free text and filters
+ * Words that look like operators but aren't (e.g. "https://...") stay as text.
+ * @param {string} input
+ * @returns {{ text: string, filters: Array<{key, value, negate}>, errors: Array<string> }}
+ */
+export function parseQuery(input) {
+  const words = [];
+  const filters = [];
+  const errors = [];
+
+  for (const match of (input || '').matchAll(TOKEN_PATTERN)) {
+    const [raw, negate, key, quoted, bare, phrase, word] = match;
+    const operator = key?.toLowerCase();
+
+    if (operator && OPERATORS.includes(operator)) {
+      const value = (quoted ?? bare ?? '').trim();
+      if (!value) {
+        errors.push(`${operator}: needs a value`);
+        continue;
+      }
+      const error = validateFilter(operator, value);
+      if (error) {
+        errors.push(error);
+        continue;
+      }
+      filters.push({ key: operator, value, negate: negate === '-' });
+    } else {
+      words.push(phrase ?? word ?? raw);
+    }
+  }
+
+  return { text: words.join(' ').trim(), filters, errors };
+}
+
+/**
+ * Whether a query uses any operator
+ * @param {string} input
+ * @returns {boolean}
+ */
+export function hasOperators(input) {
+  return parseQuery(input).filters.length > 0;
+}
+
+/**
+ * Describe why a filter value can't be used (null if it can)
+ */
+function validateFilter(key, value) {
+  const lower = value.toLowerCase();
+
+  if (key === 'type' && !TYPE_ALIASES[lower]) {
+    return `Unknown type "${value}"`;
+  }
+  if (key === 'is' && !(lower in IS_VALUES)) {
+    return `Unknown is:${value} (use completed or open)`;
+  }
+  if ((key === 'due' || key === 'updated') && !parseDateRange(key, lower)) {
+    return `Can't read ${key}:${value} (try <2026-11-01 or 7d)`;
+  }
+  return null;
+}
+
+// ========================================
+// Dates
+// ========================================
+
+/**
+ * Local midnight for a YYYY-MM-DD string (or 'today'/'yesterday'/'tomorrow')
+ */
+function parseDay(value) {
+  const now = new Date();
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+  if (value === 'today') return today;
+  if (value === 'yesterday') return today - DAY_MS;
+  if (value === 'tomorrow') return today + DAY_MS;
+
+  const match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+  if (!match) return null;
+  const day = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return isNaN(day) ? null : day.getTime();
+}
+
+/**
+ * Turn a due:/updated: value into a [from, to) millisecond range
+ * Durations look back for updated: and ahead for due:.
+ * @returns {{from: number, to: number}|null}
+ */
+function parseDateRange(key, value) {
+  const now = Date.now();
+
+  if (key === 'due' && value === 'overdue') {
+    return { from: -Infinity, to: parseDay('today') };
+  }
+
+  const duration = /^(\d+)([hdwmy])$/.exec(value);
+  if (duration) {
+    const span = Number(duration[1]) * DURATION_UNITS[duration[2]];
+    return key === 'updated'
+      ? { from: now - span, to: Infinity }
+      : { from: parseDay('today'), to: now + span };
+  }
+
+  const comparison = /^(<=|>=|<|>|=)?(.+)$/.exec(value);
+  const day = parseDay(comparison[2]);
+  if (day == null) return null;
+
+  switch (comparison[1]) {
+    case '<': return { from: -Infinity, to: day };
+    case '<=': return { from: -Infinity, to: day + DAY_MS };
+    case '>': return { from: day + DAY_MS, to: Infinity };
+    case '>=': return { from: day, to: Infinity };
+    default: return { from: day, to: day + DAY_MS };
+  }
+}
+
+// ========================================
+// Matching
+// ========================================
+
+/**
+ * Build a predicate over search index documents
+ * @param {Array} filters - From parseQuery
+ * @returns {Function} doc => boolean
+ */
+export function buildFilter(filters) {
+  const tests = filters.map(filter => {
+    const test = buildTest(filter.key, filter.value.toLowerCase());
+    return filter.negate ? doc => !test(doc) : test;
+  });
+  return doc => tests.every(test => test(doc));
+}
+
+/**
+ * Predicate for one operator
+ */
+function buildTest(key, value) {
+  switch (key) {
+    case 'type': {
+      const type = TYPE_ALIASES[value];
+      return doc => doc.type === type;
+    }
+    case 'in':
+      return doc => getContainers(doc).some(container => container.title.toLowerCase() === value);
+    case 'is': {
+      const completed = IS_VALUES[value];
+      return doc => doc.completed === completed;
+    }
+    case 'tag': {
+      const tag = normalizeTag(value);
+      return doc => doc.tags.has(tag);
+    }
+    case 'due': {
+      const range = parseDateRange(key, value);
+      const openOnly = value === 'overdue';
+      // Due dates are local days, like the query's dates
+      return doc => !(openOnly && doc.completed) && doc.due.some(day => {
+        const time = parseDay(day);
+        return time != null && time >= range.from && time < range.to;
+      });
+    }
+    case 'updated': {
+      const range = parseDateRange(key, value);
+      return doc => {
+        if (!doc.updatedAt) return false;
+        const time = Date.parse(doc.updatedAt);
+        return time >= range.from && time < range.to;
+      };
+    }
+    default:
+      return () => true;
+  }
+}
+
+/**
+ * Task list and folders a document sits in, innermost first
+ */
+function getContainers(doc) {
+  const containers = [];
+  const seen = new Set();
+  const parentType = doc.type === 'task' ? 'task-list' : 'folder';
+  let parent = doc.parentId ? SearchIndex.getDocument(parentType, doc.parentId) : null;
+
+  while (parent && !seen.has(parent.key)) {
+    seen.add(parent.key);
+    containers.push(parent);
+    parent = parent.parentId ? SearchIndex.getDocument('folder', parent.parentId) : null;
+  }
+  return containers;
+}
+
+// ========================================
+// Running Queries
+// ========================================
+
+/**
+ * Parse and run a query
+ * @param {string} input - Raw query text
+ * @param {Object} [options]
+ * @param {number} [options.limit=50]
+ * @param {Array<string>} [options.types] - Only these result types
+ * @returns {{ results: Array, parsed: Object }} Results as from SearchIndex.search
+ */
+export function runQuery(input, { limit = 50, types = null } = {}) {
+  const parsed = parseQuery(input);
+  const filter = parsed.filters.length > 0 ? buildFilter(parsed.filters) : null;
+  const results = SearchIndex.search(parsed.text, { limit, types, filter });
+  return { results, parsed };
+}
+
+// ========================================
+// Default Export
+// ========================================
+
+export default {
+  OPERATORS,
+  parseQuery,
+  hasOperators,
+  buildFilter,
+  runQuery
+};
@@ -53,6 +53,7 @@ const state = {
     localStorage: false,
     taglines: false,
     clarityAPI: false,
+    sync: null, // { state, pending, conflicts, lastSyncedAt } from the sync engine
     errors: []
   }
 };
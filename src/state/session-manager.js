@@ -0,0 +1,440 @@
+/**
+ * Session Manager
+ *
+ * Keeps what tab-state.js doesn't across restarts: each web tab's
+ * back/forward history and page scroll, the chat tabs torn off into their
+ * own windows, and recently closed tabs so they can be reopened. The tabs
+ * themselves (selection, view mode, scroll) persist in tab-state.js.
+ *
+ * A webview can't be handed a history, so a restored web tab loads its
+ * current page and steps back and forward through the saved history by
+ * loading each URL.
+ */
+
+import * as TabState from './tab-state.js';
+import * as TabContentManager from './tab-content-manager.js';
+
+// ========================================
+// State Shape
+// ========================================
+
+/**
+ * @typedef {Object} WebHistory
+ * @property {Array<{url: string, scrollY: number}>} entries - Pages visited, oldest first
+ * @property {number} index - Entry being shown
+ * @property {boolean} restored - Steps through entries by loading them (the webview has no history for them)
+ * @property {boolean} pendingLoad - The current entry hasn't been loaded into a webview yet
+ * @property {number} pendingStep - Back (-1) or forward (1) step being loaded, or 0
+ * @property {number|null} pendingScroll - Page scroll to apply once the page loads
+ */
+
+/**
+ * @typedef {Object} ClosedTab
+ * @property {Object} tab - From TabState.getTabSnapshot
+ * @property {Object|null} web - The tab's web history, if it was a web tab
+ * @property {number} closedAt
+ */
+
+const state = {
+  /** @type {Map<string, WebHistory>} */
+  webHistories: new Map(),
+
+  /** @type {Array<ClosedTab>} Most recent first */
+  closedTabs: [],
+
+  /** @type {Array<Object>} Chat windows from the last session, until they're reopened */
+  chatWindows: [],
+
+  /** @type {Set<Window>} Chat windows torn off in this session */
+  openChatWindows: new Set()
+};
+
+const STORAGE_KEY = 'layer-session';
+
+// Chat windows add themselves here as they close (see chat-window.js)
+export const CLOSING_CHAT_WINDOWS_KEY = 'layer-session-closing-chat-windows';
+
+const MAX_CLOSED_TABS = 10;
+const MAX_HISTORY_ENTRIES = 50;
+
+// A chat window that closed this close to the main window went down with the app
+const QUIT_GRACE_MS = 3000;
+
+const SCROLL_POLL_MS = 5000;
+const SAVE_DELAY_MS = 500;
+
+let saveTimeout = null;
+
+// ========================================
+// Web Tab History
+// ========================================
+
+/**
+ * Track a web tab's webview, and load its restored page if it has one
+ * Call once per webview, right after it's created.
+ * @param {string} tabId - The tab that owns the webview
+ * @param {HTMLElement} webview
+ */
+export function attachWebview(tabId, webview) {
+  const onNavigate = (url) => recordNavigation(tabId, url);
+
+  webview.addEventListener('did-navigate', (e) => onNavigate(e.url));
+  webview.addEventListener('did-navigate-in-page', (e) => {
+    if (e.isMainFrame) onNavigate(e.url);
+  });
+
+  webview.addEventListener('did-finish-load', () => {
+    const history = state.webHistories.get(tabId);
+    if (history?.pendingScroll) {
+      webview.executeJavaScript(`window.scrollTo(0, ${Number(history.pendingScroll)})`).catch(() => {});
+    }
+    if (history) history.pendingScroll = null;
+  });
+
+  const history = state.webHistories.get(tabId);
+  if (history?.pendingLoad) {
+    const entry = history.entries[history.index];
+    history.pendingLoad = false;
+    history.pendingScroll = entry.scrollY || null;
+    webview.src = entry.url;
+  }
+}
+
+/**
+ * Go back in a web tab
+ * @param {string} tabId
+ * @param {HTMLElement} webview - The tab's webview
+ */
+export function goBack(tabId, webview) {
+  step(tabId, webview, -1);
+}
+
+/**
+ * Go forward in a web tab
+ * @param {string} tabId
+ * @param {HTMLElement} webview - The tab's webview
+ */
+export function goForward(tabId, webview) {
+  step(tabId, webview, 1);
+}
+
+function step(tabId, webview, direction) {
+  const history = state.webHistories.get(tabId);
+
+  if (!history?.restored) {
+    if (direction < 0) webview.goBack();
+    else webview.goForward();
+    return;
+  }
+
+  const entry = history.entries[history.index + direction];
+  if (!entry) return;
+  history.pendingStep = direction;
+  history.pendingScroll = entry.scrollY || null;
+  webview.src = entry.url;
+}
+
+/**
+ * Update a tab's history for a page its webview navigated to
+ * Back/forward through the webview's own history isn't reported as such,
+ * so a visit to the page just before or after the current one counts as a step.
+ */
+function recordNavigation(tabId, url) {
+  if (!url || url === 'about:blank') return;
+
+  let history = state.webHistories.get(tabId);
+  if (!history) {
+    history = createHistory([{ url, scrollY: 0 }], 0);
+    state.webHistories.set(tabId, history);
+    scheduleSave();
+    return;
+  }
+
+  const { entries } = history;
+  const stepped = history.pendingStep;
+  history.pendingStep = 0;
+
+  if (stepped && entries[history.index + stepped]?.url === url) {
+    history.index += stepped;
+  } else if (entries[history.index]?.url === url) {
+    return;
+  } else if (entries[history.index - 1]?.url === url) {
+    history.index--;
+  } else if (entries[history.index + 1]?.url === url) {
+    history.index++;
+  } else {
+    entries.splice(history.index + 1, Infinity, { url, scrollY: 0 });
+    if (entries.length > MAX_HISTORY_ENTRIES) entries.splice(0, entries.length - MAX_HISTORY_ENTRIES);
+    history.index = entries.length - 1;
+  }
+  scheduleSave();
+}
+
+function createHistory(entries, index, restored = false) {
+  return {
+    entries,
+    index,
+    restored,
+    pendingLoad: restored,
+    pendingStep: 0,
+    pendingScroll: null
+  };
+}
+
+/**
+ * Note how far the active web tab is scrolled
+ * Webviews only report it asynchronously, so this is polled rather than read on exit.
+ */
+function pollActiveWebScroll() {
+  const tabId = TabState.getActiveTabId();
+  const history = state.webHistories.get(tabId);
+  const webview = TabContentManager.getWebview(tabId);
+  if (!history || !webview?.executeJavaScript) return;
+
+  webview.executeJavaScript('window.scrollY')
+    .then((scrollY) => {
+      const entry = history.entries[history.index];
+      if (entry && typeof scrollY === 'number' && entry.scrollY !== scrollY) {
+        entry.scrollY = Math.round(scrollY);
+        scheduleSave();
+      }
+    })
+    .catch(() => {});
+}
+
+// ========================================
+// Recently Closed Tabs
+// ========================================
+
+/**
+ * Remember a tab that's about to close, so it can be reopened
+ * Call before the tab is removed from TabState.
+ * @param {string} tabId
+ */
+export function recordClosedTab(tabId) {
+  const tab = TabState.getTabSnapshot(tabId);
+  if (!tab) return;
+
+  const history = state.webHistories.get(tabId);
+  state.webHistories.delete(tabId);
+
+  state.closedTabs.unshift({
+    tab,
+    web: tab.viewMode === 'web' && history ? serializeHistory(history) : null,
+    closedAt: Date.now()
+  });
+  state.closedTabs.length = Math.min(state.closedTabs.length, MAX_CLOSED_TABS);
+  scheduleSave();
+}
+
+/**
+ * Recently closed tabs, most recent first
+ * @returns {Array<{title: string, icon: string|null, url: string|null, closedAt: number}>}
+ */
+export function getClosedTabs() {
+  return state.closedTabs.map(({ tab, web, closedAt }) => ({
+    title: tab.title,
+    icon: tab.icon,
+    url: web ? web.entries[web.index]?.url || null : null,
+    closedAt
+  }));
+}
+
+/**
+ * Take a tab off the recently closed list to reopen it
+ * @param {number} index - Position in getClosedTabs()
+ * @returns {ClosedTab|null}
+ */
+export function takeClosedTab(index = 0) {
+  const [closed] = state.closedTabs.splice(index, 1);
+  if (closed) scheduleSave();
+  return closed || null;
+}
+
+/**
+ * Give a reopened tab its web history back
+ * Its page loads when the tab's webview is created.
+ * @param {string} tabId - The new tab
+ * @param {{entries: Array, index: number}} web - From a ClosedTab
+ */
+export function restoreWebHistory(tabId, web) {
+  if (!web?.entries?.length) return;
+  state.webHistories.set(tabId, createHistory(web.entries, web.index, true));
+}
+
+// ========================================
+// Chat Windows
+// ========================================
+
+/**
+ * Track a torn-off chat window so it's reopened next launch if still open
+ * @param {Window} win - From window.open
+ */
+export function registerChatWindow(win) {
+  if (win) state.openChatWindows.add(win);
+}
+
+/**
+ * Chat windows open when the last session ended (each reopened once)
+ * @returns {Array<{tabs: Array, activeIndex: number, bounds: Object|null}>}
+ */
+export function takeChatWindows() {
+  const windows = state.chatWindows;
+  state.chatWindows = [];
+  scheduleSave();
+  return windows;
+}
+
+/**
+ * Sessions of the chat windows that are open now
+ */
+function getOpenChatWindows() {
+  const sessions = [];
+  for (const win of state.openChatWindows) {
+    if (win.closed) {
+      state.openChatWindows.delete(win);
+      continue;
+    }
+    try {
+      const session = win.getChatWindowSession?.();
+      if (session?.tabs?.length) sessions.push(session);
+    } catch (e) {
+      console.warn('Failed to read chat window session:', e);
+    }
+  }
+  return sessions;
+}
+
+/**
+ * Sessions of chat windows that closed within the grace period of a time
+ * (they were closed by the app quitting, not by the user)
+ * @param {number} time
+ * @param {boolean} after - Closed after time rather than before it
+ */
+function takeClosingChatWindows(time, after) {
+  let closing = [];
+  try {
+    closing = JSON.parse(localStorage.getItem(CLOSING_CHAT_WINDOWS_KEY) || '[]');
+    localStorage.removeItem(CLOSING_CHAT_WINDOWS_KEY);
+  } catch (e) {
+    console.warn('Failed to read closing chat windows:', e);
+  }
+
+  return closing
+    .filter(({ closedAt }) => (after
+      ? closedAt >= time && closedAt - time <= QUIT_GRACE_MS
+      : closedAt <= time && time - closedAt <= QUIT_GRACE_MS))
+    .map(({ session }) => session);
+}
+
+// ========================================
+// Persistence
+// ========================================
+
+function serializeHistory(history) {
+  return {
+    entries: history.entries.map(({ url, scrollY }) => ({ url, scrollY })),
+    index: history.index
+  };
+}
+
+/**
+ * Save the session to localStorage
+ * @param {boolean} closing - The main window is closing: record the chat windows open now
+ */
+export function saveToStorage(closing = false) {
+  clearTimeout(saveTimeout);
+  saveTimeout = null;
+
+  try {
+    const webTabs = {};
+    for (const [tabId, history] of state.webHistories) {
+      if (TabState.getTabById(tabId)?.viewMode === 'web') {
+        webTabs[tabId] = serializeHistory(history);
+      }
+    }
+
+    const chatWindows = closing
+      ? [...getOpenChatWindows(), ...takeClosingChatWindows(Date.now(), false), ...state.chatWindows]
+      : state.chatWindows;
+
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      savedAt: Date.now(),
+      webTabs,
+      closedTabs: state.closedTabs,
+      chatWindows
+    }));
+  } catch (e) {
+    console.warn('Failed to save session:', e);
+  }
+}
+
+function scheduleSave() {
+  if (saveTimeout) return;
+  saveTimeout = setTimeout(() => saveToStorage(), SAVE_DELAY_MS);
+}
+
+/**
+ * Load the last session from localStorage
+ */
+function loadFromStorage() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (!stored) return;
+
+    const data = JSON.parse(stored);
+    for (const [tabId, web] of Object.entries(data.webTabs || {})) {
+      restoreWebHistory(tabId, web);
+    }
+    state.closedTabs = Array.isArray(data.closedTabs) ? data.closedTabs : [];
+    state.chatWindows = [
+      ...(Array.isArray(data.chatWindows) ? data.chatWindows : []),
+      // Chat windows that outlived the main window while the app quit
+      ...takeClosingChatWindows(data.savedAt || 0, true)
+    ];
+  } catch (e) {
+    console.warn('Failed to load session:', e);
+  }
+}
+
+// ========================================
+// Initialization
+// ========================================
+
+/**
+ * Load the last session and start recording this one
+ * Call after TabState has loaded.
+ */
+export function init() {
+  loadFromStorage();
+
+  setInterval(pollActiveWebScroll, SCROLL_POLL_MS);
+  window.addEventListener('beforeunload', () => saveToStorage(true));
+}
+
+// ========================================
+// Default Export
+// ========================================
+
+export default {
+  CLOSING_CHAT_WINDOWS_KEY,
+
+  // Web Tab History
+  attachWebview,
+  goBack,
+  goForward,
+
+  // Recently Closed Tabs
+  recordClosedTab,
+  getClosedTabs,
+  takeClosedTab,
+  restoreWebHistory,
+
+  // Chat Windows
+  registerChatWindow,
+  takeChatWindows,
+
+  // Persistence
+  saveToStorage,
+  init
+};
@@ -10,6 +10,16 @@
 
 import * as TabState from './tab-state.js';
 import * as BookmarkStorage from '../data/bookmark-storage.js';
+import * as SavedSearchStorage from '../data/saved-search-storage.js';
+import * as SearchIndex from '../services/search-index.js';
+import * as SearchQuery from '../services/search-query.js';
+
+// ========================================
+// Constants
+// ========================================
+
+// Most results listed under an expanded saved search
+const SAVED_SEARCH_LIMIT = 50;
 
 // ========================================
 // State Shape
@@ -20,7 +30,10 @@ const state = {
   items: [],
 
   // Cached folders array
-  folders: []
+  folders: [],
+
+  // Only show items with this tag (null = no filter)
+  tagFilter: null
 };
 
 // ========================================
@@ -35,6 +48,9 @@ export const ItemType = {
   BOOKMARK: 'bookmark',
   NOTE: 'note',
   TASK_LIST: 'task-list',
+  TAG_FILTER: 'tag-filter',
+  SAVED_SEARCH: 'saved-search',
+  SAVED_SEARCH_RESULT: 'saved-search-result',
   ADD_OBJECTIVE: 'add-objective',
   ADD_FOLDER: 'add-folder'
 };
@@ -69,6 +85,9 @@ export function getSelectedIndex() {
     if (selection.type === 'task-list' && item.type === ItemType.TASK_LIST) {
       return item.taskListId === selection.id;
     }
+    if (selection.type === 'search' && item.type === ItemType.SAVED_SEARCH) {
+      return item.query === selection.id;
+    }
     return false;
   });
 }
@@ -122,6 +141,8 @@ export function setSelectedIndex(index) {
       TabState.setSelection(item.noteId, 'note');
     } else if (item.type === ItemType.TASK_LIST) {
       TabState.setSelection(item.taskListId, 'task-list');
+    } else if (item.type === ItemType.SAVED_SEARCH) {
+      TabState.setSelection(item.query, 'search');
     }
   }
 }
@@ -157,6 +178,7 @@ export function selectItem(type, identifier) {
     if (type === ItemType.BOOKMARK) return item.bookmarkId === identifier;
     if (type === ItemType.NOTE) return item.noteId === identifier;
     if (type === ItemType.TASK_LIST) return item.taskListId === identifier;
+    if (type === ItemType.SAVED_SEARCH) return item.savedSearchId === identifier;
     return false;
   });
   if (index !== -1) {
@@ -191,6 +213,61 @@ export function collapseFolder(folderId) {
   TabState.collapseFolder(folderId);
 }
 
+/**
+ * Expansion key for a saved search (shares TabState's expanded folder set)
+ */
+export function savedSearchExpansionKey(savedSearchId) {
+  return `saved-search:${savedSearchId}`;
+}
+
+// ========================================
+// Tag Filter
+// ========================================
+
+/**
+ * Tag the list is filtered by (null when unfiltered)
+ */
+export function getTagFilter() {
+  return state.tagFilter;
+}
+
+/**
+ * Filter the list to items carrying a tag (null clears)
+ * Takes effect on the next rebuildItems().
+ */
+export function setTagFilter(tag) {
+  state.tagFilter = tag || null;
+}
+
+/**
+ * Narrow the tree to tagged items, keeping the folders that lead to them
+ */
+function applyTagFilter(tag, { objectives, folders, notes, taskLists, bookmarks }) {
+  const keep = (type) => item => SearchIndex.hasTag(type, item.id, tag);
+  const filtered = {
+    objectives: objectives.filter(keep('objective')),
+    notes: notes.filter(keep('note')),
+    taskLists: taskLists.filter(keep('task-list')),
+    bookmarks: bookmarks.filter(keep('bookmark'))
+  };
+
+  // Folders that are tagged themselves or sit above something tagged
+  const folderById = new Map(folders.map(f => [f.id, f]));
+  const keptFolders = new Set();
+  const keepWithAncestors = (folderId) => {
+    while (folderId && !keptFolders.has(folderId) && folderById.has(folderId)) {
+      keptFolders.add(folderId);
+      folderId = folderById.get(folderId).parentId;
+    }
+  };
+  folders.filter(keep('folder')).forEach(f => keepWithAncestors(f.id));
+  [...filtered.objectives, ...filtered.notes, ...filtered.taskLists, ...filtered.bookmarks]
+    .forEach(item => keepWithAncestors(item.folderId));
+
+  filtered.folders = folders.filter(f => keptFolders.has(f.id));
+  return filtered;
+}
+
 // ========================================
 // Build Navigable Items List
 // ========================================
@@ -220,7 +297,7 @@ export function rebuildItems({ objectives = [], folders = [], notes = [], taskLi
   const expandedFolders = TabState.getExpandedFolders();
 
   // Load bookmarks from storage
-  const bookmarks = BookmarkStorage.loadAllBookmarks();
+  let bookmarks = BookmarkStorage.loadAllBookmarks();
 
   // Add Home item at the top
   items.push({
@@ -229,6 +306,18 @@ export function rebuildItems({ objectives = [], folders = [], notes = [], taskLi
     depth: 0
   });
 
+  // Tag filter: show the filter chip and only the tagged part of the tree
+  const tagFilter = state.tagFilter;
+  if (tagFilter) {
+    items.push({
+      type: ItemType.TAG_FILTER,
+      tag: tagFilter,
+      name: `#${tagFilter}`,
+      depth: 0
+    });
+    ({ objectives, folders, notes, taskLists, bookmarks } = applyTagFilter(tagFilter, { objectives, folders, notes, taskLists, bookmarks }));
+  }
+
   // Separate unfiled objectives (folderId is null or undefined)
   const unfiledObjectives = objectives.filter(obj => !obj.folderId);
   const filedObjectives = objectives.filter(obj => obj.folderId);
@@ -333,7 +422,8 @@ export function rebuildItems({ objectives = [], folders = [], notes = [], taskLi
     });
 
     // Only show contents if folder is expanded (use expandedFolders from TabState)
-    if (expandedFolders.has(folder.id)) {
+    // While filtering by tag every remaining folder is open so matches show
+    if (expandedFolders.has(folder.id) || tagFilter) {
       // Combine objectives, bookmarks, notes, task lists, and child folders, then sort by orderIndex
       const folderContents = [
         ...folder.objectives.map(obj => ({ type: 'objective', data: obj, orderIndex: obj.orderIndex || 0 })),
@@ -446,6 +536,37 @@ export function rebuildItems({ objectives = [], folders = [], notes = [], taskLi
     }
   });
 
+  // Saved searches last, as virtual folders of live results
+  SavedSearchStorage.loadAllSavedSearches().forEach(search => {
+    const expansionKey = savedSearchExpansionKey(search.id);
+    items.push({
+      type: ItemType.SAVED_SEARCH,
+      savedSearchId: search.id,
+      data: search,
+      name: search.name,
+      query: search.query,
+      expansionKey,
+      depth: 0,
+      hasChildren: true
+    });
+
+    if (expandedFolders.has(expansionKey)) {
+      const { results } = SearchQuery.runQuery(search.query, { limit: SAVED_SEARCH_LIMIT });
+      results.forEach(result => {
+        items.push({
+          type: ItemType.SAVED_SEARCH_RESULT,
+          savedSearchId: search.id,
+          resultType: result.type,
+          itemId: result.itemId,
+          parentId: result.parentId,
+          completed: result.completed,
+          name: result.title,
+          depth: 1
+        });
+      });
+    }
+  });
+
   state.items = items;
 
   return items;
@@ -499,6 +620,11 @@ export default {
   toggleFolder,
   expandFolder,
   collapseFolder,
+  savedSearchExpansionKey,
+
+  // Tag filter
+  getTagFilter,
+  setTagFilter,
 
   // Building
   rebuildItems,
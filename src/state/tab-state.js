@@ -19,6 +19,7 @@
  * @property {Set<string>} expandedTasks - Set of expanded task IDs
  * @property {'folder'|'objective'|'empty'} viewMode - Current view mode
  * @property {number} scrollPosition - Sidebar scroll position
+ * @property {number} contentScrollPosition - Content page scroll position
  */
 
 const state = {
@@ -53,7 +54,42 @@ function createTabState(id, title = 'Home', icon = 'home') {
     expandedFolders: new Set(),
     expandedTasks: new Set(),
     viewMode: 'home',
-    scrollPosition: 0
+    scrollPosition: 0,
+    contentScrollPosition: 0
+  };
+}
+
+/**
+ * Tab state -> plain object for storage
+ */
+function serializeTab(tab) {
+  return {
+    id: tab.id,
+    title: tab.title,
+    icon: tab.icon,
+    selection: tab.selection,
+    expandedFolders: Array.from(tab.expandedFolders),
+    expandedTasks: Array.from(tab.expandedTasks),
+    viewMode: tab.viewMode,
+    scrollPosition: tab.scrollPosition,
+    contentScrollPosition: tab.contentScrollPosition
+  };
+}
+
+/**
+ * Stored object -> tab state
+ */
+function deserializeTab(id, tab) {
+  return {
+    id,
+    title: tab.title,
+    icon: tab.icon || null,
+    selection: tab.selection || { id: null, type: null },
+    expandedFolders: new Set(tab.expandedFolders || []),
+    expandedTasks: new Set(tab.expandedTasks || []),
+    viewMode: tab.viewMode || 'empty',
+    scrollPosition: tab.scrollPosition || 0,
+    contentScrollPosition: tab.contentScrollPosition || 0
   };
 }
 
@@ -312,6 +348,24 @@ export function setScrollPosition(position) {
   }
 }
 
+/**
+ * Get content page scroll position for active tab
+ */
+export function getContentScrollPosition() {
+  const tab = getActiveTab();
+  return tab ? tab.contentScrollPosition : 0;
+}
+
+/**
+ * Set content page scroll position for active tab
+ */
+export function setContentScrollPosition(position) {
+  const tab = getActiveTab();
+  if (tab) {
+    tab.contentScrollPosition = position;
+  }
+}
+
 // ========================================
 // Tab Metadata
 // ========================================
@@ -413,6 +467,31 @@ export function getTabById(tabId) {
   return state.tabs.get(tabId) || null;
 }
 
+// ========================================
+// Snapshots (recently closed tabs)
+// ========================================
+
+/**
+ * Copy of a tab's state, to reopen it after it's closed
+ * @param {string} tabId
+ * @returns {Object|null} Plain object (see serializeTab)
+ */
+export function getTabSnapshot(tabId) {
+  const tab = state.tabs.get(tabId);
+  return tab ? serializeTab(tab) : null;
+}
+
+/**
+ * Give a tab the state from a snapshot (keeping its own ID)
+ * @param {string} tabId
+ * @param {Object} snapshot - From getTabSnapshot
+ */
+export function restoreTab(tabId, snapshot) {
+  if (!state.tabs.has(tabId)) return;
+  state.tabs.set(tabId, deserializeTab(tabId, snapshot));
+  saveToStorage();
+}
+
 // ========================================
 // Persistence
 // ========================================
@@ -425,16 +504,7 @@ export function saveToStorage() {
     const data = {
       activeTabId: state.activeTabId,
       nextTabId: state.nextTabId,
-      tabs: Array.from(state.tabs.entries()).map(([id, tab]) => ({
-        id: tab.id,
-        title: tab.title,
-        icon: tab.icon,
-        selection: tab.selection,
-        expandedFolders: Array.from(tab.expandedFolders),
-        expandedTasks: Array.from(tab.expandedTasks),
-        viewMode: tab.viewMode,
-        scrollPosition: tab.scrollPosition
-      }))
+      tabs: Array.from(state.tabs.values()).map(serializeTab)
     };
     localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
   } catch (e) {
@@ -456,16 +526,7 @@ export function loadFromStorage() {
 
       if (data.tabs && Array.isArray(data.tabs)) {
         data.tabs.forEach(tab => {
-          state.tabs.set(tab.id, {
-            id: tab.id,
-            title: tab.title,
-            icon: tab.icon || null,
-            selection: tab.selection || { id: null, type: null },
-            expandedFolders: new Set(tab.expandedFolders || []),
-            expandedTasks: new Set(tab.expandedTasks || []),
-            viewMode: tab.viewMode || 'empty',
-            scrollPosition: tab.scrollPosition || 0
-          });
+          state.tabs.set(tab.id, deserializeTab(tab.id, tab));
         });
       }
       return true;
@@ -569,6 +630,12 @@ export default {
   // Scroll Position
   getScrollPosition,
   setScrollPosition,
+  getContentScrollPosition,
+  setContentScrollPosition,
+
+  // Snapshots
+  getTabSnapshot,
+  restoreTab,
 
   // Tab Metadata
   getTabTitle,
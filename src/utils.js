@@ -68,6 +68,28 @@ export function formatTimestamp(isoString) {
   return `${month} ${day} ${timeStr}`;
 }
 
+/**
+ * Format a YYYY-MM-DD due date for display
+ * Shows: "Nov 1" (current year) or "Nov 1 2027" (other years)
+ */
+export function formatDueDate(dateString) {
+  const [year, month, day] = (dateString || '').split('-').map(Number);
+  if (!year || !month || !day) return '';
+  const date = new Date(year, month - 1, day);
+  const label = date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+  return year === new Date().getFullYear() ? label : `${label} ${year}`;
+}
+
+/**
+ * Whether a YYYY-MM-DD due date is before today (local time)
+ */
+export function isOverdue(dateString) {
+  if (!dateString) return false;
+  const now = new Date();
+  const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+  return dateString < today;
+}
+
 /**
  * Capitalize first letter of string
  */
@@ -127,6 +149,8 @@ export default {
   formatDuration,
   formatTimerDisplay,
   formatTimestamp,
+  formatDueDate,
+  isOverdue,
   capitalize,
   typeText,
   escapeHtml,
@@ -0,0 +1,86 @@
+/**
+ * Tag Helpers
+ *
+ * Tags are lowercase words stored without the leading # (e.g. "project-x").
+ * Items carry explicit tags in their `tags` array; inline #hashtags in
+ * names, notes and task text count as tags too.
+ */
+
+// #word - not part of a URL fragment, an HTML entity (&#39;) or a heading (# Title),
+// and not all digits (#1)
+const HASHTAG_PATTERN = /(?<![\p{L}\p{N}_&#/])#([\p{L}\p{N}_-]*[\p{L}_-][\p{L}\p{N}_-]*)/gu;
+
+/**
+ * Normalize user input to a stored tag ("#Project X" -> "project-x")
+ * @param {string} tag
+ * @returns {string} Empty string if nothing usable is left
+ */
+export function normalizeTag(tag) {
+  return String(tag || '')
+    .trim()
+    .replace(/^#+/, '')
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+    .replace(/[^\p{L}\p{N}_-]/gu, '');
+}
+
+/**
+ * Parse a comma or space separated list of tags
+ * @param {string} input - e.g. "#work, reading later"
+ * @returns {Array<string>} Unique normalized tags, in input order
+ */
+export function parseTagInput(input) {
+  const tags = String(input || '').split(/[,\s]+/).map(normalizeTag).filter(Boolean);
+  return [...new Set(tags)];
+}
+
+/**
+ * Format tags for display or editing ("#work #reading")
+ * @param {Array<string>} tags
+ * @returns {string}
+ */
+export function formatTags(tags) {
+  return (tags || []).map(tag => `#${tag}`).join(' ');
+}
+
+/**
+ * Lowercase #tags found in text (without the #)
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function extractHashtags(text) {
+  if (!text) return [];
+  return [...text.matchAll(HASHTAG_PATTERN)].map(match => match[1].toLowerCase());
+}
+
+/**
+ * Positions of #tags in text, for highlighting
+ * @param {string} text
+ * @returns {Array<{from: number, to: number, tag: string}>} Offsets include the #
+ */
+export function findHashtags(text) {
+  if (!text) return [];
+  return [...text.matchAll(HASHTAG_PATTERN)].map(match => ({
+    from: match.index,
+    to: match.index + match[0].length,
+    tag: match[1].toLowerCase()
+  }));
+}
+
+/**
+ * Explicit tags on an item, normalized
+ * @param {Object} item - Any record with an optional `tags` array
+ * @returns {Array<string>}
+ */
+export function getExplicitTags(item) {
+  return [...new Set((item?.tags || []).map(normalizeTag).filter(Boolean))];
+}
+
+export default {
+  normalizeTag,
+  parseTagInput,
+  formatTags,
+  extractHashtags,
+  findHashtags,
+  getExplicitTags
+};
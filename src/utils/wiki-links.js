@@ -0,0 +1,111 @@
+/**
+ * Wiki-link Helpers
+ *
+ * [[Note Name]] links to a note; a type prefix links to other items:
+ * [[objective:Ship MVP]], [[list:Groceries]], [[task:Call Sam]], [[folder:Work]].
+ * Names match case-insensitively.
+ */
+
+// [[...]] on one line, no nested brackets
+const WIKI_LINK_PATTERN = /\[\[([^[\]\n]+)\]\]/g;
+
+/**
+ * Link prefix → item type
+ */
+export const LINK_TYPE_ALIASES = {
+  note: 'note',
+  objective: 'objective',
+  goal: 'objective',
+  list: 'task-list',
+  tasklist: 'task-list',
+  'task-list': 'task-list',
+  task: 'task',
+  folder: 'folder'
+};
+
+/**
+ * Item type → prefix written in links (notes need none)
+ */
+const LINK_PREFIXES = {
+  note: '',
+  objective: 'objective:',
+  'task-list': 'list:',
+  task: 'task:',
+  folder: 'folder:'
+};
+
+/**
+ * Parse the inside of a [[...]] link
+ * @param {string} inner - e.g. "objective:Ship MVP"
+ * @returns {{type: string|null, name: string}} type is null when unprefixed
+ */
+export function parseWikiLink(inner) {
+  const match = /^\s*([a-z-]+)\s*:\s*(.+)$/i.exec(inner);
+  const type = match && LINK_TYPE_ALIASES[match[1].toLowerCase()];
+  if (type) {
+    return { type, name: match[2].trim() };
+  }
+  return { type: null, name: inner.trim() };
+}
+
+/**
+ * Find [[links]] in text
+ * @param {string} text
+ * @returns {Array<{from: number, to: number, nameFrom: number, type: string|null, name: string}>}
+ *   Offsets span the brackets; nameFrom is where the name starts (after any prefix)
+ */
+export function findWikiLinks(text) {
+  if (!text || !text.includes('[[')) return [];
+  return [...text.matchAll(WIKI_LINK_PATTERN)]
+    .map(match => {
+      const { type, name } = parseWikiLink(match[1]);
+      const nameOffset = match[1].lastIndexOf(name);
+      return {
+        from: match.index,
+        to: match.index + match[0].length,
+        nameFrom: match.index + 2 + Math.max(0, nameOffset),
+        type,
+        name
+      };
+    })
+    .filter(link => link.name);
+}
+
+/**
+ * Write a link to an item
+ * @param {string} type - note, objective, task-list, task or folder
+ * @param {string} name
+ * @returns {string} e.g. "[[objective:Ship MVP]]"
+ */
+export function formatWikiLink(type, name) {
+  return `[[${LINK_PREFIXES[type] ?? ''}${name}]]`;
+}
+
+/**
+ * Rewrite links in text
+ * @param {string} text
+ * @param {Function} replace - (link) => new link text, or null to leave it
+ * @returns {string}
+ */
+export function replaceWikiLinks(text, replace) {
+  const links = findWikiLinks(text);
+  if (links.length === 0) return text;
+
+  let result = '';
+  let last = 0;
+  for (const link of links) {
+    const replacement = replace(link);
+    if (replacement == null) continue;
+    result += text.slice(last, link.from) + replacement;
+    last = link.to;
+  }
+  return result + text.slice(last);
+}
+
+export default {
+  LINK_TYPE_ALIASES,
+  parseWikiLink,
+  findWikiLinks,
+  formatWikiLink,
+  replaceWikiLinks
+};
@@ -0,0 +1,25 @@
+-- Activity event log (src/data/event-log.js, src/data/event-storage.js)
+--
+-- Append-only: devices insert events and read everyone's back; nothing
+-- updates or deletes them. Layer talks to Supabase with the anon key and
+-- no sign-in, so the policies are granted to the anon role.
+
+create table if not exists public.events (
+  id uuid primary key,
+  ts timestamptz not null,
+  type text not null,
+  entity_id text,
+  data jsonb not null default '{}'::jsonb,
+  device_id text
+);
+
+create index if not exists events_ts_idx on public.events (ts);
+create index if not exists events_entity_id_idx on public.events (entity_id);
+
+alter table public.events enable row level security;
+
+create policy "events are readable" on public.events
+  for select to anon using (true);
+
+create policy "events can be appended" on public.events
+  for insert to anon with check (true);
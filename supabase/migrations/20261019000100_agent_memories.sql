@@ -0,0 +1,29 @@
+-- Agent memories (server/memories.mjs): facts and preferences the user has
+-- told the agent, written by its remember/forget tools and edited in
+-- Settings.
+--
+-- Layer talks to Supabase with the anon key and no sign-in, so the
+-- policies are granted to the anon role, as for the events table.
+
+create table if not exists public.agent_memories (
+  id uuid primary key default gen_random_uuid(),
+  content text not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists agent_memories_created_at_idx on public.agent_memories (created_at);
+
+alter table public.agent_memories enable row level security;
+
+create policy "agent memories are readable" on public.agent_memories
+  for select to anon using (true);
+
+create policy "agent memories can be added" on public.agent_memories
+  for insert to anon with check (true);
+
+create policy "agent memories can be edited" on public.agent_memories
+  for update to anon using (true) with check (true);
+
+create policy "agent memories can be deleted" on public.agent_memories
+  for delete to anon using (true);
@@ -0,0 +1,11 @@
+-- Tags (src/utils/tags.js): notes, folders, objectives, task lists and tasks
+-- each carry a list of tag names, written by the app, the agent server's
+-- create_note and set_tags tools, and the MCP server.
+--
+-- Existing rows start with no tags.
+
+alter table public.notes add column if not exists tags text[] not null default '{}';
+alter table public.folders add column if not exists tags text[] not null default '{}';
+alter table public.objectives add column if not exists tags text[] not null default '{}';
+alter table public.task_lists add column if not exists tags text[] not null default '{}';
+alter table public.tasks add column if not exists tags text[] not null default '{}';
@@ -0,0 +1,4 @@
+-- Task due dates (src/data/task-list-storage.js), searched with the
+-- omnibox's due: operator. Steps keep theirs in objectives.steps.
+
+alter table public.tasks add column if not exists due_date date;